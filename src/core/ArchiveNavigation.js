@@ -1,8 +1,4 @@
 import { logger } from '../logger.js';
-import * as pdfjsLib from 'pdfjs-dist';
-
-// Настройка PDF.js worker - используем локальную версию из node_modules с правильным URL для Vite
-pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.js', import.meta.url).href;
 
 /**
  * Класс для навигации по архиву и управления боковой панелью
@@ -42,20 +38,15 @@ export class ArchiveNavigation {
                     let displayTitle = item.title; // По умолчанию используем заголовок из манифеста
                     
                     if (item.filename.toLowerCase().endsWith('.pdf')) {
-                        const pdfFile = await this.parent.archiveService.extractFile(item.filename);
-                        if (pdfFile) {
-                            try {
-                                const arrayBuffer = await pdfFile.async('arraybuffer');
-                                const pdfDocument = await pdfjsLib.getDocument(arrayBuffer.slice(0)).promise;
-                                const metadata = await pdfDocument.getMetadata();
-                                
-                                if (metadata && metadata.info && metadata.info.Title) {
-                                    displayTitle = metadata.info.Title;
-                                }
-                            } catch (error) {
-                                this.logger.warn('Не удалось получить метаданные PDF для боковой панели', { error: error.message, filename: item.filename });
-                                // Используем заголовок из манифеста, если не удалось получить метаданные
+                        try {
+                            const metadata = await this.parent.renderer.getPdfMetadata(item.filename);
+
+                            if (metadata && metadata.title) {
+                                displayTitle = metadata.title;
                             }
+                        } catch (error) {
+                            this.logger.warn('Не удалось получить метаданные PDF для боковой панели', { error: error.message, filename: item.filename });
+                            // Используем заголовок из манифеста, если не удалось получить метаданные
                         }
                     }
                     
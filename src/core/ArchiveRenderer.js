@@ -1,11 +1,13 @@
 import { logger } from '../logger.js';
 import { ImageService } from '../services/ImageService.js';
 import { PDFService } from '../services/PDFService.js';
+import { PdfViewer } from './PdfViewer.js';
+import { ArchiveWorkerProxy } from '../services/ArchiveWorkerProxy.js';
 import { pdfMetadataCache } from '../services/PDFMetadataCache.js';
-import * as pdfjsLib from 'pdfjs-dist';
-
-// Настройка PDF.js worker - используем локальную версию из node_modules с правильным URL для Vite
-pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.js', import.meta.url).href;
+import { ContentMetadataCache, pdfTextCache } from '../services/ContentMetadataCache.js';
+import { ManifestFixer } from '../services/ManifestFixer.js';
+import { SignatureService } from '../services/SignatureService.js';
+import { DateUtils } from '../utils/dateUtils.js';
 
 /**
  * Класс для отображения архива и элементов архива
@@ -17,45 +19,50 @@ export class ArchiveRenderer {
     constructor(parent) {
         this.parent = parent;
         this.logger = logger;
+        // Открытые просмотрщики PDF текущей капсулы
+        this.pdfViewers = new Set();
     }
 
     /**
      * Отображение архива
-     * @returns {Promise<void>}
+     * Проверка архива выполняется вызывающим по возвращенным элементам, где уже учтены метаданные PDF
+     * @param {AbortSignal|null} [signal] - Сигнал отмены загрузки: отображение прерывается между элементами
+     * @returns {Promise<ArchiveItem[]|null>} - Отображенные элементы или null, если архив не отображен
+     *          (нет контейнера или манифеста, ошибки в манифесте)
      */
-    async renderArchive() {
+    async renderArchive(signal = null) {
         const operationId = this.logger.pushOperation('renderArchive');
         try {
             const container = document.getElementById('archive-container');
             if (!container) {
                 this.logger.warn('Контейнер архива не найден', { operationId });
-                return;
+                return null;
             }
 
             this.logger.debug('Начало отображения архива', { operationId });
 
-            // Чтение манифеста
-            const manifestFile = await this.parent.archiveService.extractFile('manifest.txt');
-            if (!manifestFile) {
-                const error = new Error('Файл manifest.txt не найден в архиве');
-                this.logger.error('Манифест не найден', { error: error.message, operationId });
-                throw error;
+            // Чтение манифеста (формат определяется по имени найденного файла)
+            const manifest = await this.parent.readManifest();
+            signal?.throwIfAborted();
+            if (!manifest) {
+                // Манифеста нет - вместо ошибки открываем мастер создания манифеста
+                await this.parent.openManifestWizard();
+                return null;
             }
 
-            const manifestText = await manifestFile.async('text');
-            this.logger.debug('Манифест прочитан', { manifestLength: manifestText.length, operationId });
-
-            const { items, errors } = this.parent.parseManifest(manifestText);
-            this.logger.info('Манифест разобран', { itemsCount: items.length, errorsCount: errors.length, operationId });
+            const { items, errors, manifestName, manifestFormat, manifestText } = manifest;
+            this.logger.info('Манифест разобран', { manifestName, itemsCount: items.length, errorsCount: errors.length, operationId });
             
             // Если есть ошибки в манифесте, отображаем их вместо архива
             if (errors.length > 0) {
-                this.displayManifestErrors(errors, container);
-                return;
+                // Исправления предлагаются только для построчного manifest.txt
+                this.displayManifestErrors(errors, container, manifestName, manifestFormat === 'txt' ? manifestText : null);
+                return null;
             }
 
             // Извлечение метаданных из PDF файлов до отображения, чтобы обновить заголовки для валидации
-            await this.extractPdfMetadataEarly(items);
+            await this.extractPdfMetadataEarly(items, signal);
+            signal?.throwIfAborted();
             
             container.innerHTML = '';
             this.logger.debug('Контейнер очищен', { operationId });
@@ -76,6 +83,7 @@ export class ArchiveRenderer {
                 const item = items[i];
                 // Пропускаем КАПСУЛА элемент, так как он уже отображен
                 if (item.type.toUpperCase() === 'КАПСУЛА') continue;
+                signal?.throwIfAborted();
                 await this.renderArchiveItem(item, container, i);
                 this.logger.debug('Элемент архива отображен', { index: i, filename: item.filename, operationId });
             }
@@ -83,9 +91,10 @@ export class ArchiveRenderer {
             // Заполнение боковой панели информацией об архиве
             // this.parent.populateSidebar(items); // Закомментировано для отключения боковой панели
             
-            // Проверка корректности архива
-            this.parent.validateArchive(items);
-            
+            // Индекс поиска строится в фоне: отображенный архив доступен сразу (ошибки построения buildIndex логирует сам)
+            signal?.throwIfAborted();
+            this.parent.capsuleSearch.buildIndex(items, signal);
+
             // Показываем секцию капсулы после полной обработки архива, если есть элемент КАПСУЛА
             if (capsuleItem) {
                 const capsuleSection = document.getElementById('capsule-section');
@@ -95,8 +104,10 @@ export class ArchiveRenderer {
             }
             
             this.logger.info('Архив отображен успешно', { itemsCount: items.length, operationId });
+            return items;
 
         } catch (error) {
+            if (signal?.aborted) throw error;
             this.logger.logError(error, { operationId });
             throw new Error(`Ошибка при чтении манифеста: ${error.message}`);
         } finally {
@@ -104,17 +115,78 @@ export class ArchiveRenderer {
         }
     }
 
+    /**
+     * Нормализованные метаданные PDF файла капсулы: из кэша или извлеченные заново (extractPdfMetadata)
+     * @param {string} filename - Имя файла
+     * @returns {Promise<Object|null>} - Результат PDFService.getNormalizedMetadata или null, если файла нет или он не разобран
+     */
+    async getPdfMetadata(filename) {
+        return pdfMetadataCache.getMetadata(filename) || this.extractPdfMetadata(filename);
+    }
+
+    /**
+     * PDF файл капсулы для реестра документов PDFService: ключ (SHA-256 содержимого) и чтение содержимого
+     * В потоке чтения архива хэш считается без передачи файла в поток страницы: файл передается,
+     * только если документ нужно разобрать
+     * @param {string} filename - Имя файла
+     * @returns {Promise<{hash: string, readBuffer: function(): Promise<ArrayBuffer|null>}|null>} - null, если файла нет;
+     *          readBuffer возвращает null, если документ уже загружен в реестр
+     */
+    async getPdfSource(filename) {
+        const archiveService = this.parent.archiveService;
+        if (archiveService instanceof ArchiveWorkerProxy) {
+            const hash = await archiveService.getFileHash(filename);
+            if (!hash) return null;
+            const readBuffer = async () => {
+                if (PDFService.hasDocument(hash)) return null;
+                const pdfFile = await archiveService.extractFile(filename);
+                if (!pdfFile) throw new Error(`Файл ${filename} не найден в архиве`);
+                return pdfFile.async('arraybuffer');
+            };
+            return { hash, readBuffer };
+        }
+        const pdfFile = await archiveService.extractFile(filename);
+        if (!pdfFile) return null;
+        const buffer = await pdfFile.async('arraybuffer');
+        return { hash: await ContentMetadataCache.hash(buffer), readBuffer: async () => buffer };
+    }
+
+    /**
+     * Извлечение нормализованных метаданных PDF файла капсулы
+     * Метаданные ищутся в кэше по SHA-256 содержимого (pdfMetadataCache.getMetadataByContent), а при промахе
+     * разбирается документ реестра PDFService с тем же ключом, что и у просмотрщика PdfViewer и поиска:
+     * за загрузку капсулы PDF разбирается один раз, в потоке PDF.js, и страница не блокируется
+     * @param {string} filename - Имя файла
+     * @returns {Promise<Object|null>} - Результат PDFService.getNormalizedMetadata или null, если файла нет или он не разобран
+     */
+    async extractPdfMetadata(filename) {
+        const source = await this.getPdfSource(filename);
+        if (!source) return null;
+        return pdfMetadataCache.getMetadataByContent(source.hash,
+            async () => PDFService.getNormalizedMetadata(await source.readBuffer(), source.hash));
+    }
+
+    /**
+     * Текст PDF файла капсулы по страницам для поиска (CapsuleSearch)
+     * Как и метаданные, текст кэшируется по SHA-256 содержимого и извлекается из документа реестра PDFService
+     * @param {string} filename - Имя файла
+     * @returns {Promise<{pages: string[]}|null>} - Результат PDFService.extractText или null
+     */
+    async extractPdfText(filename) {
+        const source = await this.getPdfSource(filename);
+        if (!source) return null;
+        return pdfTextCache.getOrExtract(source.hash, async () => PDFService.extractText(await source.readBuffer(), source.hash));
+    }
+
     /**
      * Извлечение метаданных из PDF файлов до отображения, чтобы обновить заголовки для валидации
      * @param {Array} items - Массив элементов архива
+     * @param {AbortSignal|null} [signal] - Сигнал отмены загрузки
      * @returns {Promise<void>}
      */
-    async extractPdfMetadataEarly(items) {
+    async extractPdfMetadataEarly(items, signal = null) {
         const operationId = this.logger.pushOperation('extractPdfMetadataEarly');
         try {
-            // Очищаем кэш перед новой загрузкой
-            pdfMetadataCache.clearCache();
-            
             // Находим все PDF файлы в архиве, исключая ЛИЧНОЕ типы (для них не извлекаем метаданные)
             const pdfItems = items.filter(item => item.filename.toLowerCase().endsWith('.pdf') && item.type.toUpperCase() !== 'ЛИЧНОЕ');
             
@@ -128,14 +200,16 @@ export class ArchiveRenderer {
             // Извлекаем метаданные для всех PDF файлов параллельно
             const pdfPromises = pdfItems.map(async (item) => {
                 try {
-                    const pdfFile = await this.parent.archiveService.extractFile(item.filename);
-                    if (!pdfFile) {
-                        this.logger.warn('PDF файл не найден в архиве', { filename: item.filename, operationId });
+                    // Для капсулы, открытой из библиотеки, метаданные уже в кэше по имени файла (записаны при открытии);
+                    // иначе они берутся из кэша по SHA-256 содержимого или PDF разбирается в реестре документов PDFService
+                    // потоком PDF.js, и страница не блокируется на больших файлах
+                    const metadata = await this.getPdfMetadata(item.filename);
+                    // Метаданные прерванной загрузки не попадают в кэш следующего архива
+                    if (signal?.aborted) return;
+                    if (!metadata) {
+                        this.logger.warn('PDF файл не найден в архиве или не разобран', { filename: item.filename, operationId });
                         return;
                     }
-
-                    const arrayBuffer = await pdfFile.async('arraybuffer');
-                    const metadata = await PDFService.getNormalizedMetadata(arrayBuffer.slice(0));
                     
                     // Сохраняем метаданные в кэш
                     pdfMetadataCache.setMetadata(item.filename, metadata);
@@ -232,6 +306,7 @@ export class ArchiveRenderer {
                         operationId 
                     });
                 } catch (error) {
+                    if (signal?.aborted) return;
                     this.logger.warn('Не удалось извлечь метаданные PDF для раннего обновления', { 
                         filename: item.filename, 
                         error: error.message, 
@@ -256,8 +331,10 @@ export class ArchiveRenderer {
      * Отображение ошибок парсинга манифеста
      * @param {Array} errors - Массив ошибок
      * @param {HTMLElement} container - Контейнер для отображения
+     * @param {string} [manifestName] - Имя файла манифеста
+     * @param {string|null} [manifestText] - Текст manifest.txt для подбора исправлений
      */
-    displayManifestErrors(errors, container) {
+    displayManifestErrors(errors, container, manifestName = 'manifest.txt', manifestText = null) {
         const operationId = this.logger.pushOperation('displayManifestErrors', { errorsCount: errors.length });
         try {
             if (!container) {
@@ -265,17 +342,26 @@ export class ArchiveRenderer {
                 return;
             }
 
+            const fixes = manifestText ? this.buildManifestFixes(errors, manifestText) : new Map();
+            const autoFixesCount = [...fixes.values()].filter(fix => fix.changes.length > 0).length;
+
             // Очищаем контейнер и показываем ошибки
             container.innerHTML = `
                 <div class="manifest-errors-container">
                     <h2 class="error-title">❌ Ошибки в манифесте архива</h2>
-                    <p class="error-description">Найдено ${errors.length} ошибок в файле manifest.txt. Архив не может быть загружен до исправления этих ошибок.</p>
+                    <p class="error-description">Найдено ${errors.length} ошибок в файле ${this.parent.escapeHtml(manifestName)}. Архив не может быть загружен до исправления этих ошибок.</p>
+                    ${autoFixesCount > 0 ? `
+                    <div class="manifest-fix-actions">
+                        <span class="manifest-fix-summary">Автоматических исправлений: ${autoFixesCount}. Принято: <span id="manifest-fix-accepted-count">0</span></span>
+                        <button type="button" class="btn btn-primary" id="manifest-fix-download" disabled>📥 Скачать исправленный ${this.parent.escapeHtml(manifestName)}</button>
+                    </div>
+                    ` : ''}
                     
                     <div class="errors-list">
                         ${errors.map((error, index) => `
                             <div class="error-item" data-error-index="${index}">
                                 <div class="error-header">
-                                    <span class="error-line-number">Строка ${error.lineNumber}</span>
+                                    <span class="error-line-number">${this.parent.escapeHtml(error.location || `Строка ${error.lineNumber}`)}</span>
                                     <span class="error-toggle" onclick="this.parentElement.parentElement.querySelector('.error-details').classList.toggle('expanded')">▼</span>
                                 </div>
                                 <div class="error-content">
@@ -301,6 +387,7 @@ export class ArchiveRenderer {
                                         </div>
                                         ` : ''}
                                     </div>
+                                    ${fixes.has(index) ? this.renderManifestFix(fixes.get(index), error.lineNumber) : ''}
                                 </div>
                             </div>
                         `).join('')}
@@ -308,6 +395,10 @@ export class ArchiveRenderer {
                 </div>
             `;
 
+            if (autoFixesCount > 0) {
+                this.initializeManifestFixActions(container, manifestText, manifestName);
+            }
+
             // Показываем секцию архива (если она была скрыта)
             const archiveSection = document.getElementById('archive-section');
             if (archiveSection) {
@@ -322,6 +413,159 @@ export class ArchiveRenderer {
         }
     }
 
+    /**
+     * Подбор исправлений для строк манифеста с ошибками
+     * Каждое исправление проверяется повторным разбором манифеста с исправленной строкой.
+     * Дата нормализуется только в поле, которое заголовок или разбор строки определяет как дату
+     * @param {Array} errors - Ошибки разбора манифеста
+     * @param {string} manifestText - Текст manifest.txt
+     * @returns {Map<number, {fixedLine: string, changes: Array, missingFields: string[], resolves: boolean}>} - Исправления по индексу ошибки
+     */
+    buildManifestFixes(errors, manifestText) {
+        const fixes = new Map();
+        const validator = this.parent.validator;
+        const header = validator.findManifestHeader(manifestText.split(/\r?\n/));
+        const fields = header ? validator.resolveHeaderColumns(header.columns).fields : [];
+        const typeIndex = header ? fields.indexOf('type') : 1;
+
+        errors.forEach((error, index) => {
+            if (!error.line || error.line.startsWith('#')) return;
+
+            const parts = error.problematicParts || [];
+            const dateIndex = header
+                ? fields.indexOf('date')
+                : parts.find(part => part.field === 'date' && !part.missing)?.index ?? -1;
+            const missingFields = error.insufficientFields ? parts.filter(part => part.missing).map(part => part.field) : [];
+
+            const fix = ManifestFixer.suggestFix(error.line, { typeIndex, dateIndex, fields, missingFields });
+            if (!fix) return;
+            if (fix.changes.length === 0) {
+                fixes.set(index, { ...fix, resolves: false });
+                return;
+            }
+
+            const candidateText = ManifestFixer.applyFixes(manifestText, new Map([[error.lineNumber, fix.fixedLine]]));
+            const { errors: candidateErrors } = this.parent.parseManifest(candidateText);
+            const resolves = !candidateErrors.some(candidateError => candidateError.lineNumber === error.lineNumber);
+            fixes.set(index, { ...fix, resolves });
+        });
+
+        this.logger.debug('Подобраны исправления манифеста', { errorsCount: errors.length, fixesCount: fixes.size });
+        return fixes;
+    }
+
+    /**
+     * Формирование блока предлагаемого исправления строки манифеста
+     * Недостающие поля показываются подсказкой: строку без них нельзя исправить автоматически
+     * @param {{fixedLine: string, changes: Array, missingFields: string[], resolves: boolean}} fix - Исправление
+     * @param {number} lineNumber - Номер строки манифеста
+     * @returns {string} - HTML блока исправления
+     */
+    renderManifestFix(fix, lineNumber) {
+        const missingNote = fix.missingFields.length > 0 ? `
+                <div class="manifest-fix-missing">
+                    Не хватает полей: ${fix.missingFields.map(field => `<code>${this.parent.escapeHtml(field)}</code>`).join(', ')}. Добавьте их в строку вручную
+                </div>
+        ` : '';
+
+        if (fix.changes.length === 0) {
+            return `
+            <div class="manifest-fix manifest-fix-manual" data-line-number="${lineNumber}">
+                <div class="manifest-fix-title">🛠 Исправление вручную</div>
+                ${missingNote}
+            </div>
+        `;
+        }
+
+        return `
+            <div class="manifest-fix" data-line-number="${lineNumber}">
+                <div class="manifest-fix-title">
+                    🛠 Предлагаемое исправление${fix.resolves ? '' : ' <span class="manifest-fix-partial">(устраняет ошибку не полностью)</span>'}
+                </div>
+                <div class="manifest-fix-line">${this.parent.escapeHtml(fix.fixedLine)}</div>
+                <ul class="manifest-fix-changes">
+                    ${fix.changes.map(change => `
+                        <li>${this.parent.escapeHtml(change.description)}${change.field === 'separator' ? '' : `: <code>${this.parent.escapeHtml(change.from)}</code> → <code>${this.parent.escapeHtml(change.to)}</code>`}</li>
+                    `).join('')}
+                </ul>
+                ${missingNote}
+                <button type="button" class="btn btn-secondary manifest-fix-accept" data-line-number="${lineNumber}">Принять исправление</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Обработчики принятия исправлений и скачивания исправленного манифеста
+     * @param {HTMLElement} container - Контейнер с ошибками манифеста
+     * @param {string} manifestText - Исходный текст manifest.txt
+     * @param {string} manifestName - Имя файла манифеста
+     */
+    initializeManifestFixActions(container, manifestText, manifestName) {
+        const acceptedFixes = new Map();
+        const downloadButton = container.querySelector('#manifest-fix-download');
+        const acceptedCount = container.querySelector('#manifest-fix-accepted-count');
+
+        container.querySelectorAll('.manifest-fix-accept').forEach(button => {
+            button.addEventListener('click', () => {
+                const lineNumber = Number(button.dataset.lineNumber);
+                const fixElement = button.closest('.manifest-fix');
+                const fixedLine = fixElement.querySelector('.manifest-fix-line').textContent;
+
+                if (acceptedFixes.has(lineNumber)) {
+                    acceptedFixes.delete(lineNumber);
+                    button.textContent = 'Принять исправление';
+                    fixElement.classList.remove('accepted');
+                } else {
+                    acceptedFixes.set(lineNumber, fixedLine);
+                    button.textContent = '✓ Принято (отменить)';
+                    fixElement.classList.add('accepted');
+                }
+
+                if (acceptedCount) acceptedCount.textContent = String(acceptedFixes.size);
+                if (downloadButton) downloadButton.disabled = acceptedFixes.size === 0;
+                this.logger.trackUserAction('manifest_fix_toggled', { lineNumber, accepted: acceptedFixes.has(lineNumber) });
+            });
+        });
+
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => {
+                const fixedText = ManifestFixer.applyFixes(manifestText, acceptedFixes);
+                const blob = new Blob([fixedText], { type: 'text/plain;charset=utf-8' });
+                const url = URL.createObjectURL(blob);
+                this.parent.urlManager.addUrl(url, 'text');
+
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = manifestName;
+                link.click();
+                this.logger.info('Скачан исправленный манифест', { fixesCount: acceptedFixes.size });
+            });
+        }
+    }
+
+    /**
+     * Формирование блока дополнительных полей элемента (автор, место, источник, язык)
+     * Эти поля задаются в структурированном манифесте
+     * @param {ArchiveItem} item - Элемент архива
+     * @returns {string} - HTML блока или пустая строка
+     */
+    renderItemDetails(item) {
+        const details = [];
+        if (item.author && item.type.toUpperCase() !== 'КАПСУЛА') {
+            details.push(`<span class="item-detail">✍️ ${this.parent.escapeHtml(item.author)}</span>`);
+        }
+        if (item.location) {
+            details.push(`<span class="item-detail">📍 ${this.parent.escapeHtml(item.location)}</span>`);
+        }
+        if (item.sourceUrl) {
+            details.push(`<a class="item-detail item-detail-link" href="${this.parent.escapeHtml(item.sourceUrl)}" target="_blank" rel="noopener noreferrer">🔗 Источник</a>`);
+        }
+        if (item.language) {
+            details.push(`<span class="item-detail">🌐 ${this.parent.escapeHtml(item.language)}</span>`);
+        }
+        return details.length > 0 ? `<div class="item-details">${details.join('')}</div>` : '';
+    }
+
     /**
      * Отображение отдельного элемента архива
      * @param {Object} item - Элемент архива
@@ -335,6 +579,7 @@ export class ArchiveRenderer {
             const itemElement = document.createElement('div');
             itemElement.className = 'archive-item';
             itemElement.id = `item-${index}`;
+            itemElement.dataset.index = String(index);
 
             // Определяем тип файла по расширению
             const fileExtension = item.filename.split('.').pop().toLowerCase();
@@ -350,27 +595,22 @@ export class ArchiveRenderer {
             let displayDescription = item.description;
 
             if (isPdf) {
-                const pdfFile = await this.parent.archiveService.extractFile(item.filename);
-                if (pdfFile) {
-                    try {
-                        const arrayBuffer = await pdfFile.async('arraybuffer');
-                        const pdfDocument = await pdfjsLib.getDocument(arrayBuffer.slice(0)).promise;
-                        const metadata = await pdfDocument.getMetadata();
-
-                        if (metadata && metadata.info) {
-                            if (metadata.info.Title && metadata.info.Title.trim() !== '') {
-                                displayTitle = metadata.info.Title;
-                            }
-                            if (metadata.info.Subject && metadata.info.Subject.trim() !== '') {
-                                displayDescription = metadata.info.Subject;
-                            } else if (metadata.info.Author && metadata.info.Author.trim() !== '') {
-                                displayDescription = `Автор: ${metadata.info.Author}`;
-                            }
+                try {
+                    const metadata = await this.getPdfMetadata(item.filename);
+
+                    if (metadata) {
+                        if (metadata.title && metadata.title.trim() !== '') {
+                            displayTitle = metadata.title;
+                        }
+                        if (metadata.subject && metadata.subject.trim() !== '') {
+                            displayDescription = metadata.subject;
+                        } else if (metadata.author && metadata.author.trim() !== '') {
+                            displayDescription = `Автор: ${metadata.author}`;
                         }
-                    } catch (error) {
-                        this.logger.warn('Не удалось получить метаданные PDF', { error: error.message, filename: item.filename });
-                        // Используем заголовок и описание из манифеста, если не удалось получить метаданные
                     }
+                } catch (error) {
+                    this.logger.warn('Не удалось получить метаданные PDF', { error: error.message, filename: item.filename });
+                    // Используем заголовок и описание из манифеста, если не удалось получить метаданные
                 }
             }
 
@@ -407,138 +647,54 @@ export class ArchiveRenderer {
             if (isPdf) {
                 const pdfFile = await this.parent.archiveService.extractFile(item.filename);
                 if (pdfFile) {
-                    try {
-                        const arrayBuffer = await pdfFile.async('arraybuffer');
-                        const pdfDocument = await pdfjsLib.getDocument(arrayBuffer.slice(0)).promise;
-                        const metadata = await pdfDocument.getMetadata();
-
-                        let pdfMetadataHtml = '';
-                        let pdfContentHtml = '';
-                        let url = '';
-
-                        // Показываем метаданные только для не-ЛИЧНОЕ типов PDF файлов
-                        if (metadata && metadata.info && item.type.toUpperCase() !== 'ЛИЧНОЕ') {
-                            const info = metadata.info;
-                            
-                            // Получаем количество страниц из кэша метаданных
-                            const cachedMetadata = pdfMetadataCache.getMetadata(item.filename);
-                            const pageCount = cachedMetadata?.pageCount || 0;
-                            
-                            // Убираем отображение PDF метаданных - оставляем только количество страниц для внутреннего использования
-                            // pdfMetadataHtml остается пустым, чтобы не отображать метаданные в UI
-                        }
-
-                        // Создаем URL для PDF
-                        const blob = new Blob([arrayBuffer], { type: 'application/pdf' });
-                        url = URL.createObjectURL(blob);
-                        this.parent.urlManager.addUrl(url, 'pdf');
-
-                        pdfContentHtml = `
-                            <details class="spoiler-details">
-                                <summary aria-label="Показать содержимое PDF файла ${this.parent.escapeHtml(item.title)}">
-                                    👁 Просмотр PDF
-                                </summary>
-                                <div class="content-preview">
-                                    <iframe class="pdf-viewer" src="${url}"></iframe>
-                                    <div class="pdf-download-section">
-                                        <a href="${url}" download="${this.parent.escapeHtml(item.filename)}" class="download-link">
-                                            📥 Скачать PDF
-                                        </a>
-                                    </div>
-                                </div>
-                            </details>
-                        `;
+                    // Метаданные уже извлечены в extractPdfMetadataEarly, а сам PDF загружается
+                    // в просмотрщик (handlePdfFile) только при раскрытии спойлера
+                    const pdfContentHtml = `
+                        <details class="spoiler-details spoiler-details--pdf-content">
+                            <summary aria-label="Показать содержимое PDF файла ${this.parent.escapeHtml(item.title)}">
+                                👁 Просмотр PDF
+                            </summary>
+                            <div class="content-preview pdf-viewer-container" id="${previewId}"></div>
+                        </details>
+                    `;
 
-                        // Для PDF файлов используем теги из кэша метаданных для не-ЛИЧНОЕ типов, из манифеста для ЛИЧНОЕ типов
-                        // Важно: item.tags уже включает ключевые слова из PDF, извлеченные в extractPdfMetadataEarly
-                        let tagsHtml = '';
-                        let authorHtml = '';
+                    // Для PDF файлов используем теги из кэша метаданных для не-ЛИЧНОЕ типов, из манифеста для ЛИЧНОЕ типов
+                    // Важно: item.tags уже включает ключевые слова из PDF, извлеченные в extractPdfMetadataEarly
+                    let tagsHtml = '';
+                    let authorHtml = '';
+                    
+                    if (item.type.toUpperCase() === 'ЛИЧНОЕ') {
+                        // Для ЛИЧНОЕ типов используем теги из манифеста (не извлекаем из PDF)
+                        tagsHtml = item.tags && item.tags.length > 0 ? item.tags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ') : '';
+                    } else {
+                        // Для других типов используем уже обновленные теги из item.tags (которые включают PDF keywords)
+                        // Убедимся, что теги не пустые и не содержат только пробелы
+                        const validTags = item.tags.filter(tag => tag && tag.trim() !== '');
+                        tagsHtml = validTags.length > 0 ? validTags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ') : '';
                         
-                        if (item.type.toUpperCase() === 'ЛИЧНОЕ') {
-                            // Для ЛИЧНОЕ типов используем теги из манифеста (не извлекаем из PDF)
-                            tagsHtml = item.tags && item.tags.length > 0 ? item.tags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ') : '';
-                        } else {
-                            // Для других типов используем уже обновленные теги из item.tags (которые включают PDF keywords)
-                            // Убедимся, что теги не пустые и не содержат только пробелы
-                            const validTags = item.tags.filter(tag => tag && tag.trim() !== '');
-                            tagsHtml = validTags.length > 0 ? validTags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ') : '';
-                            
-                            // Для НОВОСТЬ типов добавляем автора из PDF метаданных как отдельный span
-                            if (item.type.toUpperCase() === 'НОВОСТЬ' && isPdf) {
-                                const cachedMetadata = pdfMetadataCache.getMetadata(item.filename);
-                                if (cachedMetadata && cachedMetadata.author && cachedMetadata.author.trim() !== '') {
-                                    authorHtml = `<span class="title-author">${this.parent.escapeHtml(cachedMetadata.author)}</span>`;
-                                }
-                            }
-                        }
-
-                        itemElement.innerHTML = `
-                            <div class="item-header">
-                                <div class="item-meta">
-                                    <div class="item-emoji">${emoji}</div>
-                                    <div class="item-type">${this.parent.escapeHtml(item.type)}</div>
-                                    <div class="item-date">${this.parent.escapeHtml(item.date)}</div>
-                                </div>
-                                <h3 class="item-title">${this.parent.escapeHtml(displayTitle)} ${authorHtml} ${tagsHtml}</h3>
-                            </div>
-                            <div class="item-description">${this.parent.escapeHtml(displayDescription)}</div>
-                            ${pdfMetadataHtml}
-                            ${pdfContentHtml}
-                            ${explanationHtml}
-                        `;
-                    } catch (error) {
-                        // Если не удалось получить метаданные, используем обычное отображение
-                        this.logger.warn('Не удалось получить метаданные PDF для отображения', { error: error.message, filename: item.filename });
-
-                        // Создаем URL для PDF
-                        const arrayBuffer = await pdfFile.async('arraybuffer');
-                        const blob = new Blob([arrayBuffer], { type: 'application/pdf' });
-                        const url = URL.createObjectURL(blob);
-                        this.parent.urlManager.addUrl(url, 'pdf');
-
-                        // Для резервного отображения PDF также используем теги из кэша метаданных для не-ЛИЧНОЕ типов, и из манифеста для ЛИЧНОЕ типов
-                        let tagsHtml = '';
-                        if (item.type.toUpperCase() === 'ЛИЧНОЕ') {
-                            // Для ЛИЧНОЕ типов используем теги из манифеста
-                            tagsHtml = item.tags && item.tags.length > 0 ? item.tags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ') : '';
-                        } else {
-                            // Для других типов используем теги из кэша метаданных, с резервом на теги из манифеста
-                            const pdfTags = pdfMetadataCache.getTags(item.filename);
-                            if (pdfTags && pdfTags.length > 0) {
-                                // Если есть теги в кэше, используем их
-                                tagsHtml = pdfTags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ');
-                            } else {
-                                // Если нет тегов в кэше, используем теги из манифеста как резерв
-                                tagsHtml = item.tags && item.tags.length > 0 ? item.tags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ') : '';
+                        // Для НОВОСТЬ типов добавляем автора из PDF метаданных как отдельный span
+                        if (item.type.toUpperCase() === 'НОВОСТЬ') {
+                            const cachedMetadata = pdfMetadataCache.getMetadata(item.filename);
+                            if (cachedMetadata && cachedMetadata.author && cachedMetadata.author.trim() !== '') {
+                                authorHtml = `<span class="title-author">${this.parent.escapeHtml(cachedMetadata.author)}</span>`;
                             }
                         }
+                    }
 
-                        itemElement.innerHTML = `
-                            <div class="item-header">
-                                <div class="item-meta">
-                                    <div class="item-emoji">${emoji}</div>
-                                    <div class="item-type">${this.parent.escapeHtml(item.type)}</div>
-                                    <div class="item-date">${this.parent.escapeHtml(item.date)}</div>
-                                </div>
-                                <h3 class="item-title">${this.parent.escapeHtml(displayTitle)} ${tagsHtml}</h3>
+                    itemElement.innerHTML = `
+                        <div class="item-header">
+                            <div class="item-meta">
+                                <div class="item-emoji">${emoji}</div>
+                                <div class="item-type">${this.parent.escapeHtml(item.type)}</div>
+                                <div class="item-date">${this.parent.escapeHtml(item.date)}</div>
                             </div>
-                            <div class="item-description">${this.parent.escapeHtml(displayDescription)}</div>
-                            <details class="spoiler-details">
-                                <summary aria-label="Показать содержимое файла ${this.parent.escapeHtml(displayTitle)}">
-                                    👁 Показать содержимое файла
-                                </summary>
-                                <div class="content-preview content-preview-margin-top" id="${previewId}">
-                                    <iframe class="pdf-viewer" src="${url}"></iframe>
-                                    <div class="pdf-download-section">
-                                        <a href="${url}" download="${this.parent.escapeHtml(item.filename)}" class="download-link">
-                                            📥 Скачать PDF
-                                        </a>
-                                    </div>
-                                </div>
-                            </details>
-                            ${explanationHtml}
-                        `;
-                    }
+                            <h3 class="item-title">${this.parent.escapeHtml(displayTitle)} ${authorHtml} ${tagsHtml}</h3>
+                        </div>
+                        <div class="item-description">${this.parent.escapeHtml(displayDescription)}</div>
+                        ${this.renderItemDetails(item)}
+                        ${pdfContentHtml}
+                        ${explanationHtml}
+                    `;
                 }
             } else {
                 // Для других типов файлов создаем контент и используем общий спойлер
@@ -654,6 +810,7 @@ export class ArchiveRenderer {
                         <h3 class="item-title">${this.parent.escapeHtml(displayTitle)} ${item.tags && item.tags.length > 0 ? item.tags.map(tag => `<span class="title-tags">${this.parent.escapeHtml(tag)}</span>`).join(' ') : ''}</h3>
                     </div>
                             <div class="item-description">${this.parent.escapeHtml(displayDescription)}</div>
+                            ${this.renderItemDetails(item)}
                             <details class="spoiler-details">
                                 <summary aria-label="Показать содержимое файла ${this.parent.escapeHtml(displayTitle)}">
                                     👁 Показать содержимое файла
@@ -696,6 +853,7 @@ export class ArchiveRenderer {
             // Создаем элемент с сообщением об ошибке
             const errorElement = document.createElement('div');
             errorElement.className = 'archive-item error-item';
+            errorElement.dataset.index = String(index);
             errorElement.innerHTML = `
                 <div class="item-header">
                     <div class="item-meta">
@@ -822,6 +980,8 @@ export class ArchiveRenderer {
                 default:
                     await this.handleDefaultFile(file, item, previewDiv, operationId);
             }
+            // Содержимое могло загрузиться после ввода поискового запроса
+            this.parent.capsuleSearch.refreshHighlights(previewDiv);
         } catch (error) {
             this.logger.logError(error, { operationId });
             previewDiv.innerHTML = `<p class="error">Ошибка загрузки файла: ${this.parent.escapeHtml(error.message)}</p>`;
@@ -855,6 +1015,7 @@ export class ArchiveRenderer {
 
             const text = await explanationFile.async('text');
             previewDiv.innerHTML = `<pre class="text-content explanation-text">${this.parent.escapeHtml(text)}</pre>`;
+            this.parent.capsuleSearch.refreshHighlights(previewDiv);
             this.logger.debug('Файл объяснения загружен и отображен', { textLength: text.length, operationId });
         } catch (error) {
             this.logger.logError(error, { operationId });
@@ -873,7 +1034,7 @@ export class ArchiveRenderer {
         try {
             // Извлекаем метаданные изображения
             const uint8Array = await file.async('uint8array');
-            const metadata = await ImageService.extractMetadata(uint8Array);
+            const metadata = await ImageService.getCachedMetadata(uint8Array);
             const displayMetadata = ImageService.getDisplayMetadata(metadata);
             
 
@@ -1037,55 +1198,15 @@ export class ArchiveRenderer {
         try {
             this.logger.debug('Начало обработки PDF файла', { filename: item.filename, operationId });
             
-            // Получаем ArrayBuffer из файла ZIP
-            const arrayBuffer = await file.async('arraybuffer');
-            this.logger.debug('ArrayBuffer получен', { size: arrayBuffer.byteLength, operationId });
-            
-            // Создаем копию ArrayBuffer для создания data URL (остальные метаданные берем из кэша)
-            const arrayBufferForDataUrl = arrayBuffer.slice(0);
-            
-            // Извлекаем метаданные из кэша, так как они уже были обработаны в extractPdfMetadataEarly
-            const cachedMetadata = pdfMetadataCache.getMetadata(item.filename);
-            let metadata = null;
-            let pdfKeywords = [];
-            
-            if (cachedMetadata) {
-                // Используем закэшированные метаданные
-                metadata = {
-                    info: {
-                        Title: cachedMetadata.title,
-                        Author: cachedMetadata.author,
-                        Subject: cachedMetadata.subject,
-                        Keywords: cachedMetadata.keywords ? cachedMetadata.keywords.join(', ') : null,
-                        CreationDate: cachedMetadata.creationDate,
-                        ModDate: cachedMetadata.modificationDate,
-                        Creator: cachedMetadata.creator,
-                        Producer: cachedMetadata.producer
-                    }
-                };
-                pdfKeywords = cachedMetadata.keywords || [];
-                this.logger.debug('Использованы закэшированные метаданные', { 
-                    filename: item.filename, 
-                    keywordsCount: pdfKeywords.length, 
-                    hasInfo: !!metadata.info 
-                });
-            } else {
-                // Если метаданные не закэшированы, загружаем PDF и извлекаем их (резервный вариант)
-                const pdfDocument = await pdfjsLib.getDocument(arrayBuffer.slice(0)).promise;
-                metadata = await pdfDocument.getMetadata();
-                pdfKeywords = await PDFService.extractKeywords(arrayBuffer.slice(0));
-                this.logger.debug('Метаданные извлечены в резервном режиме', { 
-                    filename: item.filename, 
-                    hasMetadata: !!metadata.info, 
-                    keywordsCount: pdfKeywords.length 
-                });
-            }
-            
-            
-            // Создаем data URL для iframe
-            const dataUrl = `data:application/pdf;base64,${this.arrayBufferToBase64(new Uint8Array(arrayBufferForDataUrl))}`;
-            this.logger.debug('Data URL создан для PDF', { operationId });
-            
+            // Метаданные обычно уже в кэше после extractPdfMetadataEarly, иначе извлекаются из документа реестра PDFService
+            const metadata = await this.getPdfMetadata(item.filename);
+            const pdfKeywords = metadata?.keywords || [];
+            this.logger.debug('Метаданные PDF получены', {
+                filename: item.filename,
+                hasMetadata: !!metadata,
+                keywordsCount: pdfKeywords.length
+            });
+
             // Обновляем заголовок элемента архива с тегами, учитывая тип файла
             // Но только если теги еще не были установлены в основном рендеринге
             const archiveItemElement = previewDiv.closest('.archive-item');
@@ -1118,99 +1239,89 @@ export class ArchiveRenderer {
                 }
             }
             
-            // Формируем HTML для отображения метаданных и PDF как двух отдельных спойлеров
-            let metadataHtml = '';
-            // Показываем метаданные только для не-ЛИЧНОЕ типов PDF файлов
-            if (metadata && metadata.info && item.type.toUpperCase() !== 'ЛИЧНОЕ') {
-                const info = metadata.info;
-                
-                // Получаем количество страниц из кэша или из PDF документа
-                let pageCount = 0;
-                if (cachedMetadata && cachedMetadata.pageCount) {
-                    pageCount = cachedMetadata.pageCount;
-                } else if (pdfDocument) {
-                    pageCount = pdfDocument.numPages;
-                } else {
-                    // Если нет кэша и pdfDocument, пробуем получить из PDF Service
-                    try {
-                        const tempPdfDocument = await pdfjsLib.getDocument(arrayBuffer.slice(0)).promise;
-                        pageCount = tempPdfDocument.numPages;
-                    } catch (e) {
-                        this.logger.warn('Не удалось получить количество страниц PDF', { error: e.message });
-                        pageCount = 0;
-                    }
-                }
-                
-                // Убираем отображение PDF метаданных - оставляем только количество страниц для внутреннего использования
-                // metadataHtml остается пустым, чтобы не отображать метаданные в UI
-            }
-            
-            // Создаем отдельный спойлер для PDF содержимого
-            const pdfContentHtml = `
-                <details class="spoiler-details spoiler-details--pdf-content">
-                    <summary class="pdf-content-summary" aria-label="Показать содержимое PDF файла ${this.parent.escapeHtml(item.title)}">
-                        👁 Просмотр PDF
-                    </summary>
-                    <div class="content-preview">
-                        <iframe class="pdf-viewer" src="${this.parent.escapeHtml(dataUrl)}"></iframe>
-                        <div class="pdf-download-section">
-                            <a href="${this.parent.escapeHtml(dataUrl)}" download="${this.parent.escapeHtml(item.filename)}" class="download-link">
-                                📥 Скачать PDF
-                            </a>
-                        </div>
-                    </div>
-                </details>
-            `;
-            
-            previewDiv.innerHTML = `
-                ${metadataHtml}
-                ${pdfContentHtml}
-            `;
-            this.logger.info('PDF контент успешно отображен', { filename: item.filename, keywordsCount: pdfKeywords.length, operationId });
+            // PDF отображается просмотрщиком на PDF.js (canvas и текстовый слой), а не во встроенном просмотрщике браузера
+            this.attachPdfViewer(previewDiv, item.filename);
+            this.logger.info('Просмотрщик PDF подключен', { filename: item.filename, keywordsCount: pdfKeywords.length, operationId });
         } catch (e) {
             this.logger.logError(e, { operationId });
-            try {
-                // Резервный метод для больших файлов или файлов без метаданных
-                const pdfBlob = await file.async('blob');
-                const pdfUrl = URL.createObjectURL(pdfBlob);
-                this.logger.debug('Используется резервный метод с blob URL', { operationId });
-                previewDiv.innerHTML = `
-                    <iframe class="pdf-viewer" src="${this.parent.escapeHtml(pdfUrl)}"></iframe>
-                    <div class="download-section-margin-top">
-                        <a href="${this.parent.escapeHtml(pdfUrl)}" download="${this.parent.escapeHtml(item.filename)}" class="download-link">
-                            📥 Скачать PDF
-                        </a>
-                    </div>
-                `;
-                
-                this.parent.urlManager.addUrl(pdfUrl, 'pdf');
-            } catch (blobError) {
-                this.logger.logError(blobError, { operationId });
-                // Финальный резервный метод - только ссылка для скачивания
-                previewDiv.innerHTML = `
-                    <p class="error">Не удалось отобразить PDF. <a href="#" onclick="event.preventDefault(); alert('PDF не может быть отображен в этом браузере. Пожалуйста, скачайте файл для просмотра.')" class="download-link">ℹ️ Информация о проблеме</a></p>
-                    <div class="download-section-margin-top">
-                        <a href="${this.parent.escapeHtml(URL.createObjectURL(await file.async('blob')))}" download="${this.parent.escapeHtml(item.filename)}" class="download-link">
-                            📥 Скачать PDF
-                        </a>
-                    </div>
-                `;
-            }
+            // Резервный вариант - ссылка для скачивания
+            const pdfUrl = URL.createObjectURL(await file.async('blob'));
+            this.parent.urlManager.addUrl(pdfUrl, 'pdf');
+            previewDiv.innerHTML = `
+                <p class="error">Не удалось отобразить PDF: ${this.parent.escapeHtml(e.message)}</p>
+                <div class="download-section-margin-top">
+                    <a href="${this.parent.escapeHtml(pdfUrl)}" download="${this.parent.escapeHtml(item.filename)}" class="download-link">
+                        📥 Скачать PDF
+                    </a>
+                </div>
+            `;
         } finally {
             this.logger.popOperation();
         }
     }
 
-    // Вспомогательный метод для преобразования ArrayBuffer в base64
-    arrayBufferToBase64(buffer) {
-        let binary = '';
-        const bytes = new Uint8Array(buffer);
-        for (let i = 0; i < bytes.byteLength; i++) {
-            binary += String.fromCharCode(bytes[i]);
+    /**
+     * Подключение просмотрщика PDF к контейнеру: документ загружается, когда контейнер становится видимым
+     * (при первом раскрытии спойлера), чтобы свернутые PDF капсулы не разбирались при отображении архива
+     * @param {HTMLElement} container - Контейнер просмотрщика
+     * @param {string} filename - Имя PDF файла в архиве
+     */
+    attachPdfViewer(container, filename) {
+        const details = container.closest('details');
+        const mount = () => {
+            container.innerHTML = '<div class="loading">Загрузка PDF...</div>';
+            this.mountPdfViewer(container, filename).catch(error => {
+                this.logger.warn('Не удалось открыть PDF в просмотрщике', { filename, error: error.message });
+                container.innerHTML = `<p class="error">Не удалось отобразить PDF: ${this.parent.escapeHtml(error.message)}</p>`;
+            });
+        };
+
+        if (!details || details.open) {
+            mount();
+            return;
+        }
+        const onToggle = () => {
+            if (!details.open) return;
+            details.removeEventListener('toggle', onToggle);
+            mount();
+        };
+        details.addEventListener('toggle', onToggle);
+    }
+
+    /**
+     * Создание просмотрщика PDF
+     * Документ регистрируется в PDFService по SHA-256 содержимого, поэтому PDF, уже разобранный
+     * для метаданных или поиска, повторно не разбирается
+     * @param {HTMLElement} container - Контейнер просмотрщика
+     * @param {string} filename - Имя PDF файла в архиве
+     * @returns {Promise<PdfViewer>}
+     */
+    async mountPdfViewer(container, filename) {
+        const pdfFile = await this.parent.archiveService.extractFile(filename);
+        if (!pdfFile) {
+            throw new Error('файл не найден в архиве');
         }
-        return btoa(binary);
+        const arrayBuffer = await pdfFile.async('arraybuffer');
+        const downloadUrl = URL.createObjectURL(new Blob([arrayBuffer], { type: 'application/pdf' }));
+        this.parent.urlManager.addUrl(downloadUrl, 'pdf');
+
+        const viewer = new PdfViewer(this.parent, container);
+        this.pdfViewers.add(viewer);
+        await viewer.open(await ContentMetadataCache.hash(arrayBuffer), arrayBuffer, { filename, downloadUrl });
+        // При активном поиске просмотрщик открывается на первой странице с совпадением
+        this.parent.capsuleSearch.showPdfMatch(viewer);
+        return viewer;
     }
 
+    /**
+     * Остановка всех просмотрщиков PDF (при выгрузке капсулы)
+     */
+    destroyPdfViewers() {
+        this.pdfViewers.forEach(viewer => viewer.destroy());
+        this.pdfViewers.clear();
+    }
+
+
     async handleCsvFile(file, item, previewDiv, parentOperationId = null) {
         const operationId = this.logger.pushOperation('handleCsvFile', { filename: item.filename, parentOperationId });
         try {
@@ -1361,6 +1472,14 @@ export class ArchiveRenderer {
                     </div>
             `;
 
+            // Печать капсулы: кем и когда подписана и верна ли подпись
+            try {
+                capsuleHtml += this.renderSignatureStatus(await this.parent.validator.verifySignature());
+            } catch (error) {
+                this.logger.warn('Не удалось проверить подпись капсулы', { error: error.message, operationId });
+                capsuleHtml += this.renderSignatureStatus({ status: SignatureService.STATUSES.MALFORMED, error: error.message });
+            }
+
             // Пытаемся получить содержимое файла описания капсулы
             try {
                 const capsuleFile = await this.parent.archiveService.extractFile(capsuleItem.filename);
@@ -1401,6 +1520,8 @@ export class ArchiveRenderer {
             `;
 
             capsuleElement.innerHTML = capsuleHtml;
+            // При повторной загрузке (например подписанной копии) прежнее описание заменяется
+            container.querySelector('#capsule-description')?.remove();
             container.appendChild(capsuleElement);
 
             this.logger.debug('Описание капсулы отображено', { 
@@ -1420,4 +1541,63 @@ export class ArchiveRenderer {
             this.logger.popOperation();
         }
     }
+
+    /**
+     * Блок печати капсулы в описании капсулы
+     * @param {Object|null} signature - Результат ArchiveValidator.verifySignature
+     * @returns {string} - HTML блока
+     */
+    renderSignatureStatus(signature) {
+        const escape = (text) => this.parent.escapeHtml(text || '');
+        const STATUSES = SignatureService.STATUSES;
+
+        if (!signature) {
+            return `
+                <div class="capsule-signature capsule-signature-none">
+                    🔓 Капсула не подписана
+                </div>
+            `;
+        }
+        if (signature.status === STATUSES.MALFORMED) {
+            return `
+                <div class="capsule-signature capsule-signature-invalid">
+                    ⚠️ Файл подписи ${SignatureService.SIGNATURE_FILENAME} поврежден: ${escape(signature.error)}
+                </div>
+            `;
+        }
+
+        const signedAt = new Date(signature.signedAt);
+        const signedAtText = Number.isNaN(signedAt.getTime())
+            ? signature.signedAt
+            : DateUtils.formatRussianDate(signedAt, { second: undefined });
+        const fingerprint = signature.fingerprint
+            ? ` <span class="capsule-signature-key" title="Отпечаток открытого ключа (SHA-256)">ключ ${escape(SignatureService.formatFingerprint(signature.fingerprint))}</span>`
+            : '';
+
+        const verdicts = {
+            [STATUSES.VALID]: { className: 'valid', text: '✅ подпись верна, файлы не изменялись' },
+            [STATUSES.INVALID]: { className: 'invalid', text: '❌ подпись недействительна' },
+            [STATUSES.TAMPERED]: { className: 'invalid', text: '❌ подпись верна, но капсула изменена после подписания' },
+            [STATUSES.UNSUPPORTED]: { className: 'unknown', text: `❔ алгоритм ${escape(signature.algorithm)} не поддерживается браузером` }
+        };
+        const verdict = verdicts[signature.status];
+
+        const changes = [
+            ...signature.changedFiles.map(path => `${path} (изменен)`),
+            ...signature.missingFiles.map(path => `${path} (удален)`),
+            ...signature.addedFiles.map(path => `${path} (добавлен)`)
+        ];
+
+        return `
+            <div class="capsule-signature capsule-signature-${verdict.className}">
+                <div>🔏 Запечатана: <strong>${escape(signature.signer)}</strong>, ${escape(signedAtText)}${fingerprint}</div>
+                <div class="capsule-signature-verdict">${verdict.text}</div>
+                ${changes.length > 0 ? `
+                    <ul class="capsule-signature-changes">
+                        ${changes.map(change => `<li>${escape(change)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
 }
@@ -3,6 +3,11 @@ import { ArchiveItem } from '../models/ArchiveItem.js';
 import { ProgressManager } from './ProgressManager.js';
 import { pdfMetadataCache } from '../services/PDFMetadataCache.js';
 import { ExplanationValidator } from './ExplanationValidator.js';
+import { RequirementsProfile } from '../models/RequirementsProfile.js';
+import { ManifestService } from '../services/ManifestService.js';
+import { ChecksumService } from '../services/ChecksumService.js';
+import { SignatureService } from '../services/SignatureService.js';
+import { TimeLockService } from '../services/TimeLockService.js';
 
 /**
  * @typedef {Object} ValidationError
@@ -24,13 +29,17 @@ export class ArchiveValidator {
         this.parent = parent;
         this.logger = logger;
         this.progressManager = new ProgressManager();
-        this.explanationValidator = new ExplanationValidator(parent);
+        this.requirementsProfile = RequirementsProfile.createDefault();
+        this.explanationValidator = new ExplanationValidator(parent, this.requirementsProfile);
+        // Вычисленные суммы SHA-256 по архивам: повторная проверка (например после смены профиля) не читает файлы заново
+        this.checksumCache = new WeakMap();
     }
 
     /**
      * Парсер манифеста с валидацией и сбором информации об ошибках
      * @param {string} text - Текст манифеста
-     * @returns {{items: ArchiveItem[], errors: ValidationError[]}} - Объект с элементами и ошибками
+     * @returns {{items: ArchiveItem[], errors: ValidationError[], warnings?: string[]}} - Объект с элементами и ошибками
+     *          (для манифеста с заголовком - и с предупреждениями, см. parseManifestWithHeader)
      */
     parseManifest(text) {
         const operationId = this.logger.pushOperation('parseManifest', { textLength: text.length });
@@ -38,9 +47,17 @@ export class ArchiveValidator {
             const items = [];
             const errors = [];
             const lines = text.split('\n');
+            // Имена файлов уже разобранных строк (проверка повторов)
+            const filenames = new Set();
             let validItemsCount = 0;
             let invalidItemsCount = 0;
             
+            // Строка-заголовок "#! filename | type | ..." задает порядок колонок явно
+            const header = this.findManifestHeader(lines);
+            if (header) {
+                return this.parseManifestWithHeader(lines, header);
+            }
+            
             for (let i = 0; i < lines.length; i++) {
                 const line = lines[i].trim();
                 const lineNumber = i + 1;
@@ -250,6 +267,15 @@ export class ArchiveValidator {
                         }
                     }
 
+                    // Проверки, общие для всех форматов манифеста
+                    if (hasValidFormat && itemConfig) {
+                        const itemProblems = this.checkManifestItem(itemConfig, filenames);
+                        if (Object.keys(itemProblems).length > 0) {
+                            hasValidFormat = false;
+                            formatError = this.describeFieldProblems(itemProblems);
+                        }
+                    }
+
                     if (hasValidFormat && itemConfig) {
                         const item = new ArchiveItem(itemConfig);
                         items.push(item);
@@ -270,7 +296,8 @@ export class ArchiveValidator {
                         line: line,
                         error: `Недостаточное количество полей. Найдено: ${parts.length}, требуется: минимум 3 для PDF или 6 для других файлов (4 для КАПСУЛА, 5 для ЛИЧНОЕ и МЕМ)`,
                         expectedFormat: isPdf ? '01_Новость.pdf | НОВОСТЬ | 2024-10-20 (или с тегами: 01_Новость.pdf | НОВОСТЬ | 2024-10-20 | тег1,тег2,тег3)' : '02_Медиа.mp3 | МЕДИА | Заголовок | Описание | 2024-10-15 | тег1,тег2,тег3 (или 4 поля для КАПСУЛА: файл | КАПСУЛА | дата | автор, или 5 полей для ЛИЧНОЕ и МЕМ: файл | тип | дата | заголовок | теги)',
-                        problematicParts: this.getProblematicParts(parts, null, line, false)
+                        problematicParts: this.getProblematicParts(parts, null, line, false),
+                        insufficientFields: true
                     });
                     invalidItemsCount++;
                 }
@@ -293,6 +320,359 @@ export class ArchiveValidator {
         }
     }
 
+    /**
+     * Поиск строки-заголовка манифеста вида "#! filename | type | date | title | tags"
+     * Заголовок должен идти до первой строки с данными, перед ним допускаются комментарии
+     * @param {string[]} lines - Строки манифеста
+     * @returns {{lineNumber: number, line: string, columns: string[]}|null} - Заголовок или null
+     */
+    findManifestHeader(lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line.startsWith('#!')) {
+                const columns = line.slice(2).split('|').map(column => column.trim());
+                return { lineNumber: i + 1, line, columns };
+            }
+            if (line !== '' && !line.startsWith('#')) break;
+        }
+        return null;
+    }
+
+    /**
+     * Проверка колонок заголовка манифеста
+     * Неизвестные колонки (и колонки без имени) не считаются ошибкой заголовка: их значения пропускаются
+     * @param {string[]} columns - Колонки из заголовка
+     * @returns {{fields: Array<string|null>, unknownColumns: string[], error: string|null}} - Имена полей ArchiveItem
+     *          по позициям (null для неизвестной колонки), неизвестные колонки и ошибка
+     */
+    resolveHeaderColumns(columns) {
+        const problems = [];
+        const fields = columns.map(column => ManifestService.resolveFieldName(column) || null);
+        const unknownColumns = columns.filter((column, index) => !fields[index]);
+
+        const knownFields = fields.filter(Boolean);
+        const duplicates = knownFields.filter((field, index) => knownFields.indexOf(field) !== index);
+        if (duplicates.length > 0) {
+            problems.push(`повторяющиеся колонки: ${[...new Set(duplicates)].join(', ')}`);
+        }
+
+        const missing = ['filename', 'type', 'date'].filter(field => !fields.includes(field));
+        if (missing.length > 0) {
+            problems.push(`нет обязательных колонок: ${missing.join(', ')}`);
+        }
+
+        return { fields, unknownColumns, error: problems.length > 0 ? `Некорректный заголовок манифеста: ${problems.join('; ')}` : null };
+    }
+
+    /**
+     * Парсинг manifest.txt с заголовком колонок: поля сопоставляются по именам,
+     * а не по позиционным правилам для каждого типа
+     * @param {string[]} lines - Строки манифеста
+     * @param {{lineNumber: number, line: string, columns: string[]}} header - Заголовок манифеста
+     * @returns {{items: ArchiveItem[], errors: Array, warnings: string[]}} - Объект с элементами, ошибками
+     *          и предупреждениями о пропущенных колонках
+     */
+    parseManifestWithHeader(lines, header) {
+        const operationId = this.logger.pushOperation('parseManifestWithHeader', { columns: header.columns });
+        try {
+            const items = [];
+            const errors = [];
+            const warnings = [];
+            const { fields, unknownColumns, error: headerError } = this.resolveHeaderColumns(header.columns);
+            const expectedFormat = header.columns.join(' | ');
+            const filenames = new Set();
+
+            if (headerError) {
+                errors.push({
+                    lineNumber: header.lineNumber,
+                    line: header.line,
+                    error: headerError,
+                    expectedFormat: `#! ${ManifestService.STRUCTURED_FIELDS.join(' | ')} (обязательны filename, type, date)`,
+                    problematicParts: header.columns.map((column, index) => ({
+                        index,
+                        part: column,
+                        field: 'column',
+                        isEmpty: column === '',
+                        isProblematic: !ManifestService.resolveFieldName(column),
+                        expected: true
+                    }))
+                });
+                return { items, errors, warnings };
+            }
+
+            if (unknownColumns.length > 0) {
+                const columnNames = unknownColumns.map(column => (column ? `"${column}"` : 'без имени')).join(', ');
+                warnings.push(`Неизвестные колонки заголовка пропущены: ${columnNames}`);
+                this.logger.warn('Неизвестные колонки заголовка манифеста пропущены', { unknownColumns, operationId });
+            }
+
+            for (let i = header.lineNumber; i < lines.length; i++) {
+                const line = lines[i].trim();
+                const lineNumber = i + 1;
+                if (line.startsWith('#') || line === '') continue;
+
+                const parts = line.split('|').map(part => part.trim());
+                const toProblematicParts = (problemFields) => fields.map((field, index) => ({
+                    index,
+                    part: parts[index] ?? '',
+                    field: field || header.columns[index],
+                    isEmpty: !parts[index],
+                    isProblematic: problemFields.includes(field),
+                    expected: true
+                }));
+
+                if (parts.length > fields.length) {
+                    errors.push({
+                        lineNumber,
+                        line,
+                        error: `Слишком много полей. Найдено: ${parts.length}, колонок в заголовке: ${fields.length}`,
+                        expectedFormat,
+                        problematicParts: toProblematicParts([])
+                    });
+                    continue;
+                }
+
+                // Недостающие поля в конце строки считаются пустыми, значения неизвестных колонок пропускаются
+                const entry = Object.fromEntries(fields
+                    .map((field, index) => [field, parts[index] ?? ''])
+                    .filter(([field]) => field));
+                const { itemConfig, error, problematicParts } = this.validateManifestEntry(entry, filenames);
+                if (itemConfig) {
+                    items.push(new ArchiveItem(itemConfig));
+                } else {
+                    const problemFields = (problematicParts || []).filter(part => part.isProblematic).map(part => part.field);
+                    errors.push({
+                        lineNumber,
+                        line,
+                        error,
+                        expectedFormat,
+                        problematicParts: toProblematicParts(problemFields)
+                    });
+                }
+            }
+
+            this.logger.info('Манифест с заголовком разобран', {
+                columns: fields,
+                validItems: items.length,
+                errorsCount: errors.length,
+                operationId
+            });
+
+            return { items, errors, warnings };
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Парсинг структурированного манифеста (manifest.json / manifest.yaml)
+     * Поля записей называются так же, как поля ArchiveItem
+     * @param {string} text - Содержимое манифеста
+     * @param {'json'|'yaml'} format - Формат манифеста
+     * @returns {{items: ArchiveItem[], errors: Array}} - Элементы и ошибки в том же виде, что и у parseManifest
+     */
+    parseStructuredManifest(text, format) {
+        const operationId = this.logger.pushOperation('parseStructuredManifest', { textLength: text.length, format });
+        try {
+            const items = [];
+            const errors = [];
+
+            let entries;
+            try {
+                entries = ManifestService.parseStructured(text, format);
+            } catch (error) {
+                errors.push({
+                    lineNumber: 1,
+                    line: text.split('\n')[0] || '',
+                    error: error.message,
+                    expectedFormat: '{ "items": [ { "filename": "...", "type": "...", "date": "YYYY-MM-DD", "tags": ["..."] } ] }',
+                    problematicParts: null
+                });
+                return { items, errors };
+            }
+
+            const filenames = new Set();
+            entries.forEach((entry, index) => {
+                const { itemConfig, error, problematicParts } = this.validateManifestEntry(entry, filenames);
+                if (itemConfig) {
+                    items.push(new ArchiveItem(itemConfig));
+                } else {
+                    errors.push({
+                        lineNumber: index + 1,
+                        location: `Элемент ${index + 1}`,
+                        line: JSON.stringify(entry),
+                        error,
+                        expectedFormat: '{ "filename": "01_Новость.pdf", "type": "НОВОСТЬ", "date": "2024-10-20", "title": "...", "tags": ["тег1", "тег2"], "author": "...", "location": "...", "sourceUrl": "https://...", "language": "ru" }',
+                        problematicParts
+                    });
+                }
+            });
+
+            this.logger.info('Структурированный манифест разобран', {
+                format,
+                validItems: items.length,
+                errorsCount: errors.length,
+                operationId
+            });
+
+            return { items, errors };
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Проверка и нормализация записи структурированного манифеста
+     * @param {Object} entry - Запись манифеста
+     * @param {Set<string>} [filenames] - Имена файлов предыдущих записей манифеста (см. checkManifestItem)
+     * @returns {{itemConfig: Object|null, error: string|null, problematicParts: Array|null}}
+     */
+    validateManifestEntry(entry, filenames = new Set()) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return { itemConfig: null, error: 'Элемент манифеста должен быть объектом с именованными полями', problematicParts: null };
+        }
+        // Другие написания полей (open_after) приводятся к именам полей ArchiveItem
+        entry = Object.fromEntries(Object.entries(entry).map(([field, value]) => [ManifestService.FIELD_ALIASES[field] || field, value]));
+
+        const problems = {};
+        const stringValue = (field) => {
+            const value = entry[field];
+            if (value === undefined || value === null) return '';
+            if (typeof value === 'number') return String(value);
+            if (typeof value !== 'string') {
+                problems[field] = 'ожидается строка';
+                return '';
+            }
+            return value.trim();
+        };
+
+        Object.keys(entry)
+            .filter(field => !ManifestService.STRUCTURED_FIELDS.includes(field))
+            .forEach(field => { problems[field] = 'неизвестное поле'; });
+
+        const filename = this.sanitizeFilename(stringValue('filename'));
+        if (!filename) problems.filename = problems.filename || 'обязательное поле';
+
+        const type = this.sanitizeString(stringValue('type'));
+        if (!type) problems.type = problems.type || 'обязательное поле';
+
+        const date = this.sanitizeString(stringValue('date'));
+        if (!this.isValidDate(date)) problems.date = problems.date || 'ожидается дата в формате YYYY-MM-DD';
+
+        let tags = [];
+        if (Array.isArray(entry.tags)) {
+            tags = entry.tags.map(tag => this.sanitizeString(String(tag).trim())).filter(tag => tag !== '');
+        } else if (typeof entry.tags === 'string') {
+            tags = entry.tags.split(',').map(tag => this.sanitizeString(tag.trim())).filter(tag => tag !== '');
+        } else if (entry.tags !== undefined && entry.tags !== null) {
+            problems.tags = 'ожидается список тегов';
+        }
+
+        const sourceUrl = stringValue('sourceUrl');
+        if (sourceUrl) {
+            let isValidUrl = false;
+            try {
+                isValidUrl = ['http:', 'https:'].includes(new URL(sourceUrl).protocol);
+            } catch (error) {
+                this.logger.debug('Некорректный sourceUrl в манифесте', { sourceUrl, error: error.message });
+            }
+            if (!isValidUrl) problems.sourceUrl = 'ожидается адрес http(s)://';
+        }
+
+        const language = stringValue('language');
+        if (language && !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(language)) {
+            problems.language = 'ожидается код языка, например ru или en-US';
+        }
+
+        const checksum = stringValue('checksum');
+        if (checksum && !ChecksumService.isValid(checksum)) {
+            problems.checksum = 'ожидается SHA-256 из 64 шестнадцатеричных символов';
+        }
+
+        const openAfter = stringValue('openAfter');
+        if (openAfter && type.toUpperCase() !== 'КАПСУЛА') {
+            problems.openAfter = 'допускается только в строке КАПСУЛА';
+        } else if (openAfter && !TimeLockService.parseOpenAfter(openAfter)) {
+            problems.openAfter = 'ожидается дата YYYY-MM-DD или YYYY-MM-DD HH:MM';
+        }
+
+        const author = this.sanitizeString(stringValue('author'));
+        Object.entries(this.checkManifestItem({ filename, type, author }, filenames))
+            .forEach(([field, problem]) => { problems[field] = problems[field] || problem; });
+
+        const itemConfig = {
+            filename,
+            type,
+            title: this.sanitizeString(stringValue('title')),
+            description: this.sanitizeString(stringValue('description')),
+            date,
+            tags,
+            author,
+            location: this.sanitizeString(stringValue('location')),
+            sourceUrl,
+            language,
+            checksum: ChecksumService.normalize(checksum),
+            openAfter
+        };
+
+        const problemFields = Object.keys(problems);
+        if (problemFields.length === 0) {
+            return { itemConfig, error: null, problematicParts: null };
+        }
+
+        const fields = [...new Set([...ManifestService.STRUCTURED_FIELDS.filter(field => field in entry || field in problems), ...problemFields])];
+        return {
+            itemConfig: null,
+            error: this.describeFieldProblems(problems),
+            problematicParts: fields.map((field, index) => {
+                const value = entry[field];
+                const part = value === undefined || value === null ? '' : (Array.isArray(value) ? value.join(', ') : String(value));
+                return {
+                    index,
+                    part,
+                    field,
+                    isEmpty: part === '',
+                    isProblematic: field in problems,
+                    expected: ManifestService.STRUCTURED_FIELDS.includes(field)
+                };
+            })
+        };
+    }
+
+    /**
+     * Проверки элемента, общие для всех форматов манифеста: имя файла не повторяется,
+     * у элемента КАПСУЛА указан автор
+     * @param {{filename: string, type: string, author?: string}} itemConfig - Поля разобранного элемента
+     * @param {Set<string>} filenames - Имена файлов предыдущих строк манифеста (дополняется именем элемента)
+     * @returns {Object<string, string>} - Описания проблем по именам полей
+     */
+    checkManifestItem({ filename, type, author = '' }, filenames) {
+        const problems = {};
+        if (filename) {
+            if (filenames.has(filename)) problems.filename = 'файл уже указан в манифесте';
+            filenames.add(filename);
+        }
+        if (type.toUpperCase() === 'КАПСУЛА' && !author) {
+            problems.author = 'обязательное поле для КАПСУЛА';
+        }
+        return problems;
+    }
+
+    /**
+     * Текст ошибки по описаниям проблем полей
+     * @param {Object<string, string>} problems - Описания проблем по именам полей
+     * @returns {string}
+     */
+    describeFieldProblems(problems) {
+        return `Некорректные поля: ${Object.entries(problems).map(([field, problem]) => `${field} (${problem})`).join(', ')}`;
+    }
+
     /**
      * Вспомогательный метод для проверки корректности формата даты
      * @param {string} dateString - Строка даты
@@ -485,71 +865,78 @@ export class ArchiveValidator {
 
     /**
      * Санитизация имен файлов - НЕ изменяем оригинальные имена файлов, только проверяем на безопасность
+     * Имя может быть путем относительно корня архива (news/01_Новость.pdf): разделители "\\" заменяются на "/",
+     * начальные "./" и "/" отбрасываются
      * @param {string} filename - Имя файла для санитизации
      * @returns {string} - Очищенное имя файла
      */
     sanitizeFilename(filename) {
         if (typeof filename !== 'string') return '';
 
-        // Проверяем, что имя файла не содержит опасные символы пути
-        if (filename.includes('../') || filename.includes('..\\')) {
+        const path = filename
+            .replace(/[\r\n]/g, '')
+            .replace(/\\/g, '/')
+            .replace(/^(\.?\/)+/, '');
+
+        // Проверяем, что путь не выходит за пределы архива
+        if (path.split('/').includes('..')) {
             this.logger.warn('Потенциально опасное имя файла', { filename });
             return '';
         }
 
-        // Возвращаем оригинальное имя файла, только удаляем символы перевода строки
-        return filename.replace(/[\r\n]/g, '');
+        return path;
     }
 
     /**
      * Проверка корректности архива
      * @param {ArchiveItem[]} items - Элементы архива
+     * @param {AbortSignal|null} [signal] - Сигнал отмены загрузки: проверка прерывается между этапами
+     * @returns {Promise<{totalAchieved: number, totalRequired: number, missingFilesCount: number, tamperedFilesCount: number, isValid: boolean}|undefined>}
+     *          Итог проверки (undefined, если проверка завершилась ошибкой)
      */
-    async validateArchive(items) {
+    async validateArchive(items, signal = null) {
         const operationId = this.logger.pushOperation('validateArchive', { itemsCount: items.length });
         try {
             // Получаем список всех файлов в архиве для проверки соответствия
             const archiveFiles = await this.parent.archiveService.getFileList();
             const manifestFilenames = items.map(item => item.filename.toLowerCase());
             
-            // Идентифицируем файлы объяснений для MEM и ЛИЧНОЕ элементов
+            const profile = this.requirementsProfile;
+            
+            // Идентифицируем файлы объяснений для типов, которым профиль требует объяснение
             const explanationFiles = [];
-            const memAndPersonalItems = items.filter(item => 
-                item.type.toUpperCase() === 'МЕМ' || item.type.toUpperCase() === 'ЛИЧНОЕ'
-            );
+            const explainedItems = items.filter(item => profile.requiresExplanation(item.type));
             
-            for (const item of memAndPersonalItems) {
+            for (const item of explainedItems) {
                 const baseName = item.filename.replace(/\.[^/.]+$/, "").toLowerCase(); // Удаляем расширение
                 const possibleExplanationNames = [
                     `${baseName}_объяснение.txt`,
                     `${baseName}_explanation.txt`,
                     `${baseName}_info.txt`,
                     `${baseName}_description.txt`,
-                    `${baseName}_details.txt`,
-                    `${baseName}_объяснение.TXT`,
-                    `${baseName}_explanation.TXT`,
-                    `${baseName}_info.TXT`,
-                    `${baseName}_description.TXT`,
-                    `${baseName}_details.TXT`
+                    `${baseName}_details.txt`
                 ];
                 
                 for (const explanationName of possibleExplanationNames) {
-                    const foundFile = archiveFiles.find(file => file.toLowerCase() === explanationName.toLowerCase());
+                    const foundFile = archiveFiles.find(file => file.toLowerCase() === explanationName);
                     if (foundFile) {
                         explanationFiles.push(foundFile.toLowerCase());
                     }
                 }
             }
             
-            // Исключаем manifest.txt и файлы объяснений из extra files
+            // Исключаем манифесты, requirements.json, контрольные суммы, подпись и файлы объяснений из extra files
             const excludedFiles = new Set([
-                'manifest.txt',
+                ...ManifestService.MANIFEST_FILES.map(manifest => manifest.filename),
+                'requirements.json',
+                ChecksumService.SIDECAR_FILENAME,
+                SignatureService.SIGNATURE_FILENAME,
                 ...explanationFiles
             ]);
             
             const extraFiles = archiveFiles.filter(file => {
                 const fileLower = file.toLowerCase();
-                // Исключаем файлы, которые есть в манифесте, файлы объяснений и manifest.txt
+                // Исключаем файлы, которые есть в манифесте, файлы объяснений и файлы манифеста
                 return !manifestFilenames.includes(fileLower) && !excludedFiles.has(fileLower);
             });
             
@@ -563,102 +950,29 @@ export class ArchiveValidator {
             // Браузерный режим - обновляем DOM элементы
             const validationSection = document.getElementById('validation-section');
             const validationDetailsContainer = document.getElementById('validation-details-container');
-            const newsCountElement = document.getElementById('news-count');
-            const personalCountElement = document.getElementById('personal-count');
-            const keywordsStatusElement = document.getElementById('keywords-status');
-            const memesCountElement = document.getElementById('memes-count');
-            const newsStatusElement = document.getElementById('news-status');
-            const personalStatusElement = document.getElementById('personal-status');
-            const keywordsValidationStatusElement = document.getElementById('keywords-validation-status');
-            const memesStatusElement = document.getElementById('memes-status');
             const validationFilesListElement = document.getElementById('validation-files-list');
 
             if (!validationSection) return;
 
             // Подсчет файлов по типам
-            let newsCount = 0;
-            let personalCount = 0;
+            const typeCounts = {};
             let filesWithValidKeywords = 0;
-            let memesCount = 0; // Подсчет мемов
-            let totalFiles = existingItems.length;
-            let nonPdfFiles = 0; // Количество файлов, не являющихся PDF (для проверки тегов)
+            const totalFiles = existingItems.length;
 
             // Обновляем прогресс - начало подсчета файлов (40-50%)
             this.updateValidationProgress(40, 'Анализ файлов...');
             await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
+            signal?.throwIfAborted();
 
             for (let index = 0; index < existingItems.length; index++) {
                 const item = existingItems[index];
                 const itemType = item.type.toUpperCase();
-                const isPdf = item.filename.toLowerCase().endsWith('.pdf');
-                
-                if (itemType === 'НОВОСТЬ') newsCount++;
-                else if (itemType === 'ЛИЧНОЕ') personalCount++;
-                else if (itemType === 'МЕМ') memesCount++; // Добавляем подсчет мемов
+                typeCounts[itemType] = (typeCounts[itemType] || 0) + 1;
 
-                // Подсчет файлов для проверки ключевых слов
-                if (isPdf) {
-                    const isPdfNews = item.type.toUpperCase() === 'НОВОСТЬ';
-                    const isPdfPersonal = item.type.toUpperCase() === 'ЛИЧНОЕ';
-                    // Для ЛИЧНОЕ типов не используем кэш метаданных, только предоставленные теги
-                    if (isPdfPersonal) {
-                        // Для ЛИЧНОЕ: требуется 5 тегов
-                        if (item.title && item.title.trim() !== '' && item.tags.length >= 5) {
-                            filesWithValidKeywords++;
-                        }
-                    } else {
-                        // Для других PDF файлов (включая НОВОСТЬ): используем теги из item.tags
-                        // Важно: item.tags уже включает ключевые слова из PDF, извлеченные в extractPdfMetadataEarly
-                        // Поэтому не нужно снова добавлять теги из кэша, чтобы избежать дублирования
-                        const totalTags = item.tags.length;
-                        if (item.title && item.title.trim() !== '' && 
-                            (isPdfNews ? totalTags >= 5 : totalTags >= 5)) {
-                            filesWithValidKeywords++;
-                        }
-                    }
-                } else {
-                    // Для не-PDF файлов проверяем тип ЛИЧНОЕ отдельно
-                    const isPersonal = item.type.toUpperCase() === 'ЛИЧНОЕ';
-                    const isCapsule = item.type.toUpperCase() === 'КАПСУЛА';
-                    
-                    if (isCapsule) {
-                        // Для КАПСУЛА не требуем тегов, просто увеличиваем счетчик (файл уже есть)
-                        filesWithValidKeywords++;
-                    } else if (isPersonal) {
-                        // Для ЛИЧНОЕ: требуется 5 тегов
-                        if (item.title && item.title.trim() !== '' && item.tags.length >= 5) {
-                            filesWithValidKeywords++;
-                        }
-                    } else {
-                        // Для других типов: требуется 5 тегов
-                        if (item.getTagCount() >= 5) {
-                            filesWithValidKeywords++;
-                        }
-                    }
-                }
-
-                // Для файлов объяснений (включая TXT как личные достижения) проверяем наличие и валидность объяснений
-                if (item.type.toUpperCase() === 'ЛИЧНОЕ' || item.type.toUpperCase() === 'МЕМ') {
-                    const explanationFile = await this.parent.findExplanationFile(item.filename);
-                    if (explanationFile) {
-                        try {
-                            const text = await explanationFile.async('text');
-                            const wordCount = this.explanationValidator.countWords(text);
-                            const requiredWords = item.type.toUpperCase() === 'ЛИЧНОЕ' ? 100 : 50;
-                            if (wordCount >= requiredWords) {
-                                // Увеличиваем счетчик валидных объяснений
-                                if (item.type.toUpperCase() === 'ЛИЧНОЕ') {
-                                    // Для личных достижений увеличиваем соответствующий счетчик валидации
-                                    // Это будет обработано в explanationResults, но мы можем добавить логику здесь
-                                }
-                            }
-                        } catch (error) {
-                            this.logger.warn('Не удалось прочитать файл объяснения для валидации', { 
-                                filename: item.filename, 
-                                error: error.message 
-                            });
-                        }
-                    }
+                // Теги и обязательные поля проверяются по правилу типа из профиля
+                // Важно: item.tags уже включает ключевые слова из PDF, извлеченные в extractPdfMetadataEarly
+                if (profile.checkItem(item).isValid) {
+                    filesWithValidKeywords++;
                 }
 
                 // Обновляем прогресс каждые 10 файлов
@@ -666,69 +980,51 @@ export class ArchiveValidator {
                     const progress = 40 + Math.round(((index + 1) / existingItems.length) * 20); // 40-60% для подсчета файлов
                     this.updateValidationProgress(progress, `Анализ файлов... (${index + 1}/${existingItems.length})`);
                     await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
+                    signal?.throwIfAborted();
                 }
             }
 
             // Обновляем прогресс - завершение подсчета файлов (60%)
             this.updateValidationProgress(60, 'Проверка объяснений...');
             await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
+            signal?.throwIfAborted();
 
             // Валидация файлов объяснений
             const explanationResults = await this.explanationValidator.validateExplanationFiles(existingItems);
-            const { validPersonalExplanations, validMemeExplanations } = explanationResults;
+            signal?.throwIfAborted();
+
+            // Проверка целостности по контрольным суммам (62-65%)
+            this.updateValidationProgress(62, 'Проверка целостности...');
+            const integrity = await this.verifyChecksums(items, archiveFiles);
+            signal?.throwIfAborted();
+            const tamperedFiles = integrity.results.filter(result => result.status === ChecksumService.STATUSES.MISMATCH);
 
             // Обновляем прогресс - завершение проверки объяснений (65%)
             this.updateValidationProgress(65, 'Обновление интерфейса...');
             await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
+            signal?.throwIfAborted();
 
-            // Обновление счетчиков
-            if (newsCountElement) newsCountElement.textContent = `${newsCount}/5`;
-            if (memesCountElement) memesCountElement.textContent = `${memesCount}/5`; // Обновляем счетчик мемов
-            if (personalCountElement) personalCountElement.textContent = `${personalCount}/2`;
-            if (keywordsStatusElement) keywordsStatusElement.textContent = `${filesWithValidKeywords}/${totalFiles}`;
-
-            // Обновление счетчиков для объяснений
-            const memeExplanationsCountElement = document.getElementById('meme-explanations-count');
-            const personalExplanationsCountElement = document.getElementById('personal-explanations-count');
-            if (memeExplanationsCountElement) memeExplanationsCountElement.textContent = `${validMemeExplanations}/${explanationResults.totalMemeItems}`;
-            if (personalExplanationsCountElement) personalExplanationsCountElement.textContent = `${validPersonalExplanations}/${explanationResults.totalPersonalItems}`;
-
-            // Обновление статусов
-            if (newsStatusElement) newsStatusElement.textContent = newsCount >= 5 ? '✅' : '❌';
-            if (memesStatusElement) memesStatusElement.textContent = memesCount >= 5 ? '✅' : '❌'; // Обновляем статус мемов
-            if (personalStatusElement) personalStatusElement.textContent = personalCount >= 2 ? '✅' : '❌';
-            if (keywordsValidationStatusElement) {
-                // Для статуса ключевых слов используем только не-PDF файлы
-                keywordsValidationStatusElement.textContent = filesWithValidKeywords === totalFiles ? '✅' : '❌';
-            }
+            // Обновление строк требований: количество по типам, ключевые слова, объяснения
+            let totalRequired = 0;
+            let totalAchieved = 0;
 
-            // Обновление статусов для объяснений
-            const memeExplanationsStatusElement = document.getElementById('meme-explanations-status');
-            const personalExplanationsStatusElement = document.getElementById('personal-explanations-status');
-            if (memeExplanationsStatusElement) memeExplanationsStatusElement.textContent = validMemeExplanations >= explanationResults.totalMemeItems ? '✅' : '❌';
-            if (personalExplanationsStatusElement) personalExplanationsStatusElement.textContent = validPersonalExplanations >= explanationResults.totalPersonalItems ? '✅' : '❌';
+            profile.getCountedTypes().forEach(({ type, rule }) => {
+                const count = typeCounts[type] || 0;
+                this.updateRequirementRow(rule.id, count, rule.minCount);
+                totalRequired += rule.minCount;
+                totalAchieved += Math.min(count, rule.minCount);
+            });
 
-            // Проверяем наличие обязательного файла КАПСУЛА
-            const hasCapsuleDescription = items.some(item => item.type.toUpperCase() === 'КАПСУЛА');
-            
-            // Обновление прогресс баров
-            this.updateProgressBar('news-progress-bar', 'news-progress-text', newsCount, 5);
-            this.updateProgressBar('memes-progress-bar', 'memes-progress-text', memesCount, 5); // Добавляем прогресс бар для мемов
-            this.updateProgressBar('personal-progress-bar', 'personal-progress-text', personalCount, 2);
-            this.updateProgressBar('keywords-progress-bar', 'keywords-progress-text', filesWithValidKeywords, totalFiles);
-            this.updateProgressBar('meme-explanations-progress-bar', 'meme-explanations-progress-text', validMemeExplanations, explanationResults.totalMemeItems);
-            this.updateProgressBar('personal-explanations-progress-bar', 'personal-explanations-progress-text', validPersonalExplanations, explanationResults.totalPersonalItems);
-            this.updateProgressBar('capsule-progress-bar', 'capsule-progress-text', hasCapsuleDescription ? 1 : 0, 1);
-
-            // Обновление счетчика и статуса для капсулы
-            const capsuleCountElement = document.getElementById('capsule-count');
-            const capsuleStatusElement = document.getElementById('capsule-status');
-            if (capsuleCountElement) {
-                capsuleCountElement.textContent = `${hasCapsuleDescription ? 1 : 0}/1`;
-            }
-            if (capsuleStatusElement) {
-                capsuleStatusElement.textContent = hasCapsuleDescription ? '✅' : '❌';
-            }
+            this.updateRequirementRow('keywords', filesWithValidKeywords, totalFiles);
+            totalRequired += totalFiles;
+            totalAchieved += filesWithValidKeywords;
+
+            profile.getExplanationTypes().forEach(({ type, rule }) => {
+                const counts = explanationResults.byType[type] || { valid: 0, total: 0 };
+                this.updateRequirementRow(`${rule.id}-explanations`, counts.valid, counts.total);
+                totalRequired += counts.total;
+                totalAchieved += counts.valid;
+            });
 
             // Формирование списка файлов с индикацией тегов и слов в объяснениях
             if (validationFilesListElement) {
@@ -758,105 +1054,51 @@ export class ArchiveValidator {
                     filesHtml += '</div>';
                 }
 
+                filesHtml += this.renderIntegritySummary(integrity);
+
                 for (let index = 0; index < items.length; index++) {
                     const item = items[index];
                     const isPdf = item.filename.toLowerCase().endsWith('.pdf');
-                    const isPdfNews = isPdf && item.type.toUpperCase() === 'НОВОСТЬ';
-                    const isPdfPersonal = isPdf && item.type.toUpperCase() === 'ЛИЧНОЕ';
                     const itemType = item.type.toUpperCase();
-                    const isPersonal = itemType === 'ЛИЧНОЕ';
-                    const isMem = itemType === 'МЕМ';
-                    const isCapsule = itemType === 'КАПСУЛА';
-                    
-                    // Пропускаем файл КАПСУЛА в детальном списке, так как он не требует тегов
-                    if (isCapsule) {
-                        continue; // Пропускаем этот элемент в детальном списке
-                    }
-                    
-                    let tagCount, requiredTags, hasValidTags;
+                    const rule = profile.getTypeRule(itemType);
+                    const needsExplanation = profile.requiresExplanation(itemType);
                     
-                    if (isPdfPersonal) {
-                        // Для ЛИЧНОЕ: требуется 5 тегов
-                        tagCount = item.tags.length;
-                        requiredTags = 5;
-                        hasValidTags = item.title && item.title.trim() !== '' && tagCount >= requiredTags;
-                    } else if (isPdf) {
-                        // Для других PDF файлов (включая НОВОСТЬ): используем кэш метаданных
-                        // Важно: item.tags уже включает ключевые слова из PDF, извлеченные в extractPdfMetadataEarly
-                        // Поэтому не нужно снова добавлять теги из кэша, чтобы избежать дублирования
-                        const totalTags = item.tags.length;
-                        tagCount = totalTags;
-                        requiredTags = isPdfNews ? 5 : 5;
-                        hasValidTags = item.title && item.title.trim() !== '' && (isPdfNews ? totalTags >= 5 : totalTags >= 5);
-                    } else {
-                        // Для не-PDF файлов
-                        if (isPersonal) {
-                            // Для ЛИЧНОЕ: требуется 5 тегов
-                            tagCount = item.tags.length;
-                            requiredTags = 5;
-                            hasValidTags = item.title && item.title.trim() !== '' && tagCount >= requiredTags;
-                        } else {
-                            // Для других типов: требуется 5 тегов
-                            tagCount = item.getTagCount();
-                            requiredTags = 5;
-                            hasValidTags = item.hasMinimumTags(5);
-                        }
+                    // Пропускаем элементы без требований к тегам и объяснениям (например, КАПСУЛА)
+                    if (rule.minTags === 0 && !needsExplanation) {
+                        continue;
                     }
                     
+                    const { tagCount, requiredTags, missingFields, isValid: hasValidTags } = profile.checkItem(item);
                     const tagStatus = hasValidTags ? '✅' : '❌';
-                    const progressPercentage = requiredTags > 0 ? (tagCount / requiredTags) * 100 : 10;
-                    
-                    // Проверяем наличие и слов в файле объяснения для ЛИЧНОЕ и МЕМ типов
-                    let wordCount = 0;
-                    let requiredWords = 0;
-                    let hasValidWords = false;
-                    let explanationFile = null;
-                    
-                    if (isPersonal || isMem) {
-                        explanationFile = await this.parent.findExplanationFile(item.filename);
-                        if (explanationFile) {
-                            // Получаем текст файла объяснения и считаем слова
-                            // Это асинхронная операция, но для отображения в синхронной функции
-                            // мы можем использовать промисы или предварительно собрать информацию
-                            requiredWords = isPersonal ? 100 : 50;
-                        }
-                    }
+                    const progressPercentage = requiredTags > 0 ? Math.min(100, (tagCount / requiredTags) * 100) : 100;
                     
                     // Для отображения слов в каждом файле, нужно получить информацию о них
                     // Создаем HTML для отображения слов (будет обновлено асинхронно)
                     let wordCountDisplay = '';
-                    if (isPersonal || isMem) {
-                        if (explanationFile) {
-                            // Для асинхронного получения слов, создаем placeholder
-                            wordCountDisplay = `
-                                <div class="validation-file-words-progress" id="words-progress-${index}">
-                                    <span>Слова:</span>
-                                    <span class="word-count-placeholder">Загрузка...</span>
-                                    <div class="validation-file-words-progress-bar">
-                                    <div class="validation-file-words-progress-fill" style="width: 0%;"></div>
-                                    </div>
-                                    <span class="validation-file-words-status">⏳</span>
-                                </div>
-                            `;
-                        } else {
-                            wordCountDisplay = `
-                                <div class="validation-file-words-progress" id="words-progress-${index}">
-                                    <span>Слова:</span>
-                                    <span class="word-count-placeholder">Нет файла</span>
-                                    <div class="validation-file-words-progress-bar">
-                                    <div class="validation-file-words-progress-fill" style="width: 0%;"></div>
-                                    </div>
-                                    <span class="validation-file-words-status">❌</span>
+                    if (needsExplanation) {
+                        const explanationFile = await this.parent.findExplanationFile(item.filename);
+                        wordCountDisplay = `
+                            <div class="validation-file-words-progress" id="words-progress-${index}">
+                                <span>Слова:</span>
+                                <span class="word-count-placeholder">${explanationFile ? 'Загрузка...' : 'Нет файла'}</span>
+                                <div class="validation-file-words-progress-bar">
+                                <div class="validation-file-words-progress-fill" style="width: 0%;"></div>
                                 </div>
-                            `;
-                        }
+                                <span class="validation-file-words-status">${explanationFile ? '⏳' : '❌'}</span>
+                            </div>
+                        `;
                     }
                     
+                    const missingFieldsHtml = missingFields.length > 0
+                        ? `<span class="validation-file-tags-remaining">(не заполнено: ${this.parent.escapeHtml(missingFields.join(', '))})</span>`
+                        : '';
+                    
                     filesHtml += `
-                        <div class="validation-file-item" data-item-index="${index}" data-item-type="${itemType}">
+                        <div class="validation-file-item" data-item-index="${index}" data-item-type="${this.parent.escapeHtml(itemType)}">
                             <div class="validation-file-header">
                                 <span class="validation-file-name">${this.parent.escapeHtml(item.title || item.filename)}</span>
                                 <span class="validation-file-type">${this.parent.escapeHtml(item.type)}${isPdf ? ' (PDF)' : ''}</span>
+                                ${this.renderIntegrityBadge(integrity.byFilename.get(item.filename.toLowerCase()))}
                             </div>
                             <div class="validation-file-tags-container">
                                 <div class="validation-file-tags-progress">
@@ -866,9 +1108,10 @@ export class ArchiveValidator {
                                         <div class="validation-file-tags-progress-fill" style="width: ${progressPercentage}%;"></div>
                                     </div>
                                     <span class="validation-file-status">${tagStatus}</span>
-                                    ${!hasValidTags ? 
+                                    ${tagCount < requiredTags ? 
                                         `<span class="validation-file-tags-remaining">(необходимо еще ${requiredTags - tagCount})</span>` : 
                                         ''}
+                                    ${missingFieldsHtml}
                                 </div>
                                 ${wordCountDisplay}
                             </div>
@@ -880,6 +1123,7 @@ export class ArchiveValidator {
                         const progress = 65 + Math.round(((index + 1) / items.length) * 25); // 65-90% для генерации HTML
                         this.updateValidationProgress(progress, `Подготовка отчета... (${index + 1}/${items.length})`);
                         await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
+                        signal?.throwIfAborted();
                     }
                 }
                 validationFilesListElement.innerHTML = filesHtml;
@@ -887,18 +1131,15 @@ export class ArchiveValidator {
                 // Обновляем прогресс - завершение генерации списка (90%)
                 this.updateValidationProgress(90, 'Завершение валидации...');
                 await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
+                signal?.throwIfAborted();
                 
                 // Асинхронно обновляем информацию о словах в объяснениях
                 this.updateExplanationWordCounts(items, validationFilesListElement);
             }
             
             // Рассчитываем общий прогресс валидации
-            // Логика: 5 (новости) + 2 (личные) + 5 (мемы) + количество файлов с валидными тегами
-            // + количество личных достижений с валидными объяснениями + количество мемов с валидными объяснениями
-            // + 1 (обязательный файл КАПСУЛА)
-            // Когда все валидно: 5 + 2 + 5 + 12 + 2 + 5 + 1 = 27
-            let totalRequired = 5 + 2 + 5 + existingItems.length + explanationResults.totalPersonalItems + explanationResults.totalMemeItems + 1; // базовые категории + файлы с валидными тегами + объяснения + КАПСУЛА
-            let totalAchieved = Math.min(newsCount, 5) + Math.min(personalCount, 2) + Math.min(memesCount, 5) + filesWithValidKeywords + validPersonalExplanations + validMemeExplanations + (hasCapsuleDescription ? 1 : 0);
+            // Логика: сумма минимальных количеств по типам из профиля + количество файлов с валидными тегами
+            // + количество элементов с валидными объяснениями
             const overallPercentage = totalRequired > 0 ? Math.round((totalAchieved / totalRequired) * 100) : 0;
 
             // Обновляем общий прогресс бар
@@ -942,13 +1183,291 @@ export class ArchiveValidator {
                 validationDetailsContainer.removeAttribute('open');
             }
 
+            return {
+                totalAchieved,
+                totalRequired,
+                missingFilesCount: missingFiles.length,
+                tamperedFilesCount: tamperedFiles.length,
+                isValid: totalRequired > 0 && totalAchieved >= totalRequired && missingFiles.length === 0 && tamperedFiles.length === 0
+            };
         } catch (error) {
+            // Отмена загрузки обрабатывается в DigitalTimeCapsule.loadArchiveFile
+            if (signal?.aborted) throw error;
             this.logger.logError(error, { operationId });
         } finally {
             this.logger.popOperation();
         }
     }
 
+    /**
+     * Проверка целостности файлов по контрольным суммам SHA-256
+     * Сумма из колонки checksum манифеста имеет приоритет над файлом checksums.sha256
+     * @param {ArchiveItem[]} items - Элементы манифеста
+     * @param {string[]} archiveFiles - Файлы архива
+     * @returns {Promise<{results: Array<{filename: string, status: string, expected: string, actual: string|null}>,
+     *          byFilename: Map<string, Object>, sidecarErrors: Array<{lineNumber: number, line: string}>}>}
+     */
+    async verifyChecksums(items, archiveFiles) {
+        const STATUSES = ChecksumService.STATUSES;
+        const findArchiveFile = (filename) => archiveFiles.find(file => file.toLowerCase() === filename.toLowerCase());
+
+        // Имя файла в нижнем регистре -> { filename, checksum }
+        const expected = new Map();
+        let sidecarErrors = [];
+        const sidecarFilename = findArchiveFile(ChecksumService.SIDECAR_FILENAME);
+        if (sidecarFilename) {
+            const sidecarFile = await this.parent.archiveService.extractFile(sidecarFilename);
+            const { checksums, errors } = ChecksumService.parseSidecar(await sidecarFile.async('text'));
+            sidecarErrors = errors;
+            checksums.forEach((checksum, path) => expected.set(path.toLowerCase(), { filename: path, checksum }));
+        }
+        items.filter(item => item.checksum).forEach(item => {
+            expected.set(item.filename.toLowerCase(), { filename: item.filename, checksum: item.checksum });
+        });
+
+        const results = [];
+        let checkedCount = 0;
+        for (const { filename, checksum } of expected.values()) {
+            const archiveFilename = findArchiveFile(filename);
+            if (!archiveFilename) {
+                results.push({ filename, status: STATUSES.MISSING, expected: checksum, actual: null });
+                continue;
+            }
+
+            this.updateValidationProgress(62 + Math.round((checkedCount / expected.size) * 3),
+                `Проверка целостности... (${checkedCount + 1}/${expected.size})`);
+            const actual = await this.computeChecksum(archiveFilename);
+            results.push({
+                filename: archiveFilename,
+                status: actual === checksum ? STATUSES.OK : STATUSES.MISMATCH,
+                expected: checksum,
+                actual
+            });
+            checkedCount++;
+        }
+
+        this.logger.info('Контрольные суммы проверены', {
+            checked: results.length,
+            mismatched: results.filter(result => result.status === STATUSES.MISMATCH).length,
+            hasSidecar: Boolean(sidecarFilename)
+        });
+
+        return {
+            results,
+            byFilename: new Map(results.map(result => [result.filename.toLowerCase(), result])),
+            sidecarErrors
+        };
+    }
+
+    /**
+     * Вычисление SHA-256 файла архива с кэшированием по загруженному архиву
+     * @param {string} filename - Имя файла в архиве
+     * @returns {Promise<string|null>} - Сумма или null, если файл не удалось прочитать
+     */
+    async computeChecksum(filename) {
+        const archiveService = this.parent.archiveService;
+        if (!this.checksumCache.has(archiveService)) {
+            this.checksumCache.set(archiveService, new Map());
+        }
+        const archiveChecksums = this.checksumCache.get(archiveService);
+        if (archiveChecksums.has(filename)) return archiveChecksums.get(filename);
+
+        let checksum = null;
+        try {
+            const file = await archiveService.extractFile(filename);
+            checksum = await ChecksumService.sha256(await file.async('arraybuffer'));
+        } catch (error) {
+            // Файл, который не читается из архива, считается поврежденным
+            this.logger.warn('Не удалось вычислить контрольную сумму', { filename, error: error.message });
+        }
+        archiveChecksums.set(filename, checksum);
+        return checksum;
+    }
+
+    /**
+     * Проверка цифровой подписи капсулы (signature.json)
+     * Подписываются все файлы капсулы, кроме самого файла подписи
+     * @returns {Promise<Object|null>} - Результат SignatureService.verify
+     *          ({status: MALFORMED, error}, если файл подписи не читается) или null, если капсула не подписана
+     */
+    async verifySignature() {
+        const operationId = this.logger.pushOperation('verifySignature');
+        try {
+            const archiveService = this.parent.archiveService;
+            const archiveFiles = archiveService.getFileList();
+            const signatureFilename = archiveFiles.find(file => file.toLowerCase() === SignatureService.SIGNATURE_FILENAME);
+            if (!signatureFilename) return null;
+
+            let seal;
+            try {
+                const signatureFile = await archiveService.extractFile(signatureFilename);
+                seal = SignatureService.parseSeal(await signatureFile.async('text'));
+            } catch (error) {
+                this.logger.warn('Файл подписи не читается', { error: error.message, operationId });
+                return { status: SignatureService.STATUSES.MALFORMED, error: error.message };
+            }
+
+            const actualChecksums = new Map();
+            for (const filename of archiveFiles) {
+                if (filename === signatureFilename) continue;
+                actualChecksums.set(filename, await this.computeChecksum(filename));
+            }
+
+            const result = await SignatureService.verify(seal, actualChecksums);
+            this.logger.info('Подпись капсулы проверена', {
+                status: result.status,
+                signer: result.signer,
+                algorithm: result.algorithm,
+                changedFiles: result.changedFiles.length,
+                missingFiles: result.missingFiles.length,
+                addedFiles: result.addedFiles.length,
+                operationId
+            });
+            return result;
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Сводка проверки целостности для списка файлов
+     * @param {{results: Array, sidecarErrors: Array}} integrity - Результат verifyChecksums
+     * @returns {string} - HTML сводки (пустая строка, если контрольные суммы не заданы)
+     */
+    renderIntegritySummary({ results, sidecarErrors }) {
+        if (results.length === 0 && sidecarErrors.length === 0) return '';
+
+        const STATUSES = ChecksumService.STATUSES;
+        const escape = (text) => this.parent.escapeHtml(text);
+        const verified = results.filter(result => result.status === STATUSES.OK);
+        const problems = results.filter(result => result.status !== STATUSES.OK);
+        const hasProblems = problems.length > 0 || sidecarErrors.length > 0;
+
+        let html = `<div class="validation-integrity-section ${hasProblems ? 'has-problems' : ''}">`;
+        html += '<h5>Проверка целостности (SHA-256):</h5>';
+        html += `<div>Файлы не изменены: ${verified.length} из ${results.length}</div>`;
+        if (problems.length > 0) {
+            html += '<div class="validation-integrity-problems"><strong>Файлы изменены или повреждены после запечатывания:</strong><br>';
+            problems.forEach(result => {
+                const note = result.status === STATUSES.MISSING ? ' (нет в архиве)' : '';
+                html += `<span class="integrity-badge integrity-mismatch">⚠️ ${escape(result.filename)}${note}</span> `;
+            });
+            html += '</div>';
+        }
+        if (sidecarErrors.length > 0) {
+            html += `<div class="validation-integrity-problems"><strong>Нераспознанные строки ${ChecksumService.SIDECAR_FILENAME}:</strong> `;
+            html += sidecarErrors.map(error => `${error.lineNumber}`).join(', ');
+            html += '</div>';
+        }
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Значок целостности файла в списке проверки
+     * @param {{status: string, expected: string, actual: string|null}|undefined} result - Результат проверки файла
+     * @returns {string} - HTML значка (пустая строка, если сумма не задана)
+     */
+    renderIntegrityBadge(result) {
+        if (!result) return '';
+        if (result.status === ChecksumService.STATUSES.OK) {
+            return '<span class="integrity-badge integrity-ok" title="SHA-256 совпадает с суммой, указанной при запечатывании">🔒 Не изменен</span>';
+        }
+        const title = result.actual
+            ? `Ожидалось ${result.expected}, получено ${result.actual}`
+            : 'Файл не удалось прочитать';
+        return `<span class="integrity-badge integrity-mismatch" title="${this.parent.escapeHtml(title)}">⚠️ Изменен или поврежден</span>`;
+    }
+
+    /**
+     * Обновление строки требования (счетчик, статус и прогресс бар)
+     * @param {string} requirementId - Идентификатор строки требования
+     * @param {number} currentValue - Достигнутое значение
+     * @param {number} requiredValue - Требуемое значение
+     */
+    updateRequirementRow(requirementId, currentValue, requiredValue) {
+        const countElement = document.getElementById(`${requirementId}-count`);
+        const statusElement = document.getElementById(`${requirementId}-status`);
+        if (countElement) countElement.textContent = `${currentValue}/${requiredValue}`;
+        if (statusElement) statusElement.textContent = currentValue >= requiredValue ? '✅' : '❌';
+        this.updateProgressBar(`${requirementId}-progress-bar`, `${requirementId}-progress-text`, currentValue, requiredValue);
+    }
+
+    /**
+     * Установка профиля требований
+     * @param {RequirementsProfile} profile - Профиль требований
+     */
+    setRequirementsProfile(profile) {
+        this.requirementsProfile = profile;
+        this.explanationValidator.requirementsProfile = profile;
+        this.logger.info('Профиль требований установлен', {
+            name: profile.name,
+            types: Object.keys(profile.types),
+            sources: profile.getSources()
+        });
+        this.renderRequirementsOverview();
+    }
+
+    /**
+     * Получение описания строк требований для текущего профиля
+     * @returns {Array<{id: string, label: string, required: number|null, rule: Object|null}>} - Строки обзора валидации
+     */
+    getRequirementRows() {
+        const profile = this.requirementsProfile;
+        return [
+            ...profile.getCountedTypes().map(({ rule }) => ({ id: rule.id, label: rule.label, required: rule.minCount, rule })),
+            { id: 'keywords', label: 'Ключевые слова', required: null, rule: null },
+            ...profile.getExplanationTypes().map(({ rule }) => ({ id: `${rule.id}-explanations`, label: rule.explanationLabel, required: null, rule }))
+        ];
+    }
+
+    /**
+     * Формирование метки источника правила
+     * @param {Object|null} rule - Правило профиля требований
+     * @param {Function} escape - Функция экранирования HTML
+     * @returns {string} - HTML метки или пустая строка
+     */
+    renderRuleSource(rule, escape) {
+        if (!rule) return '';
+        const sourceLabel = RequirementsProfile.getSourceLabel(rule.source);
+        const title = rule.overriddenFields.length > 0
+            ? `Изменено: ${rule.overriddenFields.join(', ')}`
+            : `Источник: ${sourceLabel}`;
+        return `<span class="requirement-source requirement-source--${escape(rule.source)}" title="${escape(title)}">${escape(sourceLabel)}</span>`;
+    }
+
+    /**
+     * Отрисовка строк требований в секции валидации по текущему профилю
+     */
+    renderRequirementsOverview() {
+        if (typeof document === 'undefined') return;
+        const overviewElement = document.getElementById('requirements-overview');
+        if (!overviewElement) return;
+
+        const escape = (text) => this.parent ? this.parent.escapeHtml(text) : text;
+        const rows = this.getRequirementRows();
+        overviewElement.innerHTML = rows.map(row => `
+            <div class="validation-item" data-requirement="${escape(row.id)}">
+                <span class="validation-label">${escape(row.label)}: ${this.renderRuleSource(row.rule, escape)}</span>
+                <div class="progress-container">
+                    <span class="validation-count" id="${escape(row.id)}-count">0/${row.required ?? 0}</span>
+                    <div class="progress-bar-container">
+                        <div class="progress-bar" id="${escape(row.id)}-progress-bar"></div>
+                    </div>
+                    <span class="validation-status" id="${escape(row.id)}-status">❌</span>
+                </div>
+            </div>
+        `).join('');
+
+        this.progressManager.initializeValidationProgress(rows.map(row => ({
+            id: `${row.id}-progress-bar`,
+            textId: `${row.id}-progress-text`
+        })));
+    }
+
     /**
      * Обновление прогресс бара
      * @param {string} progressBarId - ID элемента прогресс бара
@@ -973,17 +1492,15 @@ export class ArchiveValidator {
             for (let i = 0; i < items.length; i++) {
                 const item = items[i];
                 const itemType = item.type.toUpperCase();
-                const isPersonal = itemType === 'ЛИЧНОЕ';
-                const isMem = itemType === 'МЕМ';
 
-                if (isPersonal || isMem) {
+                if (this.requirementsProfile.requiresExplanation(itemType)) {
                     const explanationFile = await this.parent.findExplanationFile(item.filename);
                     
                     if (explanationFile) {
                         try {
                             const text = await explanationFile.async('text');
                             const wordCount = this.explanationValidator.countWords(text);
-                            const requiredWords = isPersonal ? 100 : 50;
+                            const requiredWords = this.requirementsProfile.getExplanationMinWords(itemType);
                             const isValid = wordCount >= requiredWords;
                             const progressPercentage = requiredWords > 0 ? Math.min(100, (wordCount / requiredWords) * 100) : 100;
 
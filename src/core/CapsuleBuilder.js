@@ -0,0 +1,732 @@
+import JSZip from 'jszip';
+import { logger } from '../logger.js';
+import { ManifestService } from '../services/ManifestService.js';
+import { ArchiveService } from '../services/ArchiveService.js';
+import { ChecksumService } from '../services/ChecksumService.js';
+import { SignatureService } from '../services/SignatureService.js';
+import { TimeLockService } from '../services/TimeLockService.js';
+
+/**
+ * Имя файла описания капсулы, который создает конструктор
+ */
+const CAPSULE_FILENAME = 'о_капсуле.txt';
+
+/**
+ * Задержка перед повторной проверкой после ввода (мс)
+ */
+const VALIDATION_DELAY = 300;
+
+/**
+ * Конструктор капсулы: сборка архива в браузере
+ * Пользователь добавляет файлы, заполняет поля и объяснения, конструктор проверяет капсулу
+ * по текущему профилю требований и собирает готовый ZIP-архив с manifest.txt
+ * В режиме редактирования конструктор заполняется содержимым загруженного архива,
+ * а пересобранный архив повторно открывается и проверяется validateArchive перед скачиванием
+ */
+export class CapsuleBuilder {
+    /**
+     * @param {DigitalTimeCapsule} parent - Родительский класс
+     */
+    constructor(parent) {
+        this.parent = parent;
+        this.logger = logger;
+        this.items = [];
+        this.capsule = { author: '', description: '', openAfter: '', passphrase: '', passphraseConfirm: '' };
+        this.nextItemId = 1;
+        this.validationTimer = null;
+        this.container = null;
+
+        // Режим редактирования: имя исходного архива и его файлы, не описанные в манифесте
+        this.sourceArchiveName = null;
+        this.extraFiles = [];
+    }
+
+    /**
+     * Признак режима редактирования загруженного архива
+     * @returns {boolean}
+     */
+    get isEditMode() {
+        return this.sourceArchiveName !== null;
+    }
+
+    /**
+     * Открытие конструктора
+     */
+    open() {
+        const section = document.getElementById('builder-section');
+        this.container = document.getElementById('builder-container');
+        if (!section || !this.container) return;
+
+        // Новая капсула не должна продолжать редактирование загруженного архива
+        if (this.isEditMode) {
+            this.items = [];
+            this.extraFiles = [];
+            this.sourceArchiveName = null;
+            this.render();
+        } else if (!this.container.hasChildNodes()) {
+            this.render();
+        }
+        section.hidden = false;
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.logger.trackUserAction('builder_opened', { itemsCount: this.items.length });
+    }
+
+    /**
+     * Открытие конструктора в режиме редактирования загруженного архива
+     * Элементы заполняются из манифеста, файлы и объяснения берутся из архива
+     * @returns {Promise<void>}
+     */
+    async openForArchive() {
+        const operationId = this.logger.pushOperation('CapsuleBuilder.openForArchive', { archiveName: this.parent.currentArchiveName });
+        try {
+            const section = document.getElementById('builder-section');
+            this.container = document.getElementById('builder-container');
+            if (!section || !this.container) return;
+
+            const archiveService = this.parent.archiveService;
+            const manifestItems = this.parent.currentItems || [];
+            // Прежние контрольные суммы не переносятся: при сборке они вычисляются заново.
+            // Подпись тоже не переносится: после изменения капсулы она станет недействительной
+            const describedFiles = new Set([
+                ...ManifestService.MANIFEST_FILES.map(manifest => manifest.filename),
+                ChecksumService.SIDECAR_FILENAME,
+                SignatureService.SIGNATURE_FILENAME
+            ]);
+
+            this.items = [];
+            for (const manifestItem of manifestItems) {
+                const archiveFile = await archiveService.extractFile(manifestItem.filename);
+                const explanationFile = await this.parent.findExplanationFile(manifestItem.filename);
+                describedFiles.add(manifestItem.filename.toLowerCase());
+                if (explanationFile) describedFiles.add(explanationFile.name.toLowerCase());
+
+                this.items.push({
+                    id: this.nextItemId++,
+                    file: archiveFile ? new Blob([await archiveFile.async('uint8array')]) : null,
+                    filename: manifestItem.filename,
+                    type: manifestItem.type,
+                    date: manifestItem.date,
+                    title: manifestItem.title,
+                    tags: manifestItem.tags.join(', '),
+                    author: manifestItem.author,
+                    description: manifestItem.description,
+                    location: manifestItem.location,
+                    sourceUrl: manifestItem.sourceUrl,
+                    language: manifestItem.language,
+                    openAfter: manifestItem.openAfter,
+                    explanation: explanationFile ? await explanationFile.async('text') : '',
+                    explanationFilename: explanationFile ? explanationFile.name : null
+                });
+            }
+
+            // Остальные файлы архива (requirements.json и т.п.) переносятся в новый архив без изменений
+            this.extraFiles = [];
+            for (const filename of archiveService.getFileList()) {
+                if (describedFiles.has(filename.toLowerCase())) continue;
+                const archiveFile = await archiveService.extractFile(filename);
+                if (archiveFile) {
+                    this.extraFiles.push({ filename, file: new Blob([await archiveFile.async('uint8array')]) });
+                }
+            }
+
+            // Капсула всегда пересобирается в ZIP, даже если открыта из 7z, RAR или папки
+            this.sourceArchiveName = this.parent.currentArchiveName
+                ? ArchiveService.getZipFileName(this.parent.currentArchiveName)
+                : 'капсула_времени.zip';
+            this.render();
+            section.hidden = false;
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+            this.logger.trackUserAction('capsule_edit_opened', { itemsCount: this.items.length, extraFilesCount: this.extraFiles.length });
+            this.logger.info('Капсула открыта для редактирования', { itemsCount: this.items.length, operationId });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Закрытие конструктора (введенные данные сохраняются до перезагрузки страницы)
+     */
+    close() {
+        const section = document.getElementById('builder-section');
+        if (section) section.hidden = true;
+    }
+
+    /**
+     * Перерисовка конструктора, например после смены профиля требований
+     */
+    refresh() {
+        if (this.container && this.container.hasChildNodes()) {
+            this.render();
+        }
+    }
+
+    /**
+     * Отрисовка конструктора
+     */
+    render() {
+        const escape = (text) => this.parent.escapeHtml(text || '');
+        const knownTypes = Object.keys(this.parent.validator.requirementsProfile.types);
+
+        this.container.innerHTML = `
+            <div class="builder">
+                <div class="builder-header">
+                    <h2 class="section-title">${this.isEditMode ? `✏️ Редактирование капсулы: ${escape(this.sourceArchiveName)}` : '🛠 Конструктор капсулы'}</h2>
+                    <button type="button" class="btn btn-secondary" id="builder-close">Закрыть</button>
+                </div>
+                <datalist id="builder-types">
+                    ${knownTypes.map(type => `<option value="${escape(type)}"></option>`).join('')}
+                </datalist>
+
+                <fieldset class="builder-capsule" ${this.isEditMode ? 'hidden' : ''}>
+                    <legend>Описание капсулы</legend>
+                    <label class="builder-field">
+                        <span>Автор</span>
+                        <input type="text" id="builder-capsule-author" value="${escape(this.capsule.author)}" placeholder="Фамилия И.О. (группа)">
+                    </label>
+                    <label class="builder-field">
+                        <span>Описание (сохраняется в ${CAPSULE_FILENAME})</span>
+                        <textarea id="builder-capsule-description" rows="3">${escape(this.capsule.description)}</textarea>
+                    </label>
+                    <div class="builder-item-fields">
+                        <label class="builder-field">
+                            <span>Открыть не раньше (необязательно)</span>
+                            <input type="date" id="builder-capsule-open-after" value="${escape(this.capsule.openAfter)}">
+                        </label>
+                        <label class="builder-field">
+                            <span>Кодовая фраза для шифрования (необязательно)</span>
+                            <input type="password" id="builder-capsule-passphrase" autocomplete="new-password" value="${escape(this.capsule.passphrase)}">
+                        </label>
+                        <label class="builder-field">
+                            <span>Повторите кодовую фразу</span>
+                            <input type="password" id="builder-capsule-passphrase-confirm" autocomplete="new-password" value="${escape(this.capsule.passphraseConfirm)}">
+                        </label>
+                    </div>
+                    <small class="builder-capsule-hint">
+                        До этой даты просмотрщик покажет только описание капсулы. С кодовой фразой содержимое будет зашифровано:
+                        без нее капсулу не открыть, восстановить забытую фразу нельзя.
+                    </small>
+                </fieldset>
+
+                <div class="upload-drag-area builder-drop-area" id="builder-drop-area">
+                    <p>${this.isEditMode ? 'Перетащите сюда новые файлы, чтобы добавить их в капсулу' : 'Перетащите файлы капсулы сюда или нажмите для выбора'}</p>
+                    <small>Тип определяется по имени файла (_Новость, _мем, _личное), его можно изменить</small>
+                </div>
+                <input type="file" id="builder-file-input" multiple hidden>
+                <input type="file" id="builder-replace-input" hidden>
+
+                <div class="builder-items" id="builder-items"></div>
+
+                ${this.extraFiles.length > 0 ? `
+                    <p class="builder-extra-files">
+                        Файлы без записи в манифесте будут перенесены без изменений:
+                        ${this.extraFiles.map(extraFile => escape(extraFile.filename)).join(', ')}
+                    </p>
+                ` : ''}
+
+                <div class="builder-summary" id="builder-summary" role="status" aria-live="polite"></div>
+
+                <div class="builder-actions">
+                    <button type="button" class="btn btn-primary" id="builder-export">${this.isEditMode ? '🔁 Пересобрать, проверить и скачать' : '📦 Скачать ZIP-архив'}</button>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('#builder-close').addEventListener('click', () => this.close());
+        this.container.querySelector('#builder-capsule-author').addEventListener('input', (event) => {
+            this.capsule.author = event.target.value;
+            this.scheduleValidation();
+        });
+        this.container.querySelector('#builder-capsule-description').addEventListener('input', (event) => {
+            this.capsule.description = event.target.value;
+        });
+        this.container.querySelector('#builder-capsule-open-after').addEventListener('input', (event) => {
+            this.capsule.openAfter = event.target.value;
+            this.scheduleValidation();
+        });
+        this.container.querySelector('#builder-capsule-passphrase').addEventListener('input', (event) => {
+            this.capsule.passphrase = event.target.value;
+        });
+        this.container.querySelector('#builder-capsule-passphrase-confirm').addEventListener('input', (event) => {
+            this.capsule.passphraseConfirm = event.target.value;
+        });
+
+        const dropArea = this.container.querySelector('#builder-drop-area');
+        const fileInput = this.container.querySelector('#builder-file-input');
+        dropArea.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (event) => {
+            this.addFiles(Array.from(event.target.files));
+            event.target.value = '';
+        });
+        ['dragenter', 'dragover'].forEach(eventName => {
+            dropArea.addEventListener(eventName, (event) => {
+                event.preventDefault();
+                dropArea.classList.add('drag-over');
+            });
+        });
+        ['dragleave', 'drop'].forEach(eventName => {
+            dropArea.addEventListener(eventName, (event) => {
+                event.preventDefault();
+                dropArea.classList.remove('drag-over');
+            });
+        });
+        dropArea.addEventListener('drop', (event) => this.addFiles(Array.from(event.dataTransfer.files)));
+
+        const replaceInput = this.container.querySelector('#builder-replace-input');
+        replaceInput.addEventListener('change', (event) => {
+            const [file] = event.target.files;
+            if (file) this.replaceItemFile(Number(replaceInput.dataset.itemId), file);
+            event.target.value = '';
+        });
+
+        this.container.querySelector('#builder-export').addEventListener('click', () => {
+            this.exportZip().catch(error => this.parent.showError(`Ошибка сборки архива: ${error.message}`));
+        });
+
+        this.renderItems();
+        this.updateValidation();
+    }
+
+    /**
+     * Добавление файлов в капсулу
+     * Файл с уже существующим именем заменяет прежний, сохраняя заполненные поля
+     * @param {File[]} files - Добавляемые файлы
+     */
+    addFiles(files) {
+        files.forEach(file => {
+            const existing = this.items.find(item => item.filename === file.name);
+            if (existing) {
+                existing.file = file;
+                return;
+            }
+
+            this.items.push({
+                id: this.nextItemId++,
+                file,
+                filename: file.name,
+                type: ManifestService.guessType(file.name),
+                date: new Date(file.lastModified || Date.now()).toISOString().slice(0, 10),
+                title: '',
+                tags: '',
+                author: '',
+                description: '',
+                location: '',
+                sourceUrl: '',
+                language: '',
+                openAfter: '',
+                explanation: '',
+                explanationFilename: null
+            });
+        });
+
+        this.logger.info('Файлы добавлены в конструктор', { added: files.length, total: this.items.length });
+        this.renderItems();
+        this.updateValidation();
+    }
+
+    /**
+     * Замена файла элемента с сохранением заполненных полей и объяснения
+     * Объяснение будет сохранено под новым именем файла
+     * @param {number} itemId - Идентификатор элемента
+     * @param {File} file - Новый файл
+     */
+    replaceItemFile(itemId, file) {
+        const item = this.items.find(candidate => candidate.id === itemId);
+        if (!item) return;
+
+        const duplicate = this.items.find(candidate => candidate.id !== itemId && candidate.filename === file.name);
+        if (duplicate) {
+            this.parent.showError(`Файл ${file.name} уже есть в капсуле`);
+            return;
+        }
+
+        this.logger.trackUserAction('builder_file_replaced', { from: item.filename, to: file.name });
+        if (item.filename !== file.name) {
+            item.explanationFilename = null;
+        }
+        item.file = file;
+        item.filename = file.name;
+        this.renderItems();
+        this.updateValidation();
+    }
+
+    /**
+     * Удаление файла из капсулы
+     * @param {number} itemId - Идентификатор элемента
+     */
+    removeItem(itemId) {
+        this.items = this.items.filter(item => item.id !== itemId);
+        this.renderItems();
+        this.updateValidation();
+    }
+
+    /**
+     * Отрисовка списка элементов конструктора
+     */
+    renderItems() {
+        const itemsElement = this.container.querySelector('#builder-items');
+        const escape = (text) => this.parent.escapeHtml(text || '');
+        const profile = this.parent.validator.requirementsProfile;
+
+        itemsElement.innerHTML = this.items.map(item => `
+            <div class="builder-item" data-item-id="${item.id}">
+                <div class="builder-item-header">
+                    <span class="builder-item-emoji">${this.parent.getItemEmoji(item.type || '')}</span>
+                    <span class="builder-item-filename">${escape(item.filename)}</span>
+                    ${item.file
+                        ? `<span class="builder-item-size">${this.parent.formatFileSize(item.file.size)}</span>`
+                        : '<span class="builder-item-missing">файл отсутствует в архиве</span>'}
+                    <button type="button" class="btn btn-secondary builder-item-replace" aria-label="Заменить файл ${escape(item.filename)}">Заменить файл</button>
+                    <button type="button" class="btn btn-secondary builder-item-remove" aria-label="Удалить ${escape(item.filename)}">✕</button>
+                </div>
+                <div class="builder-item-fields">
+                    <label class="builder-field"><span>Тип</span><input type="text" data-field="type" list="builder-types" value="${escape(item.type)}"></label>
+                    <label class="builder-field"><span>Дата</span><input type="date" data-field="date" value="${escape(item.date)}"></label>
+                    <label class="builder-field"><span>Заголовок</span><input type="text" data-field="title" value="${escape(item.title)}"></label>
+                    <label class="builder-field"><span>Теги (через запятую)</span><input type="text" data-field="tags" value="${escape(item.tags)}"></label>
+                    <label class="builder-field"><span>Автор</span><input type="text" data-field="author" value="${escape(item.author)}"></label>
+                </div>
+                <details class="builder-item-extra" ${item.description || item.location || item.sourceUrl || item.language ? 'open' : ''}>
+                    <summary>Дополнительно</summary>
+                    <div class="builder-item-fields">
+                        <label class="builder-field"><span>Описание</span><input type="text" data-field="description" value="${escape(item.description)}"></label>
+                        <label class="builder-field"><span>Место</span><input type="text" data-field="location" value="${escape(item.location)}"></label>
+                        <label class="builder-field"><span>Источник (URL)</span><input type="url" data-field="sourceUrl" value="${escape(item.sourceUrl)}"></label>
+                        <label class="builder-field"><span>Язык</span><input type="text" data-field="language" value="${escape(item.language)}" placeholder="ru"></label>
+                    </div>
+                </details>
+                <label class="builder-field builder-explanation" ${this.hasExplanationField(item) ? '' : 'hidden'}>
+                    <span>Объяснение <small class="builder-explanation-words"></small></span>
+                    <textarea data-field="explanation" rows="4">${escape(item.explanation)}</textarea>
+                </label>
+                <ul class="builder-item-issues"></ul>
+            </div>
+        `).join('');
+
+        itemsElement.querySelectorAll('.builder-item').forEach(itemElement => {
+            const itemId = Number(itemElement.dataset.itemId);
+            const item = this.items.find(candidate => candidate.id === itemId);
+
+            itemElement.querySelector('.builder-item-remove').addEventListener('click', () => this.removeItem(itemId));
+            itemElement.querySelector('.builder-item-replace').addEventListener('click', () => {
+                const replaceInput = this.container.querySelector('#builder-replace-input');
+                replaceInput.dataset.itemId = String(itemId);
+                replaceInput.click();
+            });
+            itemElement.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('input', () => {
+                    item[input.dataset.field] = input.value;
+                    if (input.dataset.field === 'type') {
+                        itemElement.querySelector('.builder-item-emoji').textContent = this.parent.getItemEmoji(item.type);
+                        itemElement.querySelector('.builder-explanation').hidden = !this.hasExplanationField(item);
+                    }
+                    this.scheduleValidation();
+                });
+            });
+        });
+    }
+
+    /**
+     * Нужно ли показывать поле объяснения для элемента:
+     * объяснение требуется профилем или уже есть в редактируемом архиве
+     * @param {Object} item - Элемент конструктора
+     * @returns {boolean}
+     */
+    hasExplanationField(item) {
+        return this.parent.validator.requirementsProfile.requiresExplanation(item.type) || item.explanationFilename !== null;
+    }
+
+    /**
+     * Отложенная проверка капсулы после ввода
+     */
+    scheduleValidation() {
+        clearTimeout(this.validationTimer);
+        this.validationTimer = setTimeout(() => this.updateValidation(), VALIDATION_DELAY);
+    }
+
+    /**
+     * Элемент описания капсулы, если автор указан и файл КАПСУЛА не добавлен вручную
+     * @returns {Object|null}
+     */
+    getCapsuleRow() {
+        const hasCapsuleFile = this.items.some(item => item.type.trim().toUpperCase() === 'КАПСУЛА');
+        if (hasCapsuleFile || !this.capsule.author.trim()) return null;
+        return {
+            id: 0,
+            filename: CAPSULE_FILENAME,
+            type: 'КАПСУЛА',
+            date: new Date().toISOString().slice(0, 10),
+            title: '',
+            tags: '',
+            author: this.capsule.author,
+            explanation: '',
+            explanationFilename: null
+        };
+    }
+
+    /**
+     * Строки манифеста: описание капсулы и файлы
+     * В новой капсуле дата открытия из описания капсулы записывается в строку КАПСУЛА
+     * @returns {Object[]}
+     */
+    getManifestRows() {
+        const capsuleRow = this.getCapsuleRow();
+        const rows = capsuleRow ? [capsuleRow, ...this.items] : [...this.items];
+        if (this.isEditMode) return rows;
+        return rows.map(row => (row.type.trim().toUpperCase() === 'КАПСУЛА' ? { ...row, openAfter: this.capsule.openAfter } : row));
+    }
+
+    /**
+     * Проверка капсулы по тем же правилам, что и ArchiveValidator.validateArchive
+     * @returns {{manifestText: string, requirements: Array, issuesById: Map<number, string[]>, isValid: boolean}}
+     */
+    validate() {
+        const profile = this.parent.validator.requirementsProfile;
+        const explanationValidator = this.parent.validator.explanationValidator;
+        const rows = this.getManifestRows();
+        const { text: manifestText, lineNumbers } = ManifestService.buildManifestText(rows, 'Манифест создан конструктором цифровой капсулы времени');
+        const { items: parsedItems, errors } = this.parent.parseManifest(manifestText);
+
+        const issuesById = new Map(rows.map(row => [row.id, []]));
+        const missingFiles = this.items.filter(item => !item.file);
+        missingFiles.forEach(item => issuesById.get(item.id).push('Файл отсутствует в архиве: замените его или удалите запись'));
+        errors.forEach(error => {
+            const row = rows[lineNumbers.indexOf(error.lineNumber)];
+            if (row) issuesById.get(row.id).push(error.error);
+        });
+
+        const typeCounts = {};
+        let itemsWithValidTags = 0;
+        parsedItems.forEach(parsedItem => {
+            const typeUpper = parsedItem.type.toUpperCase();
+            typeCounts[typeUpper] = (typeCounts[typeUpper] || 0) + 1;
+
+            const row = rows.find(candidate => candidate.filename === parsedItem.filename);
+            const check = profile.checkItem(parsedItem);
+            if (check.isValid) {
+                itemsWithValidTags++;
+            } else if (row) {
+                if (check.tagCount < check.requiredTags) {
+                    issuesById.get(row.id).push(`Тегов: ${check.tagCount} из ${check.requiredTags}`);
+                }
+                if (check.missingFields.length > 0) {
+                    issuesById.get(row.id).push(`Не заполнено: ${check.missingFields.join(', ')}`);
+                }
+            }
+        });
+
+        const requirements = profile.getCountedTypes().map(({ type, rule }) => ({
+            label: rule.label,
+            current: typeCounts[type] || 0,
+            required: rule.minCount
+        }));
+        requirements.push({ label: 'Ключевые слова', current: itemsWithValidTags, required: rows.length });
+
+        profile.getExplanationTypes().forEach(({ type, rule }) => {
+            const typeRows = rows.filter(row => row.type.trim().toUpperCase() === type);
+            const validCount = typeRows.filter(row => {
+                const wordCount = explanationValidator.countWords(row.explanation || '');
+                if (wordCount < rule.explanationMinWords) {
+                    issuesById.get(row.id).push(`Объяснение: ${wordCount} из ${rule.explanationMinWords} слов`);
+                    return false;
+                }
+                return true;
+            }).length;
+            requirements.push({ label: rule.explanationLabel, current: validCount, required: typeRows.length });
+        });
+
+        const isValid = rows.length > 0
+            && errors.length === 0
+            && missingFiles.length === 0
+            && requirements.every(requirement => requirement.current >= requirement.required);
+
+        return { manifestText, requirements, issuesById, isValid };
+    }
+
+    /**
+     * Проверка капсулы и обновление сводки и замечаний по элементам
+     * @returns {{manifestText: string, requirements: Array, issuesById: Map<number, string[]>, isValid: boolean}}
+     */
+    updateValidation() {
+        const result = this.validate();
+        const escape = (text) => this.parent.escapeHtml(text || '');
+        const profile = this.parent.validator.requirementsProfile;
+
+        const summaryElement = this.container.querySelector('#builder-summary');
+        summaryElement.innerHTML = `
+            <ul class="builder-requirements">
+                ${result.requirements.map(requirement => `
+                    <li class="${requirement.current >= requirement.required ? 'met' : 'unmet'}">
+                        ${requirement.current >= requirement.required ? '✅' : '❌'}
+                        ${escape(requirement.label)}: ${requirement.current}/${requirement.required}
+                    </li>
+                `).join('')}
+            </ul>
+            <p class="builder-status ${result.isValid ? 'success' : 'error'}">
+                ${result.isValid ? 'Капсула соответствует требованиям и готова к отправке' : 'Капсула пока не соответствует требованиям'}
+            </p>
+        `;
+
+        this.container.querySelectorAll('.builder-item').forEach(itemElement => {
+            const itemId = Number(itemElement.dataset.itemId);
+            const item = this.items.find(candidate => candidate.id === itemId);
+            const issues = result.issuesById.get(itemId) || [];
+            itemElement.classList.toggle('invalid', issues.length > 0);
+            itemElement.querySelector('.builder-item-issues').innerHTML = issues.map(issue => `<li>${escape(issue)}</li>`).join('');
+
+            const wordsElement = itemElement.querySelector('.builder-explanation-words');
+            const minWords = profile.getExplanationMinWords(item.type);
+            wordsElement.textContent = minWords > 0
+                ? `(${this.parent.validator.explanationValidator.countWords(item.explanation)} из ${minWords} слов)`
+                : '';
+        });
+
+        return result;
+    }
+
+    /**
+     * Сборка ZIP-архива капсулы с файлом контрольных сумм checksums.sha256
+     * Если указана кодовая фраза, содержимое шифруется (buildTimeLockedZip)
+     * @param {string} manifestText - Текст manifest.txt
+     * @returns {Promise<Blob>} - Архив
+     */
+    async buildZip(manifestText) {
+        const profile = this.parent.validator.requirementsProfile;
+        const zip = new JSZip();
+
+        // Прежний манифест (в том числе manifest.json или manifest.yaml) заменяется сформированным manifest.txt
+        this.extraFiles.forEach(extraFile => zip.file(extraFile.filename, extraFile.file));
+        zip.file('manifest.txt', manifestText);
+
+        this.items.filter(item => item.file).forEach(item => {
+            zip.file(item.filename, item.file);
+            const hasExplanation = profile.requiresExplanation(item.type) || item.explanationFilename !== null;
+            if (item.explanation.trim() && hasExplanation) {
+                const baseName = item.filename.replace(/\.[^.]+$/, '');
+                zip.file(item.explanationFilename || `${baseName}_объяснение.txt`, item.explanation.trim());
+            }
+        });
+
+        const capsuleRow = this.getCapsuleRow();
+        if (capsuleRow) {
+            zip.file(CAPSULE_FILENAME, this.capsule.description.trim() || capsuleRow.author);
+        }
+
+        await this.addChecksums(zip);
+
+        // Шифрование задается только для новой капсулы: при редактировании поле кодовой фразы скрыто
+        if (!this.isEditMode && this.capsule.passphrase) {
+            return this.buildTimeLockedZip(zip, this.capsule.passphrase);
+        }
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Запечатывание: по контрольным суммам при открытии капсулы проверяется, что файлы не менялись
+     * @param {JSZip} zip - Архив капсулы
+     * @returns {Promise<void>}
+     */
+    async addChecksums(zip) {
+        const checksumEntries = [];
+        for (const [path, entry] of Object.entries(zip.files)) {
+            if (entry.dir) continue;
+            checksumEntries.push({ path, checksum: await ChecksumService.sha256(await entry.async('arraybuffer')) });
+        }
+        zip.file(ChecksumService.SIDECAR_FILENAME, ChecksumService.buildSidecar(checksumEntries));
+    }
+
+    /**
+     * Сборка капсулы с зашифрованным содержимым
+     * В архиве остаются только манифест со строкой КАПСУЛА, файл описания капсулы и timelock.json,
+     * все остальное (включая полный манифест) шифруется в content.enc
+     * @param {JSZip} contentZip - Собранный архив капсулы
+     * @param {string} passphrase - Кодовая фраза
+     * @returns {Promise<Blob>} - Архив
+     */
+    async buildTimeLockedZip(contentZip, passphrase) {
+        if (passphrase !== this.capsule.passphraseConfirm) {
+            throw new Error('Кодовые фразы не совпадают');
+        }
+        const capsuleRow = this.getManifestRows().find(row => row.type.trim().toUpperCase() === 'КАПСУЛА');
+        const capsuleFile = capsuleRow ? contentZip.file(capsuleRow.filename) : null;
+        if (!capsuleFile) {
+            throw new Error('Для шифрования содержимого нужно описание капсулы: укажите автора капсулы');
+        }
+
+        const content = await contentZip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+        const { lock, data } = await TimeLockService.encrypt(content, passphrase);
+
+        const zip = new JSZip();
+        zip.file('manifest.txt', ManifestService.buildManifestText([capsuleRow], 'Содержимое капсулы зашифровано кодовой фразой автора').text);
+        zip.file(capsuleRow.filename, await capsuleFile.async('uint8array'));
+        zip.file(TimeLockService.LOCK_FILENAME, JSON.stringify(lock, null, 2));
+        zip.file(TimeLockService.CONTENT_FILENAME, data);
+        await this.addChecksums(zip);
+
+        this.logger.info('Содержимое капсулы зашифровано', { contentSize: content.length, openAfter: capsuleRow.openAfter });
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Скачивание собранного архива
+     * @param {Blob} blob - Архив
+     * @param {string} filename - Имя файла для скачивания
+     */
+    downloadZip(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        this.parent.urlManager.addUrl(url, 'default');
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+    }
+
+    /**
+     * Сборка и скачивание ZIP-архива капсулы
+     * В режиме редактирования пересобранный архив сначала открывается в просмотрщике
+     * и проверяется validateArchive, и только затем скачивается
+     * @returns {Promise<void>}
+     */
+    async exportZip() {
+        const operationId = this.logger.pushOperation('CapsuleBuilder.exportZip', { itemsCount: this.items.length, editMode: this.isEditMode });
+        try {
+            const result = this.updateValidation();
+            if (!this.isEditMode && !result.isValid && !window.confirm('Капсула не соответствует требованиям. Все равно скачать архив?')) {
+                return;
+            }
+
+            const blob = await this.buildZip(result.manifestText);
+
+            if (!this.isEditMode) {
+                this.downloadZip(blob, 'капсула_времени.zip');
+                this.parent.updateGlobalStatus(`Архив капсулы собран: ${this.items.length} файлов`, 'success');
+                this.logger.info('Архив капсулы собран', { size: blob.size, isValid: result.isValid, operationId });
+                return;
+            }
+
+            // Пересобранный архив открывается так же, как загруженный пользователем,
+            // поэтому проверка validateArchive и отображение обновляются по новому содержимому
+            const archiveName = this.sourceArchiveName;
+            await this.parent.loadArchiveFile(new File([blob], archiveName, { type: 'application/zip' }));
+            const validation = this.parent.lastValidation;
+            this.logger.info('Пересобранный архив проверен', { size: blob.size, validation, operationId });
+
+            if (!validation?.isValid && !window.confirm('Пересобранный архив не прошел проверку (результаты показаны в разделе проверки). Все равно скачать архив?')) {
+                return;
+            }
+
+            this.downloadZip(blob, archiveName);
+            this.parent.updateGlobalStatus(`Капсула пересобрана и проверена: ${this.items.length} файлов`, validation?.isValid ? 'success' : 'info');
+            this.logger.trackUserAction('capsule_repacked', { itemsCount: this.items.length, isValid: !!validation?.isValid });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+}
@@ -0,0 +1,246 @@
+import { logger } from '../logger.js';
+import { CapsuleLibraryService } from '../services/CapsuleLibraryService.js';
+import { pdfMetadataCache } from '../services/PDFMetadataCache.js';
+import { DateUtils } from '../utils/dateUtils.js';
+
+/**
+ * Панель библиотеки недавних капсул
+ * Открытые капсулы сохраняются в IndexedDB (CapsuleLibraryService) и открываются снова одним нажатием
+ * без повторного выбора файла; манифест и метаданные PDF сохраненной капсулы не разбираются повторно
+ */
+export class CapsuleLibrary {
+    /**
+     * @param {DigitalTimeCapsule} parent - Родительский класс
+     */
+    constructor(parent) {
+        this.parent = parent;
+        this.logger = logger;
+        this.container = null;
+        this.list = null;
+        // Капсулы в порядке отображения (кнопки ссылаются на них по индексу)
+        this.records = [];
+        // Сообщение о капсуле, которая не поместилась в хранилище
+        this.notice = '';
+    }
+
+    /**
+     * Подключение панели и первая отрисовка списка
+     */
+    initialize() {
+        this.container = document.getElementById('capsule-library');
+        this.list = document.getElementById('capsule-library-list');
+        if (!this.container || !this.list || !CapsuleLibraryService.isSupported()) return;
+
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const record = this.records[Number(button.dataset.index)];
+            if (!record) return;
+            const { action } = button.dataset;
+            const { id } = record;
+            if (action === 'open') {
+                this.open(id).catch(error => this.parent.showError(`Не удалось открыть капсулу из библиотеки: ${error.message}`));
+            } else if (action === 'remove') {
+                this.remove(id).catch(error => this.parent.showError(`Не удалось удалить капсулу из библиотеки: ${error.message}`));
+            }
+        });
+
+        const clearButton = document.getElementById('libraryClearButton');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                if (!window.confirm('Удалить все капсулы из библиотеки?')) return;
+                this.clear().catch(error => this.parent.showError(`Не удалось очистить библиотеку: ${error.message}`));
+            });
+        }
+
+        this.render().catch(error => this.logger.warn('Не удалось прочитать библиотеку капсул', { error: error.message }));
+    }
+
+    /**
+     * Доступна ли библиотека
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(this.container) && CapsuleLibraryService.isSupported();
+    }
+
+    /**
+     * Сохранение открытой капсулы в библиотеку
+     * @param {File|{name: string, size: number, files: Array<{path: string, file: File}>}} file - Архив или папка капсулы
+     * @param {Object} state - Состояние открытой капсулы
+     * @param {ArchiveItem[]} state.items - Элементы манифеста
+     * @param {string} [state.manifestName] - Имя файла манифеста в архиве
+     * @param {string} [state.manifestFormat] - Формат манифеста: txt, json или yaml
+     * @param {string} state.status - Статус из CapsuleLibraryService.STATUSES
+     * @param {Object|null} [state.validation] - Итог ArchiveValidator.validateArchive
+     * @returns {Promise<void>}
+     */
+    async save(file, { items, manifestName = '', manifestFormat = '', status, validation = null }) {
+        if (!this.isEnabled()) return;
+        const operationId = this.logger.pushOperation('CapsuleLibrary.save', { fileName: file.name, status });
+        try {
+            const capsuleItem = items.find(item => item.type.toUpperCase() === 'КАПСУЛА');
+            const now = Date.now();
+            const record = {
+                id: CapsuleLibraryService.getCapsuleId(file),
+                name: file.name,
+                size: file.size,
+                isFolder: Array.isArray(file.files),
+                title: capsuleItem?.title || '',
+                author: capsuleItem?.author || '',
+                date: capsuleItem?.date || '',
+                status,
+                validation: validation
+                    ? { isValid: validation.isValid, totalAchieved: validation.totalAchieved, totalRequired: validation.totalRequired }
+                    : null,
+                itemsCount: items.length,
+                items: items.map(item => item.toJSON()),
+                manifestName,
+                manifestFormat,
+                pdfMetadata: [...pdfMetadataCache.getAllMetadata()],
+                savedAt: now,
+                openedAt: now
+            };
+
+            const saved = await CapsuleLibraryService.save(record, file);
+            if (saved) {
+                this.notice = '';
+                await CapsuleLibraryService.requestPersistence();
+                this.logger.info('Капсула сохранена в библиотеку', { id: record.id, operationId });
+            } else {
+                this.notice = `Капсула «${file.name}» не сохранена: недостаточно места в хранилище браузера`;
+                this.logger.warn('Капсула не помещается в библиотеку', { id: record.id, size: file.size, operationId });
+            }
+            await this.render();
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Открытие капсулы из библиотеки
+     * @param {string} id - Идентификатор капсулы
+     * @returns {Promise<void>}
+     */
+    async open(id) {
+        const operationId = this.logger.pushOperation('CapsuleLibrary.open', { id });
+        try {
+            const [record, file] = await Promise.all([CapsuleLibraryService.get(id), CapsuleLibraryService.loadFile(id)]);
+            if (!record || !file) {
+                // Запись без содержимого (например, после очистки данных сайта браузером)
+                await CapsuleLibraryService.remove(id);
+                await this.render();
+                throw new Error('содержимое капсулы не найдено в хранилище');
+            }
+
+            this.logger.trackUserAction('library_capsule_opened', { fileName: file.name });
+            this.parent.updateFilePreview(file);
+            // Сохраненные элементы манифеста и метаданные PDF относятся именно к этому содержимому
+            await this.parent.loadArchiveFile(file, null, { libraryRecord: record });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Удаление капсулы из библиотеки
+     * @param {string} id - Идентификатор капсулы
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        this.logger.trackUserAction('library_capsule_removed', { id });
+        await CapsuleLibraryService.remove(id);
+        this.notice = '';
+        await this.render();
+    }
+
+    /**
+     * Удаление всех капсул из библиотеки
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.logger.trackUserAction('library_cleared');
+        await CapsuleLibraryService.clear();
+        this.notice = '';
+        await this.render();
+    }
+
+    /**
+     * Текст статуса проверки капсулы
+     * @param {Object} record - Описание капсулы из библиотеки
+     * @returns {string}
+     */
+    getStatusLabel(record) {
+        const { STATUSES } = CapsuleLibraryService;
+        switch (record.status) {
+            case STATUSES.VALID:
+                return '✅ Соответствует требованиям';
+            case STATUSES.INVALID:
+                return record.validation
+                    ? `❌ Не соответствует требованиям (${record.validation.totalAchieved}/${record.validation.totalRequired})`
+                    : '❌ Не соответствует требованиям';
+            case STATUSES.MANIFEST_ERRORS:
+                return '⚠️ Ошибки в манифесте';
+            case STATUSES.LOCKED:
+                return '🔒 Запечатана';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Отрисовка списка капсул и занятого места
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.isEnabled()) return;
+
+        const [records, estimate] = await Promise.all([
+            CapsuleLibraryService.list(),
+            CapsuleLibraryService.getStorageEstimate()
+        ]);
+        const escapeHtml = (text) => this.parent.escapeHtml(String(text));
+
+        this.records = records;
+        this.list.innerHTML = records.map((record, index) => {
+            const details = [
+                record.author && `Автор: ${record.author}`,
+                record.date && `Дата: ${record.date}`,
+                `${record.itemsCount} файлов`,
+                this.parent.formatFileSize(record.size)
+            ].filter(Boolean).join(' · ');
+            const openedAt = DateUtils.formatRussianDate(new Date(record.openedAt), { second: undefined, timeZoneName: undefined });
+
+            return `
+                <li class="capsule-library-item">
+                    <div class="capsule-library-info">
+                        <span class="capsule-library-title">${record.isFolder ? '📂' : '🗜'} ${escapeHtml(record.title || record.name)}</span>
+                        <span class="capsule-library-details">${escapeHtml(details)}</span>
+                        <span class="capsule-library-status capsule-library-status-${escapeHtml(record.status)}">${escapeHtml(this.getStatusLabel(record))}</span>
+                        <small class="capsule-library-opened">Открыта ${escapeHtml(openedAt)}</small>
+                    </div>
+                    <div class="capsule-library-actions">
+                        <button type="button" class="btn btn-primary" data-action="open" data-index="${index}">Открыть</button>
+                        <button type="button" class="btn btn-secondary" data-action="remove" data-index="${index}" title="Удалить из библиотеки">🗑</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        const usage = document.getElementById('capsule-library-usage');
+        if (usage) {
+            const usageText = estimate
+                ? `Занято ${this.parent.formatFileSize(estimate.usage)} из ${this.parent.formatFileSize(estimate.quota)}`
+                : '';
+            usage.textContent = [usageText, this.notice].filter(Boolean).join('. ');
+        }
+
+        this.container.hidden = records.length === 0 && !this.notice;
+    }
+}
@@ -0,0 +1,368 @@
+import { logger } from '../logger.js';
+import { ImageService } from '../services/ImageService.js';
+import { pdfMetadataCache } from '../services/PDFMetadataCache.js';
+import { SearchIndex } from '../services/SearchIndex.js';
+import { SearchUtils } from '../utils/searchUtils.js';
+
+/**
+ * Задержка поиска после ввода (мс)
+ */
+const INPUT_DELAY = 200;
+
+/**
+ * Файлы, содержимое которых индексируется как текст
+ */
+const TEXT_EXTENSIONS = ['txt', 'md', 'log', 'json', 'xml', 'csv'];
+
+/**
+ * Изображения, подписи которых (XMP/IPTC) индексируются
+ */
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+/**
+ * Названия полей индекса в сообщении о найденном
+ */
+const FIELD_LABELS = {
+    title: 'заголовке',
+    description: 'описании',
+    tags: 'тегах',
+    details: 'сведениях о файле',
+    pdf: 'тексте PDF',
+    text: 'содержимом файла',
+    image: 'подписи изображения',
+    explanation: 'объяснении'
+};
+
+/**
+ * Текст, в котором совпадения не подсвечиваются (элементы управления и служебные надписи)
+ */
+const SKIP_HIGHLIGHT_SELECTOR = 'summary, button, script, style, textarea, .pdf-viewer-toolbar, .search-match-info, mark.search-highlight';
+
+/**
+ * Полнотекстовый поиск по открытой капсуле
+ * Индекс (SearchIndex) строится в фоне после отображения архива: заголовки, описания и теги манифеста, метаданные
+ * и текст PDF, файлы объяснений, текстовые и CSV файлы, подписи изображений. Поиск скрывает неподходящие элементы
+ * archive-container и подсвечивает совпадения в заголовках и предпросмотре (в том числе в текстовом слое PDF)
+ */
+export class CapsuleSearch {
+    /**
+     * @param {DigitalTimeCapsule} parent - Родительский класс
+     */
+    constructor(parent) {
+        this.parent = parent;
+        this.logger = logger;
+        this.index = new SearchIndex();
+        this.container = null;
+        this.input = null;
+        this.status = null;
+
+        // Термы текущего запроса и найденные элементы (null - запрос пуст)
+        this.terms = [];
+        this.results = null;
+
+        // Номер построения индекса: результат построения для прежней капсулы отбрасывается
+        this.generation = 0;
+        this.indexing = false;
+        this.total = 0;
+        this.inputTimer = null;
+    }
+
+    /**
+     * Подключение поля поиска
+     */
+    initialize() {
+        this.container = document.getElementById('capsule-search');
+        this.input = document.getElementById('capsuleSearchInput');
+        this.status = document.getElementById('capsule-search-status');
+        if (!this.container || !this.input) return;
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.inputTimer);
+            this.inputTimer = setTimeout(() => this.apply(), INPUT_DELAY);
+        });
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key !== 'Escape' || !this.input.value) return;
+            event.preventDefault();
+            this.input.value = '';
+            this.apply();
+        });
+    }
+
+    /**
+     * Доступен ли поиск
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(this.container && this.input);
+    }
+
+    /**
+     * Сброс поиска и индекса (при выгрузке капсулы)
+     */
+    reset() {
+        this.generation++;
+        clearTimeout(this.inputTimer);
+        this.index.clear();
+        this.terms = [];
+        this.results = null;
+        this.indexing = false;
+        this.total = 0;
+        if (!this.isEnabled()) return;
+        this.input.value = '';
+        this.container.hidden = true;
+        this.updateStatus();
+    }
+
+    /**
+     * Построение индекса отображенной капсулы
+     * Элементы индексируются по одному; если запрос уже введен, результаты обновляются по мере индексации
+     * @param {ArchiveItem[]} items - Элементы манифеста (индекс элемента совпадает с data-index в archive-container)
+     * @param {AbortSignal|null} [signal] - Сигнал отмены загрузки
+     * @returns {Promise<void>}
+     */
+    async buildIndex(items, signal = null) {
+        if (!this.isEnabled()) return;
+        const generation = ++this.generation;
+        const entries = items
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.type.toUpperCase() !== 'КАПСУЛА');
+
+        this.index.clear();
+        this.total = entries.length;
+        this.indexing = true;
+        this.container.hidden = false;
+        this.apply();
+
+        const operationId = this.logger.pushOperation('CapsuleSearch.buildIndex', { itemsCount: entries.length });
+        try {
+            for (const { item, index } of entries) {
+                signal?.throwIfAborted();
+                const fields = await this.collectFields(item);
+                if (generation !== this.generation) return;
+                this.index.add(index, fields);
+                if (this.results) {
+                    // Новый документ меняет только свой результат: обновляется только его элемент
+                    this.results = this.index.search(this.terms);
+                    this.updateElement(document.querySelector(`#archive-container > .archive-item[data-index="${index}"]`));
+                }
+                this.updateStatus();
+            }
+            this.logger.info('Индекс поиска построен', { documents: this.index.size, stems: this.index.stems.size, operationId });
+        } catch (error) {
+            if (signal?.aborted) return;
+            this.logger.logError(error, { operationId });
+        } finally {
+            if (generation === this.generation) {
+                this.indexing = false;
+                this.updateStatus();
+            }
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Поля элемента для индекса; содержимое, которое не удалось прочитать, пропускается
+     * @param {ArchiveItem} item - Элемент манифеста
+     * @returns {Promise<Array<{name: string, text: string, page?: number}>>}
+     */
+    async collectFields(item) {
+        const fields = [
+            { name: 'title', text: item.title },
+            { name: 'description', text: item.description },
+            { name: 'tags', text: (item.tags || []).join(' ') },
+            { name: 'details', text: [item.author, item.location, item.filename].filter(Boolean).join(' ') }
+        ];
+        const extension = item.filename.split('.').pop().toLowerCase();
+        const archiveService = this.parent.archiveService;
+
+        const addContent = async (name, read) => {
+            try {
+                fields.push(...await read());
+            } catch (error) {
+                this.logger.warn('Содержимое файла не добавлено в индекс поиска', { filename: item.filename, field: name, error: error.message });
+            }
+        };
+
+        if (extension === 'pdf') {
+            const metadata = pdfMetadataCache.getMetadata(item.filename);
+            if (metadata) {
+                fields.push(
+                    { name: 'title', text: metadata.title },
+                    { name: 'description', text: metadata.subject },
+                    { name: 'tags', text: (metadata.keywords || []).join(' ') },
+                    { name: 'details', text: metadata.author }
+                );
+            }
+            await addContent('pdf', async () => {
+                const text = await this.parent.renderer.extractPdfText(item.filename);
+                return (text?.pages || []).map((pageText, pageIndex) => ({ name: 'pdf', text: pageText, page: pageIndex + 1 }));
+            });
+        } else if (TEXT_EXTENSIONS.includes(extension)) {
+            await addContent('text', async () => {
+                const file = await archiveService.extractFile(item.filename);
+                return file ? [{ name: 'text', text: await file.async('text') }] : [];
+            });
+        } else if (IMAGE_EXTENSIONS.includes(extension)) {
+            await addContent('image', async () => {
+                const file = await archiveService.extractFile(item.filename);
+                if (!file) return [];
+                const metadata = ImageService.getDisplayMetadata(await ImageService.getCachedMetadata(await file.async('uint8array')));
+                const caption = [metadata.title, metadata.description, ...(metadata.keywords || [])]
+                    .filter(Boolean)
+                    .map(String)
+                    .join(' ');
+                return [{ name: 'image', text: caption }];
+            });
+        }
+
+        if (this.parent.validator.requirementsProfile.requiresExplanation(item.type)) {
+            await addContent('explanation', async () => {
+                const explanationFile = await this.parent.findExplanationFile(item.filename);
+                return explanationFile ? [{ name: 'explanation', text: await explanationFile.async('text') }] : [];
+            });
+        }
+
+        return fields;
+    }
+
+    /**
+     * Применение запроса: фильтрация элементов archive-container и подсветка совпадений
+     */
+    apply() {
+        if (!this.isEnabled()) return;
+        clearTimeout(this.inputTimer);
+        this.terms = SearchUtils.getTerms(this.input.value);
+        this.results = this.terms.length > 0 ? this.index.search(this.terms) : null;
+
+        const archiveContainer = document.getElementById('archive-container');
+        archiveContainer?.querySelectorAll(':scope > .archive-item').forEach(element => this.updateElement(element));
+        this.updateStatus();
+    }
+
+    /**
+     * Показ или скрытие элемента архива по результатам запроса, подсветка и строка «Найдено в ...»
+     * @param {HTMLElement|null} element - Элемент архива
+     */
+    updateElement(element) {
+        if (!element) return;
+        const match = this.results?.get(Number(element.dataset.index)) || null;
+        element.hidden = Boolean(this.results) && !match;
+        element.querySelector('.search-match-info')?.remove();
+        this.clearHighlights(element);
+        if (!match) return;
+
+        this.highlight(element);
+        this.renderMatchInfo(element, match);
+        this.parent.renderer.pdfViewers.forEach(viewer => {
+            if (element.contains(viewer.container)) this.showPdfMatch(viewer);
+        });
+    }
+
+    /**
+     * Подсветка совпадений в содержимом, загруженном после применения запроса (предпросмотр, текстовый слой PDF)
+     * @param {HTMLElement} element - Обновленный элемент
+     */
+    refreshHighlights(element) {
+        if (!this.results || !element) return;
+        this.clearHighlights(element);
+        this.highlight(element);
+    }
+
+    /**
+     * Переход просмотрщика PDF на первую страницу с совпадением
+     * @param {PdfViewer} viewer - Просмотрщик
+     */
+    showPdfMatch(viewer) {
+        const element = viewer.container.closest('.archive-item');
+        const match = element ? this.results?.get(Number(element.dataset.index)) : null;
+        const page = match?.find(field => field.page)?.page;
+        if (page) viewer.goToPage(page);
+    }
+
+    /**
+     * Обертывание совпавших слов в <mark class="search-highlight">
+     * @param {HTMLElement} root - Элемент
+     */
+    highlight(root) {
+        if (this.terms.length === 0) return;
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.nodeValue.trim() && !node.parentElement?.closest(SKIP_HIGHLIGHT_SELECTOR)
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        for (const node of nodes) {
+            const text = node.nodeValue;
+            const matches = SearchUtils.tokenize(text).filter(({ word }) => {
+                const stem = SearchUtils.stem(word);
+                return this.terms.some(term => SearchUtils.matchesTerm(stem, term));
+            });
+            if (matches.length === 0) continue;
+
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            for (const { word, index } of matches) {
+                fragment.append(text.slice(position, index));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = word;
+                fragment.append(mark);
+                position = index + word.length;
+            }
+            fragment.append(text.slice(position));
+            node.replaceWith(fragment);
+        }
+    }
+
+    /**
+     * Удаление подсветки
+     * @param {HTMLElement} root - Элемент
+     */
+    clearHighlights(root) {
+        root.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(mark.textContent);
+            parent.normalize();
+        });
+    }
+
+    /**
+     * Строка «Найдено в ...» под заголовком найденного элемента
+     * @param {HTMLElement} element - Элемент архива
+     * @param {Array<{name: string, page: number|null}>} fields - Поля с совпадениями
+     */
+    renderMatchInfo(element, fields) {
+        const pages = fields.filter(field => field.page).map(field => field.page);
+        const labels = [...new Set(fields.map(field => field.name))].map(name => {
+            const label = FIELD_LABELS[name] || name;
+            return name === 'pdf' && pages.length > 0 ? `${label} (стр. ${pages.join(', ')})` : label;
+        });
+
+        const info = document.createElement('div');
+        info.className = 'search-match-info';
+        info.textContent = `🔎 Найдено в ${labels.join(', ')}`;
+        const header = element.querySelector('.item-header');
+        if (header) {
+            header.after(info);
+        } else {
+            element.prepend(info);
+        }
+    }
+
+    /**
+     * Строка состояния: количество найденных элементов и ход индексации
+     */
+    updateStatus() {
+        if (!this.status) return;
+        const parts = [];
+        if (this.results) {
+            parts.push(this.results.size > 0 ? `Найдено: ${this.results.size} из ${this.total}` : 'Ничего не найдено');
+        }
+        if (this.indexing) {
+            parts.push(`Индексация содержимого: ${this.index.size} из ${this.total}…`);
+        }
+        this.status.textContent = parts.join('. ');
+    }
+}
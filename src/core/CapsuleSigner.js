@@ -0,0 +1,283 @@
+import JSZip from 'jszip';
+import { logger } from '../logger.js';
+import { ArchiveService } from '../services/ArchiveService.js';
+import { ChecksumService } from '../services/ChecksumService.js';
+import { SignatureService } from '../services/SignatureService.js';
+
+/**
+ * Имя файла ключа подписи для скачивания
+ */
+const KEY_FILENAME = 'ключ_подписи.json';
+
+/**
+ * Страница подписания (запечатывания) загруженной капсулы
+ * Ключи создаются в браузере; подпись записывается в копию архива (signature.json),
+ * которая повторно открывается в просмотрщике для проверки и затем скачивается
+ */
+export class CapsuleSigner {
+    /**
+     * @param {DigitalTimeCapsule} parent - Родительский класс
+     */
+    constructor(parent) {
+        this.parent = parent;
+        this.logger = logger;
+        this.container = null;
+
+        // Ключи хранятся только в памяти страницы; для повторного использования их можно скачать в файл
+        // Имя подписывающего относится к открытой капсуле, имя из файла ключа - к ключу
+        this.signer = '';
+        this.keySigner = '';
+        // Алгоритм для создания нового ключа и алгоритм текущего ключа
+        this.algorithmId = SignatureService.ALGORITHMS[0].id;
+        this.keyAlgorithmId = null;
+        this.keyPair = null;
+        this.fingerprint = null;
+        this.supportedAlgorithms = null;
+    }
+
+    /**
+     * Открытие страницы подписания
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const section = document.getElementById('signer-section');
+        this.container = document.getElementById('signer-container');
+        if (!section || !this.container) return;
+
+        if (!this.supportedAlgorithms) {
+            this.supportedAlgorithms = [];
+            for (const algorithm of SignatureService.ALGORITHMS) {
+                if (await SignatureService.isAlgorithmSupported(algorithm.id)) {
+                    this.supportedAlgorithms.push(algorithm);
+                }
+            }
+        }
+        if (!this.signer) {
+            const capsuleItem = (this.parent.currentItems || []).find(item => item.type.toUpperCase() === 'КАПСУЛА');
+            this.signer = capsuleItem?.author || this.keySigner;
+        }
+
+        this.render();
+        section.hidden = false;
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.logger.trackUserAction('signer_opened', { archiveName: this.parent.currentArchiveName });
+    }
+
+    /**
+     * Закрытие страницы подписания
+     */
+    close() {
+        const section = document.getElementById('signer-section');
+        if (section) section.hidden = true;
+    }
+
+    /**
+     * Сброс имени подписывающего при смене капсулы
+     * Имя подставляется из автора капсулы, поэтому не должно переходить к следующей капсуле; ключ сохраняется
+     */
+    reset() {
+        this.close();
+        this.signer = '';
+    }
+
+    /**
+     * Отрисовка страницы подписания
+     */
+    render() {
+        const escape = (text) => this.parent.escapeHtml(text || '');
+
+        this.container.innerHTML = `
+            <div class="signer">
+                <div class="builder-header">
+                    <h2 class="section-title">🔏 Подписание капсулы: ${escape(this.parent.currentArchiveName)}</h2>
+                    <button type="button" class="btn btn-secondary" id="signer-close">Закрыть</button>
+                </div>
+                <p class="signer-description">
+                    Подпись фиксирует автора и содержимое капсулы: при открытии просмотрщик проверит,
+                    что ни один файл не изменен. Ключи создаются в браузере и никуда не отправляются.
+                </p>
+
+                <label class="builder-field">
+                    <span>Кто запечатывает капсулу</span>
+                    <input type="text" id="signer-name" value="${escape(this.signer)}" placeholder="Фамилия И.О.">
+                </label>
+
+                <fieldset class="builder-capsule">
+                    <legend>Ключ подписи</legend>
+                    <label class="builder-field">
+                        <span>Алгоритм</span>
+                        <select id="signer-algorithm">
+                            ${this.supportedAlgorithms.map(algorithm => `
+                                <option value="${algorithm.id}" ${algorithm.id === this.algorithmId ? 'selected' : ''}>${escape(algorithm.label)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <p class="signer-key-status" id="signer-key-status">
+                        ${this.keyPair
+                            ? `Ключ готов, отпечаток: <code>${escape(SignatureService.formatFingerprint(this.fingerprint))}</code>`
+                            : 'Ключ не выбран: создайте новый или загрузите сохраненный ранее'}
+                    </p>
+                    <div class="signer-key-actions">
+                        <button type="button" class="btn btn-secondary" id="signer-generate">🔑 Создать новый ключ</button>
+                        <button type="button" class="btn btn-secondary" id="signer-load">📂 Загрузить ключ</button>
+                        <button type="button" class="btn btn-secondary" id="signer-save" ${this.keyPair ? '' : 'disabled'}>💾 Сохранить ключ</button>
+                        <input type="file" id="signer-key-input" accept=".json,application/json" hidden>
+                    </div>
+                    <small class="signer-key-warning">Файл ключа содержит закрытый ключ: храните его в секрете. Тем же ключом можно подписывать следующие капсулы.</small>
+                </fieldset>
+
+                <div class="builder-actions">
+                    <button type="button" class="btn btn-primary" id="signer-sign" ${this.keyPair ? '' : 'disabled'}>🔏 Подписать и скачать</button>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('#signer-close').addEventListener('click', () => this.close());
+        this.container.querySelector('#signer-name').addEventListener('input', (event) => {
+            this.signer = event.target.value;
+        });
+        this.container.querySelector('#signer-algorithm').addEventListener('change', (event) => {
+            this.algorithmId = event.target.value;
+        });
+
+        const keyInput = this.container.querySelector('#signer-key-input');
+        this.container.querySelector('#signer-load').addEventListener('click', () => keyInput.click());
+        keyInput.addEventListener('change', (event) => {
+            const [file] = event.target.files;
+            if (file) {
+                this.loadKeyFile(file).catch(error => this.parent.showError(`Не удалось загрузить ключ: ${error.message}`));
+            }
+            event.target.value = '';
+        });
+
+        this.container.querySelector('#signer-generate').addEventListener('click', () => {
+            this.generateKey().catch(error => this.parent.showError(`Не удалось создать ключ: ${error.message}`));
+        });
+        this.container.querySelector('#signer-save').addEventListener('click', () => {
+            this.saveKeyFile().catch(error => this.parent.showError(`Не удалось сохранить ключ: ${error.message}`));
+        });
+        this.container.querySelector('#signer-sign').addEventListener('click', () => {
+            this.signArchive().catch(error => this.parent.showError(`Ошибка подписания капсулы: ${error.message}`));
+        });
+    }
+
+    /**
+     * Установка пары ключей и обновление страницы
+     * @param {CryptoKeyPair} keyPair - Пара ключей
+     * @param {string} algorithmId - Идентификатор алгоритма
+     * @returns {Promise<void>}
+     */
+    async setKeyPair(keyPair, algorithmId) {
+        this.keyPair = keyPair;
+        this.keyAlgorithmId = algorithmId;
+        this.fingerprint = await SignatureService.getKeyFingerprint(await crypto.subtle.exportKey('jwk', keyPair.publicKey));
+        this.render();
+    }
+
+    /**
+     * Создание новой пары ключей
+     * Прежний ключ заменяется, поэтому перед заменой запрашивается подтверждение
+     * @returns {Promise<void>}
+     */
+    async generateKey() {
+        if (this.keyPair && !window.confirm('Заменить текущий ключ новым? Если текущий ключ не сохранен, он будет потерян.')) {
+            return;
+        }
+        await this.setKeyPair(await SignatureService.generateKeyPair(this.algorithmId), this.algorithmId);
+        this.logger.trackUserAction('signing_key_generated', { algorithm: this.algorithmId });
+    }
+
+    /**
+     * Загрузка ключа, сохраненного ранее
+     * @param {File} file - Файл ключа
+     * @returns {Promise<void>}
+     */
+    async loadKeyFile(file) {
+        const { algorithmId, signer, keyPair } = await SignatureService.importKeyFile(await file.text());
+        this.keySigner = signer;
+        if (!this.signer.trim()) this.signer = signer;
+        await this.setKeyPair(keyPair, algorithmId);
+        this.logger.trackUserAction('signing_key_loaded', { algorithm: algorithmId });
+    }
+
+    /**
+     * Скачивание файла ключа
+     * @returns {Promise<void>}
+     */
+    async saveKeyFile() {
+        const keyFile = await SignatureService.exportKeyFile(this.keyPair, this.keyAlgorithmId, this.signer.trim());
+        const blob = new Blob([JSON.stringify(keyFile, null, 2)], { type: 'application/json' });
+        this.parent.capsuleBuilder.downloadZip(blob, KEY_FILENAME);
+    }
+
+    /**
+     * Копия загруженного архива с файлом подписи
+     * Прежний signature.json не копируется; манифест из мастера записывается в копию
+     * @returns {Promise<Blob>} - ZIP-архив
+     */
+    async buildSignedZip() {
+        const archiveService = this.parent.archiveService;
+        const zip = new JSZip();
+        const files = new Map();
+
+        const addFile = async (path, data) => {
+            zip.file(path, data);
+            files.set(path, await ChecksumService.sha256(data));
+        };
+
+        for (const filename of archiveService.getFileList()) {
+            if (filename.toLowerCase() === SignatureService.SIGNATURE_FILENAME) continue;
+            const archiveFile = await archiveService.extractFile(filename);
+            await addFile(filename, await archiveFile.async('uint8array'));
+        }
+        const generatedManifest = this.parent.generatedManifest;
+        if (generatedManifest && !files.has(generatedManifest.filename)) {
+            await addFile(generatedManifest.filename, new TextEncoder().encode(generatedManifest.text));
+        }
+
+        const seal = await SignatureService.sign({
+            files,
+            signer: this.signer.trim(),
+            keyPair: this.keyPair,
+            algorithmId: this.keyAlgorithmId
+        });
+        zip.file(SignatureService.SIGNATURE_FILENAME, JSON.stringify(seal, null, 2));
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Подписание капсулы: подписанная копия открывается в просмотрщике и скачивается
+     * @returns {Promise<void>}
+     */
+    async signArchive() {
+        const operationId = this.logger.pushOperation('CapsuleSigner.signArchive', { archiveName: this.parent.currentArchiveName });
+        try {
+            if (!this.signer.trim()) {
+                this.parent.showError('Укажите, кто запечатывает капсулу');
+                return;
+            }
+            if (this.parent.archiveService.getFileList().some(filename => filename.toLowerCase() === SignatureService.SIGNATURE_FILENAME)
+                && !window.confirm('Капсула уже подписана. Заменить подпись?')) {
+                return;
+            }
+
+            const blob = await this.buildSignedZip();
+            const archiveName = ArchiveService.getZipFileName(this.parent.currentArchiveName || 'капсула_времени.zip');
+
+            // Подписанная копия открывается так же, как загруженный архив: подпись проверяется в описании капсулы
+            await this.parent.loadArchiveFile(new File([blob], archiveName, { type: 'application/zip' }));
+            this.parent.capsuleBuilder.downloadZip(blob, archiveName);
+            this.close();
+
+            this.parent.updateGlobalStatus(`Капсула подписана: ${this.signer.trim()}`, 'success');
+            this.logger.trackUserAction('capsule_signed', { algorithm: this.keyAlgorithmId, size: blob.size });
+            this.logger.info('Капсула подписана', { algorithm: this.keyAlgorithmId, size: blob.size, operationId });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+}
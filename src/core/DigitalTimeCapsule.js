@@ -1,10 +1,25 @@
 import { ArchiveService } from '../services/ArchiveService.js';
+import { ArchiveWorkerProxy } from '../services/ArchiveWorkerProxy.js';
 import { logger } from '../logger.js';
 import { ArchiveValidator } from './ArchiveValidator.js';
 import { ArchiveRenderer } from './ArchiveRenderer.js';
 import { ArchiveNavigation } from './ArchiveNavigation.js';
 import { ThemeManager } from './ThemeManager.js';
 import { UrlManager } from './UrlManager.js';
+import { ManifestWizard } from './ManifestWizard.js';
+import { CapsuleBuilder } from './CapsuleBuilder.js';
+import { CapsuleSigner } from './CapsuleSigner.js';
+import { TimeLockManager } from './TimeLockManager.js';
+import { CapsuleLibrary } from './CapsuleLibrary.js';
+import { CapsuleSearch } from './CapsuleSearch.js';
+import { ArchiveItem } from '../models/ArchiveItem.js';
+import { RequirementsProfile } from '../models/RequirementsProfile.js';
+import { ManifestService } from '../services/ManifestService.js';
+import { CapsuleLibraryService } from '../services/CapsuleLibraryService.js';
+import { pdfMetadataCache } from '../services/PDFMetadataCache.js';
+import { PDFService } from '../services/PDFService.js';
+import { ArchiveError } from '../models/ArchiveError.js';
+import { FolderUtils } from '../utils/folderUtils.js';
 
 /**
  * Основной класс для управления цифровой капсулой времени
@@ -15,6 +30,7 @@ export class DigitalTimeCapsule {
      */
     constructor() {
         this.zip = null;
+        this.currentItems = null;
         this.logger = logger;
         this.logger.info('DigitalTimeCapsule инициализирован', {
             userAgent: navigator.userAgent,
@@ -27,15 +43,44 @@ export class DigitalTimeCapsule {
         this.navigation = new ArchiveNavigation(this);
         this.themeManager = new ThemeManager(this);
         this.urlManager = new UrlManager(this);
+        this.manifestWizard = new ManifestWizard(this);
+        this.capsuleBuilder = new CapsuleBuilder(this);
+        this.capsuleSigner = new CapsuleSigner(this);
+        this.timeLockManager = new TimeLockManager(this);
+        this.capsuleLibrary = new CapsuleLibrary(this);
+        this.capsuleSearch = new CapsuleSearch(this);
         
-        // Инициализация прогресс баров валидации
+        // Манифест, созданный мастером для архива без манифеста
+        this.generatedManifest = null;
+
+        // Манифест капсулы, открытой из библиотеки: элементы, разобранные при сохранении капсулы
+        this.libraryManifest = null;
+
+        // Имя загруженного архива и итог его последней проверки (для режима редактирования)
+        this.currentArchiveName = null;
+        this.lastValidation = null;
+
+        // Зашифрованный архив, ожидающий ввода пароля
+        this.pendingArchiveFile = null;
+
+        // AbortController загрузки, которая выполняется сейчас: ее можно отменить или заменить загрузкой другого архива
+        this.loadController = null;
+        
+        // Базовый профиль требований (встроенный или загруженный пользователем)
+        // и конфигурация requirements.json из текущего архива
+        this.baseRequirementsProfile = this.validator.requirementsProfile;
+        this.archiveRequirements = null;
+        
+        // Инициализация строк требований и прогресс баров валидации
         setTimeout(() => {
-            if (this.validator.progressManager) {
-                this.validator.progressManager.initializeValidationProgress();
-            }
+            this.validator.renderRequirementsOverview();
+            this.updateRequirementsProfileName();
         }, 0);
         
         this.initializeEventListeners();
+        this.capsuleLibrary.initialize();
+        this.capsuleSearch.initialize();
+        this.loadRequirementsProfileFromUrl();
         this.themeManager.initializeTheme();
         this.clearGlobalStatus(); // Очищаем глобальный статус при инициализации
     }
@@ -113,6 +158,46 @@ export class DigitalTimeCapsule {
             const uploadDragArea = document.getElementById('uploadDragArea');
             const themeToggle = document.getElementById('theme-toggle');
             
+            const builderOpenButton = document.getElementById('builderOpenButton');
+            if (builderOpenButton) {
+                builderOpenButton.addEventListener('click', () => this.capsuleBuilder.open());
+                this.logger.debug('Обработчик открытия конструктора капсулы добавлен');
+            }
+
+            const editArchiveButton = document.getElementById('editArchiveButton');
+            if (editArchiveButton) {
+                editArchiveButton.addEventListener('click', () => {
+                    this.capsuleBuilder.openForArchive()
+                        .catch(error => this.showError(`Не удалось открыть капсулу для редактирования: ${error.message}`));
+                });
+                this.logger.debug('Обработчик редактирования капсулы добавлен');
+            }
+
+            const signArchiveButton = document.getElementById('signArchiveButton');
+            if (signArchiveButton) {
+                signArchiveButton.addEventListener('click', () => {
+                    this.capsuleSigner.open()
+                        .catch(error => this.showError(`Не удалось открыть подписание капсулы: ${error.message}`));
+                });
+                this.logger.debug('Обработчик подписания капсулы добавлен');
+            }
+
+            const requirementsInput = document.getElementById('requirementsUpload');
+            const requirementsButton = document.getElementById('requirementsUploadButton');
+            
+            if (requirementsInput && requirementsButton) {
+                requirementsButton.addEventListener('click', () => requirementsInput.click());
+                requirementsInput.addEventListener('change', (event) => {
+                    const file = event.target.files[0];
+                    if (!file) return;
+                    this.logger.trackUserAction('requirements_selected', { fileName: file.name });
+                    this.handleRequirementsUpload(file)
+                        .catch(error => this.showError(`Ошибка загрузки профиля требований: ${error.message}`));
+                    event.target.value = '';
+                });
+                this.logger.debug('Обработчик загрузки профиля требований добавлен');
+            }
+
             if (uploadInput) {
                 uploadInput.addEventListener('change', (event) => {
                     this.logger.trackUserAction('file_selected', { 
@@ -122,7 +207,47 @@ export class DigitalTimeCapsule {
                     this.handleZipUpload(event)
                         .catch(error => this.showError(`Ошибка загрузки: ${error.message}`));
                 });
-                this.logger.debug('Обработчик загрузки ZIP файла добавлен');
+                this.logger.debug('Обработчик загрузки архива добавлен');
+            }
+
+            const folderInput = document.getElementById('folderUpload');
+            const folderButton = document.getElementById('folderUploadButton');
+            if (folderInput && folderButton) {
+                folderButton.addEventListener('click', () => folderInput.click());
+                folderInput.addEventListener('change', (event) => {
+                    const files = FolderUtils.fromFileList(event.target.files);
+                    if (files.length === 0) return;
+                    // Пути файлов начинаются с имени выбранной папки
+                    const folderName = files[0].path.split('/')[0];
+                    this.logger.trackUserAction('folder_selected', { folderName, filesCount: files.length });
+                    this.loadArchiveFolder(folderName, files)
+                        .catch(error => this.showError(`Ошибка загрузки: ${error.message}`));
+                    event.target.value = '';
+                });
+                this.logger.debug('Обработчик загрузки папки капсулы добавлен');
+            }
+
+            const cancelUploadButton = document.getElementById('cancelUploadButton');
+            if (cancelUploadButton) {
+                cancelUploadButton.addEventListener('click', () => this.cancelUpload());
+                this.logger.debug('Обработчик отмены загрузки добавлен');
+            }
+
+            const passwordForm = document.getElementById('archive-password-form');
+            const passwordCancel = document.getElementById('archivePasswordCancel');
+            if (passwordForm) {
+                passwordForm.addEventListener('submit', (event) => {
+                    event.preventDefault();
+                    this.submitArchivePassword();
+                });
+                if (passwordCancel) {
+                    passwordCancel.addEventListener('click', () => {
+                        this.logger.trackUserAction('archive_password_cancelled', { fileName: this.pendingArchiveFile?.name });
+                        this.hidePasswordPrompt();
+                        this.updateGlobalStatus('Открытие зашифрованного архива отменено', 'info');
+                    });
+                }
+                this.logger.debug('Обработчик ввода пароля архива добавлен');
             }
 
             // Инициализация drag and drop функциональности
@@ -157,6 +282,90 @@ export class DigitalTimeCapsule {
         }
     }
 
+    /**
+     * Загрузка профиля требований по адресу из параметра ?requirements=
+     * @returns {Promise<void>}
+     */
+    async loadRequirementsProfileFromUrl() {
+        const profileUrl = new URLSearchParams(window.location.search).get('requirements');
+        if (!profileUrl) return;
+
+        try {
+            const profile = await RequirementsProfile.load(profileUrl);
+            this.applyRequirementsProfile(profile);
+            if (this.archiveService && this.currentItems) {
+                await this.validateArchive(this.currentItems);
+            }
+        } catch (error) {
+            this.logger.logError(error, { profileUrl });
+            this.showError(`Не удалось загрузить профиль требований: ${error.message}`);
+        }
+    }
+
+    /**
+     * Обработка выбранного пользователем файла профиля требований
+     * @param {File} file - JSON файл профиля
+     * @returns {Promise<void>}
+     */
+    async handleRequirementsUpload(file) {
+        const profile = RequirementsProfile.fromJSON(await file.text());
+        this.applyRequirementsProfile(profile);
+        this.updateGlobalStatus(`Профиль требований загружен: ${profile.name}`, 'success');
+
+        // Если архив уже загружен, перепроверяем его по новому профилю
+        if (this.archiveService && this.currentItems) {
+            await this.validateArchive(this.currentItems);
+        }
+    }
+
+    /**
+     * Применение базового профиля требований к валидатору и интерфейсу.
+     * Если в загруженном архиве есть requirements.json, он накладывается поверх профиля
+     * @param {RequirementsProfile} profile - Профиль требований
+     */
+    applyRequirementsProfile(profile) {
+        this.baseRequirementsProfile = profile;
+        const activeProfile = this.archiveRequirements
+            ? profile.merge(this.archiveRequirements, RequirementsProfile.SOURCES.ARCHIVE)
+            : profile;
+        this.validator.setRequirementsProfile(activeProfile);
+        this.updateRequirementsProfileName();
+        this.capsuleBuilder.refresh();
+    }
+
+    /**
+     * Чтение requirements.json из загруженного архива
+     * Ошибки в файле не прерывают загрузку: архив проверяется по базовому профилю
+     * @returns {Promise<{config: Object|null, error: string|null}>} - Конфигурация требований архива
+     */
+    async loadArchiveRequirements() {
+        const requirementsFile = await this.archiveService.extractFile('requirements.json');
+        if (!requirementsFile) {
+            return { config: null, error: null };
+        }
+
+        try {
+            const config = RequirementsProfile.parseConfig(await requirementsFile.async('text'));
+            this.logger.info('Найден requirements.json в архиве', { types: Object.keys(config.types) });
+            return { config, error: null };
+        } catch (error) {
+            this.logger.warn('requirements.json из архива проигнорирован', { error: error.message });
+            return { config: null, error: error.message };
+        }
+    }
+
+    /**
+     * Обновление названия текущего профиля требований в секции загрузки
+     */
+    updateRequirementsProfileName() {
+        const profileNameElement = document.getElementById('requirementsProfileName');
+        if (profileNameElement) {
+            const profile = this.validator.requirementsProfile;
+            const sources = profile.getSources().map(source => RequirementsProfile.getSourceLabel(source));
+            profileNameElement.textContent = `${profile.name} (${sources.join(' + ')})`;
+        }
+    }
+
     /**
      * Инициализация drag and drop функциональности
      * @param {HTMLElement} dragArea - Элемент области перетаскивания
@@ -187,6 +396,12 @@ export class DigitalTimeCapsule {
         // Обработка сброса файла
         dragArea.addEventListener('drop', (e) => {
             e.preventDefault();
+            // Папку можно получить только синхронно, пока обрабатывается событие drop
+            const entry = e.dataTransfer.items?.[0]?.webkitGetAsEntry?.();
+            if (entry && entry.isDirectory) {
+                this.handleFolderDrop(entry);
+                return;
+            }
             const files = e.dataTransfer.files;
             if (files.length > 0) {
                 this.handleFileDrop(files[0], fileInput);
@@ -221,8 +436,8 @@ export class DigitalTimeCapsule {
      * @param {HTMLInputElement} fileInput - Элемент input для файлов
      */
     handleFileDrop(file, fileInput) {
-        // Проверка типа файла
-        if (file.type === 'application/zip' || file.name.toLowerCase().endsWith('.zip')) {
+        // Проверка типа файла по расширению (формат затем определяется по сигнатуре)
+        if (file.type === 'application/zip' || ArchiveService.isSupportedFileName(file.name)) {
             // Создаем DataTransfer объект и добавляем файл
             const dataTransfer = new DataTransfer();
             dataTransfer.items.add(file);
@@ -235,10 +450,21 @@ export class DigitalTimeCapsule {
             // Обновляем превью файла
             this.updateFilePreview(file);
         } else {
-            this.showError('Пожалуйста, выберите ZIP-файл');
+            this.showError('Пожалуйста, выберите архив (ZIP, 7z, TAR, TAR.GZ, RAR, ISO) или папку капсулы');
         }
     }
 
+    /**
+     * Обработка перетащенной папки (распакованной капсулы)
+     * @param {FileSystemDirectoryEntry} directoryEntry - Перетащенная папка
+     */
+    handleFolderDrop(directoryEntry) {
+        this.logger.trackUserAction('folder_dropped', { folderName: directoryEntry.name });
+        FolderUtils.readDirectoryEntry(directoryEntry)
+            .then(files => this.loadArchiveFolder(directoryEntry.name, files))
+            .catch(error => this.showError(`Ошибка загрузки папки: ${error.message}`));
+    }
+
     /**
      * Обновление превью выбранного файла
      * @param {File} file - Выбранный файл
@@ -304,6 +530,7 @@ export class DigitalTimeCapsule {
         if (uploadProgressText) {
             uploadProgressText.textContent = text;
         }
+        this.uploadProgressText = text;
 
         // Обновляем прогресс через прямое манипулирование DOM
         if (uploadProgressBar) {
@@ -329,6 +556,21 @@ export class DigitalTimeCapsule {
         this.logger.debug(`Обновление прогресса загрузки: ${Math.round(progress)}%`, { progress: Math.round(progress), text, timestamp: new Date().toISOString() });
     }
 
+    /**
+     * Показывает прогресс распаковки файлов архива рядом с текстом текущего этапа загрузки
+     * @param {ExtractionProgressDetails|null} details - Прогресс распаковки из ArchiveService
+     */
+    showExtractionProgress(details) {
+        const uploadProgressText = document.getElementById('upload-progress-text');
+        if (!uploadProgressText || !details) return;
+
+        const bytes = details.bytesTotal
+            ? `${this.formatFileSize(details.bytesDone)} из ${this.formatFileSize(details.bytesTotal)}`
+            : this.formatFileSize(details.bytesDone);
+        const current = details.currentFile ? `распаковка ${details.currentFile}, ` : '';
+        uploadProgressText.textContent = `${this.uploadProgressText || ''} (${current}файлов: ${details.entriesDone}/${details.entriesTotal}, ${bytes})`;
+    }
+
     /**
      * Скрывает прогресс загрузки
      */
@@ -344,24 +586,189 @@ export class DigitalTimeCapsule {
      * @param {string} text - Текст манифеста
      * @returns {{items: ArchiveItem[], errors: ValidationError[]}} - Объект с элементами и ошибками
      */
-    parseManifest(text) {
+    parseManifest(text, format = 'txt') {
+        if (format === 'json' || format === 'yaml') {
+            return this.validator.parseStructuredManifest(text, format);
+        }
         return this.validator.parseManifest(text);
     }
 
+    /**
+     * Поиск и разбор манифеста загруженного архива
+     * Структурированный манифест (manifest.json / manifest.yaml) имеет приоритет над manifest.txt.
+     * Если в архиве нет манифеста, используется манифест, созданный мастером.
+     * Для капсулы из библиотеки элементы восстанавливаются из сохраненных без повторного разбора
+     * @returns {Promise<{items: ArchiveItem[], errors: Array, warnings: string[], manifestName: string, manifestFormat: string, manifestText: string}|null>}
+     *          Разобранный манифест или null, если манифеста нет
+     */
+    async readManifest() {
+        if (this.libraryManifest) {
+            const { items, manifestName, manifestFormat } = this.libraryManifest;
+            return {
+                items: items.map(item => ArchiveItem.fromObject(item)),
+                errors: [],
+                warnings: [],
+                manifestName,
+                manifestFormat,
+                manifestText: ''
+            };
+        }
+
+        const manifest = await ManifestService.findManifest(this.archiveService) || this.generatedManifest;
+        if (!manifest) {
+            this.logger.warn('Манифест не найден в архиве');
+            return null;
+        }
+
+        this.logger.debug('Манифест прочитан', { manifestName: manifest.filename, manifestLength: manifest.text.length });
+        const { items, errors, warnings = [] } = this.parseManifest(manifest.text, manifest.format);
+        return {
+            items,
+            errors,
+            warnings,
+            manifestName: manifest.filename,
+            manifestFormat: manifest.format,
+            manifestText: manifest.text
+        };
+    }
+
+    /**
+     * Открытие мастера создания манифеста для архива без манифеста
+     * @returns {Promise<void>}
+     */
+    async openManifestWizard() {
+        const archiveContainer = document.getElementById('archive-container');
+        const archiveSection = document.getElementById('archive-section');
+        if (!archiveContainer) return;
+
+        this.updateGlobalStatus('В архиве нет манифеста: заполните его в мастере ниже', 'info');
+        await this.manifestWizard.open(archiveContainer);
+        if (archiveSection) archiveSection.hidden = false;
+    }
+
+    /**
+     * Применение манифеста, созданного мастером, к загруженному архиву
+     * @param {string} manifestText - Текст manifest.txt
+     * @returns {Promise<void>}
+     */
+    async applyGeneratedManifest(manifestText) {
+        const operationId = this.logger.pushOperation('applyGeneratedManifest');
+        try {
+            this.generatedManifest = { filename: 'manifest.txt', format: 'txt', text: manifestText };
+            const { items } = await this.readManifest();
+            this.currentItems = items;
+
+            const archiveContainer = document.getElementById('archive-container');
+            if (archiveContainer) archiveContainer.innerHTML = '';
+            const renderedItems = await this.renderArchive();
+            this.lastValidation = await this.validateArchive(renderedItems || items);
+
+            const validationSection = document.getElementById('validation-section');
+            if (validationSection) validationSection.hidden = false;
+            this.setArchiveEditable(true);
+            this.updateGlobalStatus(`Архив открыт с манифестом из мастера: ${items.length} файлов`, 'success');
+            this.logger.info('Применен манифест из мастера', { itemsCount: items.length, operationId });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            this.showError(`Не удалось применить манифест: ${error.message}`);
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Показ или скрытие кнопок редактирования и подписания загруженной капсулы
+     * @param {boolean} editable - Архив загружен и его можно редактировать
+     */
+    setArchiveEditable(editable) {
+        const editArchiveButton = document.getElementById('editArchiveButton');
+        const signArchiveButton = document.getElementById('signArchiveButton');
+        if (editArchiveButton) editArchiveButton.hidden = !editable;
+        if (signArchiveButton) signArchiveButton.hidden = !editable;
+    }
+
+    /**
+     * Показ формы ввода пароля для зашифрованного архива
+     * @param {File} file - Файл архива, который откроется после ввода пароля
+     * @param {string} code - Код ошибки из ArchiveError.CODES
+     */
+    showPasswordPrompt(file, code) {
+        const passwordForm = document.getElementById('archive-password-form');
+        if (!passwordForm) return;
+
+        this.pendingArchiveFile = file;
+        const isWrongPassword = code === ArchiveError.CODES.WRONG_PASSWORD;
+        document.getElementById('archive-password-label').textContent = `Архив «${file.name}» защищен паролем`;
+        document.getElementById('archive-password-error').textContent = isWrongPassword ? 'Неверный пароль, попробуйте еще раз' : '';
+        passwordForm.hidden = false;
+
+        const passwordInput = document.getElementById('archivePasswordInput');
+        passwordInput.value = '';
+        passwordInput.focus();
+        this.updateGlobalStatus(isWrongPassword ? 'Неверный пароль архива' : 'Архив защищен паролем: введите пароль', isWrongPassword ? 'error' : 'info');
+    }
+
+    /**
+     * Скрытие формы ввода пароля
+     */
+    hidePasswordPrompt() {
+        const passwordForm = document.getElementById('archive-password-form');
+        if (passwordForm) passwordForm.hidden = true;
+        this.pendingArchiveFile = null;
+    }
+
+    /**
+     * Повторное открытие зашифрованного архива с введенным паролем
+     */
+    submitArchivePassword() {
+        const file = this.pendingArchiveFile;
+        const password = document.getElementById('archivePasswordInput').value;
+        if (!file || !password) return;
+
+        this.logger.trackUserAction('archive_password_submitted', { fileName: file.name });
+        this.hidePasswordPrompt();
+        this.loadArchiveFile(file, password)
+            .catch(error => this.showError(`Ошибка загрузки: ${error.message}`));
+    }
+
+    /**
+     * Текст ошибки загрузки архива для глобального статуса
+     * @param {Error} error - Ошибка загрузки
+     * @param {{name: string}} file - Файл архива или папка
+     * @returns {string}
+     */
+    getArchiveErrorMessage(error, file) {
+        if (!(error instanceof ArchiveError)) {
+            return `Ошибка при обработке архива: ${error.message}`;
+        }
+        switch (error.code) {
+            case ArchiveError.CODES.CORRUPT:
+                return `Архив поврежден или не является архивом: ${file.name}`;
+            case ArchiveError.CODES.UNSAFE:
+                // Сообщение уже содержит найденные проблемы: размер, степень сжатия, пути файлов
+                return `${file.name}: ${error.message}`;
+            default:
+                return `Ошибка при обработке архива: ${error.message}`;
+        }
+    }
+
     /**
      * Проверка корректности архива
      * @param {Array} items - Элементы архива
+     * @param {AbortSignal|null} [signal] - Сигнал отмены загрузки
+     * @returns {Promise<Object|undefined>} - Итог проверки
      */
-    validateArchive(items) {
-        return this.validator.validateArchive(items);
+    validateArchive(items, signal = null) {
+        return this.validator.validateArchive(items, signal);
     }
 
     /**
      * Отображение архива
-     * @returns {Promise<void>}
+     * @param {AbortSignal|null} [signal] - Сигнал отмены загрузки
+     * @returns {Promise<ArchiveItem[]|null>} - Отображенные элементы (см. ArchiveRenderer.renderArchive)
      */
-    async renderArchive() {
-        return this.renderer.renderArchive();
+    async renderArchive(signal = null) {
+        return this.renderer.renderArchive(signal);
     }
 
     /**
@@ -401,22 +808,139 @@ export class DigitalTimeCapsule {
     }
 
     /**
-     * Обработка загрузки ZIP файла
+     * Обработка загрузки архива
      * @param {Event} event - Событие загрузки файла
      * @returns {Promise<void>}
      */
     async handleZipUpload(event) {
-        const operationId = this.logger.pushOperation('handleZipUpload');
+        const file = event.target.files[0];
+        if (!file) {
+            this.logger.warn('Файл не выбран');
+            return;
+        }
+        return this.loadArchiveFile(file);
+    }
+
+    /**
+     * Прерывание текущей загрузки архива
+     * Загрузка останавливается в ближайшей точке проверки сигнала, поток чтения архива останавливается в teardownCapsule
+     * @param {string} message - Причина (сообщение AbortError)
+     */
+    abortLoading(message) {
+        if (!this.loadController) return;
+        this.loadController.abort(new DOMException(message, 'AbortError'));
+        this.loadController = null;
+    }
+
+    /**
+     * Отмена загрузки пользователем (кнопка «Отмена» в прогрессе загрузки)
+     */
+    cancelUpload() {
+        if (!this.loadController) return;
+        this.logger.trackUserAction('upload_cancelled', { fileName: this.currentArchiveName });
+        this.abortLoading('Загрузка архива отменена');
+        this.teardownCapsule();
+        this.hideUploadProgress();
+        this.updateGlobalStatus('Загрузка архива отменена', 'info');
+    }
+
+    /**
+     * Освобождение загруженной капсулы: поток чтения архива, URL файлов, кэш метаданных и документы PDF,
+     * индекс поиска, отображение
+     * Выполняется перед загрузкой другого архива и при отмене загрузки
+     */
+    teardownCapsule() {
+        this.timeLockManager.stop();
+        this.capsuleSigner.reset();
+        if (this.archiveService instanceof ArchiveWorkerProxy) {
+            this.archiveService.terminate();
+        }
+        this.archiveService = null;
+        this.urlManager.cleanupUrls();
+        pdfMetadataCache.clearCache();
+        this.renderer.destroyPdfViewers();
+        this.capsuleSearch.reset();
+        PDFService.releaseAllDocuments()
+            .catch(error => this.logger.warn('Не удалось освободить документы PDF', { error: error.message }));
+
+        this.currentItems = null;
+        this.generatedManifest = null;
+        this.libraryManifest = null;
+        this.lastValidation = null;
+        this.setArchiveEditable(false);
+
+        const archiveContainer = document.getElementById('archive-container');
+        if (archiveContainer) archiveContainer.innerHTML = '';
+        document.querySelector('#capsule-container #capsule-description')?.remove();
+        ['archive-section', 'validation-section', 'capsule-section'].forEach(sectionId => {
+            const section = document.getElementById(sectionId);
+            if (section) section.hidden = true;
+        });
+    }
+
+    /**
+     * Сохранение открытой капсулы в библиотеку недавних капсул
+     * Выполняется в фоне: ошибка хранилища не влияет на уже показанную капсулу
+     * @param {File|Object} file - Архив или папка капсулы
+     * @param {Object} state - Элементы манифеста, статус и итог проверки (см. CapsuleLibrary.save)
+     */
+    saveToLibrary(file, state) {
+        this.capsuleLibrary.save(file, state)
+            .catch(error => this.logger.warn('Капсула не сохранена в библиотеку', { fileName: file.name, error: error.message }));
+    }
+
+    /**
+     * Загрузка распакованной капсулы (папки)
+     * @param {string} folderName - Имя папки
+     * @param {Array<{path: string, file: File}>} files - Файлы папки с относительными путями
+     * @returns {Promise<void>}
+     */
+    loadArchiveFolder(folderName, files) {
+        const folder = { name: folderName, size: FolderUtils.getTotalSize(files), files };
+        this.updateFilePreview(folder);
+        return this.loadArchiveFile(folder);
+    }
+
+    /**
+     * Загрузка, проверка и отображение архива из файла
+     * Используется при выборе файла пользователем и при пересборке капсулы в режиме редактирования
+     * Для зашифрованного архива без пароля или с неверным паролем показывается форма ввода пароля
+     * @param {File|{name: string, size: number, files: Array<{path: string, file: File}>}} file - Файл архива
+     *        или распакованная папка капсулы (files - файлы папки)
+     * @param {string|null} [password] - Пароль зашифрованного архива
+     * @param {Object} [options] - Параметры
+     * @param {boolean} [options.saveToLibrary] - Сохранить открытую капсулу в библиотеку недавних капсул
+     * @param {Object|null} [options.libraryRecord] - Описание капсулы из библиотеки, если она открыта оттуда
+     * @returns {Promise<void>} - Завершается без ошибки и при отмене загрузки
+     */
+    async loadArchiveFile(file, password = null, { saveToLibrary = true, libraryRecord = null } = {}) {
+        const operationId = this.logger.pushOperation('loadArchiveFile', { fileName: file.name });
+        // Предыдущая загрузка прерывается: новый архив заменяет ее вместе с уже показанной капсулой
+        this.abortLoading('Загрузка архива заменена загрузкой другого архива');
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.loadController = controller;
+        let archiveService = null;
         try {
-            const file = event.target.files[0];
-            if (!file) {
-                this.logger.warn('Файл не выбран', { operationId });
-                return;
+            this.hidePasswordPrompt();
+            this.teardownCapsule();
+            this.currentArchiveName = file.name;
+            const isFolder = Array.isArray(file.files);
+
+            // Капсула из библиотеки: метаданные PDF не извлекаются заново, а манифест без ошибок
+            // не разбирается повторно (запечатанная капсула и манифест с ошибками разбираются как обычно)
+            if (libraryRecord) {
+                const { STATUSES } = CapsuleLibraryService;
+                if (libraryRecord.items && [STATUSES.VALID, STATUSES.INVALID].includes(libraryRecord.status)) {
+                    this.libraryManifest = libraryRecord;
+                }
+                (libraryRecord.pdfMetadata || []).forEach(([filename, metadata]) => pdfMetadataCache.setMetadata(filename, metadata));
             }
 
-            this.logger.info('Начало загрузки ZIP файла', { 
+            this.logger.info('Начало загрузки архива', { 
                 fileName: file.name, 
                 fileSize: file.size, 
+                isFolder,
                 operationId 
             });
 
@@ -425,43 +949,84 @@ export class DigitalTimeCapsule {
             
             // Принудительно обновляем DOM, чтобы прогресс бар был виден до начала тяжелой операции
             await new Promise(resolve => setTimeout(resolve, 0));
+            signal.throwIfAborted();
 
-            // Читаем файл как ArrayBuffer
-            const arrayBuffer = await file.arrayBuffer();
-            this.logger.debug('ZIP файл прочитан в ArrayBuffer', { size: arrayBuffer.byteLength, operationId });
-
-            // Создаем экземпляр ArchiveService
-            this.archiveService = new ArchiveService();
-            this.logger.debug('Начало загрузки архива через ArchiveService', { operationId });
+            // Архив читается в отдельном потоке; локальная ссылка не дает прерванной загрузке обратиться к сервису новой
+            archiveService = ArchiveWorkerProxy.create();
+            this.archiveService = archiveService;
+            this.logger.debug('Начало загрузки архива через ArchiveService', {
+                inWorker: archiveService instanceof ArchiveWorkerProxy,
+                operationId
+            });
 
             // Загружаем архив с отслеживанием прогресса (0-30%)
-            await this.archiveService.loadArchive(arrayBuffer, ArchiveService.ENGINES.SEVEN_ZIP, (progress) => {
+            const onLoadProgress = (progress, details) => {
                 // Масштабируем прогресс 0-100% -> 0-30% для загрузки/распаковки
                 const scaledProgress = Math.round((progress * 30) / 100);
                 this.updateUploadProgress('Загрузка и распаковка архива...', scaledProgress);
+                this.showExtractionProgress(details);
+            };
+
+            if (isFolder) {
+                await archiveService.loadFolder(file.files, onLoadProgress);
+            } else {
+                // Читаем файл как ArrayBuffer
+                const arrayBuffer = await file.arrayBuffer();
+                signal.throwIfAborted();
+                this.logger.debug('Архив прочитан в ArrayBuffer', { size: arrayBuffer.byteLength, operationId });
+
+                // Движок выбирается по сигнатуре: ZIP читается через JSZip, 7z-wasm загружается только для 7z и других форматов
+                await archiveService.loadArchive(arrayBuffer, ArchiveService.ENGINES.AUTO, onLoadProgress, { password });
+            }
+            signal.throwIfAborted();
+            this.logger.info('Архив успешно загружен', {
+                engine: archiveService.getCurrentEngine(),
+                encrypted: archiveService.isEncrypted(),
+                operationId
             });
-            this.logger.info('Архив успешно загружен', { operationId });
+
+            // Файлы распаковываются по запросу во время разбора манифеста, валидации и отображения:
+            // показываем распаковываемый файл под текущим этапом, не меняя прогресс этапа
+            archiveService.setProgressHandler((progress, details) => this.showExtractionProgress(details));
+
+            // Требования, переданные вместе с архивом, накладываются на базовый профиль
+            const archiveRequirements = await this.loadArchiveRequirements();
+            signal.throwIfAborted();
+            this.archiveRequirements = archiveRequirements.config;
+            this.applyRequirementsProfile(this.baseRequirementsProfile);
 
             // Обновляем прогресс - разбор манифеста (30-40%)
             this.updateUploadProgress('Разбор манифеста...', 30);
             await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
 
-            // Проверяем наличие манифеста
-            const manifestFile = await this.archiveService.extractFile('manifest.txt');
-            if (!manifestFile) {
-                const error = new Error('Файл manifest.txt не найден в архиве');
-                this.logger.error('Манифест не найден', { error: error.message, operationId });
-                throw error;
+            // Ищем, читаем и парсим манифест (manifest.json, manifest.yaml или manifest.txt)
+            const manifest = await this.readManifest();
+            signal.throwIfAborted();
+            if (!manifest) {
+                // Манифеста нет - предлагаем создать его в мастере
+                this.updateUploadProgress('Подготовка мастера манифеста...', 40);
+                await this.openManifestWizard();
+                this.hideUploadProgress();
+                return;
             }
 
-            this.logger.debug('Файл манифеста найден', { operationId });
-
-            // Читаем и парсим манифест
-            const manifestText = await manifestFile.async('text');
-            this.logger.debug('Манифест прочитан', { manifestLength: manifestText.length, operationId });
+            const { items, errors, warnings, manifestName, manifestFormat } = manifest;
+            this.currentItems = items;
+            this.logger.info('Манифест разобран', { manifestName, itemsCount: items.length, errorsCount: errors.length, operationId });
 
-            const { items, errors } = this.parseManifest(manifestText);
-            this.logger.info('Манифест разобран', { itemsCount: items.length, errorsCount: errors.length, operationId });
+            // Капсула с отложенным открытием: до даты open_after или до ввода кодовой фразы показывается только описание.
+            // Блокировка проверяется до показа ошибок манифеста, чтобы ошибка в манифесте не раскрыла содержимое
+            const timeLock = await this.timeLockManager.getLockState(items, errors);
+            signal.throwIfAborted();
+            if (timeLock) {
+                const capsuleItem = items.find(item => item.type.toUpperCase() === 'КАПСУЛА');
+                await this.timeLockManager.show(file, capsuleItem, timeLock);
+                this.hideUploadProgress();
+                if (saveToLibrary) {
+                    this.saveToLibrary(file, { items, manifestName, manifestFormat, status: CapsuleLibraryService.STATUSES.LOCKED });
+                }
+                return;
+            }
 
             // Обновляем прогресс - завершение разбора манифеста (40%)
             this.updateUploadProgress('Подготовка к валидации...', 40);
@@ -473,16 +1038,8 @@ export class DigitalTimeCapsule {
                 // Отображение ошибок будет обработано в renderArchive
             }
 
-            // Обновляем прогресс - начало валидации (40-70%)
-            this.updateUploadProgress('Валидация архива...', 40);
-            await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
-
-            // Проверяем валидацию архива (это будет обновлять прогресс в процессе)
-            await this.validateArchive(items);
-            this.logger.info('Архив успешно валидирован', { itemsCount: items.length, operationId });
-
-            // Обновляем прогресс - завершение валидации (70-90%)
-            this.updateUploadProgress('Подготовка отображения...', 70);
+            // Обновляем прогресс - отображение (40-70%)
+            this.updateUploadProgress('Подготовка отображения...', 40);
             await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
 
             // Очищаем контейнер архива
@@ -492,16 +1049,30 @@ export class DigitalTimeCapsule {
             }
 
             // Отображаем архив
-            await this.renderArchive();
+            const renderedItems = await this.renderArchive(signal);
+            signal.throwIfAborted();
+
+            // Обновляем прогресс - валидация (70-90%)
+            this.updateUploadProgress('Валидация архива...', 70);
+            await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
+
+            // Архив проверяется после отображения: теги PDF учитываются в проверке (это будет обновлять прогресс в процессе)
+            this.lastValidation = await this.validateArchive(renderedItems || items, signal);
+            signal.throwIfAborted();
+            this.logger.info('Архив успешно валидирован', { itemsCount: items.length, operationId });
 
             // Обновляем прогресс - завершение (90-100%)
             this.updateUploadProgress('Завершение...', 90);
             await new Promise(resolve => setTimeout(resolve, 0)); // Даем DOM обновиться
 
             // Показываем результат
-            this.updateGlobalStatus(`Архив загружен успешно: ${items.length} файлов`, 'success');
+            const requirementsNote = archiveRequirements.error
+                ? ` (requirements.json проигнорирован: ${archiveRequirements.error})`
+                : '';
+            const manifestNote = warnings.map(warning => ` (${warning})`).join('');
+            this.updateGlobalStatus(`Архив загружен успешно: ${items.length} файлов${requirementsNote}${manifestNote}`, 'success');
             this.hideUploadProgress(); // Скрываем прогресс бар после завершения
-            this.logger.info('ZIP файл успешно обработан', { itemsCount: items.length, operationId });
+            this.logger.info('Архив успешно обработан', { itemsCount: items.length, operationId });
 
             // Показываем секции архива, валидации и боковой панели
             const archiveSection = document.getElementById('archive-section');
@@ -509,6 +1080,7 @@ export class DigitalTimeCapsule {
             const sidebar = document.getElementById('archive-sidebar');
             if (archiveSection) archiveSection.hidden = false;
             if (validationSection) validationSection.hidden = false;
+            this.setArchiveEditable(true);
             // if (sidebar) sidebar.hidden = false; // Закомментировано для отключения боковой панели
 
             // Автоматически схлопываем секцию загрузки и раскрываем секцию валидации
@@ -523,13 +1095,37 @@ export class DigitalTimeCapsule {
                 container.classList.add('sidebar-hidden');
             }
 
+            if (saveToLibrary) {
+                const { STATUSES } = CapsuleLibraryService;
+                const status = errors.length > 0
+                    ? STATUSES.MANIFEST_ERRORS
+                    : (this.lastValidation?.isValid ? STATUSES.VALID : STATUSES.INVALID);
+                this.saveToLibrary(file, { items, manifestName, manifestFormat, status, validation: this.lastValidation });
+            }
+
         } catch (error) {
+            // Загрузка отменена или заменена другой: капсулу уже освободил тот, кто ее прервал
+            if (signal.aborted) {
+                this.logger.info('Загрузка архива прервана', { fileName: file.name, reason: signal.reason?.message, operationId });
+                return;
+            }
+
+            // Архив зашифрован: это не ошибка, а запрос пароля у пользователя
+            if (error instanceof ArchiveError && error.isPasswordError()) {
+                this.logger.info('Архив требует пароль', { code: error.code, operationId });
+                this.hideUploadProgress();
+                this.showPasswordPrompt(file, error.code);
+                return;
+            }
+
             this.logger.logError(error, { operationId });
-            const errorMessage = `Ошибка при обработке архива: ${error.message}`;
-            this.showError(errorMessage);
+            this.showError(this.getArchiveErrorMessage(error, file));
             this.hideUploadProgress(); // Скрываем прогресс бар при ошибке
             throw error;
         } finally {
+            // После загрузки файлы распаковываются при просмотре, прогресс загрузки больше не показывается
+            if (archiveService) archiveService.setProgressHandler(null);
+            if (this.loadController === controller) this.loadController = null;
             this.logger.popOperation();
         }
     }
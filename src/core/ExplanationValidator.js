@@ -1,4 +1,5 @@
 import { logger } from '../logger.js';
+import { RequirementsProfile } from '../models/RequirementsProfile.js';
 
 /**
  * Класс для валидации файлов объяснений (мемов и личных достижений)
@@ -6,10 +7,12 @@ import { logger } from '../logger.js';
 export class ExplanationValidator {
     /**
      * @param {DigitalTimeCapsule} parent - Родительский класс
+     * @param {RequirementsProfile} [requirementsProfile] - Профиль требований
      */
-    constructor(parent) {
+    constructor(parent, requirementsProfile = RequirementsProfile.createDefault()) {
         this.parent = parent;
         this.logger = logger;
+        this.requirementsProfile = requirementsProfile;
     }
 
     /**
@@ -20,16 +23,19 @@ export class ExplanationValidator {
     async validateExplanationFiles(items) {
         const operationId = this.logger.pushOperation('validateExplanationFiles', { itemsCount: items.length });
         try {
-            let validPersonalExplanations = 0;
-            let validMemeExplanations = 0;
             const explanationDetails = [];
+            // Счетчики по типам, для которых профиль требует объяснения
+            const byType = {};
+            this.requirementsProfile.getExplanationTypes().forEach(({ type }) => {
+                byType[type] = { valid: 0, total: 0 };
+            });
 
             for (const item of items) {
                 const itemType = item.type.toUpperCase();
-                const isPersonal = itemType === 'ЛИЧНОЕ';
-                const isMem = itemType === 'МЕМ';
 
-                if (isPersonal || isMem) {
+                if (byType[itemType]) {
+                    byType[itemType].total++;
+                    const requiredWords = this.requirementsProfile.getExplanationMinWords(itemType);
                     const explanationFile = await this.parent.findExplanationFile(item.filename);
                     
                     if (explanationFile) {
@@ -37,12 +43,10 @@ export class ExplanationValidator {
                             const text = await explanationFile.async('text');
                             const wordCount = this.countWords(text);
                             
-                            let requiredWords = isPersonal ? 100 : 50;
                             let isValid = wordCount >= requiredWords;
                             
                             if (isValid) {
-                                if (isPersonal) validPersonalExplanations++;
-                                if (isMem) validMemeExplanations++;
+                                byType[itemType].valid++;
                             }
 
                             explanationDetails.push({
@@ -75,7 +79,7 @@ export class ExplanationValidator {
                                 type: itemType,
                                 explanationFile: explanationFile.name,
                                 wordCount: 0,
-                                requiredWords: isPersonal ? 100 : 50,
+                                requiredWords: requiredWords,
                                 isValid: false,
                                 title: item.title || item.filename,
                                 error: error.message
@@ -88,7 +92,7 @@ export class ExplanationValidator {
                             type: itemType,
                             explanationFile: null,
                             wordCount: 0,
-                            requiredWords: isPersonal ? 100 : 50,
+                            requiredWords: requiredWords,
                             isValid: false,
                             title: item.title || item.filename,
                             error: 'Explanation file not found'
@@ -104,18 +108,16 @@ export class ExplanationValidator {
             }
 
             const result = {
-                validPersonalExplanations,
-                validMemeExplanations,
-                totalPersonalItems: items.filter(item => item.type.toUpperCase() === 'ЛИЧНОЕ').length,
-                totalMemeItems: items.filter(item => item.type.toUpperCase() === 'МЕМ').length,
+                byType,
+                totalValid: Object.values(byType).reduce((sum, counts) => sum + counts.valid, 0),
+                totalItems: Object.values(byType).reduce((sum, counts) => sum + counts.total, 0),
                 explanationDetails
             };
 
             this.logger.info('Explanation validation completed', { 
-                validPersonal: validPersonalExplanations,
-                validMemes: validMemeExplanations,
-                totalPersonal: result.totalPersonalItems,
-                totalMemes: result.totalMemeItems,
+                byType,
+                totalValid: result.totalValid,
+                totalItems: result.totalItems,
                 operationId 
             });
 
@@ -153,25 +155,25 @@ export class ExplanationValidator {
         const operationId = this.logger.pushOperation('validateExplanationForItem', { filename: item.filename });
         try {
             const itemType = item.type.toUpperCase();
-            const isPersonal = itemType === 'ЛИЧНОЕ';
-            const isMem = itemType === 'МЕМ';
 
-            if (!isPersonal && !isMem) {
+            if (!this.requirementsProfile.requiresExplanation(itemType)) {
                 return {
                     isValid: false,
                     wordCount: 0,
                     requiredWords: 0,
-                    error: 'Item is not personal achievement or meme'
+                    error: 'Item type does not require an explanation'
                 };
             }
 
+            const requiredWords = this.requirementsProfile.getExplanationMinWords(itemType);
+
             const explanationFile = await this.parent.findExplanationFile(item.filename);
             
             if (!explanationFile) {
                 return {
                     isValid: false,
                     wordCount: 0,
-                    requiredWords: isPersonal ? 100 : 50,
+                    requiredWords: requiredWords,
                     error: 'Explanation file not found'
                 };
             }
@@ -179,7 +181,6 @@ export class ExplanationValidator {
             try {
                 const text = await explanationFile.async('text');
                 const wordCount = this.countWords(text);
-                const requiredWords = isPersonal ? 100 : 50;
                 const isValid = wordCount >= requiredWords;
 
                 return {
@@ -199,7 +200,7 @@ export class ExplanationValidator {
                 return {
                     isValid: false,
                     wordCount: 0,
-                    requiredWords: isPersonal ? 100 : 50,
+                    requiredWords: requiredWords,
                     error: error.message
                 };
             }
@@ -0,0 +1,226 @@
+import { logger } from '../logger.js';
+import { PDFService } from '../services/PDFService.js';
+import { ImageService } from '../services/ImageService.js';
+import { ManifestService } from '../services/ManifestService.js';
+import { ChecksumService } from '../services/ChecksumService.js';
+import { SignatureService } from '../services/SignatureService.js';
+
+/**
+ * Суффиксы файлов объяснений, которые не попадают в манифест
+ */
+const EXPLANATION_FILE_PATTERN = /_(объяснение|explanation|info|description|details)\.txt$/i;
+
+/**
+ * Мастер создания манифеста для архива без manifest.txt
+ * Строит таблицу файлов архива, заполняет ее по именам файлов и метаданным
+ * и позволяет скачать или сразу применить получившийся манифест
+ */
+export class ManifestWizard {
+    /**
+     * @param {DigitalTimeCapsule} parent - Родительский класс
+     */
+    constructor(parent) {
+        this.parent = parent;
+        this.logger = logger;
+        this.rows = [];
+    }
+
+    /**
+     * Приведение даты из метаданных к формату YYYY-MM-DD
+     * @param {Date|string|null} value - Дата из EXIF или PDF
+     * @returns {string} - Дата или пустая строка
+     */
+    formatDate(value) {
+        const date = typeof value === 'string' ? PDFService.parsePdfDate(value) : value;
+        if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '';
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Файлы архива, которые нужно описать в манифесте
+     * @returns {string[]} - Имена файлов
+     */
+    getCandidateFiles() {
+        const serviceFiles = [
+            ...ManifestService.MANIFEST_FILES.map(manifest => manifest.filename),
+            'requirements.json',
+            ChecksumService.SIDECAR_FILENAME,
+            SignatureService.SIGNATURE_FILENAME
+        ];
+        return this.parent.archiveService.getFileList()
+            .filter(filename => !serviceFiles.includes(filename.toLowerCase()))
+            .filter(filename => !EXPLANATION_FILE_PATTERN.test(filename))
+            .sort((a, b) => a.localeCompare(b, 'ru', { numeric: true }));
+    }
+
+    /**
+     * Предзаполнение строки манифеста по имени файла и его метаданным
+     * @param {string} filename - Имя файла
+     * @returns {Promise<{filename: string, type: string, date: string, title: string, tags: string, author: string}>}
+     */
+    async prefillRow(filename) {
+        const row = { filename, type: ManifestService.guessType(filename), date: '', title: '', tags: '', author: '' };
+        const extension = filename.split('.').pop().toLowerCase();
+
+        try {
+            const file = await this.parent.archiveService.extractFile(filename);
+            if (!file) return row;
+
+            if (extension === 'pdf') {
+                // PDF разбирается в реестре документов PDFService (общем с просмотрщиком)
+                const metadata = await this.parent.renderer.extractPdfMetadata(filename);
+                if (metadata) {
+                    row.title = metadata.title;
+                    row.tags = metadata.keywords.join(', ');
+                    row.date = this.formatDate(metadata.creationDate);
+                    row.author = metadata.author;
+                }
+            } else if (['jpg', 'jpeg', 'png', 'webp', 'tif', 'tiff', 'heic'].includes(extension)) {
+                const metadata = await ImageService.getCachedMetadata(await file.async('uint8array'));
+                if (metadata) {
+                    row.title = metadata.title || '';
+                    row.tags = Array.isArray(metadata.keywords) ? metadata.keywords.join(', ') : '';
+                    row.date = this.formatDate(metadata.creationDate);
+                    row.author = metadata.author || '';
+                }
+            }
+        } catch (error) {
+            this.logger.warn('Не удалось получить метаданные для мастера манифеста', { filename, error: error.message });
+        }
+
+        return row;
+    }
+
+    /**
+     * Открытие мастера в контейнере архива
+     * @param {HTMLElement} container - Контейнер для отображения
+     * @returns {Promise<void>}
+     */
+    async open(container) {
+        const operationId = this.logger.pushOperation('ManifestWizard.open');
+        try {
+            const files = this.getCandidateFiles();
+            this.rows = [];
+            for (const filename of files) {
+                this.rows.push(await this.prefillRow(filename));
+            }
+
+            this.render(container);
+            this.logger.info('Мастер манифеста открыт', { filesCount: files.length, operationId });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Отрисовка таблицы мастера
+     * @param {HTMLElement} container - Контейнер для отображения
+     */
+    render(container) {
+        const escape = (text) => this.parent.escapeHtml(text || '');
+        const knownTypes = Object.keys(this.parent.validator.requirementsProfile.types);
+
+        container.innerHTML = `
+            <div class="manifest-wizard">
+                <h2 class="manifest-wizard-title">🧭 Мастер создания манифеста</h2>
+                <p class="manifest-wizard-description">
+                    В архиве нет манифеста. Проверьте и дополните предложенные значения: тип определен по имени файла,
+                    заголовки, теги и даты взяты из метаданных PDF и изображений.
+                </p>
+                <datalist id="manifest-wizard-types">
+                    ${knownTypes.map(type => `<option value="${escape(type)}"></option>`).join('')}
+                </datalist>
+                <div class="manifest-wizard-table-container">
+                    <table class="data-table manifest-wizard-table">
+                        <thead>
+                            <tr>
+                                <th>Файл</th>
+                                <th>Тип</th>
+                                <th>Дата</th>
+                                <th>Заголовок</th>
+                                <th>Теги (через запятую)</th>
+                                <th>Автор</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.rows.map((row, index) => `
+                                <tr data-row-index="${index}">
+                                    <td class="manifest-wizard-filename">${escape(row.filename)}</td>
+                                    <td><input type="text" data-field="type" list="manifest-wizard-types" value="${escape(row.type)}" aria-label="Тип ${escape(row.filename)}"></td>
+                                    <td><input type="date" data-field="date" value="${escape(row.date)}" aria-label="Дата ${escape(row.filename)}"></td>
+                                    <td><input type="text" data-field="title" value="${escape(row.title)}" aria-label="Заголовок ${escape(row.filename)}"></td>
+                                    <td><input type="text" data-field="tags" value="${escape(row.tags)}" aria-label="Теги ${escape(row.filename)}"></td>
+                                    <td><input type="text" data-field="author" value="${escape(row.author)}" aria-label="Автор ${escape(row.filename)}"></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="manifest-wizard-status" id="manifest-wizard-status"></div>
+                <div class="manifest-wizard-actions">
+                    <button type="button" class="btn btn-secondary" id="manifest-wizard-download">📥 Скачать manifest.txt</button>
+                    <button type="button" class="btn btn-primary" id="manifest-wizard-apply">Открыть архив с этим манифестом</button>
+                </div>
+            </div>
+        `;
+
+        container.querySelectorAll('.manifest-wizard-table input').forEach(input => {
+            input.addEventListener('input', () => {
+                const rowIndex = Number(input.closest('tr').dataset.rowIndex);
+                this.rows[rowIndex][input.dataset.field] = input.value;
+            });
+        });
+
+        container.querySelector('#manifest-wizard-download')
+            .addEventListener('click', () => this.handleExport(container, false));
+        container.querySelector('#manifest-wizard-apply')
+            .addEventListener('click', () => this.handleExport(container, true));
+    }
+
+    /**
+     * Проверка манифеста и его скачивание или применение к архиву
+     * @param {HTMLElement} container - Контейнер мастера
+     * @param {boolean} applyToArchive - Применить манифест к загруженному архиву вместо скачивания
+     * @returns {Promise<void>}
+     */
+    async handleExport(container, applyToArchive) {
+        const statusElement = container.querySelector('#manifest-wizard-status');
+        const { text: manifestText, lineNumbers } = ManifestService.buildManifestText(this.rows, 'Манифест создан мастером цифровой капсулы времени');
+        const { errors } = this.parent.parseManifest(manifestText);
+
+        // Номер строки ошибки -> строка таблицы
+        const errorRows = new Set(errors.map(error => lineNumbers.indexOf(error.lineNumber)));
+        container.querySelectorAll('.manifest-wizard-table tbody tr').forEach((tr, index) => {
+            tr.classList.toggle('invalid', errorRows.has(index));
+        });
+
+        if (errors.length > 0) {
+            statusElement.className = 'manifest-wizard-status error';
+            statusElement.innerHTML = `Исправьте строки, отмеченные в таблице (${errors.length}):
+                <ul>${errors.map(error => `<li>${this.parent.escapeHtml(this.rows[lineNumbers.indexOf(error.lineNumber)]?.filename || '')}: ${this.parent.escapeHtml(error.error)}</li>`).join('')}</ul>`;
+            this.logger.warn('Манифест из мастера содержит ошибки', { errorsCount: errors.length });
+            return;
+        }
+
+        statusElement.className = 'manifest-wizard-status';
+        statusElement.textContent = '';
+
+        if (applyToArchive) {
+            this.logger.trackUserAction('manifest_wizard_applied', { rowsCount: this.rows.length });
+            await this.parent.applyGeneratedManifest(manifestText);
+            return;
+        }
+
+        const blob = new Blob([manifestText], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        this.parent.urlManager.addUrl(url, 'text');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'manifest.txt';
+        link.click();
+        this.logger.trackUserAction('manifest_wizard_downloaded', { rowsCount: this.rows.length });
+    }
+}
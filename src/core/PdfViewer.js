@@ -0,0 +1,434 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import { logger } from '../logger.js';
+import { PDFService } from '../services/PDFService.js';
+
+/**
+ * Ступени масштаба для кнопок «+» и «−»
+ */
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+
+/**
+ * Границы масштаба «по ширине»
+ */
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+
+/**
+ * Ширина миниатюры страницы (CSS-пиксели)
+ */
+const THUMBNAIL_WIDTH = 96;
+
+/**
+ * Просмотрщик PDF на PDF.js: страница рисуется на canvas, поверх нее - текстовый слой для выделения текста.
+ * Навигация по страницам, масштаб, миниатюры и клавиатура (← → PageUp PageDown + −).
+ * Документ берется из реестра PDFService по SHA-256 содержимого и освобождается вместе с капсулой
+ */
+export class PdfViewer {
+    /**
+     * @param {DigitalTimeCapsule} parent - Родительский класс
+     * @param {HTMLElement} container - Элемент, в котором строится просмотрщик
+     */
+    constructor(parent, container) {
+        this.parent = parent;
+        this.logger = logger;
+        this.container = container;
+        this.elements = null;
+
+        this.pdfDocument = null;
+        this.pageNumber = 1;
+        this.scale = 1;
+        // Масштаб подбирается по ширине области просмотра, пока пользователь не выберет его сам
+        this.fitWidth = true;
+
+        this.renderTask = null;
+        this.textLayerTask = null;
+        // Номер последней отрисовки: результат устаревшей отрисовки отбрасывается
+        this.renderId = 0;
+        this.thumbnailObserver = null;
+        this.resizeObserver = null;
+        this.destroyed = false;
+    }
+
+    /**
+     * Открытие документа
+     * @param {string} key - Ключ реестра документов PDFService (SHA-256 содержимого)
+     * @param {ArrayBuffer} arrayBuffer - Содержимое PDF
+     * @param {Object} options - Параметры
+     * @param {string} options.filename - Имя файла (для скачивания и подписей)
+     * @param {string} options.downloadUrl - URL для скачивания файла
+     * @returns {Promise<void>}
+     */
+    async open(key, arrayBuffer, { filename, downloadUrl }) {
+        const operationId = this.logger.pushOperation('PdfViewer.open', { filename });
+        try {
+            this.renderLayout(filename, downloadUrl);
+            this.pdfDocument = await PDFService.loadDocument(key, arrayBuffer);
+            if (this.destroyed) return;
+
+            this.elements.pageCount.textContent = String(this.pdfDocument.numPages);
+            this.elements.pageInput.max = String(this.pdfDocument.numPages);
+            this.observeResize();
+            await this.renderPage();
+            this.logger.info('PDF открыт в просмотрщике', { filename, pages: this.pdfDocument.numPages, operationId });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Разметка просмотрщика и обработчики панели инструментов
+     * @param {string} filename - Имя файла
+     * @param {string} downloadUrl - URL для скачивания
+     */
+    renderLayout(filename, downloadUrl) {
+        const escapeHtml = (text) => this.parent.escapeHtml(text);
+        this.container.innerHTML = `
+            <div class="pdf-viewer" tabindex="0" aria-label="Просмотр PDF ${escapeHtml(filename)}">
+                <div class="pdf-viewer-toolbar" role="toolbar">
+                    <button type="button" class="pdf-viewer-button" data-action="thumbnails" aria-pressed="false" title="Миниатюры страниц">▤</button>
+                    <button type="button" class="pdf-viewer-button" data-action="prev" title="Предыдущая страница">◀</button>
+                    <span class="pdf-viewer-page">
+                        <input type="number" class="pdf-viewer-page-input" min="1" value="1" aria-label="Номер страницы">
+                        / <span class="pdf-viewer-page-count">…</span>
+                    </span>
+                    <button type="button" class="pdf-viewer-button" data-action="next" title="Следующая страница">▶</button>
+                    <span class="pdf-viewer-separator"></span>
+                    <button type="button" class="pdf-viewer-button" data-action="zoom-out" title="Уменьшить">−</button>
+                    <span class="pdf-viewer-zoom">100%</span>
+                    <button type="button" class="pdf-viewer-button" data-action="zoom-in" title="Увеличить">+</button>
+                    <button type="button" class="pdf-viewer-button" data-action="fit-width" aria-pressed="true" title="Масштаб по ширине">↔</button>
+                    <a href="${escapeHtml(downloadUrl)}" download="${escapeHtml(filename)}" class="download-link pdf-viewer-download">📥 Скачать PDF</a>
+                </div>
+                <div class="pdf-viewer-body">
+                    <div class="pdf-viewer-thumbnails" hidden></div>
+                    <div class="pdf-viewer-main">
+                        <div class="pdf-viewer-sheet">
+                            <canvas class="pdf-viewer-canvas"></canvas>
+                            <div class="textLayer pdf-viewer-text-layer"></div>
+                        </div>
+                    </div>
+                </div>
+                <div class="pdf-viewer-status" role="status"></div>
+            </div>
+        `;
+
+        const root = this.container.querySelector('.pdf-viewer');
+        this.elements = {
+            root,
+            toolbar: root.querySelector('.pdf-viewer-toolbar'),
+            pageInput: root.querySelector('.pdf-viewer-page-input'),
+            pageCount: root.querySelector('.pdf-viewer-page-count'),
+            zoom: root.querySelector('.pdf-viewer-zoom'),
+            thumbnails: root.querySelector('.pdf-viewer-thumbnails'),
+            main: root.querySelector('.pdf-viewer-main'),
+            sheet: root.querySelector('.pdf-viewer-sheet'),
+            canvas: root.querySelector('.pdf-viewer-canvas'),
+            textLayer: root.querySelector('.pdf-viewer-text-layer'),
+            status: root.querySelector('.pdf-viewer-status')
+        };
+
+        this.elements.toolbar.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button) this.handleAction(button.dataset.action);
+        });
+        this.elements.pageInput.addEventListener('change', () => {
+            this.goToPage(Number(this.elements.pageInput.value));
+        });
+        root.addEventListener('keydown', (event) => this.handleKeydown(event));
+    }
+
+    /**
+     * Действие кнопки панели инструментов
+     * @param {string} action - Значение data-action
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'prev':
+                this.goToPage(this.pageNumber - 1);
+                break;
+            case 'next':
+                this.goToPage(this.pageNumber + 1);
+                break;
+            case 'zoom-in':
+                this.zoom(1);
+                break;
+            case 'zoom-out':
+                this.zoom(-1);
+                break;
+            case 'fit-width':
+                this.fitWidth = true;
+                this.rerender();
+                break;
+            case 'thumbnails':
+                this.toggleThumbnails();
+                break;
+        }
+    }
+
+    /**
+     * Клавиатура просмотрщика (кроме ввода номера страницы)
+     * @param {KeyboardEvent} event - Событие
+     */
+    handleKeydown(event) {
+        if (event.target === this.elements.pageInput || event.ctrlKey || event.metaKey || event.altKey) return;
+        const actions = {
+            ArrowLeft: 'prev',
+            PageUp: 'prev',
+            ArrowRight: 'next',
+            PageDown: 'next',
+            '+': 'zoom-in',
+            '=': 'zoom-in',
+            '-': 'zoom-out'
+        };
+        const action = actions[event.key];
+        if (!action) return;
+        event.preventDefault();
+        this.handleAction(action);
+    }
+
+    /**
+     * Переход на страницу
+     * @param {number} pageNumber - Номер страницы (с 1)
+     */
+    goToPage(pageNumber) {
+        if (!this.pdfDocument) return;
+        const page = Math.min(Math.max(Math.round(pageNumber) || 1, 1), this.pdfDocument.numPages);
+        if (page === this.pageNumber) {
+            this.elements.pageInput.value = String(page);
+            return;
+        }
+        this.pageNumber = page;
+        this.elements.main.scrollTop = 0;
+        this.rerender();
+    }
+
+    /**
+     * Изменение масштаба на ступень ZOOM_LEVELS
+     * @param {number} direction - 1 - увеличить, -1 - уменьшить
+     */
+    zoom(direction) {
+        const next = direction > 0
+            ? ZOOM_LEVELS.find(level => level > this.scale + 0.01)
+            : [...ZOOM_LEVELS].reverse().find(level => level < this.scale - 0.01);
+        if (!next) return;
+        this.fitWidth = false;
+        this.scale = next;
+        this.rerender();
+    }
+
+    /**
+     * Перерисовка текущей страницы; ошибка показывается в строке состояния
+     */
+    rerender() {
+        this.renderPage().catch(error => {
+            this.logger.warn('Не удалось отрисовать страницу PDF', { page: this.pageNumber, error: error.message });
+            this.elements.status.textContent = `Не удалось отрисовать страницу ${this.pageNumber}: ${error.message}`;
+        });
+    }
+
+    /**
+     * Остановка незавершенной отрисовки страницы и текстового слоя
+     */
+    cancelRendering() {
+        this.renderTask?.cancel();
+        this.textLayerTask?.cancel();
+        this.renderTask = null;
+        this.textLayerTask = null;
+    }
+
+    /**
+     * Масштаб, при котором страница занимает ширину области просмотра
+     * @param {PDFPageProxy} page - Страница
+     * @returns {number}
+     */
+    getFitWidthScale(page) {
+        const style = getComputedStyle(this.elements.main);
+        const padding = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+        const width = this.elements.main.clientWidth - padding;
+        const scale = width / page.getViewport({ scale: 1 }).width;
+        return Number.isFinite(scale) && scale > 0 ? Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE) : 1;
+    }
+
+    /**
+     * Отрисовка текущей страницы: canvas с учетом плотности пикселей экрана и текстовый слой
+     * @returns {Promise<void>}
+     */
+    async renderPage() {
+        if (!this.pdfDocument || this.destroyed) return;
+        const renderId = ++this.renderId;
+        this.cancelRendering();
+
+        const page = await this.pdfDocument.getPage(this.pageNumber);
+        if (renderId !== this.renderId || this.destroyed) return;
+
+        if (this.fitWidth) this.scale = this.getFitWidthScale(page);
+        const viewport = page.getViewport({ scale: this.scale });
+        const outputScale = window.devicePixelRatio || 1;
+        const { canvas, sheet, textLayer } = this.elements;
+
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+        // PDF.js задает размеры текстового слоя через --scale-factor
+        sheet.style.setProperty('--scale-factor', String(viewport.scale));
+        sheet.style.width = `${Math.floor(viewport.width)}px`;
+        sheet.style.height = `${Math.floor(viewport.height)}px`;
+        textLayer.replaceChildren();
+
+        this.renderTask = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+        this.textLayerTask = pdfjsLib.renderTextLayer({
+            textContentSource: page.streamTextContent(),
+            container: textLayer,
+            viewport,
+            textDivs: []
+        });
+        this.updateToolbar();
+
+        try {
+            await Promise.all([this.renderTask.promise, this.textLayerTask.promise]);
+            this.elements.status.textContent = '';
+            // Совпадения поискового запроса подсвечиваются и в тексте страницы
+            this.parent.capsuleSearch.refreshHighlights(textLayer);
+        } catch (error) {
+            // Отрисовка отменена переходом на другую страницу или сменой масштаба
+            if (renderId !== this.renderId || error?.name === 'RenderingCancelledException' || error?.name === 'AbortException') return;
+            throw error;
+        }
+    }
+
+    /**
+     * Номер страницы, масштаб и состояние кнопок
+     */
+    updateToolbar() {
+        const { root, pageInput, zoom, thumbnails } = this.elements;
+        const pages = this.pdfDocument.numPages;
+        pageInput.value = String(this.pageNumber);
+        zoom.textContent = `${Math.round(this.scale * 100)}%`;
+        root.querySelector('[data-action="prev"]').disabled = this.pageNumber <= 1;
+        root.querySelector('[data-action="next"]').disabled = this.pageNumber >= pages;
+        root.querySelector('[data-action="zoom-in"]').disabled = this.scale >= ZOOM_LEVELS[ZOOM_LEVELS.length - 1] - 0.01;
+        root.querySelector('[data-action="zoom-out"]').disabled = this.scale <= ZOOM_LEVELS[0] + 0.01;
+        root.querySelector('[data-action="fit-width"]').setAttribute('aria-pressed', String(this.fitWidth));
+
+        thumbnails.querySelectorAll('.pdf-viewer-thumbnail').forEach(button => {
+            const isCurrent = Number(button.dataset.page) === this.pageNumber;
+            button.classList.toggle('is-current', isCurrent);
+            if (isCurrent) {
+                button.setAttribute('aria-current', 'page');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Показ и скрытие миниатюр; миниатюры создаются при первом показе и рисуются, когда попадают в видимую область
+     */
+    toggleThumbnails() {
+        const { root, thumbnails } = this.elements;
+        thumbnails.hidden = !thumbnails.hidden;
+        root.querySelector('[data-action="thumbnails"]').setAttribute('aria-pressed', String(!thumbnails.hidden));
+        if (!thumbnails.hidden && !thumbnails.hasChildNodes() && this.pdfDocument) {
+            this.createThumbnails();
+        }
+        if (this.fitWidth) this.rerender();
+    }
+
+    /**
+     * Кнопки миниатюр всех страниц
+     */
+    createThumbnails() {
+        const { thumbnails } = this.elements;
+        for (let pageNumber = 1; pageNumber <= this.pdfDocument.numPages; pageNumber++) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'pdf-viewer-thumbnail';
+            button.dataset.page = String(pageNumber);
+            button.title = `Страница ${pageNumber}`;
+            button.innerHTML = `<canvas></canvas><span>${pageNumber}</span>`;
+            button.addEventListener('click', () => this.goToPage(pageNumber));
+            thumbnails.appendChild(button);
+        }
+
+        const render = (button) => {
+            this.renderThumbnail(button).catch(error => {
+                this.logger.warn('Не удалось отрисовать миниатюру PDF', { page: button.dataset.page, error: error.message });
+            });
+        };
+        if (typeof IntersectionObserver === 'undefined') {
+            thumbnails.querySelectorAll('.pdf-viewer-thumbnail').forEach(render);
+        } else {
+            this.thumbnailObserver = new IntersectionObserver((entries) => {
+                for (const entry of entries) {
+                    if (!entry.isIntersecting) continue;
+                    this.thumbnailObserver.unobserve(entry.target);
+                    render(entry.target);
+                }
+            }, { root: thumbnails, rootMargin: '200px 0px' });
+            thumbnails.querySelectorAll('.pdf-viewer-thumbnail').forEach(button => this.thumbnailObserver.observe(button));
+        }
+        this.updateToolbar();
+    }
+
+    /**
+     * Отрисовка миниатюры страницы
+     * @param {HTMLButtonElement} button - Кнопка миниатюры
+     * @returns {Promise<void>}
+     */
+    async renderThumbnail(button) {
+        if (this.destroyed) return;
+        const page = await this.pdfDocument.getPage(Number(button.dataset.page));
+        if (this.destroyed) return;
+        const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width });
+        const outputScale = window.devicePixelRatio || 1;
+        const canvas = button.querySelector('canvas');
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        }).promise;
+    }
+
+    /**
+     * Перерисовка при изменении ширины области просмотра (в режиме «по ширине»)
+     */
+    observeResize() {
+        if (typeof ResizeObserver === 'undefined') return;
+        let width = this.elements.main.clientWidth;
+        let frame = null;
+        this.resizeObserver = new ResizeObserver(() => {
+            const newWidth = this.elements.main.clientWidth;
+            // Свернутый спойлер имеет нулевую ширину: перерисовывать нечего
+            if (!this.fitWidth || newWidth === width || newWidth === 0) return;
+            width = newWidth;
+            cancelAnimationFrame(frame);
+            frame = requestAnimationFrame(() => this.rerender());
+        });
+        this.resizeObserver.observe(this.elements.main);
+    }
+
+    /**
+     * Остановка отрисовки и наблюдателей; сам документ освобождает реестр PDFService при выгрузке капсулы
+     */
+    destroy() {
+        this.destroyed = true;
+        this.cancelRendering();
+        this.thumbnailObserver?.disconnect();
+        this.resizeObserver?.disconnect();
+        this.thumbnailObserver = null;
+        this.resizeObserver = null;
+        this.pdfDocument = null;
+    }
+}
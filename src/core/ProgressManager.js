@@ -203,14 +203,12 @@ export class ProgressManager {
 
     /**
      * Установка всех прогресс баров в начальное состояние
+     * @param {Array<{id: string, textId: string}>} requirementBars - Прогресс бары строк требований (из профиля требований)
      */
-    initializeValidationProgress() {
+    initializeValidationProgress(requirementBars = []) {
         // Инициализируем все прогресс бары валидации
         const validationProgressBars = [
-            { id: 'news-progress-bar', textId: 'news-progress-text' },
-            { id: 'personal-progress-bar', textId: 'personal-progress-text' },
-            { id: 'keywords-progress-bar', textId: 'keywords-progress-text' },
-            { id: 'memes-progress-bar', textId: 'memes-progress-text' },
+            ...requirementBars,
             { id: 'general-progress-bar', textId: 'general-progress-text' }
         ];
 
@@ -0,0 +1,288 @@
+import JSZip from 'jszip';
+import { logger } from '../logger.js';
+import { ArchiveService } from '../services/ArchiveService.js';
+import { ArchiveWorkerProxy } from '../services/ArchiveWorkerProxy.js';
+import { ChecksumService } from '../services/ChecksumService.js';
+import { SignatureService } from '../services/SignatureService.js';
+import { TimeLockService } from '../services/TimeLockService.js';
+import { ArchiveError } from '../models/ArchiveError.js';
+import { DateUtils } from '../utils/dateUtils.js';
+
+/**
+ * Интервал обновления обратного отсчета (мс)
+ */
+const COUNTDOWN_INTERVAL = 1000;
+
+/**
+ * Класс для отображения капсулы с отложенным открытием
+ * До даты open_after показывается только описание капсулы с обратным отсчетом,
+ * для зашифрованного содержимого после этой даты - форма ввода кодовой фразы
+ */
+export class TimeLockManager {
+    /**
+     * @param {DigitalTimeCapsule} parent - Родительский класс
+     */
+    constructor(parent) {
+        this.parent = parent;
+        this.logger = logger;
+        this.timer = null;
+        this.file = null;
+        this.state = null;
+        this.lockElement = null;
+    }
+
+    /**
+     * Состояние блокировки загруженной капсулы
+     * Проверяется и при ошибках манифеста: капсула заперта, если есть timelock.json, дата open_after не наступила
+     * или указана некорректно (тогда дата неизвестна и капсула не открывается, пока автор не исправит манифест)
+     * @param {ArchiveItem[]} items - Элементы манифеста
+     * @param {Array} [errors] - Ошибки разбора манифеста
+     * @returns {Promise<{openAfter: Date|null, lock: Object|null, invalidOpenAfter: string|null}|null>}
+     *          Дата открытия, параметры шифрования и некорректное значение open_after или null, если капсулу можно открыть
+     */
+    async getLockState(items, errors = []) {
+        const archiveService = this.parent.archiveService;
+        const openAfterValue = TimeLockService.getOpenAfterValue(items, errors);
+        const openAfter = TimeLockService.parseOpenAfter(openAfterValue);
+        const invalidOpenAfter = openAfterValue && !openAfter ? openAfterValue : null;
+        const lockFilename = archiveService.getFileList()
+            .find(filename => filename.toLowerCase() === TimeLockService.LOCK_FILENAME);
+
+        let lock = null;
+        if (lockFilename) {
+            const lockFile = await archiveService.extractFile(lockFilename);
+            lock = TimeLockService.parseLock(await lockFile.async('text'));
+        }
+
+        const isWaiting = openAfter !== null && openAfter > new Date();
+        return isWaiting || lock || invalidOpenAfter ? { openAfter, lock, invalidOpenAfter } : null;
+    }
+
+    /**
+     * Показ запертой капсулы: описание капсулы и обратный отсчет или форма кодовой фразы
+     * @param {File|Object} file - Загруженный архив (открывается повторно, когда наступит дата открытия)
+     * @param {ArchiveItem|undefined} capsuleItem - Элемент КАПСУЛА
+     * @param {{openAfter: Date|null, lock: Object|null, invalidOpenAfter: string|null}} state - Результат getLockState
+     * @returns {Promise<void>}
+     */
+    async show(file, capsuleItem, state) {
+        const operationId = this.logger.pushOperation('TimeLockManager.show', { openAfter: state.openAfter, encrypted: Boolean(state.lock) });
+        try {
+            this.stop();
+            this.file = file;
+            this.state = state;
+
+            // Файлы капсулы не показываются, пока она заперта
+            ['archive-section', 'validation-section'].forEach(sectionId => {
+                const section = document.getElementById(sectionId);
+                if (section) section.hidden = true;
+            });
+            const archiveContainer = document.getElementById('archive-container');
+            if (archiveContainer) archiveContainer.innerHTML = '';
+
+            const capsuleContainer = document.getElementById('capsule-container');
+            if (!capsuleContainer) return;
+            if (capsuleItem) {
+                await this.parent.renderer.renderCapsuleDescription(capsuleItem, capsuleContainer);
+            } else {
+                capsuleContainer.querySelector('#capsule-description')?.remove();
+            }
+
+            this.lockElement = document.createElement('div');
+            this.lockElement.className = 'capsule-timelock';
+            this.lockElement.id = 'capsule-timelock';
+            (capsuleContainer.querySelector('#capsule-description .capsule-content') || capsuleContainer).appendChild(this.lockElement);
+            this.render();
+
+            const capsuleSection = document.getElementById('capsule-section');
+            if (capsuleSection) capsuleSection.hidden = false;
+            const uploadSectionDetails = document.getElementById('upload-section-details');
+            if (uploadSectionDetails) uploadSectionDetails.removeAttribute('open');
+
+            if (state.invalidOpenAfter) {
+                this.parent.updateGlobalStatus('Капсула заперта: дата открытия в манифесте указана некорректно', 'error');
+            } else if (this.isWaiting()) {
+                this.timer = setInterval(() => this.tick(), COUNTDOWN_INTERVAL);
+                this.parent.updateGlobalStatus(`Капсула запечатана до ${this.formatOpenAfter()}`, 'info');
+            } else {
+                this.parent.updateGlobalStatus('Содержимое капсулы зашифровано: введите кодовую фразу', 'info');
+            }
+            this.logger.info('Капсула заперта', { openAfter: state.openAfter, encrypted: Boolean(state.lock), operationId });
+        } catch (error) {
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+
+    /**
+     * Остановка обратного отсчета и удаление блока блокировки (при загрузке другого архива)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.lockElement) {
+            this.lockElement.remove();
+            this.lockElement = null;
+        }
+    }
+
+    /**
+     * Дата открытия еще не наступила
+     * @returns {boolean}
+     */
+    isWaiting() {
+        return this.state.openAfter !== null && TimeLockService.getRemainingTime(this.state.openAfter).total > 0;
+    }
+
+    /**
+     * Дата открытия для отображения
+     * @returns {string}
+     */
+    formatOpenAfter() {
+        return DateUtils.formatRussianDate(this.state.openAfter, { second: undefined });
+    }
+
+    /**
+     * Отрисовка блока блокировки
+     */
+    render() {
+        const { lock, invalidOpenAfter } = this.state;
+
+        if (invalidOpenAfter) {
+            this.lockElement.innerHTML = `
+                <h3>⚠️ Дата открытия капсулы указана некорректно</h3>
+                <p class="capsule-timelock-note">
+                    В манифесте указано open_after: <code>${this.parent.escapeHtml(invalidOpenAfter)}</code>.
+                    Капсула остается запертой, пока автор не исправит дату (формат YYYY-MM-DD или YYYY-MM-DD HH:MM).
+                </p>
+            `;
+            return;
+        }
+
+        if (this.isWaiting()) {
+            this.lockElement.innerHTML = `
+                <h3>⏳ Капсула откроется ${this.parent.escapeHtml(this.formatOpenAfter())}</h3>
+                <div class="capsule-countdown" id="capsule-countdown">${TimeLockService.formatCountdown(TimeLockService.getRemainingTime(this.state.openAfter))}</div>
+                <p class="capsule-timelock-note">
+                    ${lock
+                        ? 'Содержимое капсулы зашифровано. После этой даты откройте его кодовой фразой, которую сообщит автор.'
+                        : 'До этой даты содержимое капсулы скрыто.'}
+                </p>
+            `;
+            return;
+        }
+
+        this.lockElement.innerHTML = `
+            <h3>🔐 Содержимое капсулы зашифровано</h3>
+            <form class="archive-password-form" id="timelock-form">
+                <label class="archive-password-label" for="timelockPassphraseInput">Кодовая фраза автора капсулы</label>
+                <div class="archive-password-controls">
+                    <input type="password" id="timelockPassphraseInput" autocomplete="off" required>
+                    <button type="submit" class="btn btn-primary">Открыть капсулу</button>
+                </div>
+                <span class="archive-password-error" id="timelock-error" role="alert"></span>
+            </form>
+        `;
+
+        const form = this.lockElement.querySelector('#timelock-form');
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const passphrase = form.querySelector('#timelockPassphraseInput').value;
+            this.unlock(passphrase).catch(error => this.parent.showError(`Не удалось открыть капсулу: ${error.message}`));
+        });
+    }
+
+    /**
+     * Обновление обратного отсчета; когда дата наступает, капсула открывается
+     * или показывается форма ввода кодовой фразы
+     */
+    tick() {
+        if (this.isWaiting()) {
+            const countdown = this.lockElement?.querySelector('#capsule-countdown');
+            if (countdown) countdown.textContent = TimeLockService.formatCountdown(TimeLockService.getRemainingTime(this.state.openAfter));
+            return;
+        }
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.logger.info('Наступила дата открытия капсулы', { openAfter: this.state.openAfter, encrypted: Boolean(this.state.lock) });
+        if (this.state.lock) {
+            this.render();
+            this.parent.updateGlobalStatus('Капсула готова к открытию: введите кодовую фразу', 'info');
+        } else {
+            this.parent.loadArchiveFile(this.file).catch(error => this.logger.logError(error));
+        }
+    }
+
+    /**
+     * Расшифровка содержимого и открытие капсулы
+     * Расшифрованные файлы вместе с описанием капсулы собираются в ZIP-архив, который открывается как обычный.
+     * Контрольные суммы и подпись запертой капсулы относятся к зашифрованному виду и в него не переносятся
+     * @param {string} passphrase - Кодовая фраза
+     * @returns {Promise<void>}
+     */
+    async unlock(passphrase) {
+        const operationId = this.logger.pushOperation('TimeLockManager.unlock');
+        const errorElement = this.lockElement?.querySelector('#timelock-error');
+        try {
+            if (errorElement) errorElement.textContent = '';
+            this.parent.updateGlobalStatus('Расшифровка содержимого капсулы...', 'info');
+
+            const archiveService = this.parent.archiveService;
+            const archiveFiles = archiveService.getFileList();
+            const contentFilename = archiveFiles.find(filename => filename.toLowerCase() === TimeLockService.CONTENT_FILENAME);
+            if (!contentFilename) {
+                throw new Error(`В архиве нет файла ${TimeLockService.CONTENT_FILENAME}`);
+            }
+            const contentFile = await archiveService.extractFile(contentFilename);
+            const content = await TimeLockService.decrypt(await contentFile.async('uint8array'), this.state.lock, passphrase);
+
+            // Расшифрованный архив читается так же, как загруженный (в потоке), и проходит ту же проверку безопасности
+            const contentService = ArchiveWorkerProxy.create();
+            const zip = new JSZip();
+            try {
+                await contentService.loadArchive(content.buffer, ArchiveService.ENGINES.AUTO);
+
+                const sealFiles = new Set([
+                    TimeLockService.LOCK_FILENAME,
+                    TimeLockService.CONTENT_FILENAME,
+                    ChecksumService.SIDECAR_FILENAME,
+                    SignatureService.SIGNATURE_FILENAME
+                ]);
+                for (const filename of archiveFiles) {
+                    if (sealFiles.has(filename.toLowerCase())) continue;
+                    const archiveFile = await archiveService.extractFile(filename);
+                    zip.file(filename, await archiveFile.async('uint8array'));
+                }
+                // Файлы содержимого (в том числе полный манифест) заменяют одноименные файлы запертой капсулы
+                for (const filename of contentService.getFileList()) {
+                    const archiveFile = await contentService.extractFile(filename);
+                    zip.file(filename, await archiveFile.async('uint8array'));
+                }
+            } finally {
+                if (contentService instanceof ArchiveWorkerProxy) contentService.terminate();
+            }
+
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            const archiveName = ArchiveService.getZipFileName(this.parent.currentArchiveName || 'капсула_времени.zip');
+            this.logger.info('Содержимое капсулы расшифровано', { filesCount: contentService.getFileList().length, operationId });
+            this.logger.trackUserAction('capsule_unlocked', { filesCount: contentService.getFileList().length });
+
+            // Расшифрованное содержимое не сохраняется в библиотеку: там остается запертая капсула
+            await this.parent.loadArchiveFile(new File([blob], archiveName, { type: 'application/zip' }), null, { saveToLibrary: false });
+        } catch (error) {
+            if (error instanceof ArchiveError && error.isPasswordError()) {
+                this.logger.info('Неверная кодовая фраза капсулы', { operationId });
+                if (errorElement) errorElement.textContent = 'Неверная кодовая фраза, попробуйте еще раз';
+                this.parent.updateGlobalStatus('Неверная кодовая фраза', 'error');
+                return;
+            }
+            this.logger.logError(error, { operationId });
+            throw error;
+        } finally {
+            this.logger.popOperation();
+        }
+    }
+}
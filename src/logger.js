@@ -5,6 +5,7 @@ export class Logger {
         this.enabled = true;
         this.operationStack = [];
         this.performanceMarks = new Map();
+        this.statsProviders = new Map();
     }
 
     // Уровни логирования
@@ -271,14 +272,23 @@ export class Logger {
         this.performanceMarks.clear();
     }
 
-    // Получение статистики логирования
+    // Регистрация источника дополнительной статистики (например, попаданий в кэш метаданных)
+    registerStatsProvider(name, provider) {
+        this.statsProviders.set(name, provider);
+    }
+
+    // Получение статистики логирования и зарегистрированных источников
     getStats() {
-        return {
+        const stats = {
             logLevel: Object.keys(Logger.LOG_LEVELS).find(key => Logger.LOG_LEVELS[key] === this.logLevel),
             operationsInStack: this.operationStack.length,
             performanceMarks: this.performanceMarks.size,
             enabled: this.enabled
         };
+        for (const [name, provider] of this.statsProviders) {
+            stats[name] = provider();
+        }
+        return stats;
     }
 }
 
@@ -0,0 +1,39 @@
+/**
+ * Модель ошибки чтения архива
+ * Код ошибки позволяет интерфейсу отличить архив с паролем от поврежденного архива
+ */
+export class ArchiveError extends Error {
+    /**
+     * Коды ошибок чтения архива
+     * @returns {{PASSWORD_REQUIRED: string, WRONG_PASSWORD: string, CORRUPT: string, UNSAFE: string}}
+     */
+    static get CODES() {
+        return {
+            PASSWORD_REQUIRED: 'password_required', // архив зашифрован, пароль не указан
+            WRONG_PASSWORD: 'wrong_password',       // указан неверный пароль
+            CORRUPT: 'corrupt',                     // архив поврежден или не является архивом
+            UNSAFE: 'unsafe'                        // архив отклонен проверкой безопасности (details.problems)
+        };
+    }
+
+    /**
+     * Создает экземпляр ошибки архива
+     * @param {string} code - Код ошибки из ArchiveError.CODES
+     * @param {string} message - Описание ошибки
+     * @param {Object} [details] - Дополнительные сведения (файл, вывод движка)
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ArchiveError';
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * Проверяет, связана ли ошибка с паролем (не указан или неверный)
+     * @returns {boolean}
+     */
+    isPasswordError() {
+        return this.code === ArchiveError.CODES.PASSWORD_REQUIRED || this.code === ArchiveError.CODES.WRONG_PASSWORD;
+    }
+}
@@ -12,6 +12,11 @@ export class ArchiveItem {
      * @param {string} config.date - Дата
      * @param {string[]} config.tags - Теги
      * @param {string} config.author - Автор (для типа КАПСУЛА)
+     * @param {string} [config.location] - Место (структурированный манифест)
+     * @param {string} [config.sourceUrl] - Адрес источника (структурированный манифест)
+     * @param {string} [config.language] - Код языка материала (структурированный манифест)
+     * @param {string} [config.checksum] - Контрольная сумма SHA-256 файла (колонка checksum)
+     * @param {string} [config.openAfter] - Дата, раньше которой капсула не открывается (только для типа КАПСУЛА)
      */
     constructor(config = {}) {
         this.filename = config.filename || '';
@@ -21,6 +26,11 @@ export class ArchiveItem {
         this.date = config.date || '';
         this.tags = Array.isArray(config.tags) ? config.tags : [];
         this.author = config.author || ''; // Добавляем поле author для типа КАПСУЛА
+        this.location = config.location || '';
+        this.sourceUrl = config.sourceUrl || '';
+        this.language = config.language || '';
+        this.checksum = config.checksum || '';
+        this.openAfter = config.openAfter || '';
         
         // Валидация при создании
         this.validate();
@@ -236,7 +246,12 @@ export class ArchiveItem {
             description: this.description,
             date: this.date,
             tags: [...this.tags],
-            author: this.author // Добавляем author в JSON
+            author: this.author, // Добавляем author в JSON
+            location: this.location,
+            sourceUrl: this.sourceUrl,
+            language: this.language,
+            checksum: this.checksum,
+            openAfter: this.openAfter
         };
     }
 
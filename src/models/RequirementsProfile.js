@@ -0,0 +1,347 @@
+/**
+ * Встроенный профиль требований к капсуле
+ * Используется, если не загружен другой профиль
+ */
+export const DEFAULT_REQUIREMENTS = {
+    name: 'Цифровая капсула времени',
+    defaults: {
+        minTags: 5,
+        requiredFields: []
+    },
+    types: {
+        'НОВОСТЬ': {
+            id: 'news',
+            label: 'Новости',
+            minCount: 5,
+            minTags: 5,
+            requiredFields: ['title']
+        },
+        'МЕМ': {
+            id: 'memes',
+            label: 'Мемы',
+            minCount: 5,
+            minTags: 5,
+            explanationMinWords: 50,
+            explanationLabel: 'Объяснения мемов',
+            requiredFields: ['title']
+        },
+        'ЛИЧНОЕ': {
+            id: 'personal',
+            label: 'Личные достижения',
+            minCount: 2,
+            minTags: 5,
+            explanationMinWords: 100,
+            explanationLabel: 'Объяснения личных достижений',
+            requiredFields: ['title']
+        },
+        'КАПСУЛА': {
+            id: 'capsule',
+            label: 'Описание капсулы',
+            minCount: 1,
+            minTags: 0,
+            requiredFields: []
+        }
+    }
+};
+
+/**
+ * Поля элемента архива, которые можно указать в requiredFields
+ */
+const KNOWN_FIELDS = ['filename', 'type', 'title', 'description', 'date', 'tags', 'author', 'location', 'sourceUrl', 'language'];
+
+/**
+ * Подписи источников правил для отображения в интерфейсе
+ */
+const SOURCE_LABELS = {
+    builtin: 'встроенный профиль',
+    uploaded: 'загруженный профиль',
+    archive: 'requirements.json из архива'
+};
+
+/**
+ * Модель профиля требований к архиву
+ * Описывает минимальное количество элементов каждого типа, минимум тегов,
+ * минимальный объем объяснений и обязательные поля
+ */
+export class RequirementsProfile {
+    /**
+     * Создает экземпляр профиля требований
+     * @param {Object} config - Конфигурация профиля (формат requirements.json)
+     * @param {string} [config.name] - Название профиля
+     * @param {Object} [config.defaults] - Правила для типов, не описанных в types
+     * @param {Object<string, Object>} [config.types] - Правила по типам элементов
+     * @param {string} [source] - Источник правил (см. RequirementsProfile.SOURCES)
+     */
+    constructor(config = {}, source = RequirementsProfile.SOURCES.BUILTIN) {
+        this.name = config.name || 'Профиль без названия';
+        this.defaults = {
+            minTags: this.toCount(config.defaults?.minTags, 0),
+            requiredFields: this.toFieldList(config.defaults?.requiredFields),
+            source: config.defaults?.source || source
+        };
+        this.types = {};
+
+        const types = config.types && typeof config.types === 'object' ? config.types : {};
+        Object.entries(types).forEach(([type, rule], index) => {
+            const typeUpper = type.trim().toUpperCase();
+            if (!typeUpper || !rule || typeof rule !== 'object') return;
+            this.types[typeUpper] = {
+                id: typeof rule.id === 'string' && rule.id.trim() ? rule.id.trim() : `type-${index}`,
+                label: rule.label || typeUpper,
+                minCount: this.toCount(rule.minCount, 0),
+                minTags: this.toCount(rule.minTags, this.defaults.minTags),
+                explanationMinWords: this.toCount(rule.explanationMinWords, 0),
+                explanationLabel: rule.explanationLabel || `Объяснения: ${rule.label || typeUpper}`,
+                requiredFields: rule.requiredFields !== undefined
+                    ? this.toFieldList(rule.requiredFields)
+                    : [...this.defaults.requiredFields],
+                source: rule.source || source,
+                overriddenFields: Array.isArray(rule.overriddenFields) ? [...rule.overriddenFields] : []
+            };
+        });
+    }
+
+    /**
+     * Источники правил профиля
+     * @returns {{BUILTIN: string, UPLOADED: string, ARCHIVE: string}}
+     */
+    static get SOURCES() {
+        return {
+            BUILTIN: 'builtin',
+            UPLOADED: 'uploaded',
+            ARCHIVE: 'archive'
+        };
+    }
+
+    /**
+     * Подпись источника правила
+     * @param {string} source - Источник правила
+     * @returns {string} - Подпись для интерфейса
+     */
+    static getSourceLabel(source) {
+        return SOURCE_LABELS[source] || source;
+    }
+
+    /**
+     * Приведение значения к неотрицательному целому
+     * @param {*} value - Значение из конфигурации
+     * @param {number} fallback - Значение по умолчанию
+     * @returns {number} - Неотрицательное целое
+     */
+    toCount(value, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 ? Math.floor(number) : fallback;
+    }
+
+    /**
+     * Приведение списка обязательных полей к известным полям ArchiveItem
+     * @param {*} fields - Значение из конфигурации
+     * @returns {string[]} - Список полей
+     */
+    toFieldList(fields) {
+        if (!Array.isArray(fields)) return [];
+        return fields.filter(field => KNOWN_FIELDS.includes(field));
+    }
+
+    /**
+     * Получение правила для типа элемента
+     * @param {string} type - Тип элемента
+     * @returns {Object} - Правило (для неизвестных типов - правило по умолчанию)
+     */
+    getTypeRule(type) {
+        const typeUpper = (type || '').toUpperCase();
+        return this.types[typeUpper] || {
+            id: null,
+            label: typeUpper,
+            minCount: 0,
+            minTags: this.defaults.minTags,
+            explanationMinWords: 0,
+            explanationLabel: '',
+            requiredFields: [...this.defaults.requiredFields],
+            source: this.defaults.source,
+            overriddenFields: []
+        };
+    }
+
+    /**
+     * Типы, для которых задано минимальное количество элементов
+     * @returns {Array<{type: string, rule: Object}>}
+     */
+    getCountedTypes() {
+        return Object.entries(this.types)
+            .filter(([, rule]) => rule.minCount > 0)
+            .map(([type, rule]) => ({ type, rule }));
+    }
+
+    /**
+     * Типы, для которых требуется файл объяснения
+     * @returns {Array<{type: string, rule: Object}>}
+     */
+    getExplanationTypes() {
+        return Object.entries(this.types)
+            .filter(([, rule]) => rule.explanationMinWords > 0)
+            .map(([type, rule]) => ({ type, rule }));
+    }
+
+    /**
+     * Требуется ли файл объяснения для типа
+     * @param {string} type - Тип элемента
+     * @returns {boolean}
+     */
+    requiresExplanation(type) {
+        return this.getTypeRule(type).explanationMinWords > 0;
+    }
+
+    /**
+     * Минимальное количество слов в объяснении для типа
+     * @param {string} type - Тип элемента
+     * @returns {number}
+     */
+    getExplanationMinWords(type) {
+        return this.getTypeRule(type).explanationMinWords;
+    }
+
+    /**
+     * Проверка тегов и обязательных полей отдельного элемента
+     * @param {ArchiveItem} item - Элемент архива
+     * @returns {{tagCount: number, requiredTags: number, missingFields: string[], isValid: boolean}}
+     */
+    checkItem(item) {
+        const rule = this.getTypeRule(item.type);
+        const tags = Array.isArray(item.tags) ? item.tags.filter(tag => tag && tag.trim() !== '') : [];
+        const missingFields = rule.requiredFields.filter(field => {
+            const value = item[field];
+            if (Array.isArray(value)) return value.length === 0;
+            return typeof value !== 'string' || value.trim() === '';
+        });
+
+        return {
+            tagCount: tags.length,
+            requiredTags: rule.minTags,
+            missingFields,
+            isValid: tags.length >= rule.minTags && missingFields.length === 0
+        };
+    }
+
+    /**
+     * Список источников, из которых собраны правила профиля
+     * @returns {string[]}
+     */
+    getSources() {
+        const sources = new Set([this.defaults.source]);
+        Object.values(this.types).forEach(rule => sources.add(rule.source));
+        return [...sources];
+    }
+
+    /**
+     * Создает новый профиль, накладывая поверх текущих правил другую конфигурацию.
+     * Правила типа объединяются по полям: поля, заданные в конфигурации, заменяют текущие,
+     * остальные наследуются. Источник правила и замененные поля запоминаются
+     * @param {Object} config - Конфигурация в формате requirements.json
+     * @param {string} source - Источник накладываемой конфигурации
+     * @returns {RequirementsProfile} - Объединенный профиль
+     */
+    merge(config, source) {
+        const base = this.toJSON();
+        const overrideTypes = config.types && typeof config.types === 'object' ? config.types : {};
+        const types = { ...base.types };
+
+        Object.entries(overrideTypes).forEach(([type, rule]) => {
+            const typeUpper = type.trim().toUpperCase();
+            if (!typeUpper || !rule || typeof rule !== 'object') return;
+            const baseRule = base.types[typeUpper];
+            const ruleFields = Object.keys(rule).filter(field => field !== 'source' && field !== 'overriddenFields');
+            types[typeUpper] = {
+                ...baseRule,
+                ...rule,
+                source,
+                overriddenFields: baseRule ? ruleFields : []
+            };
+        });
+
+        const hasDefaults = config.defaults && typeof config.defaults === 'object';
+        const defaults = hasDefaults
+            ? { ...base.defaults, ...config.defaults, source }
+            : base.defaults;
+
+        return new RequirementsProfile({
+            name: config.name || base.name,
+            defaults,
+            types
+        }, source);
+    }
+
+    /**
+     * Преобразует профиль в объект для JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            defaults: {
+                minTags: this.defaults.minTags,
+                requiredFields: [...this.defaults.requiredFields],
+                source: this.defaults.source
+            },
+            types: Object.fromEntries(Object.entries(this.types).map(([type, rule]) => [type, {
+                ...rule,
+                requiredFields: [...rule.requiredFields],
+                overriddenFields: [...rule.overriddenFields]
+            }]))
+        };
+    }
+
+    /**
+     * Разбор и проверка текста requirements.json
+     * @param {string} text - Содержимое requirements.json
+     * @returns {Object} - Конфигурация профиля
+     */
+    static parseConfig(text) {
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Некорректный JSON профиля требований: ${error.message}`);
+        }
+        if (!config || typeof config !== 'object' || !config.types || typeof config.types !== 'object') {
+            throw new Error('Профиль требований должен содержать объект "types"');
+        }
+        const invalidType = Object.keys(config.types)
+            .find(type => !config.types[type] || typeof config.types[type] !== 'object' || Array.isArray(config.types[type]));
+        if (invalidType !== undefined) {
+            throw new Error(`Правило типа "${invalidType}" в профиле требований должно быть объектом`);
+        }
+        return config;
+    }
+
+    /**
+     * Создает профиль из текста JSON
+     * @param {string} text - Содержимое requirements.json
+     * @param {string} [source] - Источник профиля
+     * @returns {RequirementsProfile}
+     */
+    static fromJSON(text, source = RequirementsProfile.SOURCES.UPLOADED) {
+        return new RequirementsProfile(RequirementsProfile.parseConfig(text), source);
+    }
+
+    /**
+     * Загружает профиль по URL
+     * @param {string} url - Адрес requirements.json
+     * @returns {Promise<RequirementsProfile>}
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Не удалось загрузить профиль требований (${response.status})`);
+        }
+        return RequirementsProfile.fromJSON(await response.text());
+    }
+
+    /**
+     * Создает встроенный профиль по умолчанию
+     * @returns {RequirementsProfile}
+     */
+    static createDefault() {
+        return new RequirementsProfile(DEFAULT_REQUIREMENTS);
+    }
+}
@@ -3,6 +3,8 @@
  * @typedef {import('../models/ValidationError.js').ValidationError} ValidationError
  * @typedef {import('./ArchiveService.js').ArchiveService} ArchiveService
  */
+import { RequirementsProfile } from '../models/RequirementsProfile.js';
+import { ManifestService } from './ManifestService.js';
 
 /**
  * Класс для обработки архивов цифровой капсулы времени
@@ -26,10 +28,14 @@ export class ArchiveProcessor {
             }
         }
         
+        // Манифест выбирается в порядке приоритета: manifest.json, manifest.yaml, manifest.txt
+        const manifestEntry = ManifestService.MANIFEST_FILES.find(({ filename }) => files[filename]);
+        
         return {
             archiveService,
             files,
-            manifest: files['manifest.txt']
+            manifest: manifestEntry ? files[manifestEntry.filename] : undefined,
+            manifestFormat: manifestEntry ? manifestEntry.format : null
         };
     }
 
@@ -63,13 +69,13 @@ export class ArchiveProcessor {
         });
         
         // Проверяем наличие обязательных файлов
-        const manifestFile = archiveFiles['manifest.txt'];
-        if (!manifestFile) {
+        const hasManifest = ManifestService.MANIFEST_FILES.some(({ filename }) => archiveFiles[filename]);
+        if (!hasManifest) {
             errors.push({
                 lineNumber: 1,
                 line: 'manifest.txt',
-                error: 'Файл manifest.txt не найден в архиве',
-                expectedFormat: 'Файл manifest.txt обязателен для архива',
+                error: 'Манифест не найден в архиве',
+                expectedFormat: 'Архив должен содержать manifest.json, manifest.yaml или manifest.txt',
                 problematicParts: [{
                     index: 0,
                     part: 'manifest.txt',
@@ -87,35 +93,45 @@ export class ArchiveProcessor {
     /**
      * Проверяет требования к архиву
      * @param {ArchiveItem[]} items - Элементы архива
+     * @param {RequirementsProfile} [profile] - Профиль требований (по умолчанию встроенный)
      * @returns {Object} Объект с результатами проверки
      */
-    static validateArchiveRequirements(items) {
+    static validateArchiveRequirements(items, profile = RequirementsProfile.createDefault()) {
         const requirements = {
-            newsCount: 0,
-            mediaCount: 0,
-            personalCount: 0,
+            typeCounts: {},
             filesWithValidTags: 0,
             totalFiles: items.length,
+            unmetRules: [],
             isValid: true
         };
 
         items.forEach(item => {
             const itemType = item.type.toUpperCase();
-            if (itemType === 'НОВОСТЬ') requirements.newsCount++;
-            else if (itemType === 'МЕДИА') requirements.mediaCount++;
-            else if (itemType === 'ЛИЧНОЕ') requirements.personalCount++;
+            requirements.typeCounts[itemType] = (requirements.typeCounts[itemType] || 0) + 1;
 
-            if (item.tags.length >= 5) {
+            if (profile.checkItem(item).isValid) {
                 requirements.filesWithValidTags++;
             }
         });
 
-        // Проверяем требования
-        requirements.isValid = 
-            requirements.newsCount >= 5 &&
-            requirements.mediaCount >= 5 &&
-            requirements.personalCount >= 2 &&
-            requirements.filesWithValidTags === requirements.totalFiles;
+        // Проверяем требования по типам из профиля
+        profile.getCountedTypes().forEach(({ type, rule }) => {
+            const count = requirements.typeCounts[type] || 0;
+            if (count < rule.minCount) {
+                requirements.unmetRules.push({ type, label: rule.label, count, required: rule.minCount });
+            }
+        });
+
+        if (requirements.filesWithValidTags !== requirements.totalFiles) {
+            requirements.unmetRules.push({
+                type: null,
+                label: 'Ключевые слова',
+                count: requirements.filesWithValidTags,
+                required: requirements.totalFiles
+            });
+        }
+
+        requirements.isValid = requirements.unmetRules.length === 0;
 
         return requirements;
     }
@@ -1,42 +1,351 @@
 import JSZip from 'jszip';
-import initSevenZip from '7z-wasm?init'; // Используем Vite's WASM initialization с ?init суффиксом
+import { LruCache } from '../utils/lruCache.js';
+import { ArchiveError } from '../models/ArchiveError.js';
 
+/**
+ * Промис загрузки модуля 7z-wasm
+ * Модуль и WASM подгружаются только при первом архиве, который не читается через JSZip
+ */
+let sevenZipModulePromise = null;
+
+/**
+ * Ленивая загрузка 7z-wasm
+ * Модуль сам находит 7zz.wasm рядом с собой, поэтому импортируется без суффикса ?init
+ * (так он загружается и в сборке Vite, и в Node при запуске test_all.js)
+ * @returns {Promise<Function>} - Функция инициализации экземпляра 7z-wasm
+ */
+function loadSevenZipModule() {
+    if (!sevenZipModulePromise) {
+        sevenZipModulePromise = import('7z-wasm')
+            .then(module => module.default)
+            .catch(error => {
+                // Даем возможность повторить загрузку, например после восстановления сети
+                sevenZipModulePromise = null;
+                throw error;
+            });
+    }
+    return sevenZipModulePromise;
+}
+
+/**
+ * Служебные файлы, которые добавляют ОС при сжатии папки (macOS, Windows)
+ * Они не считаются содержимым капсулы
+ */
+const SERVICE_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+/**
+ * Размер в мегабайтах для сообщений проверки безопасности
+ * @param {number} bytes - Размер в байтах
+ * @returns {string}
+ */
+function formatMegabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
+}
+
+/**
+ * Декодирование имен файлов ZIP без флага UTF-8
+ * Архивы, созданные в русской Windows, хранят имена в кодировке CP866
+ * @param {Uint8Array} bytes - Байты имени файла
+ * @returns {string} - Имя файла
+ */
+function decodeZipFileName(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        return new TextDecoder('ibm866').decode(bytes);
+    }
+}
+
+/**
+ * @typedef {Object} ExtractionProgressDetails
+ * @property {number} entriesDone - Распаковано файлов
+ * @property {number} entriesTotal - Всего файлов в архиве
+ * @property {number} bytesDone - Распаковано байт
+ * @property {number|null} bytesTotal - Общий размер файлов (null, если движок его не сообщает)
+ * @property {string|null} currentFile - Файл, который распаковывается сейчас
+ */
+
+/**
+ * Учет прогресса распаковки по файлам архива
+ * Каждый файл учитывается один раз, повторные чтения (например из кэша) прогресс не меняют
+ */
+class ExtractionProgress {
+    /**
+     * @param {Function|null} onProgress - Колбэк (percent, details: ExtractionProgressDetails)
+     */
+    constructor(onProgress = null) {
+        this.onProgress = onProgress;
+        this.entriesTotal = 0;
+        this.bytesTotal = null;
+        this.extracted = new Set();
+        this.bytesDone = 0;
+    }
+
+    /**
+     * Сброс счетчиков для нового архива
+     * @param {{entriesTotal: number, bytesTotal: number|null}} totals - Данные из списка файлов архива
+     */
+    reset({ entriesTotal, bytesTotal }) {
+        this.entriesTotal = entriesTotal;
+        this.bytesTotal = bytesTotal;
+        this.extracted.clear();
+        this.bytesDone = 0;
+    }
+
+    /**
+     * Был ли файл уже распакован
+     * @param {string} path - Путь файла в архиве
+     * @returns {boolean}
+     */
+    isExtracted(path) {
+        return this.extracted.has(path);
+    }
+
+    /**
+     * Начало распаковки файла
+     * @param {string} path - Путь файла в архиве
+     */
+    start(path) {
+        if (!this.isExtracted(path)) this.report(path);
+    }
+
+    /**
+     * Завершение распаковки файла
+     * @param {string} path - Путь файла в архиве
+     * @param {number} bytes - Размер распакованного файла
+     */
+    done(path, bytes) {
+        if (this.isExtracted(path)) return;
+        this.extracted.add(path);
+        this.bytesDone += bytes;
+        this.report(null);
+    }
+
+    /**
+     * Текущие счетчики распаковки
+     * @param {string|null} currentFile - Файл, который распаковывается сейчас
+     * @returns {ExtractionProgressDetails}
+     */
+    getDetails(currentFile) {
+        return {
+            entriesDone: this.extracted.size,
+            entriesTotal: this.entriesTotal,
+            bytesDone: this.bytesDone,
+            bytesTotal: this.bytesTotal,
+            currentFile
+        };
+    }
+
+    /**
+     * Сообщение о завершении чтения списка файлов архива (конец этапа загрузки)
+     */
+    reportListed() {
+        if (this.onProgress) this.onProgress(100, this.getDetails(null));
+    }
+
+    /**
+     * Передача текущего прогресса распаковки в колбэк
+     * Процент считается по байтам, если известен общий размер, иначе по количеству файлов
+     * @param {string|null} currentFile - Файл, который распаковывается сейчас
+     */
+    report(currentFile) {
+        if (!this.onProgress) return;
+
+        const details = this.getDetails(currentFile);
+        const percent = this.bytesTotal
+            ? (details.bytesDone / this.bytesTotal) * 100
+            : (this.entriesTotal > 0 ? (details.entriesDone / this.entriesTotal) * 100 : 100);
+
+        this.onProgress(Math.min(100, Math.round(percent)), details);
+    }
+}
+
+/**
+ * Проверка фактически распакованных байт
+ * Размеры в заголовках архива задает его автор и их можно подделать, поэтому ограничения размера файла,
+ * общего размера и степени сжатия проверяются еще и по байтам, которые движок действительно распаковал
+ */
+class ExtractionGuard {
+    /**
+     * @param {Object} limits - Ограничения проверки безопасности (ArchiveService.DEFAULT_LIMITS)
+     */
+    constructor(limits) {
+        this.limits = limits;
+        this.archiveSize = 0;
+        // Путь файла -> распаковано байт (повторная распаковка после вытеснения из кэша не суммируется)
+        this.sizes = new Map();
+        this.totalSize = 0;
+    }
+
+    /**
+     * Сброс счетчиков для нового архива
+     * @param {number} archiveSize - Размер архива (байт)
+     */
+    reset(archiveSize) {
+        this.archiveSize = archiveSize;
+        this.sizes.clear();
+        this.totalSize = 0;
+    }
+
+    /**
+     * Учет распакованных байт файла; может вызываться по мере распаковки с нарастающим размером
+     * @param {string} path - Путь файла в архиве
+     * @param {number} size - Распаковано байт файла к этому моменту
+     * @throws {ArchiveError} - Превышено ограничение (код UNSAFE, details.problems)
+     */
+    check(path, size) {
+        const PROBLEMS = ArchiveService.INSPECTION_PROBLEMS;
+        const previousSize = this.sizes.get(path) || 0;
+        const totalSize = this.totalSize + Math.max(size - previousSize, 0);
+        const compressionRatio = this.archiveSize > 0 ? totalSize / this.archiveSize : 0;
+
+        let problem = null;
+        if (size > this.limits.maxEntrySize) {
+            problem = { code: PROBLEMS.ENTRY_SIZE, path, message: `Файл ${path} при распаковке превысил ${formatMegabytes(this.limits.maxEntrySize)}` };
+        } else if (totalSize > this.limits.maxTotalSize) {
+            problem = { code: PROBLEMS.TOTAL_SIZE, path, message: `Распакованные файлы превысили ${formatMegabytes(this.limits.maxTotalSize)}` };
+        } else if (totalSize >= this.limits.compressionCheckMinSize && compressionRatio > this.limits.maxCompressionRatio) {
+            problem = {
+                code: PROBLEMS.COMPRESSION_RATIO,
+                path,
+                message: `Подозрительная степень сжатия при распаковке: ${Math.round(compressionRatio)}:1 (допустимо ${this.limits.maxCompressionRatio}:1), архив похож на zip-бомбу`
+            };
+        }
+        if (problem) {
+            throw new ArchiveError(ArchiveError.CODES.UNSAFE, `Архив отклонен проверкой безопасности: ${problem.message}`, { problems: [problem] });
+        }
+
+        if (size > previousSize) {
+            this.sizes.set(path, size);
+            this.totalSize = totalSize;
+        }
+    }
+}
+
+/**
+ * Преобразование распакованного содержимого в тип, запрошенный через file.async(type)
+ * @param {Uint8Array} content - Содержимое файла
+ * @param {string} type - 'text', 'arraybuffer', 'uint8array' или 'blob'
+ * @returns {string|ArrayBuffer|Uint8Array|Blob}
+ */
+function convertContent(content, type) {
+    if (type === 'text') {
+        return new TextDecoder('utf-8').decode(content);
+    } else if (type === 'arraybuffer') {
+        return content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+    } else if (type === 'uint8array') {
+        return content;
+    } else if (type === 'blob') {
+        return new Blob([content]);
+    }
+    return content;
+}
 
 /**
- * Адаптер для JSZip (закомментирован для отката при необходимости)
- *
+ * Адаптер для JSZip
+ * Используется для ZIP-архивов: не требует загрузки WASM
+ */
 class JSZipAdapter {
-    constructor() {
+    constructor(onProgress = null, limits = ArchiveService.DEFAULT_LIMITS) {
         this.zip = null;
+        this.progress = new ExtractionProgress(onProgress);
+        this.guard = new ExtractionGuard(limits);
     }
 
     async loadArchive(buffer) {
+        if (this.progress.onProgress) {
+            this.progress.onProgress(0, null);
+        }
+
         this.zip = new JSZip();
-        await this.zip.loadAsync(buffer);
+        try {
+            await this.zip.loadAsync(buffer, { decodeFileName: decodeZipFileName });
+        } catch (error) {
+            // JSZip не умеет расшифровывать архивы - такой архив открывается через 7z-wasm
+            if (/encrypted/i.test(error.message)) {
+                throw new ArchiveError(ArchiveError.CODES.PASSWORD_REQUIRED, 'Архив зашифрован: JSZip не поддерживает зашифрованные ZIP', { engine: 'jszip' });
+            }
+            throw new ArchiveError(ArchiveError.CODES.CORRUPT, `Архив поврежден или не является ZIP: ${error.message}`, { engine: 'jszip' });
+        }
+
+        // JSZip не сообщает размеры файлов до распаковки, поэтому прогресс считается по количеству файлов
+        this.progress.reset({ entriesTotal: this.getFileList().length, bytesTotal: null });
+        this.progress.reportListed();
+        this.guard.reset(buffer.byteLength);
         return this;
     }
 
-    async extractFile(filename) {
-        if (!this.zip) throw new Error('Archive not loaded');
-        const file = this.zip.file(filename);
-        if (!file) return null;
-        
-        // Возвращаем объект с методом async для совместимости
+    /**
+     * Распаковка одного файла потоком с проверкой фактического размера
+     * Распаковка останавливается, как только файл или архив превышает ограничения,
+     * даже если в заголовке ZIP указан маленький размер
+     * @param {string} filename - Путь файла в архиве
+     * @param {Object} file - Объект файла JSZip
+     * @returns {Promise<Uint8Array>} - Содержимое файла
+     * @throws {ArchiveError} - Превышено ограничение размера (код UNSAFE)
+     */
+    readEntry(filename, file) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            const stream = file.internalStream('uint8array');
+            stream
+                .on('data', (chunk) => {
+                    size += chunk.byteLength;
+                    try {
+                        this.guard.check(filename, size);
+                    } catch (error) {
+                        stream.pause();
+                        reject(error);
+                        return;
+                    }
+                    chunks.push(chunk);
+                })
+                .on('error', reject)
+                .on('end', () => {
+                    const content = new Uint8Array(size);
+                    let offset = 0;
+                    for (const chunk of chunks) {
+                        content.set(chunk, offset);
+                        offset += chunk.byteLength;
+                    }
+                    resolve(content);
+                })
+                .resume();
+        });
+    }
+
+    /**
+     * Объект файла с распаковкой содержимого по запросу
+     * @param {string} filename - Путь файла в архиве
+     * @param {Object} file - Объект файла JSZip
+     * @returns {{name: string, async: Function}}
+     */
+    createFileObject(filename, file) {
         return {
             name: filename,
             async: async (type) => {
-                return await file.async(type);
+                this.progress.start(filename);
+                const content = await this.readEntry(filename, file);
+                this.progress.done(filename, content.byteLength);
+                return convertContent(content, type);
             }
         };
     }
 
+    async extractFile(filename) {
+        if (!this.zip) throw new Error('Archive not loaded');
+        const file = this.zip.file(filename);
+        return file ? this.createFileObject(filename, file) : null;
+    }
+
     extractAllFiles() {
         if (!this.zip) throw new Error('Archive not loaded');
         const files = {};
         
         for (const [filename, file] of Object.entries(this.zip.files)) {
             if (!file.dir) {
-                files[filename] = file;
+                files[filename] = this.createFileObject(filename, file);
             }
         }
         
@@ -61,18 +370,34 @@ class JSZipAdapter {
         return !!this.zip.file(filename);
     }
 
+    /**
+     * Сведения о файлах архива из центрального каталога (без распаковки)
+     * Для имен с "../" возвращается исходное имя, которое JSZip исправил при загрузке
+     * @returns {Array<{path: string, size: number, packedSize: number}>}
+     */
+    getEntries() {
+        if (!this.zip) throw new Error('Archive not loaded');
+        return Object.values(this.zip.files)
+            .filter(file => !file.dir)
+            .map(file => ({
+                path: file.unsafeOriginalName || file.name,
+                size: file._data?.uncompressedSize ?? 0,
+                packedSize: file._data?.compressedSize ?? 0
+            }));
+    }
+
     async getFileSize(filename) {
         if (!this.zip) throw new Error('Archive not loaded');
         const file = this.zip.file(filename);
         if (!file) return 0;
         
-        const content = await file.async('arraybuffer');
+        const content = await this.readEntry(filename, file);
         return content.byteLength;
     }
 
     async extractTextFile(filename) {
         if (!this.zip) throw new Error('Archive not loaded');
-        const file = this.zip.file(filename);
+        const file = await this.extractFile(filename);
         if (!file) {
             throw new Error(`Файл ${filename} не найден в архиве`);
         }
@@ -82,7 +407,7 @@ class JSZipAdapter {
 
     async extractBinaryFile(filename) {
         if (!this.zip) throw new Error('Archive not loaded');
-        const file = this.zip.file(filename);
+        const file = await this.extractFile(filename);
         if (!file) {
             throw new Error(`Файл ${filename} не найден в архиве`);
         }
@@ -92,7 +417,7 @@ class JSZipAdapter {
 
     async validateArchive(buffer) {
         try {
-            const zip = await JSZip.loadAsync(buffer);
+            const zip = await JSZip.loadAsync(buffer, { decodeFileName: decodeZipFileName });
             const files = this.extractAllFilesFromInstance(zip);
             return Object.keys(files).length > 0;
         } catch (error) {
@@ -113,91 +438,147 @@ class JSZipAdapter {
         return files;
     }
 }
-*/
+
+/**
+ * Предел памяти для распакованных файлов 7z-wasm (байт)
+ * Давно не использованные файлы вытесняются и при повторном обращении распаковываются заново
+ */
+const SEVEN_ZIP_CACHE_LIMIT = 256 * 1024 * 1024;
 
 /**
  * Адаптер для 7z-wasm
+ * Архив не распаковывается целиком: при загрузке читается только список файлов (7z l),
+ * а каждый файл распаковывается по запросу и хранится в LRU-кэше ограниченного размера
+ * Зашифрованные архивы (7z, ZIP) открываются с паролем, который передается 7z через -p
  */
 class SevenZipAdapter {
-    constructor(onProgress = null) {
+    constructor(onProgress = null, password = null, limits = ArchiveService.DEFAULT_LIMITS) {
         this.sevenZip = null;
         this.loaded = false;
-        this.onProgress = onProgress;
+        this.progress = new ExtractionProgress(onProgress);
+        this.password = password;
+        // Ограничения проверки безопасности: нужны до распаковки вложенного tar из .tar.gz
+        this.limits = limits;
+        this.guard = new ExtractionGuard(limits);
+        this.encrypted = false;
+        this.archiveName = null;
+        // Путь файла -> { path, size, packedSize, encrypted }
+        this.entries = new Map();
+        this.cache = new LruCache({ maxSize: SEVEN_ZIP_CACHE_LIMIT, sizeOf: bytes => bytes.byteLength });
+        // Вывод 7z текущей команды (7z-wasm печатает stdout и stderr построчно через print/printErr)
+        this.output = [];
+        this.errorOutput = [];
+    }
+
+    /**
+     * Запуск команды 7z с захватом вывода
+     * Пароль передается всегда (пустой -p отключает запрос пароля из stdin)
+     * @param {string[]} args - Команда и аргументы командной строки
+     * @returns {{code: number|null, output: string[], errors: string[], crashed: boolean}}
+     *          crashed - 7z-wasm аварийно завершился (так происходит при зашифрованных заголовках 7z без верного пароля)
+     */
+    run([command, ...args]) {
+        this.output = [];
+        this.errorOutput = [];
+        let code = null;
+        let crashed = false;
+        try {
+            code = this.sevenZip.callMain([command, `-p${this.password || ''}`, ...args]);
+        } catch (error) {
+            crashed = true;
+        }
+        return { code, output: this.output, errors: this.errorOutput, crashed };
+    }
+
+    /**
+     * Преобразование неудачного запуска 7z в ArchiveError
+     * @param {{errors: string[], crashed: boolean}} result - Результат run()
+     * @param {boolean} encrypted - Архив или файл известен как зашифрованный
+     * @returns {ArchiveError}
+     */
+    createError({ errors, crashed }, encrypted) {
+        const errorText = errors.filter(line => line.trim() !== '').join(' ');
+        const isPasswordProblem = encrypted || crashed || /wrong password|encrypted/i.test(errorText);
+
+        if (isPasswordProblem) {
+            return this.password
+                ? new ArchiveError(ArchiveError.CODES.WRONG_PASSWORD, 'Неверный пароль архива', { output: errorText })
+                : new ArchiveError(ArchiveError.CODES.PASSWORD_REQUIRED, 'Архив защищен паролем', { output: errorText });
+        }
+        return new ArchiveError(ArchiveError.CODES.CORRUPT, `Архив поврежден или имеет неподдерживаемый формат${errorText ? `: ${errorText}` : ''}`, { output: errorText });
+    }
+
+    /**
+     * Разбор технического вывода "7z l -slt"
+     * @param {string[]} lines - Строки вывода
+     * @returns {Array<{path: string, size: number, packedSize: number, encrypted: boolean}>} - Файлы архива (без папок)
+     */
+    static parseListing(lines) {
+        const entries = [];
+        let current = null;
+
+        const flush = () => {
+            // Папки отмечаются "Folder = +" (ZIP, tar) или атрибутом D (7z)
+            const isFolder = current && (current.Folder === '+' || (current.Attributes || '').split(' ')[0].includes('D'));
+            if (current && current.Path !== undefined && !isFolder) {
+                entries.push({
+                    path: current.Path.replace(/\\/g, '/'),
+                    size: Number(current.Size) || 0,
+                    packedSize: Number(current['Packed Size']) || 0,
+                    encrypted: current.Encrypted === '+'
+                });
+            }
+            current = null;
+        };
+
+        for (const line of lines) {
+            if (line.trim() === '') {
+                flush();
+                continue;
+            }
+            const separatorIndex = line.indexOf(' = ');
+            if (separatorIndex === -1) continue;
+            current = current || {};
+            current[line.slice(0, separatorIndex)] = line.slice(separatorIndex + 3);
+        }
+        flush();
+
+        return entries;
     }
 
     async loadArchive(buffer) {
         try {
-            // Инициализируем 7z-wasm экземпляр с помощью Vite's WASM initialization
-            this.sevenZip = await initSevenZip();
-            this.loaded = true;
-            
-            // Создаем временный файл в виртуальной файловой системе
-            const archiveName = `archive_${Date.now()}.7z`;
-            this.sevenZip.FS.writeFile(archiveName, new Uint8Array(buffer));
-            
-            // Сначала получаем список файлов для отслеживания прогресса
-            let totalFiles = 0;
-            if (this.onProgress) {
-                try {
-                    // Получаем список файлов в архиве
-                    this.sevenZip.FS.mkdir('/list_temp');
-                    const listResult = this.sevenZip.callMain(['l', archiveName]);
-                    
-                    if (listResult === 0) {
-                        // Читаем список файлов для определения общего количества файлов
-                        const listOutput = this.sevenZip.FS.readdir('/list_temp');
-                        // Получаем содержимое списка файлов для подсчета
-                        const listFile = '/list_temp/list.txt';
-                        try {
-                            this.sevenZip.FS.writeFile(listFile, '');
-                            const listContent = this.sevenZip.FS.readFile(listFile, { encoding: 'utf8' });
-                            // Подсчитываем файлы в архиве (это может потребовать дополнительной обработки)
-                            // Пока устанавливаем начальный прогресс
-                            this.onProgress(0);
-                        } catch (readError) {
-                            // Если не можем прочитать список, просто отправляем 0%
-                            this.onProgress(0);
-                        }
-                    }
-                } catch (listError) {
-                    console.warn('Could not get file list for progress tracking:', listError.message);
-                    this.onProgress(0);
-                }
+            // Инициализируем экземпляр 7z-wasm
+            const initSevenZip = await loadSevenZipModule();
+            this.sevenZip = await initSevenZip({
+                print: (line) => this.output.push(line),
+                printErr: (line) => this.errorOutput.push(line)
+            });
+
+            if (this.progress.onProgress) {
+                this.progress.onProgress(0, null);
             }
 
-            // Извлекаем архив с отслеживанием прогресса
+            // В виртуальной файловой системе хранится только сжатый архив
+            this.archiveName = `/archive_${Date.now()}`;
+            this.sevenZip.FS.writeFile(this.archiveName, new Uint8Array(buffer));
             this.sevenZip.FS.mkdir('/extracted');
-            
-            // Для более точного отслеживания прогресса, мы будем использовать таймер
-            // чтобы отправлять промежуточные обновления, так как 7z-wasm не предоставляет
-            // встроенный механизм отслеживания прогресса
-            let progress = 0;
-            const progressInterval = setInterval(() => {
-                if (this.onProgress && progress < 95) {
-                    progress += 2; // Увеличиваем прогресс на 2% каждые 100ms для более плавного обновления
-                    this.onProgress(progress);
-                }
-            }, 100); // Обновляем прогресс каждые 100ms
+            this.guard.reset(buffer.byteLength);
 
-            try {
-                const result = this.sevenZip.callMain(['x', '-y', archiveName, '-o/extracted']);
-                
-                if (result !== 0) {
-                    throw new Error(`7z extraction failed with code: ${result}`);
-                }
-            } finally {
-                // Останавливаем интервал прогресса
-                clearInterval(progressInterval);
-                // Убедимся, что отправляем 100% в конце, если не достигли
-                if (this.onProgress && progress < 100) {
-                    this.onProgress(100);
-                }
+            this.readListing();
+            if (this.unwrapCompressedTar(buffer)) {
+                this.readListing();
+                // Вложенный tar не является файлом капсулы: учитываются только файлы внутри него
+                this.guard.reset(buffer.byteLength);
             }
+            this.cache.clear();
+            this.verifyPassword();
+            this.loaded = true;
 
-            // Отправляем 100% прогресс после завершения
-            if (this.onProgress) {
-                this.onProgress(100);
-            }
+            // Количество файлов и общий размер берутся из списка 7z l
+            const bytesTotal = Array.from(this.entries.values()).reduce((sum, entry) => sum + entry.size, 0);
+            this.progress.reset({ entriesTotal: this.entries.size, bytesTotal });
+            this.progress.reportListed();
             
             return this;
         } catch (error) {
@@ -206,119 +587,171 @@ class SevenZipAdapter {
         }
     }
 
-    async extractFile(filename) {
-        if (!this.loaded) throw new Error('Archive not loaded');
-        
+    /**
+     * Чтение списка файлов архива (7z l)
+     * @throws {ArchiveError} - Архив не читается: нужен пароль или архив поврежден
+     */
+    readListing() {
+        // -slt - технический формат списка, -ba - без заголовков, -bsp0 - без индикатора прогресса
+        const listing = this.run(['l', '-slt', '-ba', '-bsp0', this.archiveName]);
+        if (listing.code !== 0) {
+            // Без верного пароля 7z не может прочитать зашифрованные заголовки 7z-архива
+            throw this.createError(listing, false);
+        }
+        this.entries = new Map(SevenZipAdapter.parseListing(listing.output).map(entry => [entry.path, entry]));
+    }
+
+    /**
+     * Замена сжатого потока (.tar.gz) вложенным tar-архивом
+     * 7z показывает содержимое gzip как один файл .tar, поэтому tar распаковывается
+     * в виртуальную файловую систему и открывается вместо исходного архива
+     * @param {ArrayBuffer} buffer - Содержимое исходного архива
+     * @returns {boolean} - Архив заменен вложенным tar
+     */
+    unwrapCompressedTar(buffer) {
+        if (!ArchiveService.detectFormat(buffer)?.compressedStream || this.entries.size !== 1) return false;
+
+        // Размер вложенного tar проверяется до распаковки: gzip-бомба не должна заполнить память
+        ArchiveService.assertSafe(Array.from(this.entries.values()), buffer.byteLength, this.limits);
+
+        const [innerPath] = this.entries.keys();
+        const result = this.run(['x', '-y', '-bsp0', '-spd', this.archiveName, '-o/extracted', innerPath]);
+        const inner = this.readExtracted(innerPath);
+        if (result.code !== 0) {
+            throw this.createError(result, false);
+        }
+
+        if (ArchiveService.detectFormat(inner)?.id !== 'tar') return false;
+
+        this.sevenZip.FS.writeFile(this.archiveName, inner);
+        return true;
+    }
+
+    /**
+     * Проверка пароля зашифрованного архива до показа содержимого
+     * Пароль проверяется тестом (7z t) самого маленького зашифрованного файла
+     * @throws {ArchiveError} - Пароль не указан или неверный
+     */
+    verifyPassword() {
+        const encryptedEntries = Array.from(this.entries.values()).filter(entry => entry.encrypted);
+        this.encrypted = encryptedEntries.length > 0;
+        if (encryptedEntries.length === 0) return;
+
+        if (!this.password) {
+            throw this.createError({ errors: [], crashed: false }, true);
+        }
+
+        const smallest = encryptedEntries.reduce((min, entry) => (entry.size < min.size ? entry : min));
+        const result = this.run(['t', '-bsp0', '-spd', this.archiveName, smallest.path]);
+        if (result.code !== 0) {
+            throw this.createError(result, true);
+        }
+    }
+
+    /**
+     * Распаковка одного файла архива
+     * Распакованный файл удаляется из виртуальной файловой системы и хранится только в LRU-кэше
+     * @param {string} path - Путь файла в архиве
+     * @returns {Uint8Array} - Содержимое файла
+     */
+    readEntry(path) {
+        const cached = this.cache.get(path);
+        if (cached) return cached;
+
+        // -spd отключает шаблоны: имена с [ ] * ? распаковываются как есть
+        const result = this.run(['x', '-y', '-bsp0', '-spd', this.archiveName, '-o/extracted', path]);
+        const content = this.readExtracted(path);
+        if (result.code !== 0) {
+            throw this.createError(result, Boolean(this.entries.get(path)?.encrypted));
+        }
+
+        this.cache.set(path, content);
+        this.progress.done(path, content.byteLength);
+        return content;
+    }
+
+    /**
+     * Чтение распакованного файла из виртуальной файловой системы с проверкой его фактического размера
+     * 7z-wasm распаковывает файл синхронно, поэтому размер проверяется сразу после распаковки,
+     * до копирования содержимого в память JavaScript. Проверяется и файл, распакованный с ошибкой
+     * (например, когда размер не совпал с заголовком). Файл удаляется из виртуальной файловой системы
+     * @param {string} path - Путь файла в архиве
+     * @returns {Uint8Array|null} - Содержимое файла или null, если 7z его не создал
+     * @throws {ArchiveError} - Превышено ограничение размера (код UNSAFE)
+     */
+    readExtracted(path) {
+        const extractedPath = `/extracted/${path}`;
+        if (!this.sevenZip.FS.analyzePath(extractedPath).exists) return null;
         try {
-            const path = `/extracted/${filename}`;
-            const stat = this.sevenZip.FS.analyzePath(path);
-            
-            if (stat.exists && !stat.object.isFolder) {
-                const fileContent = this.sevenZip.FS.readFile(path);
-                return {
-                    name: filename,
-                    async: async (type) => {
-                        try {
-                            if (type === 'text') {
-                                return new TextDecoder('utf-8').decode(fileContent);
-                            } else if (type === 'arraybuffer') {
-                                return fileContent.buffer;
-                            } else if (type === 'uint8array') {
-                                return fileContent;
-                            }
-                            return fileContent;
-                        } catch (error) {
-                            console.warn(`Error reading file ${filename}:`, error.message);
-                            throw error;
-                        }
+            this.guard.check(path, this.sevenZip.FS.stat(extractedPath).size);
+            return this.sevenZip.FS.readFile(extractedPath);
+        } finally {
+            this.sevenZip.FS.unlink(extractedPath);
+        }
+    }
+
+    /**
+     * Объект файла с ленивой распаковкой содержимого
+     * @param {string} filename - Путь файла в архиве
+     * @returns {{name: string, async: Function}}
+     */
+    createFileObject(filename) {
+        return {
+            name: filename,
+            async: async (type) => {
+                try {
+                    // Распаковка в 7z-wasm синхронная: даем браузеру показать имя распаковываемого файла
+                    if (this.progress.onProgress && !this.cache.has(filename)) {
+                        this.progress.start(filename);
+                        await new Promise(resolve => setTimeout(resolve, 0));
                     }
-                };
+                    return convertContent(this.readEntry(filename), type);
+                } catch (error) {
+                    console.warn(`Error reading file ${filename}:`, error.message);
+                    throw error;
+                }
             }
-            return null;
-        } catch (error) {
-            console.warn(`File ${filename} not found in archive:`, error.message);
-            return null;
-        }
+        };
+    }
+
+    async extractFile(filename) {
+        if (!this.loaded) throw new Error('Archive not loaded');
+        return this.entries.has(filename) ? this.createFileObject(filename) : null;
     }
 
     extractAllFiles() {
         if (!this.loaded) throw new Error('Archive not loaded');
         
-        try {
-            const files = {};
-            const contents = this.sevenZip.FS.readdir('/extracted');
-            
-            for (const item of contents) {
-                if (item !== '.' && item !== '..') {
-                    const path = `/extracted/${item}`;
-                    const stat = this.sevenZip.FS.analyzePath(path);
-                    if (stat.exists && !stat.object.isFolder) {
-                        const fileContent = this.sevenZip.FS.readFile(path);
-                        files[item] = {
-                            name: item,
-                            async: async (type) => {
-                                try {
-                                    if (type === 'text') {
-                                        return new TextDecoder('utf-8').decode(fileContent);
-                                    } else if (type === 'arraybuffer') {
-                                        return fileContent.buffer;
-                                    } else if (type === 'uint8array') {
-                                        return fileContent;
-                                    }
-                                    return fileContent;
-                                } catch (error) {
-                                    console.warn(`Error reading file ${item}:`, error.message);
-                                    throw error;
-                                }
-                            }
-                        };
-                    }
-                }
-            }
-            
-            return files;
-        } catch (error) {
-            console.warn('Error extracting all files:', error.message);
-            return {};
+        const files = {};
+        for (const path of this.entries.keys()) {
+            files[path] = this.createFileObject(path);
         }
+        return files;
     }
 
     getFileList() {
         if (!this.loaded) throw new Error('Archive not loaded');
-        
-        try {
-            const contents = this.sevenZip.FS.readdir('/extracted');
-            return contents.filter(item => item !== '.' && item !== '..');
-        } catch (error) {
-            console.warn('Error getting file list:', error.message);
-            return [];
-        }
+        return Array.from(this.entries.keys());
     }
 
     fileExists(filename) {
         if (!this.loaded) throw new Error('Archive not loaded');
-        
-        try {
-            const path = `/extracted/${filename}`;
-            const stat = this.sevenZip.FS.analyzePath(path);
-            return stat.exists && !stat.object.isFolder;
-        } catch (error) {
-            return false;
-        }
+        return this.entries.has(filename);
+    }
+
+    /**
+     * Сведения о файлах архива из списка 7z l (без распаковки)
+     * @returns {Array<{path: string, size: number, packedSize: number}>}
+     */
+    getEntries() {
+        if (!this.loaded) throw new Error('Archive not loaded');
+        return Array.from(this.entries.values());
     }
 
     async getFileSize(filename) {
         if (!this.loaded) throw new Error('Archive not loaded');
-        
-        try {
-            const file = await this.extractFile(filename);
-            if (!file) return 0;
-            
-            const content = await file.async('arraybuffer');
-            return content.byteLength;
-        } catch (error) {
-            return 0;
-        }
+        // Размер берется из списка файлов архива без распаковки
+        return this.entries.get(filename)?.size || 0;
     }
 
     async extractTextFile(filename) {
@@ -345,45 +778,9 @@ class SevenZipAdapter {
 
     async validateArchive(buffer) {
         try {
-            // For 7z validation, we'll use the same approach as loadArchive but with validation only
-            const sevenZip = await initSevenZip();
-            
-            // Create temporary file for validation
-            const archiveName = `validate_${Date.now()}.7z`;
-            sevenZip.FS.writeFile(archiveName, new Uint8Array(buffer));
-            
-            // Send progress if callback is provided
-            if (this.onProgress) {
-                this.onProgress(0);
-            }
-
-            // Try to list the archive contents to validate it
-            sevenZip.FS.mkdir('/validate_list');
-            const result = sevenZip.callMain(['l', archiveName]); // Use 'l' for list only
-            
-            if (result === 0) {
-                // If listing succeeded, try to extract to validate content
-                sevenZip.FS.mkdir('/validate_extract');
-                const extractResult = sevenZip.callMain(['x', '-y', archiveName, '-o/validate_extract']);
-                if (extractResult === 0) {
-                    const contents = sevenZip.FS.readdir('/validate_extract');
-                    const files = contents.filter(item => item !== '.' && item !== '..');
-                    
-                    // Send progress if callback is provided
-                    if (this.onProgress) {
-                        this.onProgress(100);
-                    }
-                    
-                    return files.length > 0;
-                }
-            }
-
-            // Send progress if callback is provided
-            if (this.onProgress) {
-                this.onProgress(100);
-            }
-
-            return false;
+            // Для проверки достаточно прочитать список файлов: распаковка не нужна
+            await this.loadArchive(buffer);
+            return this.entries.size > 0;
         } catch (error) {
             console.warn('Невалидный архив:', error.message);
             return false;
@@ -392,279 +789,466 @@ class SevenZipAdapter {
 }
 
 /**
- * Адаптер для JS7z
- * Закомментирован из-за проблем с билдом из-за top-level await в js7z-tools
+ * Адаптер для распакованной капсулы - папки, выбранной через webkitdirectory или перетащенной в окно
+ * Файлы уже доступны как File, поэтому распаковка сводится к чтению файла
  */
-/*
-class JS7zAdapter {
-    constructor() {
-        this.js7z = null;
-        this.fs = null;
-        this.archiveName = null;
-        this.extractedFiles = new Map(); // Кэш извлеченных файлов
+class FolderAdapter {
+    constructor(onProgress = null) {
+        this.progress = new ExtractionProgress(onProgress);
+        // Путь файла относительно выбранной папки -> File
+        this.files = null;
     }
 
-    async loadArchive(buffer) {
-        // Динамически загружаем JS7z экземпляр
-        const { default: JS7z } = await import('js7z-tools');
-        this.js7z = await JS7z();
-        this.fs = this.js7z.FS;
-        
-        // Создаем уникальное имя архива
-        this.archiveName = `archive_${Date.now()}.tmp`;
-        
-        // Записываем буфер в виртуальную файловую систему JS7z
-        this.fs.writeFile(this.archiveName, new Uint8Array(buffer));
-        
-        // Извлекаем все файлы из архива в виртуальную файловую систему
-        // Используем команду 7z для извлечения: 7z x archive.tmp -o/extracted/
-        this.js7z.FS.mkdir('/extracted');
-        this.js7z.callMain(['x', '-y', this.archiveName, '-o/extracted']);
-        
-        // Собираем информацию о всех извлеченных файлах
-        this.extractedFiles.clear();
-        const contents = this.fs.readdir('/extracted');
-        
-        for (const item of contents) {
-            if (item !== '.' && item !== '..') {
-                const path = `/extracted/${item}`;
-                const stat = this.fs.analyzePath(path);
-                if (!stat.object.isFolder && !stat.object.isDevice) {
-                    // Читаем содержимое файла и сохраняем в кэше
-                    const fileContent = this.fs.readFile(path);
-                    this.extractedFiles.set(item, fileContent);
+    /**
+     * Загрузка списка файлов папки
+     * @param {Array<{path: string, file: File}>} entries - Файлы папки с относительными путями
+     * @returns {Promise<FolderAdapter>}
+     */
+    async loadArchive(entries) {
+        this.files = new Map(entries.map(({ path, file }) => [path.replace(/\\/g, '/').replace(/^\/+/, ''), file]));
+
+        const bytesTotal = Array.from(this.files.values()).reduce((sum, file) => sum + file.size, 0);
+        this.progress.reset({ entriesTotal: this.files.size, bytesTotal });
+        this.progress.reportListed();
+        return this;
+    }
+
+    /**
+     * Объект файла с тем же интерфейсом, что и у файлов архива
+     * @param {string} filename - Путь файла в папке
+     * @param {File} file - Файл
+     * @returns {{name: string, async: Function}}
+     */
+    createFileObject(filename, file) {
+        return {
+            name: filename,
+            async: async (type) => {
+                this.progress.start(filename);
+                let content;
+                if (type === 'text') {
+                    content = await file.text();
+                } else if (type === 'blob') {
+                    content = file;
+                } else if (type === 'uint8array') {
+                    content = new Uint8Array(await file.arrayBuffer());
+                } else {
+                    content = await file.arrayBuffer();
                 }
+                this.progress.done(filename, file.size);
+                return content;
             }
-        }
-        
-        return this;
+        };
     }
 
     async extractFile(filename) {
-        if (!this.js7z) throw new Error('Archive not loaded');
-        
-        try {
-            // Проверяем, существует ли файл в кэше извлеченных файлов
-            if (this.extractedFiles.has(filename)) {
-                const fileContent = this.extractedFiles.get(filename);
-                return {
-                    name: filename,
-                    async: async (type) => {
-                        try {
-                            if (type === 'text') {
-                                // Для текста конвертируем бинарные данные в строку UTF-8
-                                if (fileContent instanceof Uint8Array) {
-                                    return new TextDecoder('utf-8').decode(fileContent);
-                                } else if (typeof fileContent === 'string') {
-                                    return fileContent;
-                                } else {
-                                    return new TextDecoder('utf-8').decode(new Uint8Array(fileContent));
-                                }
-                            } else if (type === 'arraybuffer') {
-                                // Для ArrayBuffer возвращаем буфер
-                                if (fileContent instanceof ArrayBuffer) {
-                                    return fileContent;
-                                } else if (fileContent instanceof Uint8Array) {
-                                    return fileContent.buffer;
-                                } else if (typeof fileContent === 'string') {
-                                    return new TextEncoder().encode(fileContent).buffer;
-                                } else {
-                                    return new Uint8Array(fileContent).buffer;
-                                }
-                            } else if (type === 'uint8array') {
-                                // Для Uint8Array возвращаем массив
-                                if (fileContent instanceof Uint8Array) {
-                                    return fileContent;
-                                } else if (fileContent instanceof ArrayBuffer) {
-                                    return new Uint8Array(fileContent);
-                                } else if (typeof fileContent === 'string') {
-                                    return new TextEncoder().encode(fileContent);
-                                } else {
-                                    return new Uint8Array(fileContent);
-                                }
-                            }
-                            return fileContent;
-                        } catch (error) {
-                            console.warn(`Error reading file ${filename}:`, error.message);
-                            throw error;
-                        }
-                    }
-                };
-            }
-            return null;
-        } catch (error) {
-            console.warn(`File ${filename} not found in archive:`, error.message);
-            return null;
-        }
+        if (!this.files) throw new Error('Archive not loaded');
+        const file = this.files.get(filename);
+        return file ? this.createFileObject(filename, file) : null;
     }
 
     extractAllFiles() {
-        if (!this.js7z) throw new Error('Archive not loaded');
-        
-        try {
-            const files = {};
-            
-            for (const [filename, fileContent] of this.extractedFiles) {
-                files[filename] = {
-                    name: filename,
-                    async: async (type) => {
-                        try {
-                            if (type === 'text') {
-                                // Для текста конвертируем бинарные данные в строку UTF-8
-                                if (fileContent instanceof Uint8Array) {
-                                    return new TextDecoder('utf-8').decode(fileContent);
-                                } else if (typeof fileContent === 'string') {
-                                    return fileContent;
-                                } else {
-                                    return new TextDecoder('utf-8').decode(new Uint8Array(fileContent));
-                                }
-                            } else if (type === 'arraybuffer') {
-                                // Для ArrayBuffer возвращаем буфер
-                                if (fileContent instanceof ArrayBuffer) {
-                                    return fileContent;
-                                } else if (fileContent instanceof Uint8Array) {
-                                    return fileContent.buffer;
-                                } else if (typeof fileContent === 'string') {
-                                    return new TextEncoder().encode(fileContent).buffer;
-                                } else {
-                                    return new Uint8Array(fileContent).buffer;
-                                }
-                            } else if (type === 'uint8array') {
-                                // Для Uint8Array возвращаем массив
-                                if (fileContent instanceof Uint8Array) {
-                                    return fileContent;
-                                } else if (fileContent instanceof ArrayBuffer) {
-                                    return new Uint8Array(fileContent);
-                                } else if (typeof fileContent === 'string') {
-                                    return new TextEncoder().encode(fileContent);
-                                } else {
-                                    return new Uint8Array(fileContent);
-                                }
-                            }
-                            return fileContent;
-                        } catch (error) {
-                            console.warn(`Error reading file ${filename}:`, error.message);
-                            throw error;
-                        }
-                    }
-                };
-            }
-            
-            return files;
-        } catch (error) {
-            console.warn('Error extracting all files:', error.message);
-            return {};
+        if (!this.files) throw new Error('Archive not loaded');
+        const files = {};
+        for (const [path, file] of this.files) {
+            files[path] = this.createFileObject(path, file);
         }
+        return files;
     }
 
     getFileList() {
-        if (!this.js7z) throw new Error('Archive not loaded');
-        
-        try {
-            return Array.from(this.extractedFiles.keys());
-        } catch (error) {
-            console.warn('Error getting file list:', error.message);
-            return [];
-        }
+        if (!this.files) throw new Error('Archive not loaded');
+        return Array.from(this.files.keys());
     }
 
     fileExists(filename) {
-        if (!this.js7z) throw new Error('Archive not loaded');
-        
-        try {
-            return this.extractedFiles.has(filename);
-        } catch (error) {
-            return false;
-        }
+        if (!this.files) throw new Error('Archive not loaded');
+        return this.files.has(filename);
+    }
+
+    /**
+     * Сведения о файлах папки
+     * @returns {Array<{path: string, size: number, packedSize: number}>}
+     */
+    getEntries() {
+        if (!this.files) throw new Error('Archive not loaded');
+        return Array.from(this.files, ([path, file]) => ({ path, size: file.size, packedSize: file.size }));
     }
 
     async getFileSize(filename) {
-        if (!this.js7z) throw new Error('Archive not loaded');
-        
-        try {
-            if (!this.extractedFiles.has(filename)) return 0;
-            
-            const file = await this.extractFile(filename);
-            if (!file) return 0;
-            
-            const content = await file.async('arraybuffer');
-            return content.byteLength;
-        } catch (error) {
-            return 0;
-        }
+        if (!this.files) throw new Error('Archive not loaded');
+        return this.files.get(filename)?.size || 0;
     }
 
     async extractTextFile(filename) {
-        if (!this.js7z) throw new Error('Archive not loaded');
-        
         const file = await this.extractFile(filename);
         if (!file) {
-            throw new Error(`Файл ${filename} не найден в архиве`);
+            throw new Error(`Файл ${filename} не найден в папке`);
         }
-        
         return await file.async('text');
     }
 
     async extractBinaryFile(filename) {
-        if (!this.js7z) throw new Error('Archive not loaded');
-        
         const file = await this.extractFile(filename);
         if (!file) {
-            throw new Error(`Файл ${filename} не найден в архиве`);
+            throw new Error(`Файл ${filename} не найден в папке`);
         }
-        
         return await file.async('arraybuffer');
     }
 
-    async validateArchive(buffer) {
-        try {
-            const adapter = await this.loadArchive(buffer);
-            const files = adapter.extractAllFiles();
-            return Object.keys(files).length > 0;
-        } catch (error) {
-            console.warn('Невалидный архив:', error.message);
-            return false;
-        }
+    async validateArchive(entries) {
+        return Array.isArray(entries) && entries.length > 0;
     }
 }
-*/
 
 /**
  * Универсальный сервис для работы с архивами
+ * Движок выбирается по сигнатуре архива: ZIP читается через JSZip,
+ * остальные форматы (7z, tar, tar.gz, RAR, ISO) - через лениво загружаемый 7z-wasm.
+ * Распакованная папка капсулы открывается через тот же интерфейс адаптера (loadFolder)
  */
 export class ArchiveService {
-    constructor(engine = '7z') {
+    /**
+     * @param {string} [engine] - Движок из ArchiveService.ENGINES
+     * @param {Object} [options] - Параметры
+     * @param {Object} [options.limits] - Ограничения проверки безопасности (переопределяют DEFAULT_LIMITS)
+     */
+    constructor(engine = ArchiveService.ENGINES.AUTO, { limits = {} } = {}) {
         this.engine = engine;
         this.adapter = null;
+        this.limits = { ...ArchiveService.DEFAULT_LIMITS, ...limits };
+        // Итог проверки безопасности загруженного архива
+        this.inspection = null;
+        // Папка, которая считается корнем капсулы (например "капсула/"), или пустая строка
+        this.rootFolder = '';
+    }
+
+    /**
+     * Ограничения проверки безопасности архива по умолчанию
+     * Проверка выполняется по списку файлов до распаковки содержимого и повторяется
+     * по фактически распакованным байтам (размеры в списке файлов можно подделать)
+     * @returns {{maxEntries: number, maxTotalSize: number, maxEntrySize: number, maxCompressionRatio: number,
+     *          compressionCheckMinSize: number, maxPathDepth: number}}
+     */
+    static get DEFAULT_LIMITS() {
+        return {
+            maxEntries: 10000,                          // файлов в архиве
+            maxTotalSize: 2 * 1024 * 1024 * 1024,       // общий размер после распаковки (байт)
+            maxEntrySize: 1024 * 1024 * 1024,           // размер одного файла после распаковки (байт)
+            maxCompressionRatio: 100,                   // распакованный размер / размер архива
+            compressionCheckMinSize: 50 * 1024 * 1024,  // степень сжатия проверяется, начиная с этого размера
+            maxPathDepth: 32                            // вложенность папок
+        };
+    }
+
+    /**
+     * Коды проблем, найденных проверкой безопасности
+     * @returns {Object<string, string>}
+     */
+    static get INSPECTION_PROBLEMS() {
+        return {
+            TOO_MANY_ENTRIES: 'too_many_entries',
+            TOTAL_SIZE: 'total_size',
+            ENTRY_SIZE: 'entry_size',
+            COMPRESSION_RATIO: 'compression_ratio',
+            UNSAFE_PATH: 'unsafe_path',
+            PATH_DEPTH: 'path_depth'
+        };
+    }
+
+    /**
+     * Проверка пути файла в архиве: абсолютные пути и выход за пределы папки ("../") запрещены
+     * @param {string} path - Путь в архиве
+     * @returns {boolean} - Путь безопасен
+     */
+    static isSafePath(path) {
+        if (path.includes('\0')) return false;
+        if (/^([\\/]|[a-zA-Z]:)/.test(path)) return false;
+        return !path.split(/[\\/]/).includes('..');
+    }
+
+    /**
+     * Проверка безопасности архива по списку файлов до распаковки
+     * @param {Array<{path: string, size: number}>} entries - Файлы архива
+     * @param {number} archiveSize - Размер архива (байт)
+     * @param {Object} [limits] - Ограничения (по умолчанию DEFAULT_LIMITS)
+     * @returns {{isSafe: boolean, problems: Array<{code: string, message: string, path?: string}>,
+     *          stats: {entriesCount: number, totalSize: number, archiveSize: number, compressionRatio: number}}}
+     */
+    static inspectEntries(entries, archiveSize, limits = ArchiveService.DEFAULT_LIMITS) {
+        const PROBLEMS = ArchiveService.INSPECTION_PROBLEMS;
+        const problems = [];
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const compressionRatio = archiveSize > 0 ? totalSize / archiveSize : 0;
+
+        if (entries.length > limits.maxEntries) {
+            problems.push({ code: PROBLEMS.TOO_MANY_ENTRIES, message: `Слишком много файлов: ${entries.length} (допустимо ${limits.maxEntries})` });
+        }
+        if (totalSize > limits.maxTotalSize) {
+            problems.push({ code: PROBLEMS.TOTAL_SIZE, message: `Размер после распаковки ${formatMegabytes(totalSize)} превышает ${formatMegabytes(limits.maxTotalSize)}` });
+        }
+        if (totalSize >= limits.compressionCheckMinSize && compressionRatio > limits.maxCompressionRatio) {
+            problems.push({
+                code: PROBLEMS.COMPRESSION_RATIO,
+                message: `Подозрительная степень сжатия: ${Math.round(compressionRatio)}:1 (допустимо ${limits.maxCompressionRatio}:1), архив похож на zip-бомбу`
+            });
+        }
+
+        for (const { path, size } of entries) {
+            if (!ArchiveService.isSafePath(path)) {
+                problems.push({ code: PROBLEMS.UNSAFE_PATH, path, message: `Недопустимый путь файла: ${path}` });
+            } else if (path.split('/').length - 1 > limits.maxPathDepth) {
+                problems.push({ code: PROBLEMS.PATH_DEPTH, path, message: `Слишком глубокая вложенность папок: ${path}` });
+            }
+            if (size > limits.maxEntrySize) {
+                problems.push({ code: PROBLEMS.ENTRY_SIZE, path, message: `Файл ${path} после распаковки занимает ${formatMegabytes(size)} (допустимо ${formatMegabytes(limits.maxEntrySize)})` });
+            }
+        }
+
+        return {
+            isSafe: problems.length === 0,
+            problems,
+            stats: { entriesCount: entries.length, totalSize, archiveSize, compressionRatio }
+        };
+    }
+
+    /**
+     * Проверка безопасности с отказом для подозрительного архива
+     * @param {Array<{path: string, size: number}>} entries - Файлы архива
+     * @param {number} archiveSize - Размер архива (байт)
+     * @param {Object} [limits] - Ограничения
+     * @returns {Object} - Итог проверки (см. inspectEntries)
+     * @throws {ArchiveError} - Архив не прошел проверку (код UNSAFE, details.problems)
+     */
+    static assertSafe(entries, archiveSize, limits = ArchiveService.DEFAULT_LIMITS) {
+        const inspection = ArchiveService.inspectEntries(entries, archiveSize, limits);
+        if (!inspection.isSafe) {
+            // В сообщение попадают первые проблемы, полный список - в details.problems
+            const shownProblems = inspection.problems.slice(0, 3).map(problem => problem.message);
+            const hiddenCount = inspection.problems.length - shownProblems.length;
+            const summary = shownProblems.join('; ') + (hiddenCount > 0 ? ` и еще ${hiddenCount}` : '');
+            throw new ArchiveError(ArchiveError.CODES.UNSAFE, `Архив отклонен проверкой безопасности: ${summary}`, inspection);
+        }
+        return inspection;
     }
 
     static get ENGINES() {
         return {
+            AUTO: 'auto',         // выбор по сигнатуре архива
             SEVEN_ZIP: '7z',      // 7z-wasm engine
-            JS7Z: 'js7z',         // js7z-tools engine
-            JSZIP: 'jszip'        // JSZip engine (для ZIP)
+            JSZIP: 'jszip',       // JSZip engine (для ZIP)
+            FOLDER: 'folder'      // распакованная папка капсулы
         };
     }
 
-    async loadArchive(buffer, engine = ArchiveService.ENGINES.SEVEN_ZIP, onProgress = null) {
+    /**
+     * Поддерживаемые форматы архивов и их сигнатуры (magic bytes)
+     * compressedStream - сжатый поток с одним файлом внутри (gzip), содержимое которого - tar
+     * @returns {Array<{id: string, label: string, extensions: string[], engine: string,
+     *          signatures: Array<{offset: number, bytes: number[]}>, compressedStream?: boolean}>}
+     */
+    static get FORMATS() {
+        const { JSZIP, SEVEN_ZIP } = ArchiveService.ENGINES;
+        return [
+            {
+                id: 'zip', label: 'ZIP', extensions: ['.zip'], engine: JSZIP,
+                signatures: [
+                    { offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] },    // PK\x03\x04
+                    { offset: 0, bytes: [0x50, 0x4B, 0x05, 0x06] }     // PK\x05\x06 - пустой ZIP
+                ]
+            },
+            {
+                id: '7z', label: '7z', extensions: ['.7z'], engine: SEVEN_ZIP,
+                signatures: [{ offset: 0, bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] }]
+            },
+            {
+                // RAR 4 и RAR 5 начинаются с "Rar!\x1A\x07"
+                id: 'rar', label: 'RAR', extensions: ['.rar'], engine: SEVEN_ZIP,
+                signatures: [{ offset: 0, bytes: [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07] }]
+            },
+            {
+                id: 'tar.gz', label: 'TAR.GZ', extensions: ['.tar.gz', '.tgz'], engine: SEVEN_ZIP, compressedStream: true,
+                signatures: [{ offset: 0, bytes: [0x1F, 0x8B] }]
+            },
+            {
+                // "ustar" в заголовке первого файла
+                id: 'tar', label: 'TAR', extensions: ['.tar'], engine: SEVEN_ZIP,
+                signatures: [{ offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72] }]
+            },
+            {
+                // "CD001" в первом дескрипторе тома (сектор 16)
+                id: 'iso', label: 'ISO', extensions: ['.iso'], engine: SEVEN_ZIP,
+                signatures: [{ offset: 0x8001, bytes: [0x43, 0x44, 0x30, 0x30, 0x31] }]
+            }
+        ];
+    }
+
+    /**
+     * Расширения файлов, которые можно выбрать для загрузки (для атрибута accept)
+     * @returns {string[]}
+     */
+    static get ACCEPTED_EXTENSIONS() {
+        return ArchiveService.FORMATS.flatMap(format => format.extensions);
+    }
+
+    /**
+     * Определение формата архива по сигнатуре
+     * @param {ArrayBuffer|Uint8Array} buffer - Содержимое архива
+     * @returns {Object|null} - Формат из ArchiveService.FORMATS или null
+     */
+    static detectFormat(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        return ArchiveService.FORMATS.find(format => format.signatures.some(({ offset, bytes: expected }) =>
+            bytes.length >= offset + expected.length && expected.every((byte, index) => bytes[offset + index] === byte))) || null;
+    }
+
+    /**
+     * Определение движка по сигнатуре архива
+     * Неизвестные форматы передаются 7z-wasm, который поддерживает больше форматов
+     * @param {ArrayBuffer|Uint8Array} buffer - Содержимое архива
+     * @returns {string} - Движок из ArchiveService.ENGINES
+     */
+    static detectEngine(buffer) {
+        const format = ArchiveService.detectFormat(buffer);
+        return format ? format.engine : ArchiveService.ENGINES.SEVEN_ZIP;
+    }
+
+    /**
+     * Проверка расширения выбранного файла
+     * @param {string} filename - Имя файла
+     * @returns {boolean} - Файл похож на поддерживаемый архив
+     */
+    static isSupportedFileName(filename) {
+        const lowerName = filename.toLowerCase();
+        return ArchiveService.ACCEPTED_EXTENSIONS.some(extension => lowerName.endsWith(extension));
+    }
+
+    /**
+     * Имя ZIP-архива для капсулы, открытой из другого формата или из папки
+     * @param {string} name - Имя исходного архива или папки
+     * @returns {string} - Имя с расширением .zip
+     */
+    static getZipFileName(name) {
+        const lowerName = name.toLowerCase();
+        const extension = ArchiveService.ACCEPTED_EXTENSIONS.find(candidate => lowerName.endsWith(candidate));
+        return `${extension ? name.slice(0, -extension.length) : name}.zip`;
+    }
+
+    /**
+     * Проверка, является ли запись служебным файлом ОС (__MACOSX, .DS_Store, Thumbs.db)
+     * @param {string} path - Путь в архиве
+     * @returns {boolean}
+     */
+    static isServiceEntry(path) {
+        return SERVICE_ENTRY_PATTERN.test(path);
+    }
+
+    /**
+     * Определение корневой папки капсулы
+     * Если все файлы лежат в одной папке верхнего уровня (так архивирует папку "Сжать" в ОС),
+     * корнем капсулы считается эта папка
+     * @param {string[]} files - Пути файлов в архиве без служебных записей
+     * @returns {string} - Папка с завершающим "/" или пустая строка
+     */
+    static detectRootFolder(files) {
+        const topLevel = new Set(files.map(path => path.includes('/') ? `${path.split('/')[0]}/` : ''));
+        return topLevel.size === 1 ? [...topLevel][0] : '';
+    }
+
+    /**
+     * Путь файла в архиве с учетом корневой папки капсулы
+     * @param {string} filename - Путь относительно корня капсулы
+     * @returns {string} - Путь в архиве
+     */
+    resolvePath(filename) {
+        return `${this.rootFolder}${filename}`;
+    }
+
+    /**
+     * Создание адаптера для движка
+     * @param {string} engine - Движок из ArchiveService.ENGINES (кроме AUTO)
+     * @param {Function|null} onProgress - Колбэк прогресса (percent, details: ExtractionProgressDetails)
+     * @param {Object} [options] - Параметры 7z-wasm
+     * @param {string|null} [options.password] - Пароль зашифрованного архива
+     * @param {Object} [options.limits] - Ограничения проверки безопасности
+     * @returns {JSZipAdapter|SevenZipAdapter|FolderAdapter}
+     */
+    static createAdapter(engine, onProgress = null, { password = null, limits = ArchiveService.DEFAULT_LIMITS } = {}) {
         switch (engine) {
-            case ArchiveService.ENGINES.SEVEN_ZIP:
-                this.adapter = new SevenZipAdapter(onProgress);
-                break;
-            case ArchiveService.ENGINES.JS7Z:
-                // JS7z engine is commented out due to build issues with top-level await
-                // this.adapter = new JS7zAdapter();
-                // break;
             case ArchiveService.ENGINES.JSZIP:
-                // Для поддержки JSZip при необходимости
-                // this.adapter = new JSZipAdapter();
-                // break;
+                return new JSZipAdapter(onProgress, limits);
+            case ArchiveService.ENGINES.FOLDER:
+                return new FolderAdapter(onProgress);
+            case ArchiveService.ENGINES.SEVEN_ZIP:
             default:
-                // fallback to SevenZip
-                this.adapter = new SevenZipAdapter(onProgress);
-                break;
+                return new SevenZipAdapter(onProgress, password, limits);
         }
-        return await this.adapter.loadArchive(buffer);
+    }
+
+    /**
+     * Загрузка архива
+     * @param {ArrayBuffer} buffer - Содержимое архива
+     * @param {string} [engine] - Движок из ArchiveService.ENGINES
+     * @param {Function|null} [onProgress] - Колбэк (percent, details: ExtractionProgressDetails)
+     * @param {Object} [options] - Параметры
+     * @param {string|null} [options.password] - Пароль зашифрованного архива
+     * @returns {Promise<JSZipAdapter|SevenZipAdapter>}
+     * @throws {ArchiveError} - Архив зашифрован и пароль не указан или неверный, архив поврежден
+     *         или не прошел проверку безопасности (список файлов проверяется до распаковки)
+     */
+    async loadArchive(buffer, engine = this.engine, onProgress = null, { password = null } = {}) {
+        const isAutoDetected = engine === ArchiveService.ENGINES.AUTO;
+        // JSZip не расшифровывает архивы, поэтому архив с паролем сразу открывается через 7z-wasm
+        const resolvedEngine = isAutoDetected && password ? ArchiveService.ENGINES.SEVEN_ZIP
+            : isAutoDetected ? ArchiveService.detectEngine(buffer)
+                : engine;
+
+        const adapterOptions = { password, limits: this.limits };
+        this.inspection = null;
+        try {
+            this.adapter = ArchiveService.createAdapter(resolvedEngine, onProgress, adapterOptions);
+            this.engine = resolvedEngine;
+            await this.adapter.loadArchive(buffer);
+        } catch (error) {
+            // JSZip не поддерживает часть ZIP-архивов (Deflate64, шифрование) - их читает 7z-wasm
+            if (!isAutoDetected || resolvedEngine !== ArchiveService.ENGINES.JSZIP) throw error;
+
+            console.warn('JSZip не смог прочитать архив, используем 7z-wasm:', error.message);
+            this.adapter = ArchiveService.createAdapter(ArchiveService.ENGINES.SEVEN_ZIP, onProgress, adapterOptions);
+            this.engine = ArchiveService.ENGINES.SEVEN_ZIP;
+            await this.adapter.loadArchive(buffer);
+        }
+
+        this.inspection = ArchiveService.assertSafe(this.adapter.getEntries(), buffer.byteLength, this.limits);
+        this.updateRootFolder();
+        return this.adapter;
+    }
+
+    /**
+     * Открытие распакованной капсулы (папки) через тот же интерфейс, что и архив
+     * @param {Array<{path: string, file: File}>} entries - Файлы папки с относительными путями
+     * @param {Function|null} [onProgress] - Колбэк (percent, details: ExtractionProgressDetails)
+     * @returns {Promise<FolderAdapter>}
+     */
+    async loadFolder(entries, onProgress = null) {
+        this.inspection = null;
+        this.adapter = ArchiveService.createAdapter(ArchiveService.ENGINES.FOLDER, onProgress);
+        this.engine = ArchiveService.ENGINES.FOLDER;
+        await this.adapter.loadArchive(entries);
+
+        // Для папки степень сжатия равна 1, проверяются количество файлов, размеры и пути
+        const folderEntries = this.adapter.getEntries();
+        const folderSize = folderEntries.reduce((sum, entry) => sum + entry.size, 0);
+        this.inspection = ArchiveService.assertSafe(folderEntries, folderSize, this.limits);
+        this.updateRootFolder();
+        return this.adapter;
+    }
+
+    /**
+     * Определение корневой папки капсулы по загруженному списку файлов
+     */
+    updateRootFolder() {
+        const contentFiles = this.adapter.getFileList().filter(path => !ArchiveService.isServiceEntry(path));
+        this.rootFolder = ArchiveService.detectRootFolder(contentFiles);
     }
 
     async extractFile(filename) {
@@ -672,8 +1256,9 @@ export class ArchiveService {
             throw new Error('Archive not loaded');
         }
         try {
-            const file = await this.adapter.extractFile(filename);
-            return file;
+            const file = await this.adapter.extractFile(this.resolvePath(filename));
+            // Имя файла возвращается относительно корня капсулы
+            return file ? { ...file, name: filename } : null;
         } catch (error) {
             console.warn(`Failed to extract file ${filename}:`, error.message);
             return null;
@@ -682,79 +1267,79 @@ export class ArchiveService {
 
     extractAllFiles() {
         if (!this.adapter) throw new Error('Archive not loaded');
-        return this.adapter.extractAllFiles();
+        const files = {};
+        for (const [path, file] of Object.entries(this.adapter.extractAllFiles())) {
+            if (ArchiveService.isServiceEntry(path) || !path.startsWith(this.rootFolder)) continue;
+            files[path.slice(this.rootFolder.length)] = file;
+        }
+        return files;
     }
 
+    /**
+     * Список файлов капсулы (рекурсивно, включая вложенные папки)
+     * Пути указываются относительно корня капсулы, служебные файлы ОС не включаются
+     * @returns {string[]}
+     */
     getFileList() {
         if (!this.adapter) throw new Error('Archive not loaded');
-        return this.adapter.getFileList();
+        return this.adapter.getFileList()
+            .filter(path => !ArchiveService.isServiceEntry(path) && path.startsWith(this.rootFolder))
+            .map(path => path.slice(this.rootFolder.length));
     }
 
     fileExists(filename) {
         if (!this.adapter) throw new Error('Archive not loaded');
-        return this.adapter.fileExists(filename);
+        return this.adapter.fileExists(this.resolvePath(filename));
     }
 
     async getFileSize(filename) {
         if (!this.adapter) throw new Error('Archive not loaded');
-        return await this.adapter.getFileSize(filename);
+        return await this.adapter.getFileSize(this.resolvePath(filename));
     }
 
     async extractTextFile(filename) {
         if (!this.adapter) throw new Error('Archive not loaded');
-        return await this.adapter.extractTextFile(filename);
+        return await this.adapter.extractTextFile(this.resolvePath(filename));
     }
 
     async extractBinaryFile(filename) {
         if (!this.adapter) throw new Error('Archive not loaded');
-        return await this.adapter.extractBinaryFile(filename);
+        return await this.adapter.extractBinaryFile(this.resolvePath(filename));
     }
 
-    async validateArchive(buffer, engine = ArchiveService.ENGINES.SEVEN_ZIP, onProgress = null) {
-        switch (engine) {
-            case ArchiveService.ENGINES.SEVEN_ZIP:
-                const sevenZipAdapter = new SevenZipAdapter(onProgress);
-                return await sevenZipAdapter.validateArchive(buffer);
-            case ArchiveService.ENGINES.JS7Z:
-                // JS7z validation is commented out due to build issues with top-level await
-                // const { default: JS7z } = await import('js7z-tools');
-                // const js7z = await JS7z();
-                // const fs = js7z.FS;
-                
-                // const archiveName = `validate_${Date.now()}.tmp`;
-                // fs.writeFile(archiveName, new Uint8Array(buffer));
-                
-                // js7z.FS.mkdir('/validate_extracted');
-                // const result = js7z.callMain(['x', '-y', archiveName, '-o/validate_extracted']);
-                
-                // if (result === 0) {
-                //     const contents = fs.readdir('/validate_extracted');
-                //     const files = contents.filter(item => item !== '.' && item !== '..');
-                //     return files.length > 0;
-                // }
-                // return false;
-            case ArchiveService.ENGINES.JSZIP:
-                // For JSZip validation
-                const zip = await JSZip.loadAsync(buffer);
-                const zipFiles = {};
-                for (const [filename, file] of Object.entries(zip.files)) {
-                    if (!file.dir) {
-                        zipFiles[filename] = file;
-                    }
-                }
-                return Object.keys(zipFiles).length > 0;
-            default:
-                // fallback to SevenZip
-                const fallbackAdapter = new SevenZipAdapter(onProgress);
-                return await fallbackAdapter.validateArchive(buffer);
+    async validateArchive(buffer, engine = ArchiveService.ENGINES.AUTO, onProgress = null) {
+        const resolvedEngine = engine === ArchiveService.ENGINES.AUTO ? ArchiveService.detectEngine(buffer) : engine;
+        return await ArchiveService.createAdapter(resolvedEngine, onProgress).validateArchive(buffer);
+    }
+
+    /**
+     * Замена колбэка прогресса распаковки загруженного архива
+     * Файлы распаковываются по запросу, поэтому прогресс продолжает поступать после loadArchive
+     * @param {Function|null} onProgress - Колбэк (percent, details: ExtractionProgressDetails) или null
+     */
+    setProgressHandler(onProgress) {
+        if (this.adapter) {
+            this.adapter.progress.onProgress = onProgress;
         }
     }
 
+    /**
+     * Зашифрован ли загруженный архив
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return Boolean(this.adapter && this.adapter.encrypted);
+    }
+
     // Методы для переключения движков
     setEngine(engine) {
         this.engine = engine;
     }
 
+    /**
+     * Текущий движок (после загрузки - движок, выбранный для архива)
+     * @returns {string}
+     */
     getCurrentEngine() {
         return this.engine;
     }
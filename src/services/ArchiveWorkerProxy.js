@@ -0,0 +1,275 @@
+import { ArchiveService } from './ArchiveService.js';
+import { ArchiveError } from '../models/ArchiveError.js';
+
+/**
+ * Прокси ArchiveService, работающего в отдельном потоке (src/workers/archive.worker.js)
+ * Повторяет интерфейс ArchiveService: список файлов хранится в прокси, поэтому getFileList и fileExists синхронные,
+ * а содержимое файлов запрашивается у потока при вызове file.async(type).
+ * Распаковка 7z-wasm не блокирует страницу, а загрузку можно прервать через terminate()
+ */
+export class ArchiveWorkerProxy {
+    /**
+     * @param {string} [engine] - Движок из ArchiveService.ENGINES
+     * @param {Object} [options] - Параметры
+     * @param {Object} [options.limits] - Ограничения проверки безопасности (переопределяют DEFAULT_LIMITS)
+     */
+    constructor(engine = ArchiveService.ENGINES.AUTO, { limits = {} } = {}) {
+        this.engine = engine;
+        this.limits = { ...ArchiveService.DEFAULT_LIMITS, ...limits };
+        this.inspection = null;
+        this.rootFolder = '';
+        // Состояние загруженного архива, полученное от потока
+        this.fileList = null;
+        this.fileSet = new Set();
+        this.encrypted = false;
+
+        this.onProgress = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        this.terminated = false;
+
+        this.worker = new Worker(new URL('../workers/archive.worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+        this.worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            this.rejectAll(new Error(`Ошибка потока чтения архива: ${event.message || 'поток не запустился'}`));
+        });
+    }
+
+    /**
+     * Доступны ли Web Workers
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Сервис чтения архива: прокси потока или, если потоки недоступны, ArchiveService в потоке страницы
+     * @param {string} [engine] - Движок из ArchiveService.ENGINES
+     * @param {Object} [options] - Параметры ArchiveService
+     * @returns {ArchiveWorkerProxy|ArchiveService}
+     */
+    static create(engine = ArchiveService.ENGINES.AUTO, options = {}) {
+        return ArchiveWorkerProxy.isSupported()
+            ? new ArchiveWorkerProxy(engine, options)
+            : new ArchiveService(engine, options);
+    }
+
+    /**
+     * Вызов метода в потоке
+     * @param {string} method - Имя метода
+     * @param {Array} [args] - Аргументы
+     * @param {Transferable[]} [transfer] - Объекты, передаваемые без копирования
+     * @returns {Promise<*>}
+     */
+    call(method, args = [], transfer = []) {
+        if (this.terminated) {
+            return Promise.reject(new Error('Чтение архива прервано'));
+        }
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, method, args }, transfer);
+        });
+    }
+
+    /**
+     * Обработка сообщения потока: ответ на запрос или прогресс распаковки
+     * @param {Object} message - Сообщение
+     */
+    handleMessage(message) {
+        if (message.type === 'progress') {
+            if (this.onProgress) this.onProgress(message.percent, message.details);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            request.reject(ArchiveWorkerProxy.deserializeError(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Восстановление ошибки, переданной потоком
+     * @param {{name: string, message: string, code?: string, details?: Object}} error - Ошибка из потока
+     * @returns {Error|ArchiveError}
+     */
+    static deserializeError({ name, message, code, details }) {
+        if (name === 'ArchiveError') {
+            return new ArchiveError(code, message, details);
+        }
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Отклонение всех ожидающих запросов
+     * @param {Error} error - Причина
+     */
+    rejectAll(error) {
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Остановка потока: распаковка прерывается, ожидающие запросы отклоняются
+     */
+    terminate() {
+        if (this.terminated) return;
+        this.worker.terminate();
+        this.terminated = true;
+        this.rejectAll(new Error('Чтение архива прервано'));
+    }
+
+    /**
+     * Сохранение состояния загруженного архива
+     * @param {{fileList: string[], engine: string, encrypted: boolean, inspection: Object|null, rootFolder: string}} state
+     */
+    applyState({ fileList, engine, encrypted, inspection, rootFolder }) {
+        this.fileList = fileList;
+        this.fileSet = new Set(fileList);
+        this.engine = engine;
+        this.encrypted = encrypted;
+        this.inspection = inspection;
+        this.rootFolder = rootFolder;
+    }
+
+    /**
+     * Загрузка архива в потоке
+     * Буфер передается потоку без копирования и после вызова становится недоступен (detached)
+     * @param {ArrayBuffer} buffer - Содержимое архива
+     * @param {string} [engine] - Движок из ArchiveService.ENGINES
+     * @param {Function|null} [onProgress] - Колбэк (percent, details: ExtractionProgressDetails)
+     * @param {Object} [options] - Параметры
+     * @param {string|null} [options.password] - Пароль зашифрованного архива
+     * @returns {Promise<ArchiveWorkerProxy>}
+     * @throws {ArchiveError} - Те же ошибки, что и у ArchiveService.loadArchive
+     */
+    async loadArchive(buffer, engine = this.engine, onProgress = null, { password = null } = {}) {
+        this.onProgress = onProgress;
+        this.fileList = null;
+        this.inspection = null;
+        this.applyState(await this.call('loadArchive', [buffer, engine, { password, limits: this.limits }], [buffer]));
+        return this;
+    }
+
+    /**
+     * Открытие распакованной капсулы (папки) в потоке
+     * @param {Array<{path: string, file: File}>} entries - Файлы папки с относительными путями
+     * @param {Function|null} [onProgress] - Колбэк (percent, details: ExtractionProgressDetails)
+     * @returns {Promise<ArchiveWorkerProxy>}
+     */
+    async loadFolder(entries, onProgress = null) {
+        this.onProgress = onProgress;
+        this.fileList = null;
+        this.inspection = null;
+        this.applyState(await this.call('loadFolder', [entries, { limits: this.limits }]));
+        return this;
+    }
+
+    /**
+     * Объект файла с тем же интерфейсом, что и у ArchiveService: содержимое запрашивается у потока
+     * @param {string} filename - Путь относительно корня капсулы
+     * @returns {{name: string, async: Function}}
+     */
+    createFileObject(filename) {
+        return {
+            name: filename,
+            async: async (type) => {
+                const content = await this.call('readFile', [filename, type]);
+                if (type === 'text' || type === 'arraybuffer') {
+                    return content;
+                } else if (type === 'blob') {
+                    return new Blob([content]);
+                }
+                return new Uint8Array(content);
+            }
+        };
+    }
+
+    async extractFile(filename) {
+        if (!this.fileList) throw new Error('Archive not loaded');
+        return this.fileSet.has(filename) ? this.createFileObject(filename) : null;
+    }
+
+    extractAllFiles() {
+        if (!this.fileList) throw new Error('Archive not loaded');
+        return Object.fromEntries(this.fileList.map(filename => [filename, this.createFileObject(filename)]));
+    }
+
+    /**
+     * Список файлов капсулы (пути относительно корня капсулы, без служебных файлов ОС)
+     * @returns {string[]}
+     */
+    getFileList() {
+        if (!this.fileList) throw new Error('Archive not loaded');
+        return [...this.fileList];
+    }
+
+    fileExists(filename) {
+        if (!this.fileList) throw new Error('Archive not loaded');
+        return this.fileSet.has(filename);
+    }
+
+    async getFileSize(filename) {
+        return this.call('getFileSize', [filename]);
+    }
+
+    async extractTextFile(filename) {
+        return this.call('extractTextFile', [filename]);
+    }
+
+    async extractBinaryFile(filename) {
+        return new Uint8Array(await this.call('extractBinaryFile', [filename]));
+    }
+
+    async validateArchive(buffer, engine = ArchiveService.ENGINES.AUTO) {
+        return this.call('validateArchive', [buffer, engine]);
+    }
+
+    /**
+     * SHA-256 содержимого файла, посчитанный в потоке (ключ кэша метаданных)
+     * @param {string} filename - Путь относительно корня капсулы
+     * @returns {Promise<string|null>} - Хэш или null, если файла нет
+     */
+    async getFileHash(filename) {
+        return this.call('getFileHash', [filename]);
+    }
+
+    /**
+     * Замена колбэка прогресса распаковки загруженного архива
+     * @param {Function|null} onProgress - Колбэк (percent, details: ExtractionProgressDetails) или null
+     */
+    setProgressHandler(onProgress) {
+        this.onProgress = onProgress;
+    }
+
+    /**
+     * Зашифрован ли загруженный архив
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return this.encrypted;
+    }
+
+    setEngine(engine) {
+        this.engine = engine;
+    }
+
+    /**
+     * Текущий движок (после загрузки - движок, выбранный для архива)
+     * @returns {string}
+     */
+    getCurrentEngine() {
+        return this.engine;
+    }
+}
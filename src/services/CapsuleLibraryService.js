@@ -0,0 +1,251 @@
+import { IndexedDbUtils } from '../utils/indexedDbUtils.js';
+
+/**
+ * Имя базы IndexedDB библиотеки капсул
+ */
+const DB_NAME = 'digital-time-capsule-library';
+
+/**
+ * Версия схемы базы
+ */
+const DB_VERSION = 1;
+
+/**
+ * Хранилище описаний капсул (без содержимого архива, чтобы список открывался быстро)
+ */
+const CAPSULES_STORE = 'capsules';
+
+/**
+ * Хранилище содержимого капсул: файл архива или файлы распакованной папки
+ */
+const FILES_STORE = 'files';
+
+/**
+ * Открытая база (одно соединение на страницу)
+ */
+let databasePromise = null;
+
+/**
+ * Сервис библиотеки недавних капсул в IndexedDB
+ * Для каждой открытой капсулы хранятся архив (или файлы папки), разобранные элементы манифеста (ArchiveItem.toJSON),
+ * метаданные PDF из PDFMetadataCache и итог проверки. Место ограничено: перед сохранением
+ * давно не открывавшиеся капсулы вытесняются, пока новая не поместится в долю квоты хранилища браузера
+ */
+export class CapsuleLibraryService {
+    /**
+     * Максимальное количество капсул в библиотеке
+     * @returns {number}
+     */
+    static get MAX_ENTRIES() {
+        return 20;
+    }
+
+    /**
+     * Доля квоты хранилища браузера, которую может занимать библиотека
+     * @returns {number}
+     */
+    static get STORAGE_SHARE() {
+        return 0.8;
+    }
+
+    /**
+     * Статусы проверки капсулы в библиотеке
+     * @returns {{VALID: string, INVALID: string, MANIFEST_ERRORS: string, LOCKED: string}}
+     */
+    static get STATUSES() {
+        return {
+            VALID: 'valid',
+            INVALID: 'invalid',
+            MANIFEST_ERRORS: 'manifest_errors',
+            LOCKED: 'locked'
+        };
+    }
+
+    /**
+     * Доступен ли IndexedDB
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return IndexedDbUtils.isSupported();
+    }
+
+    /**
+     * Открытие базы (создание хранилищ при первом обращении)
+     * @returns {Promise<IDBDatabase>}
+     */
+    static openDatabase() {
+        if (!databasePromise) {
+            databasePromise = IndexedDbUtils.openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(CAPSULES_STORE)) {
+                    db.createObjectStore(CAPSULES_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(FILES_STORE)) {
+                    db.createObjectStore(FILES_STORE, { keyPath: 'id' });
+                }
+            }).catch(error => {
+                // Следующее обращение попробует открыть базу снова
+                databasePromise = null;
+                throw error;
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Идентификатор капсулы в библиотеке: имя, размер и дата изменения архива
+     * @param {File|{name: string, size: number, files: Array<{path: string, file: File}>}} file - Архив или папка капсулы
+     * @returns {string}
+     */
+    static getCapsuleId(file) {
+        const lastModified = Array.isArray(file.files)
+            ? file.files.reduce((latest, entry) => Math.max(latest, entry.file.lastModified || 0), 0)
+            : file.lastModified || 0;
+        return `${file.name}:${file.size}:${lastModified}`;
+    }
+
+    /**
+     * Список капсул библиотеки, недавно открытые первыми
+     * @returns {Promise<Object[]>} - Описания капсул без содержимого архива
+     */
+    static async list() {
+        const db = await this.openDatabase();
+        const records = await IndexedDbUtils.requestToPromise(db.transaction(CAPSULES_STORE).objectStore(CAPSULES_STORE).getAll());
+        return records.sort((a, b) => b.openedAt - a.openedAt);
+    }
+
+    /**
+     * Описание капсулы
+     * @param {string} id - Идентификатор капсулы
+     * @returns {Promise<Object|null>}
+     */
+    static async get(id) {
+        const db = await this.openDatabase();
+        return (await IndexedDbUtils.requestToPromise(db.transaction(CAPSULES_STORE).objectStore(CAPSULES_STORE).get(id))) || null;
+    }
+
+    /**
+     * Сохранение капсулы в библиотеку
+     * Содержимое архива записывается только для новой капсулы; для уже сохраненной обновляется описание
+     * @param {Object} record - Описание капсулы ({ id, name, size, ... }, см. CapsuleLibrary.save)
+     * @param {File|{name: string, size: number, files: Array<{path: string, file: File}>}} file - Архив или папка капсулы
+     * @returns {Promise<boolean>} - false, если капсула не помещается в хранилище
+     */
+    static async save(record, file) {
+        const db = await this.openDatabase();
+        const existing = await this.get(record.id);
+        if (existing) {
+            const transaction = db.transaction(CAPSULES_STORE, 'readwrite');
+            transaction.objectStore(CAPSULES_STORE).put({ ...record, savedAt: existing.savedAt });
+            await IndexedDbUtils.transactionToPromise(transaction);
+            return true;
+        }
+
+        if (!(await this.ensureSpace(record.size))) {
+            return false;
+        }
+
+        const transaction = db.transaction([CAPSULES_STORE, FILES_STORE], 'readwrite');
+        transaction.objectStore(CAPSULES_STORE).put(record);
+        transaction.objectStore(FILES_STORE).put(Array.isArray(file.files)
+            ? { id: record.id, file: null, files: file.files }
+            : { id: record.id, file, files: null });
+        try {
+            await IndexedDbUtils.transactionToPromise(transaction);
+        } catch (error) {
+            // Оценка квоты приблизительна: браузер мог отказать в записи
+            if (error?.name === 'QuotaExceededError') return false;
+            throw error;
+        }
+        return true;
+    }
+
+    /**
+     * Содержимое капсулы в том виде, в котором его принимает DigitalTimeCapsule.loadArchiveFile
+     * @param {string} id - Идентификатор капсулы
+     * @returns {Promise<File|{name: string, size: number, files: Array<{path: string, file: File}>}|null>}
+     */
+    static async loadFile(id) {
+        const db = await this.openDatabase();
+        const transaction = db.transaction([CAPSULES_STORE, FILES_STORE]);
+        const [record, stored] = await Promise.all([
+            IndexedDbUtils.requestToPromise(transaction.objectStore(CAPSULES_STORE).get(id)),
+            IndexedDbUtils.requestToPromise(transaction.objectStore(FILES_STORE).get(id))
+        ]);
+        if (!record || !stored) return null;
+
+        if (stored.files) {
+            return { name: record.name, size: record.size, files: stored.files };
+        }
+        return stored.file;
+    }
+
+    /**
+     * Удаление капсулы из библиотеки
+     * @param {string} id - Идентификатор капсулы
+     * @returns {Promise<void>}
+     */
+    static async remove(id) {
+        const db = await this.openDatabase();
+        const transaction = db.transaction([CAPSULES_STORE, FILES_STORE], 'readwrite');
+        transaction.objectStore(CAPSULES_STORE).delete(id);
+        transaction.objectStore(FILES_STORE).delete(id);
+        await IndexedDbUtils.transactionToPromise(transaction);
+    }
+
+    /**
+     * Удаление всех капсул библиотеки
+     * @returns {Promise<void>}
+     */
+    static async clear() {
+        const db = await this.openDatabase();
+        const transaction = db.transaction([CAPSULES_STORE, FILES_STORE], 'readwrite');
+        transaction.objectStore(CAPSULES_STORE).clear();
+        transaction.objectStore(FILES_STORE).clear();
+        await IndexedDbUtils.transactionToPromise(transaction);
+    }
+
+    /**
+     * Занятое место и квота хранилища браузера
+     * @returns {Promise<{usage: number, quota: number}|null>} - null, если браузер не сообщает квоту
+     */
+    static async getStorageEstimate() {
+        if (!navigator.storage?.estimate) return null;
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return quota > 0 ? { usage, quota } : null;
+    }
+
+    /**
+     * Запрос постоянного хранилища, чтобы браузер не удалял библиотеку при нехватке места
+     * @returns {Promise<boolean>} - Хранилище постоянное
+     */
+    static async requestPersistence() {
+        if (!navigator.storage?.persist) return false;
+        if (await navigator.storage.persisted()) return true;
+        return navigator.storage.persist();
+    }
+
+    /**
+     * Освобождение места под новую капсулу: давно не открывавшиеся капсулы удаляются,
+     * пока не выполнятся ограничения MAX_ENTRIES и STORAGE_SHARE
+     * @param {number} size - Размер новой капсулы в байтах
+     * @returns {Promise<boolean>} - false, если капсула не поместится даже в пустую библиотеку
+     */
+    static async ensureSpace(size) {
+        const records = await this.list();
+        let estimate = await this.getStorageEstimate();
+        if (estimate && size > estimate.quota * this.STORAGE_SHARE) {
+            return false;
+        }
+
+        const fits = () => records.length < this.MAX_ENTRIES
+            && (!estimate || estimate.usage + size <= estimate.quota * this.STORAGE_SHARE);
+
+        while (!fits() && records.length > 0) {
+            const oldest = records.pop();
+            await this.remove(oldest.id);
+            // Браузер пересчитывает занятое место не сразу, поэтому оценка уменьшается на размер удаленной капсулы
+            if (estimate) estimate = { ...estimate, usage: Math.max(0, estimate.usage - oldest.size) };
+        }
+        return fits();
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Сервис контрольных сумм файлов капсулы (SHA-256 через WebCrypto)
+ * Контрольная сумма задается колонкой checksum манифеста или файлом checksums.sha256
+ * в формате утилиты sha256sum: "<hex>  <путь>"
+ */
+export class ChecksumService {
+    /**
+     * Имя файла контрольных сумм в корне капсулы
+     * @returns {string}
+     */
+    static get SIDECAR_FILENAME() {
+        return 'checksums.sha256';
+    }
+
+    /**
+     * Статусы проверки целостности файла
+     * @returns {{OK: string, MISMATCH: string, MISSING: string, UNCHECKED: string}}
+     */
+    static get STATUSES() {
+        return {
+            OK: 'ok',               // сумма совпадает
+            MISMATCH: 'mismatch',   // файл изменен или поврежден
+            MISSING: 'missing',     // сумма указана, но файла нет в архиве
+            UNCHECKED: 'unchecked'  // сумма не указана
+        };
+    }
+
+    /**
+     * Приведение контрольной суммы к виду из 64 шестнадцатеричных символов в нижнем регистре
+     * Допускается префикс "sha256:"
+     * @param {string} value - Значение из манифеста
+     * @returns {string} - Нормализованная сумма или пустая строка
+     */
+    static normalize(value) {
+        return (value || '').trim().replace(/^sha256:/i, '').toLowerCase();
+    }
+
+    /**
+     * Проверка формата контрольной суммы
+     * @param {string} value - Значение из манифеста
+     * @returns {boolean}
+     */
+    static isValid(value) {
+        return /^[0-9a-f]{64}$/.test(ChecksumService.normalize(value));
+    }
+
+    /**
+     * Вычисление SHA-256
+     * @param {ArrayBuffer|Uint8Array} data - Содержимое файла
+     * @returns {Promise<string>} - Сумма в шестнадцатеричном виде
+     */
+    static async sha256(data) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Разбор файла checksums.sha256
+     * Строки "<hex>  <путь>" или "<hex> *<путь>" (двоичный режим sha256sum), комментарии начинаются с "#"
+     * @param {string} text - Содержимое файла
+     * @returns {{checksums: Map<string, string>, errors: Array<{lineNumber: number, line: string}>}} - Путь -> сумма и нераспознанные строки
+     */
+    static parseSidecar(text) {
+        const checksums = new Map();
+        const errors = [];
+
+        text.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (line === '' || line.startsWith('#')) return;
+
+            const match = line.match(/^([0-9a-fA-F]{64}) [ *](.+)$/);
+            if (!match) {
+                errors.push({ lineNumber: index + 1, line });
+                return;
+            }
+            const path = match[2].trim().replace(/\\/g, '/').replace(/^\.\//, '');
+            checksums.set(path, match[1].toLowerCase());
+        });
+
+        return { checksums, errors };
+    }
+
+    /**
+     * Формирование файла checksums.sha256
+     * @param {Array<{path: string, checksum: string}>} entries - Файлы и их суммы
+     * @returns {string}
+     */
+    static buildSidecar(entries) {
+        return entries.map(({ path, checksum }) => `${checksum}  ${path}`).join('\n') + '\n';
+    }
+}
@@ -0,0 +1,211 @@
+import { logger } from '../logger.js';
+import { ChecksumService } from './ChecksumService.js';
+import { IndexedDbUtils } from '../utils/indexedDbUtils.js';
+import { LruCache } from '../utils/lruCache.js';
+
+/**
+ * Имя базы IndexedDB кэша метаданных
+ */
+const DB_NAME = 'digital-time-capsule-metadata';
+
+/**
+ * Версия схемы базы (2 - хранилище текста PDF)
+ */
+const DB_VERSION = 2;
+
+/**
+ * Количество записей, которые держатся в памяти страницы
+ */
+const MEMORY_ENTRIES = 500;
+
+/**
+ * Открытая база (одно соединение на страницу)
+ */
+let databasePromise = null;
+
+/**
+ * Кэш извлеченных метаданных файлов по SHA-256 содержимого
+ * Записи хранятся в памяти и в IndexedDB, поэтому повторное открытие капсулы или другая капсула
+ * с теми же файлами не разбирает их снова. Для каждого вида метаданных (PDF, текст PDF, изображения) - свое хранилище
+ */
+export class ContentMetadataCache {
+    /**
+     * Виды метаданных (имена хранилищ)
+     * @returns {{PDF: string, PDF_TEXT: string, IMAGE: string}}
+     */
+    static get KINDS() {
+        return {
+            PDF: 'pdf',
+            PDF_TEXT: 'pdfText',
+            IMAGE: 'image'
+        };
+    }
+
+    /**
+     * Максимальное количество записей одного вида в IndexedDB
+     * @returns {number}
+     */
+    static get MAX_ENTRIES() {
+        return 5000;
+    }
+
+    /**
+     * @param {string} kind - Вид метаданных из ContentMetadataCache.KINDS
+     */
+    constructor(kind) {
+        this.kind = kind;
+        this.memory = new LruCache({ maxSize: MEMORY_ENTRIES });
+        this.stats = { memoryHits: 0, persistentHits: 0, misses: 0, writes: 0, errors: 0 };
+        logger.registerStatsProvider(`${kind}MetadataCache`, () => this.getStats());
+    }
+
+    /**
+     * Ключ кэша: SHA-256 содержимого файла
+     * @param {ArrayBuffer|Uint8Array} data - Содержимое файла
+     * @returns {Promise<string>}
+     */
+    static hash(data) {
+        return ChecksumService.sha256(data);
+    }
+
+    /**
+     * Открытие базы (хранилище для каждого вида метаданных)
+     * @returns {Promise<IDBDatabase|null>} - null, если IndexedDB недоступен
+     */
+    static openDatabase() {
+        if (!IndexedDbUtils.isSupported()) return Promise.resolve(null);
+        if (!databasePromise) {
+            databasePromise = IndexedDbUtils.openDatabase(DB_NAME, DB_VERSION, (db) => {
+                for (const kind of Object.values(ContentMetadataCache.KINDS)) {
+                    if (!db.objectStoreNames.contains(kind)) {
+                        db.createObjectStore(kind, { keyPath: 'hash' }).createIndex('savedAt', 'savedAt');
+                    }
+                }
+            }).catch(error => {
+                // Следующее обращение попробует открыть базу снова
+                databasePromise = null;
+                throw error;
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Метаданные по хэшу содержимого: из памяти, затем из IndexedDB
+     * @param {string} hash - SHA-256 содержимого
+     * @returns {Promise<Object|null>} - Метаданные или null, если их нет в кэше
+     */
+    async get(hash) {
+        if (this.memory.has(hash)) {
+            this.stats.memoryHits++;
+            return this.memory.get(hash);
+        }
+
+        try {
+            const db = await ContentMetadataCache.openDatabase();
+            const record = db
+                ? await IndexedDbUtils.requestToPromise(db.transaction(this.kind).objectStore(this.kind).get(hash))
+                : null;
+            if (record) {
+                this.stats.persistentHits++;
+                this.memory.set(hash, record.metadata);
+                return record.metadata;
+            }
+        } catch (error) {
+            // Недоступное хранилище не мешает извлечь метаданные заново
+            this.stats.errors++;
+            logger.warn('Не удалось прочитать кэш метаданных', { kind: this.kind, error: error.message });
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    /**
+     * Сохранение метаданных в память и IndexedDB
+     * @param {string} hash - SHA-256 содержимого
+     * @param {Object} metadata - Метаданные
+     * @returns {Promise<void>}
+     */
+    async set(hash, metadata) {
+        this.memory.set(hash, metadata);
+        try {
+            const db = await ContentMetadataCache.openDatabase();
+            if (!db) return;
+
+            const transaction = db.transaction(this.kind, 'readwrite');
+            const store = transaction.objectStore(this.kind);
+            store.put({ hash, metadata, savedAt: Date.now() });
+
+            // Самые старые записи удаляются, когда их становится больше MAX_ENTRIES
+            const count = await IndexedDbUtils.requestToPromise(store.count());
+            let excess = count - ContentMetadataCache.MAX_ENTRIES;
+            if (excess > 0) {
+                const cursorRequest = store.index('savedAt').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            }
+            await IndexedDbUtils.transactionToPromise(transaction);
+            this.stats.writes++;
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn('Не удалось сохранить метаданные в кэш', { kind: this.kind, error: error.message });
+        }
+    }
+
+    /**
+     * Метаданные из кэша или извлеченные заново (и сохраненные в кэш)
+     * Сохраняются только успешные результаты: если extract вернул null или выбросил ошибку,
+     * следующий вызов извлечет метаданные снова
+     * @param {string} hash - SHA-256 содержимого
+     * @param {Function} extract - Извлечение метаданных: () => Promise<Object|null> (null - извлечь не удалось)
+     * @returns {Promise<Object|null>}
+     */
+    async getOrExtract(hash, extract) {
+        const cached = await this.get(hash);
+        if (cached) return cached;
+
+        const metadata = await extract();
+        // null означает, что метаданные извлечь не удалось: такой результат не кэшируется
+        if (metadata) await this.set(hash, metadata);
+        return metadata;
+    }
+
+    /**
+     * Удаление всех записей этого вида из памяти и IndexedDB
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+        const db = await ContentMetadataCache.openDatabase();
+        if (!db) return;
+        const transaction = db.transaction(this.kind, 'readwrite');
+        transaction.objectStore(this.kind).clear();
+        await IndexedDbUtils.transactionToPromise(transaction);
+    }
+
+    /**
+     * Статистика попаданий (для logger.getStats)
+     * @returns {{memoryHits: number, persistentHits: number, misses: number, writes: number, errors: number, hitRate: number, entriesInMemory: number}}
+     */
+    getStats() {
+        const hits = this.stats.memoryHits + this.stats.persistentHits;
+        const lookups = hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((hits / lookups) * 100) / 100 : 0,
+            entriesInMemory: this.memory.size
+        };
+    }
+}
+
+// Кэш метаданных изображений (ImageService.getCachedMetadata)
+export const imageMetadataCache = new ContentMetadataCache(ContentMetadataCache.KINDS.IMAGE);
+
+// Кэш текста PDF по страницам (полнотекстовый поиск, ArchiveRenderer.extractPdfText)
+export const pdfTextCache = new ContentMetadataCache(ContentMetadataCache.KINDS.PDF_TEXT);
@@ -3,6 +3,7 @@
  * Извлекает EXIF, XMP и другие метаданные из изображений
  */
 import exifr from 'exifr';
+import { ContentMetadataCache, imageMetadataCache } from './ContentMetadataCache.js';
 
 export class ImageService {
     /**
@@ -35,6 +36,16 @@ export class ImageService {
         }
     }
 
+    /**
+     * Метаданные изображения из кэша по SHA-256 содержимого или извлеченные заново (extractMetadata)
+     * @param {ArrayBuffer|Uint8Array} imageData - Данные изображения
+     * @returns {Promise<Object|null>} Метаданные изображения
+     */
+    static async getCachedMetadata(imageData) {
+        const hash = await ContentMetadataCache.hash(imageData);
+        return imageMetadataCache.getOrExtract(hash, () => this.extractMetadata(imageData));
+    }
+
     /**
      * Нормализует метаданные для единообразного представления
      * @param {Object} metadata - Сырые метаданные
@@ -0,0 +1,109 @@
+/**
+ * Сервис для подбора исправлений строк manifest.txt
+ * Предлагает конкретные правки для строк с ошибками: разделители, даты, регистр типа.
+ * О недостающих полях только сообщает: их значения знает лишь автор капсулы
+ */
+export class ManifestFixer {
+    /**
+     * Нестандартные форматы дат и их преобразование в YYYY-MM-DD
+     * @returns {Array<{pattern: RegExp, toIso: Function}>}
+     */
+    static get DATE_PATTERNS() {
+        return [
+            // DD/MM/YYYY, DD-MM-YYYY, D.M.YYYY
+            { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, toIso: (m) => [m[3], m[2], m[1]] },
+            // YYYY.MM.DD, YYYY-M-D, YYYY/M/D
+            { pattern: /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/, toIso: (m) => [m[1], m[2], m[3]] }
+        ];
+    }
+
+    /**
+     * Преобразование даты нестандартного формата в YYYY-MM-DD
+     * @param {string} value - Значение поля
+     * @returns {string|null} - Дата в формате YYYY-MM-DD или null, если значение не похоже на дату
+     */
+    static normalizeDate(value) {
+        for (const { pattern, toIso } of ManifestFixer.DATE_PATTERNS) {
+            const match = value.match(pattern);
+            if (!match) continue;
+
+            const [year, month, day] = toIso(match).map(Number);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            const isRealDate = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+            if (!isRealDate) return null;
+
+            return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Подбор исправления для строки манифеста
+     * @param {string} line - Исходная строка
+     * @param {Object} [options] - Параметры
+     * @param {number} [options.typeIndex=1] - Позиция поля типа (для манифеста с заголовком может отличаться)
+     * @param {number} [options.dateIndex=-1] - Позиция поля даты (другие поля, похожие на дату, не меняются)
+     * @param {string[]} [options.fields] - Имена полей по позициям (для описания правок)
+     * @param {string[]} [options.missingFields] - Недостающие поля строки: их нельзя заполнить автоматически,
+     *          поэтому они возвращаются как подсказка без правки
+     * @returns {{fixedLine: string, changes: Array<{field: string, from: string, to: string, description: string}>, missingFields: string[]}|null}
+     *          Исправление или null, если предложить нечего
+     */
+    static suggestFix(line, { typeIndex = 1, dateIndex = -1, fields = [], missingFields = [] } = {}) {
+        const changes = [];
+        const parts = line.split('|').map(part => part.trim());
+
+        const normalizedSeparators = parts.join(' | ');
+        if (normalizedSeparators !== line.trim()) {
+            changes.push({
+                field: 'separator',
+                from: line.trim(),
+                to: normalizedSeparators,
+                description: 'Разделители приведены к виду " | "'
+            });
+        }
+
+        const fixedParts = parts.map((part, index) => {
+            if (index === typeIndex && part !== part.toUpperCase()) {
+                changes.push({
+                    field: fields[index] || 'type',
+                    from: part,
+                    to: part.toUpperCase(),
+                    description: 'Тип записан заглавными буквами'
+                });
+                return part.toUpperCase();
+            }
+
+            const isoDate = index === dateIndex ? ManifestFixer.normalizeDate(part) : null;
+            if (isoDate && isoDate !== part) {
+                changes.push({
+                    field: fields[index] || 'date',
+                    from: part,
+                    to: isoDate,
+                    description: 'Дата приведена к формату YYYY-MM-DD'
+                });
+                return isoDate;
+            }
+
+            return part;
+        });
+
+        if (changes.length === 0 && missingFields.length === 0) return null;
+        return { fixedLine: fixedParts.join(' | '), changes, missingFields };
+    }
+
+    /**
+     * Применение принятых исправлений к тексту манифеста
+     * Остальные строки и переводы строк сохраняются без изменений
+     * @param {string} text - Исходный текст manifest.txt
+     * @param {Map<number, string>} fixesByLine - Исправленные строки по номерам строк (с 1)
+     * @returns {string} - Исправленный текст манифеста
+     */
+    static applyFixes(text, fixesByLine) {
+        const lineBreak = text.includes('\r\n') ? '\r\n' : '\n';
+        return text
+            .split(/\r?\n/)
+            .map((line, index) => fixesByLine.has(index + 1) ? fixesByLine.get(index + 1) : line)
+            .join(lineBreak);
+    }
+}
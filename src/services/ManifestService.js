@@ -0,0 +1,174 @@
+import yaml from 'js-yaml';
+import { logger } from '../logger.js';
+
+/**
+ * Подсказки для определения типа элемента по имени файла
+ */
+const TYPE_HINTS = [
+    { pattern: /новост/i, type: 'НОВОСТЬ' },
+    { pattern: /мем/i, type: 'МЕМ' },
+    { pattern: /личн/i, type: 'ЛИЧНОЕ' },
+    { pattern: /капсул/i, type: 'КАПСУЛА' }
+];
+
+/**
+ * Сервис для поиска и чтения манифеста архива
+ * Поддерживает структурированные манифесты (manifest.json, manifest.yaml)
+ * и построчный формат manifest.txt
+ */
+export class ManifestService {
+    /**
+     * Поддерживаемые файлы манифеста в порядке приоритета
+     * @returns {Array<{filename: string, format: 'json'|'yaml'|'txt'}>}
+     */
+    static get MANIFEST_FILES() {
+        return [
+            { filename: 'manifest.json', format: 'json' },
+            { filename: 'manifest.yaml', format: 'yaml' },
+            { filename: 'manifest.yml', format: 'yaml' },
+            { filename: 'manifest.txt', format: 'txt' }
+        ];
+    }
+
+    /**
+     * Поля элемента, допустимые в структурированном манифесте
+     * @returns {string[]}
+     */
+    static get STRUCTURED_FIELDS() {
+        return ['filename', 'type', 'title', 'description', 'date', 'tags', 'author', 'location', 'sourceUrl', 'language', 'checksum', 'openAfter'];
+    }
+
+    /**
+     * Другие написания полей манифеста: имя в манифесте -> поле ArchiveItem
+     * @returns {Object<string, string>}
+     */
+    static get FIELD_ALIASES() {
+        return { open_after: 'openAfter' };
+    }
+
+    /**
+     * Поле ArchiveItem по имени колонки или поля манифеста (без учета регистра, с учетом FIELD_ALIASES)
+     * @param {string} name - Имя колонки или поля
+     * @returns {string|null} - Имя поля или null, если поле неизвестно
+     */
+    static resolveFieldName(name) {
+        const lowerName = (name || '').toLowerCase();
+        const alias = ManifestService.FIELD_ALIASES[lowerName];
+        if (alias) return alias;
+        return ManifestService.STRUCTURED_FIELDS.find(field => field.toLowerCase() === lowerName) || null;
+    }
+
+    /**
+     * Колонки manifest.txt, который формирует приложение (мастер манифеста, конструктор капсулы)
+     * @returns {string[]}
+     */
+    static get GENERATED_COLUMNS() {
+        return ['filename', 'type', 'date', 'title', 'tags', 'author'];
+    }
+
+    /**
+     * Необязательные колонки, которые добавляются в manifest.txt, только если хотя бы у одной записи они заполнены
+     * @returns {string[]}
+     */
+    static get OPTIONAL_COLUMNS() {
+        return ['description', 'location', 'sourceUrl', 'language', 'openAfter'];
+    }
+
+    /**
+     * Определение типа элемента по имени файла (01_Новость.pdf, 06_мем.png, 11_личное.pdf)
+     * @param {string} filename - Имя файла
+     * @returns {string} - Предполагаемый тип или пустая строка
+     */
+    static guessType(filename) {
+        const hint = TYPE_HINTS.find(({ pattern }) => pattern.test(filename));
+        return hint ? hint.type : '';
+    }
+
+    /**
+     * Очистка значения поля для строки manifest.txt
+     * @param {string} value - Значение поля
+     * @returns {string} - Значение без разделителей колонок и переводов строк
+     */
+    static cleanField(value) {
+        return (value || '').replace(/[|\r\n]+/g, ' ').trim();
+    }
+
+    /**
+     * Формирование текста manifest.txt с заголовком колонок "#!"
+     * @param {Array<{filename: string, type: string, date: string, title: string, tags: string|string[], author: string}>} rows - Строки манифеста
+     *        (необязательные поля description, location, sourceUrl, language, openAfter добавляются отдельными колонками)
+     * @param {string} comment - Комментарий в начале файла
+     * @returns {{text: string, lineNumbers: number[]}} - Текст манифеста и номера строк для каждой записи
+     */
+    static buildManifestText(rows, comment) {
+        const optionalColumns = ManifestService.OPTIONAL_COLUMNS
+            .filter(column => rows.some(row => ManifestService.cleanField(row[column]) !== ''));
+        const columns = [...ManifestService.GENERATED_COLUMNS, ...optionalColumns];
+        const headerLines = [`# ${comment}`, `#! ${columns.join(' | ')}`];
+        const lines = rows.map(row => columns.map(column => {
+            if (column === 'type') return ManifestService.cleanField(row.type).toUpperCase();
+            if (column === 'tags') {
+                const tags = Array.isArray(row.tags) ? row.tags : (row.tags || '').split(',');
+                return tags.map(tag => ManifestService.cleanField(tag)).filter(tag => tag !== '').join(',');
+            }
+            return ManifestService.cleanField(row[column]);
+        }).join(' | '));
+
+        return {
+            text: [...headerLines, ...lines, ''].join('\n'),
+            lineNumbers: rows.map((row, index) => headerLines.length + index + 1)
+        };
+    }
+
+    /**
+     * Поиск манифеста в загруженном архиве
+     * Если в архиве несколько манифестов, используется первый по приоритету
+     * @param {ArchiveService} archiveService - Сервис загруженного архива
+     * @returns {Promise<{filename: string, format: string, text: string}|null>} - Найденный манифест
+     */
+    static async findManifest(archiveService) {
+        const found = [];
+        for (const { filename, format } of ManifestService.MANIFEST_FILES) {
+            const file = await archiveService.extractFile(filename);
+            if (file) {
+                found.push({ filename, format, file });
+            }
+        }
+
+        if (found.length === 0) return null;
+        if (found.length > 1) {
+            logger.warn('В архиве несколько манифестов', {
+                manifests: found.map(manifest => manifest.filename),
+                used: found[0].filename
+            });
+        }
+
+        const { filename, format, file } = found[0];
+        return { filename, format, text: await file.async('text') };
+    }
+
+    /**
+     * Разбор структурированного манифеста в список записей
+     * Допускается массив записей или объект с полем items
+     * @param {string} text - Содержимое манифеста
+     * @param {'json'|'yaml'} format - Формат манифеста
+     * @returns {Object[]} - Записи манифеста
+     */
+    static parseStructured(text, format) {
+        let data;
+        try {
+            // CORE_SCHEMA не превращает даты вида 2025-10-17 в объекты Date
+            data = format === 'yaml'
+                ? yaml.load(text, { schema: yaml.CORE_SCHEMA })
+                : JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Некорректный ${format.toUpperCase()} манифеста: ${error.message}`);
+        }
+
+        const entries = Array.isArray(data) ? data : data?.items;
+        if (!Array.isArray(entries)) {
+            throw new Error('Манифест должен быть списком элементов или объектом с полем "items"');
+        }
+        return entries;
+    }
+}
@@ -1,9 +1,26 @@
+import { ContentMetadataCache } from './ContentMetadataCache.js';
+
 /**
  * Класс для кэширования метаданных PDF файлов
+ * Метаданные файлов открытой капсулы доступны по имени файла; извлеченные метаданные хранятся
+ * по SHA-256 содержимого в ContentMetadataCache (память и IndexedDB) и не извлекаются повторно
+ * при следующем открытии капсулы или в другой капсуле с тем же файлом
  */
 export class PDFMetadataCache {
     constructor() {
+        // Метаданные файлов открытой капсулы по имени файла
         this.cache = new Map();
+        this.contentCache = new ContentMetadataCache(ContentMetadataCache.KINDS.PDF);
+    }
+
+    /**
+     * Метаданные PDF по содержимому: из кэша по SHA-256 или извлеченные заново
+     * @param {string} hash - SHA-256 содержимого PDF
+     * @param {Function} extract - Извлечение метаданных: () => Promise<Object|null>
+     * @returns {Promise<Object|null>}
+     */
+    getMetadataByContent(hash, extract) {
+        return this.contentCache.getOrExtract(hash, extract);
     }
 
     /**
@@ -34,7 +51,7 @@ export class PDFMetadataCache {
     }
 
     /**
-     * Очистить кэш
+     * Очистить кэш файлов открытой капсулы (кэш по содержимому сохраняется)
      */
     clearCache() {
         this.cache.clear();
@@ -6,19 +6,99 @@ import * as pdfjsLib from 'pdfjs-dist';
 // Настройка PDF.js worker - используем локальную версию из node_modules с правильным URL для Vite
 pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.js', import.meta.url).href;
 
+/**
+ * Реестр загруженных документов: ключ -> { loadingTask, promise: Promise<PDFDocumentProxy> }
+ */
+const documents = new Map();
+
 export class PDFService {
     /**
-     * Извлекает метаданные из PDF файла
+     * Загрузка документа в реестр: каждый PDF разбирается один раз, а PDFDocumentProxy
+     * используется всеми, кто запрашивает документ с тем же ключом, пока его не освободят
+     * @param {string} key - Ключ документа (SHA-256 содержимого)
+     * @param {ArrayBuffer|null} arrayBuffer - Буфер PDF файла (не нужен, если документ уже загружен)
+     * @returns {Promise<PDFDocumentProxy>}
+     */
+    static loadDocument(key, arrayBuffer) {
+        if (!documents.has(key)) {
+            // PDF.js передает данные своему потоку, поэтому ему отдается копия буфера
+            const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(arrayBuffer.slice(0)) });
+            const promise = loadingTask.promise.catch(error => {
+                documents.delete(key);
+                throw error;
+            });
+            documents.set(key, { loadingTask, promise });
+        }
+        return documents.get(key).promise;
+    }
+
+    /**
+     * Загружен ли документ в реестр
+     * @param {string} key - Ключ документа
+     * @returns {boolean}
+     */
+    static hasDocument(key) {
+        return documents.has(key);
+    }
+
+    /**
+     * Освобождение документа реестра
+     * @param {string} key - Ключ документа
+     * @returns {Promise<void>}
+     */
+    static async releaseDocument(key) {
+        const entry = documents.get(key);
+        if (!entry) return;
+        documents.delete(key);
+        await entry.loadingTask.destroy();
+    }
+
+    /**
+     * Освобождение всех документов реестра (при выгрузке капсулы)
+     * @returns {Promise<void>}
+     */
+    static async releaseAllDocuments() {
+        await Promise.all([...documents.keys()].map(key => this.releaseDocument(key)));
+    }
+
+    /**
+     * Разовый разбор документа вне реестра: документ уничтожается после вызова callback
      * @param {ArrayBuffer} arrayBuffer - Буфер PDF файла
+     * @param {Function} callback - (pdfDocument: PDFDocumentProxy) => Promise<*>
+     * @returns {Promise<*>}
+     */
+    static async withDocument(arrayBuffer, callback) {
+        const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(arrayBuffer.slice(0)) });
+        try {
+            return await callback(await loadingTask.promise);
+        } finally {
+            await loadingTask.destroy();
+        }
+    }
+
+    /**
+     * Вызов callback с документом из реестра по ключу или, без ключа, с разово разобранным документом
+     * @param {ArrayBuffer|null} arrayBuffer - Буфер PDF файла (не нужен, если документ с ключом уже загружен)
+     * @param {string|null} key - Ключ реестра документов (SHA-256 содержимого)
+     * @param {Function} callback - (pdfDocument: PDFDocumentProxy) => Promise<*>
+     * @returns {Promise<*>}
+     */
+    static async useDocument(arrayBuffer, key, callback) {
+        return key
+            ? callback(await this.loadDocument(key, arrayBuffer))
+            : this.withDocument(arrayBuffer, callback);
+    }
+
+    /**
+     * Извлекает метаданные из PDF файла
+     * @param {ArrayBuffer|null} arrayBuffer - Буфер PDF файла
+     * @param {string|null} [key] - Ключ реестра документов: документ разбирается один раз для всех
+     *        вызовов с этим ключом (см. useDocument); без ключа документ уничтожается сразу
      * @returns {Promise<Object>} Метаданные PDF
      */
-    static async extractMetadata(arrayBuffer) {
+    static async extractMetadata(arrayBuffer, key = null) {
         try {
-            // Создаем копию ArrayBuffer чтобы избежать detachment ошибок
-            const bufferCopy = arrayBuffer.slice(0);
-            const pdfDocument = await pdfjsLib.getDocument(bufferCopy).promise;
-            const metadata = await pdfDocument.getMetadata();
-            return metadata;
+            return await this.useDocument(arrayBuffer, key, pdfDocument => pdfDocument.getMetadata());
         } catch (error) {
             console.warn('Не удалось извлечь метаданные PDF:', error.message);
             return null;
@@ -27,83 +107,87 @@ export class PDFService {
 
     /**
      * Извлекает ключевые слова из PDF метаданных
-     * @param {ArrayBuffer} arrayBuffer - Буфер PDF файла
+     * @param {ArrayBuffer|null} arrayBuffer - Буфер PDF файла
+     * @param {string|null} [key] - Ключ реестра документов (см. extractMetadata)
      * @returns {Promise<Array>} Массив ключевых слов
      */
-    static async extractKeywords(arrayBuffer) {
+    static async extractKeywords(arrayBuffer, key = null) {
         try {
-            // Создаем копию ArrayBuffer чтобы избежать detachment ошибок
-            const bufferCopy = arrayBuffer.slice(0);
-            const pdfDocument = await pdfjsLib.getDocument(bufferCopy).promise;
-            const metadata = await pdfDocument.getMetadata();
-            
-            const keywords = [];
-            
-            // Извлекаем ключевые слова из основных полей PDF метаданных
-            if (metadata && metadata.info) {
-                // Keywords из DocumentInfo
-                if (metadata.info.Keywords) {
-                    const metaKeywords = metadata.info.Keywords;
-                    if (typeof metaKeywords === 'string') {
-                        // Разделяем по запятым и очищаем
-                        const keywordList = metaKeywords.split(',')
-                            .map(kw => kw.trim())
-                            .filter(kw => kw.length > 0);
-                        keywords.push(...keywordList);
-                    } else if (Array.isArray(metaKeywords)) {
-                        keywords.push(...metaKeywords);
-                    }
+            return this.getKeywords(await this.useDocument(arrayBuffer, key, pdfDocument => pdfDocument.getMetadata()));
+        } catch (error) {
+            console.warn('Не удалось извлечь ключевые слова из PDF:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Ключевые слова из метаданных PDF (DocumentInfo и XMP)
+     * @param {Object|null} metadata - Результат PDFDocumentProxy.getMetadata
+     * @returns {string[]} Уникальные ключевые слова
+     */
+    static getKeywords(metadata) {
+        const keywords = [];
+
+        // Извлекаем ключевые слова из основных полей PDF метаданных
+        if (metadata && metadata.info) {
+            // Keywords из DocumentInfo
+            if (metadata.info.Keywords) {
+                const metaKeywords = metadata.info.Keywords;
+                if (typeof metaKeywords === 'string') {
+                    // Разделяем по запятым и очищаем
+                    const keywordList = metaKeywords.split(',')
+                        .map(kw => kw.trim())
+                        .filter(kw => kw.length > 0);
+                    keywords.push(...keywordList);
+                } else if (Array.isArray(metaKeywords)) {
+                    keywords.push(...metaKeywords);
                 }
-                
             }
             
-            // Извлекаем ключевые слова из XMP данных
-            if (metadata && metadata.xmp) {
-                const xmp = metadata.xmp;
-                
-                // Keywords из XMP
-                if (xmp['pdf:Keywords'] || xmp['xmp:Keywords'] || xmp['dc:subject']) {
-                    const xmpKeywords = xmp['pdf:Keywords'] || xmp['xmp:Keywords'] || xmp['dc:subject'];
-                    if (typeof xmpKeywords === 'string') {
-                        const keywordList = xmpKeywords.split(',')
-                            .map(kw => kw.trim())
-                            .filter(kw => kw.length > 0);
-                        keywords.push(...keywordList);
-                    } else if (Array.isArray(xmpKeywords)) {
-                        keywords.push(...xmpKeywords);
-                    } else if (typeof xmpKeywords === 'object' && xmpKeywords.length) {
-                        // Если это объект с дочерними элементами
-                        for (const item of xmpKeywords) {
-                            if (typeof item === 'string') {
-                                keywords.push(item);
-                            }
+        }
+        
+        // Извлекаем ключевые слова из XMP данных
+        if (metadata && metadata.xmp) {
+            const xmp = metadata.xmp;
+            
+            // Keywords из XMP
+            if (xmp['pdf:Keywords'] || xmp['xmp:Keywords'] || xmp['dc:subject']) {
+                const xmpKeywords = xmp['pdf:Keywords'] || xmp['xmp:Keywords'] || xmp['dc:subject'];
+                if (typeof xmpKeywords === 'string') {
+                    const keywordList = xmpKeywords.split(',')
+                        .map(kw => kw.trim())
+                        .filter(kw => kw.length > 0);
+                    keywords.push(...keywordList);
+                } else if (Array.isArray(xmpKeywords)) {
+                    keywords.push(...xmpKeywords);
+                } else if (typeof xmpKeywords === 'object' && xmpKeywords.length) {
+                    // Если это объект с дочерними элементами
+                    for (const item of xmpKeywords) {
+                        if (typeof item === 'string') {
+                            keywords.push(item);
                         }
                     }
                 }
             }
-            
-            // Удаляем дубликаты и возвращаем уникальные ключевые слова
-            return [...new Set(keywords.filter(kw => kw && typeof kw === 'string' && kw.trim().length > 0))];
-        } catch (error) {
-            console.warn('Не удалось извлечь ключевые слова из PDF:', error.message);
-            return [];
         }
+        
+        // Удаляем дубликаты и возвращаем уникальные ключевые слова
+        return [...new Set(keywords.filter(kw => kw && typeof kw === 'string' && kw.trim().length > 0))];
     }
 
     /**
      * Получает нормализованные метаданные PDF для отображения
-     * @param {ArrayBuffer} arrayBuffer - Буфер PDF файла
-     * @returns {Promise<Object>} Нормализованные метаданные
+     * Документ разбирается один раз: метаданные, ключевые слова и количество страниц берутся из одного PDFDocumentProxy
+     * @param {ArrayBuffer|null} arrayBuffer - Буфер PDF файла
+     * @param {string|null} [key] - Ключ реестра документов: документ остается загруженным для просмотра
+     *        до releaseDocument; без ключа документ уничтожается сразу
+     * @returns {Promise<Object|null>} Нормализованные метаданные или null, если PDF разобрать не удалось
+     *          (например, документ освобожден при отмене загрузки) - такой результат не кэшируется
      */
-    static async getNormalizedMetadata(arrayBuffer) {
-        try {
-            // Создаем копии ArrayBuffer для каждого вызова чтобы избежать detachment ошибок
-            const [metadata, keywords, pageCount] = await Promise.all([
-                this.extractMetadata(arrayBuffer.slice(0)),
-                this.extractKeywords(arrayBuffer.slice(0)),
-                this.getPagesCount(arrayBuffer.slice(0))
-            ]);
-            
+    static async getNormalizedMetadata(arrayBuffer, key = null) {
+        const normalize = async (pdfDocument) => {
+            const metadata = await pdfDocument.getMetadata();
+            const keywords = this.getKeywords(metadata);
             return {
                 title: metadata?.info?.Title || '',
                 author: metadata?.info?.Author || '',
@@ -113,23 +197,16 @@ export class PDFService {
                 modificationDate: metadata?.info?.ModDate || '',
                 creator: metadata?.info?.Creator || '',
                 producer: metadata?.info?.Producer || '',
-                pageCount: pageCount,
+                pageCount: pdfDocument.numPages,
                 hasKeywords: keywords.length > 0
             };
+        };
+
+        try {
+            return await this.useDocument(arrayBuffer, key, normalize);
         } catch (error) {
             console.warn('Не удалось получить нормализованные метаданные PDF:', error.message);
-            return {
-                title: '',
-                author: '',
-                subject: '',
-                keywords: [],
-                creationDate: '',
-                modificationDate: '',
-                creator: '',
-                producer: '',
-                pageCount: 0,
-                hasKeywords: false
-            };
+            return null;
         }
     }
 
@@ -185,40 +262,43 @@ export class PDFService {
     }
 
     /**
-     * Преобразует ArrayBuffer в base64
-     * @param {ArrayBuffer} buffer - Буфер для преобразования
-     * @returns {string} Base64 строка
+     * Извлекает текст PDF постранично (для полнотекстового поиска)
+     * @param {ArrayBuffer|null} arrayBuffer - Буфер PDF файла
+     * @param {string|null} [key] - Ключ реестра документов: документ остается загруженным для просмотра;
+     *        без ключа документ уничтожается сразу
+     * @returns {Promise<{pages: string[]}|null>} Текст страниц или null, если текст извлечь не удалось
      */
-    static arrayBufferToBase64(buffer) {
-        let binary = '';
-        const bytes = new Uint8Array(buffer);
-        for (let i = 0; i < bytes.byteLength; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
-    }
+    static async extractText(arrayBuffer, key = null) {
+        const extract = async (pdfDocument) => {
+            const pages = [];
+            for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+                const page = await pdfDocument.getPage(pageNumber);
+                const textContent = await page.getTextContent();
+                pages.push(textContent.items
+                    .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+                    .join(''));
+                page.cleanup();
+            }
+            return { pages };
+        };
 
-    /**
-     * Создает URL для отображения PDF
-     * @param {ArrayBuffer} arrayBuffer - Буфер PDF файла
-     * @returns {string} URL для PDF
-     */
-    static createPdfUrl(arrayBuffer) {
-        const base64 = this.arrayBufferToBase64(arrayBuffer);
-        return `data:application/pdf;base64,${base64}`;
+        try {
+            return await this.useDocument(arrayBuffer, key, extract);
+        } catch (error) {
+            console.warn('Не удалось извлечь текст PDF:', error.message);
+            return null;
+        }
     }
 
     /**
      * Получает количество страниц в PDF
-     * @param {ArrayBuffer} arrayBuffer - Буфер PDF файла
+     * @param {ArrayBuffer|null} arrayBuffer - Буфер PDF файла
+     * @param {string|null} [key] - Ключ реестра документов (см. extractMetadata)
      * @returns {Promise<number>} Количество страниц
      */
-    static async getPagesCount(arrayBuffer) {
+    static async getPagesCount(arrayBuffer, key = null) {
         try {
-            // Создаем копию ArrayBuffer чтобы избежать detachment ошибок
-            const bufferCopy = arrayBuffer.slice(0);
-            const pdfDocument = await pdfjsLib.getDocument(bufferCopy).promise;
-            return pdfDocument.numPages;
+            return await this.useDocument(arrayBuffer, key, pdfDocument => pdfDocument.numPages);
         } catch (error) {
             console.warn('Не удалось получить количество страниц PDF:', error.message);
             return 0;
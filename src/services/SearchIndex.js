@@ -0,0 +1,110 @@
+import { SearchUtils } from '../utils/searchUtils.js';
+
+/**
+ * Полнотекстовый индекс открытой капсулы
+ * Документ - элемент архива с полями (заголовок, описание, теги, текст страниц PDF, содержимое файла, объяснение, ...).
+ * Слова полей хранятся основами (SearchUtils.stem), поэтому поиск не зависит от падежа, регистра и «ё»
+ */
+export class SearchIndex {
+    constructor() {
+        // Документы по идентификатору: { fields: Array<{ name, page, stems: Set<string> }> }
+        this.documents = new Map();
+        // Обратный индекс: основа слова -> идентификаторы документов
+        this.stems = new Map();
+    }
+
+    /**
+     * Количество документов в индексе
+     * @returns {number}
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Добавление документа (документ с тем же идентификатором заменяется)
+     * @param {number|string} id - Идентификатор документа
+     * @param {Array<{name: string, text: string, page?: number}>} fields - Поля документа; page - номер страницы PDF
+     */
+    add(id, fields) {
+        this.remove(id);
+        const entry = {
+            fields: fields
+                .filter(field => field.text)
+                .map(field => ({ name: field.name, page: field.page || null, stems: SearchUtils.getStems(field.text) }))
+        };
+        this.documents.set(id, entry);
+
+        for (const field of entry.fields) {
+            for (const stem of field.stems) {
+                if (!this.stems.has(stem)) this.stems.set(stem, new Set());
+                this.stems.get(stem).add(id);
+            }
+        }
+    }
+
+    /**
+     * Удаление документа
+     * @param {number|string} id - Идентификатор документа
+     */
+    remove(id) {
+        const entry = this.documents.get(id);
+        if (!entry) return;
+        this.documents.delete(id);
+        for (const field of entry.fields) {
+            for (const stem of field.stems) {
+                const ids = this.stems.get(stem);
+                ids?.delete(id);
+                if (ids?.size === 0) this.stems.delete(stem);
+            }
+        }
+    }
+
+    /**
+     * Есть ли документ в индексе
+     * @param {number|string} id - Идентификатор документа
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.documents.has(id);
+    }
+
+    /**
+     * Удаление всех документов
+     */
+    clear() {
+        this.documents.clear();
+        this.stems.clear();
+    }
+
+    /**
+     * Поиск документов, в которых встречаются все термы запроса (в одном или разных полях)
+     * @param {string[]} terms - Термы запроса (SearchUtils.getTerms)
+     * @returns {Map<number|string, Array<{name: string, page: number|null}>>} - Найденные документы и поля с совпадениями
+     */
+    search(terms) {
+        const results = new Map();
+        if (terms.length === 0) return results;
+
+        let candidates = null;
+        for (const term of terms) {
+            const ids = new Set();
+            for (const [stem, stemIds] of this.stems) {
+                if (!SearchUtils.matchesTerm(stem, term)) continue;
+                stemIds.forEach(id => {
+                    if (!candidates || candidates.has(id)) ids.add(id);
+                });
+            }
+            candidates = ids;
+            if (candidates.size === 0) return results;
+        }
+
+        for (const id of candidates) {
+            const fields = this.documents.get(id).fields
+                .filter(field => [...field.stems].some(stem => terms.some(term => SearchUtils.matchesTerm(stem, term))))
+                .map(({ name, page }) => ({ name, page }));
+            results.set(id, fields);
+        }
+        return results;
+    }
+}
@@ -0,0 +1,312 @@
+import { ChecksumService } from './ChecksumService.js';
+import { Base64Utils } from '../utils/base64Utils.js';
+
+/**
+ * Сервис цифровой подписи (запечатывания) капсулы через WebCrypto
+ * Подпись хранится в файле signature.json в корне капсулы: открытый ключ автора, дата,
+ * SHA-256 каждого файла (включая манифест) и подпись ECDSA P-256 или Ed25519 над этими данными
+ */
+export class SignatureService {
+    /**
+     * Имя файла подписи в корне капсулы
+     * @returns {string}
+     */
+    static get SIGNATURE_FILENAME() {
+        return 'signature.json';
+    }
+
+    /**
+     * Идентификатор формата файла подписи
+     * @returns {string}
+     */
+    static get FORMAT() {
+        return 'digital-time-capsule-signature';
+    }
+
+    /**
+     * Версия формата файла подписи
+     * @returns {number}
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Поддерживаемые алгоритмы подписи
+     * keyParams - параметры generateKey/importKey, signParams - параметры sign/verify
+     * @returns {Array<{id: string, label: string, keyParams: Object, signParams: Object}>}
+     */
+    static get ALGORITHMS() {
+        return [
+            {
+                id: 'ECDSA-P256',
+                label: 'ECDSA P-256 (SHA-256)',
+                keyParams: { name: 'ECDSA', namedCurve: 'P-256' },
+                signParams: { name: 'ECDSA', hash: 'SHA-256' }
+            },
+            {
+                id: 'Ed25519',
+                label: 'Ed25519',
+                keyParams: { name: 'Ed25519' },
+                signParams: { name: 'Ed25519' }
+            }
+        ];
+    }
+
+    /**
+     * Статусы проверки подписи
+     * @returns {{VALID: string, INVALID: string, TAMPERED: string, MALFORMED: string, UNSUPPORTED: string}}
+     */
+    static get STATUSES() {
+        return {
+            VALID: 'valid',             // подпись верна, файлы не менялись
+            INVALID: 'invalid',         // подпись не соответствует данным (подделана или изменена)
+            TAMPERED: 'tampered',       // подпись верна, но файлы изменены, удалены или добавлены после подписания
+            MALFORMED: 'malformed',     // файл подписи не читается
+            UNSUPPORTED: 'unsupported'  // алгоритм подписи не поддерживается браузером
+        };
+    }
+
+    /**
+     * Описание алгоритма по идентификатору
+     * @param {string} algorithmId - Идентификатор из ALGORITHMS
+     * @returns {Object|null}
+     */
+    static getAlgorithm(algorithmId) {
+        return SignatureService.ALGORITHMS.find(algorithm => algorithm.id === algorithmId) || null;
+    }
+
+    /**
+     * Проверка поддержки алгоритма браузером (Ed25519 есть не во всех браузерах)
+     * @param {string} algorithmId - Идентификатор из ALGORITHMS
+     * @returns {Promise<boolean>}
+     */
+    static async isAlgorithmSupported(algorithmId) {
+        const algorithm = SignatureService.getAlgorithm(algorithmId);
+        if (!algorithm) return false;
+        try {
+            await crypto.subtle.generateKey(algorithm.keyParams, false, ['sign', 'verify']);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Создание пары ключей в браузере (ключи не покидают устройство)
+     * @param {string} algorithmId - Идентификатор из ALGORITHMS
+     * @returns {Promise<CryptoKeyPair>}
+     */
+    static async generateKeyPair(algorithmId) {
+        const algorithm = SignatureService.getAlgorithm(algorithmId);
+        if (!algorithm) {
+            throw new Error(`Неизвестный алгоритм подписи: ${algorithmId}`);
+        }
+        return crypto.subtle.generateKey(algorithm.keyParams, true, ['sign', 'verify']);
+    }
+
+    /**
+     * Экспорт пары ключей в файл ключа (JWK) для повторного использования
+     * @param {CryptoKeyPair} keyPair - Пара ключей
+     * @param {string} algorithmId - Идентификатор из ALGORITHMS
+     * @param {string} signer - Имя автора подписи
+     * @returns {Promise<Object>} - Содержимое файла ключа
+     */
+    static async exportKeyFile(keyPair, algorithmId, signer) {
+        return {
+            format: `${SignatureService.FORMAT}-key`,
+            algorithm: algorithmId,
+            signer,
+            publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+            privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+        };
+    }
+
+    /**
+     * Импорт пары ключей из файла ключа, созданного exportKeyFile
+     * @param {string} text - Содержимое файла ключа
+     * @returns {Promise<{algorithmId: string, signer: string, keyPair: CryptoKeyPair}>}
+     */
+    static async importKeyFile(text) {
+        let keyFile;
+        try {
+            keyFile = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Файл ключа не является JSON: ${error.message}`);
+        }
+
+        const algorithm = SignatureService.getAlgorithm(keyFile?.algorithm);
+        if (!algorithm || !keyFile.publicKey || !keyFile.privateKey) {
+            throw new Error('Файл ключа не содержит алгоритм, открытый и закрытый ключи');
+        }
+
+        const keyPair = {
+            publicKey: await crypto.subtle.importKey('jwk', keyFile.publicKey, algorithm.keyParams, true, ['verify']),
+            privateKey: await crypto.subtle.importKey('jwk', keyFile.privateKey, algorithm.keyParams, true, ['sign'])
+        };
+        return { algorithmId: algorithm.id, signer: keyFile.signer || '', keyPair };
+    }
+
+    /**
+     * Отпечаток открытого ключа (JWK Thumbprint, RFC 7638) для сравнения ключей автора
+     * @param {Object} publicKeyJwk - Открытый ключ в формате JWK
+     * @returns {Promise<string>} - SHA-256 в шестнадцатеричном виде
+     */
+    static async getKeyFingerprint(publicKeyJwk) {
+        const canonical = JSON.stringify(SignatureService.getKeyMembers(publicKeyJwk));
+        return ChecksumService.sha256(new TextEncoder().encode(canonical));
+    }
+
+    /**
+     * Обязательные поля открытого ключа в лексикографическом порядке (RFC 7638)
+     * Порядок и служебные поля JWK (ext, key_ops) не влияют на отпечаток и подписываемые данные
+     * @param {Object} publicKeyJwk - Открытый ключ в формате JWK
+     * @returns {Object}
+     */
+    static getKeyMembers(publicKeyJwk) {
+        const members = publicKeyJwk.kty === 'EC' ? ['crv', 'kty', 'x', 'y'] : ['crv', 'kty', 'x'];
+        return Object.fromEntries(members.map(member => [member, publicKeyJwk[member]]));
+    }
+
+    /**
+     * Короткий отпечаток ключа для отображения: "ab12 cd34 ef56 7890"
+     * @param {string} fingerprint - Отпечаток из getKeyFingerprint
+     * @returns {string}
+     */
+    static formatFingerprint(fingerprint) {
+        return fingerprint.slice(0, 16).match(/.{4}/g).join(' ');
+    }
+
+    /**
+     * Подписываемые данные: поля подписи и суммы файлов в порядке путей
+     * @param {{algorithm: string, signer: string, signedAt: string, publicKey: Object, files: Object<string, string>}} seal - Подпись
+     * @returns {Uint8Array}
+     */
+    static buildPayload({ algorithm, signer, signedAt, publicKey, files }) {
+        const sortedFiles = Object.keys(files).sort().map(path => [path, files[path]]);
+        return new TextEncoder().encode(JSON.stringify([
+            SignatureService.FORMAT,
+            SignatureService.VERSION,
+            algorithm,
+            signer,
+            signedAt,
+            SignatureService.getKeyMembers(publicKey),
+            sortedFiles
+        ]));
+    }
+
+    /**
+     * Подписание капсулы
+     * @param {Object} options - Параметры подписи
+     * @param {Map<string, string>} options.files - Путь файла в капсуле -> SHA-256
+     * @param {string} options.signer - Имя автора подписи
+     * @param {CryptoKeyPair} options.keyPair - Пара ключей
+     * @param {string} options.algorithmId - Идентификатор из ALGORITHMS
+     * @returns {Promise<Object>} - Содержимое signature.json
+     */
+    static async sign({ files, signer, keyPair, algorithmId }) {
+        const algorithm = SignatureService.getAlgorithm(algorithmId);
+        if (!algorithm) {
+            throw new Error(`Неизвестный алгоритм подписи: ${algorithmId}`);
+        }
+
+        const seal = {
+            format: SignatureService.FORMAT,
+            version: SignatureService.VERSION,
+            algorithm: algorithm.id,
+            signer,
+            signedAt: new Date().toISOString(),
+            publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+            files: Object.fromEntries([...files.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+        };
+        const signature = await crypto.subtle.sign(algorithm.signParams, keyPair.privateKey, SignatureService.buildPayload(seal));
+        seal.signature = Base64Utils.encode(new Uint8Array(signature));
+        return seal;
+    }
+
+    /**
+     * Разбор файла signature.json
+     * @param {string} text - Содержимое файла
+     * @returns {Object} - Подпись
+     * @throws {Error} - Файл не является подписью капсулы
+     */
+    static parseSeal(text) {
+        let seal;
+        try {
+            seal = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${SignatureService.SIGNATURE_FILENAME} не является JSON: ${error.message}`);
+        }
+
+        if (seal?.format !== SignatureService.FORMAT || seal.version !== SignatureService.VERSION) {
+            throw new Error(`Неподдерживаемый формат ${SignatureService.SIGNATURE_FILENAME}`);
+        }
+        const missing = ['algorithm', 'signer', 'signedAt', 'publicKey', 'files', 'signature'].filter(field => !seal[field]);
+        if (missing.length > 0) {
+            throw new Error(`В ${SignatureService.SIGNATURE_FILENAME} нет полей: ${missing.join(', ')}`);
+        }
+        return seal;
+    }
+
+    /**
+     * Проверка подписи капсулы
+     * @param {Object} seal - Подпись из parseSeal
+     * @param {Map<string, string|null>} actualChecksums - Файлы капсулы (кроме signature.json) -> SHA-256 (null - файл не читается)
+     * @returns {Promise<{status: string, signer: string, signedAt: string, algorithm: string, fingerprint: string|null,
+     *          changedFiles: string[], missingFiles: string[], addedFiles: string[]}>}
+     */
+    static async verify(seal, actualChecksums) {
+        const result = {
+            status: SignatureService.STATUSES.VALID,
+            signer: seal.signer,
+            signedAt: seal.signedAt,
+            algorithm: seal.algorithm,
+            fingerprint: null,
+            changedFiles: [],
+            missingFiles: [],
+            addedFiles: []
+        };
+
+        const algorithm = SignatureService.getAlgorithm(seal.algorithm);
+        if (!algorithm) {
+            result.status = SignatureService.STATUSES.UNSUPPORTED;
+            return result;
+        }
+
+        let isSignatureValid;
+        try {
+            result.fingerprint = await SignatureService.getKeyFingerprint(seal.publicKey);
+            const publicKey = await crypto.subtle.importKey('jwk', seal.publicKey, algorithm.keyParams, false, ['verify']);
+            isSignatureValid = await crypto.subtle.verify(
+                algorithm.signParams,
+                publicKey,
+                Base64Utils.decode(seal.signature),
+                SignatureService.buildPayload(seal)
+            );
+        } catch (error) {
+            // Ed25519 поддерживается не всеми браузерами: importKey отклоняет незнакомый алгоритм
+            result.status = error.name === 'NotSupportedError'
+                ? SignatureService.STATUSES.UNSUPPORTED
+                : SignatureService.STATUSES.INVALID;
+            return result;
+        }
+        if (!isSignatureValid) {
+            result.status = SignatureService.STATUSES.INVALID;
+            return result;
+        }
+
+        for (const [path, checksum] of Object.entries(seal.files)) {
+            if (!actualChecksums.has(path)) {
+                result.missingFiles.push(path);
+            } else if (actualChecksums.get(path) !== checksum) {
+                result.changedFiles.push(path);
+            }
+        }
+        result.addedFiles = [...actualChecksums.keys()].filter(path => !Object.hasOwn(seal.files, path));
+
+        if (result.changedFiles.length + result.missingFiles.length + result.addedFiles.length > 0) {
+            result.status = SignatureService.STATUSES.TAMPERED;
+        }
+        return result;
+    }
+}
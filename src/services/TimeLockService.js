@@ -0,0 +1,194 @@
+import { ArchiveError } from '../models/ArchiveError.js';
+import { Base64Utils } from '../utils/base64Utils.js';
+
+/**
+ * Сервис капсул с отложенным открытием
+ * Дата открытия задается полем open_after строки КАПСУЛА. Дополнительно содержимое капсулы
+ * можно зашифровать ключом из кодовой фразы, которую автор сообщит позже: тогда в архиве лежат
+ * только манифест с описанием капсулы, timelock.json (параметры шифрования) и content.enc
+ * (ZIP-архив с содержимым, зашифрованный AES-GCM ключом PBKDF2 из кодовой фразы)
+ */
+export class TimeLockService {
+    /**
+     * Имя файла параметров шифрования
+     * @returns {string}
+     */
+    static get LOCK_FILENAME() {
+        return 'timelock.json';
+    }
+
+    /**
+     * Имя файла зашифрованного содержимого
+     * @returns {string}
+     */
+    static get CONTENT_FILENAME() {
+        return 'content.enc';
+    }
+
+    /**
+     * Идентификатор формата timelock.json
+     * @returns {string}
+     */
+    static get FORMAT() {
+        return 'digital-time-capsule-timelock';
+    }
+
+    /**
+     * Число итераций PBKDF2 (рекомендация OWASP для PBKDF2-HMAC-SHA256)
+     * @returns {number}
+     */
+    static get PBKDF2_ITERATIONS() {
+        return 600000;
+    }
+
+    /**
+     * Разбор даты открытия: YYYY-MM-DD (полночь по местному времени) или YYYY-MM-DD HH:MM[:SS]
+     * @param {string} value - Значение поля open_after
+     * @returns {Date|null} - Дата или null, если значение пустое или некорректное
+     */
+    static parseOpenAfter(value) {
+        const match = (value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) return null;
+
+        const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+        const date = new Date(year, month - 1, day, hours, minutes, seconds);
+        // 2025-02-30 или 25:00 Date молча переносит на другой день
+        const isExact = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+            && date.getHours() === hours && date.getMinutes() === minutes && date.getSeconds() === seconds;
+        return isExact ? date : null;
+    }
+
+    /**
+     * Значение open_after строки КАПСУЛА манифеста
+     * Строка КАПСУЛА с ошибками не попадает в элементы манифеста, поэтому значение ищется и среди ошибок разбора
+     * (problematicParts с именами полей): некорректная дата открытия не должна открывать капсулу
+     * @param {ArchiveItem[]} items - Элементы манифеста
+     * @param {Array} [errors] - Ошибки разбора манифеста
+     * @returns {string} - Значение поля или пустая строка
+     */
+    static getOpenAfterValue(items, errors = []) {
+        const capsuleItem = items.find(item => item.type.toUpperCase() === 'КАПСУЛА');
+        if (capsuleItem) return capsuleItem.openAfter.trim();
+
+        for (const { problematicParts } of errors) {
+            const parts = problematicParts || [];
+            const typePart = parts.find(part => part.field === 'type');
+            if (typePart?.part.trim().toUpperCase() !== 'КАПСУЛА') continue;
+            return (parts.find(part => part.field === 'openAfter')?.part || '').trim();
+        }
+        return '';
+    }
+
+    /**
+     * Оставшееся до открытия время
+     * @param {Date} openAfter - Дата открытия
+     * @param {Date} [now] - Текущий момент
+     * @returns {{total: number, days: number, hours: number, minutes: number, seconds: number}} - total в миллисекундах (0, если дата наступила)
+     */
+    static getRemainingTime(openAfter, now = new Date()) {
+        const total = Math.max(0, openAfter.getTime() - now.getTime());
+        const totalSeconds = Math.floor(total / 1000);
+        return {
+            total,
+            days: Math.floor(totalSeconds / 86400),
+            hours: Math.floor((totalSeconds % 86400) / 3600),
+            minutes: Math.floor((totalSeconds % 3600) / 60),
+            seconds: totalSeconds % 60
+        };
+    }
+
+    /**
+     * Обратный отсчет для отображения: "12 дн. 03:04:05"
+     * @param {{days: number, hours: number, minutes: number, seconds: number}} remaining - Результат getRemainingTime
+     * @returns {string}
+     */
+    static formatCountdown({ days, hours, minutes, seconds }) {
+        const time = [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+        return days > 0 ? `${days} дн. ${time}` : time;
+    }
+
+    /**
+     * Ключ AES-GCM из кодовой фразы
+     * @param {string} passphrase - Кодовая фраза
+     * @param {Uint8Array} salt - Соль
+     * @param {number} iterations - Число итераций PBKDF2
+     * @returns {Promise<CryptoKey>}
+     */
+    static async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Шифрование содержимого капсулы
+     * @param {Uint8Array} content - ZIP-архив с содержимым
+     * @param {string} passphrase - Кодовая фраза
+     * @returns {Promise<{lock: Object, data: Uint8Array}>} - Содержимое timelock.json и content.enc
+     */
+    static async encrypt(content, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const iterations = TimeLockService.PBKDF2_ITERATIONS;
+        const key = await TimeLockService.deriveKey(passphrase, salt, iterations);
+        const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, content));
+
+        return {
+            lock: {
+                format: TimeLockService.FORMAT,
+                version: 1,
+                kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: Base64Utils.encode(salt) },
+                cipher: { name: 'AES-GCM', iv: Base64Utils.encode(iv) }
+            },
+            data
+        };
+    }
+
+    /**
+     * Расшифровка содержимого капсулы
+     * @param {Uint8Array} data - Содержимое content.enc
+     * @param {Object} lock - Содержимое timelock.json (parseLock)
+     * @param {string} passphrase - Кодовая фраза
+     * @returns {Promise<Uint8Array>} - ZIP-архив с содержимым
+     * @throws {ArchiveError} - WRONG_PASSWORD, если кодовая фраза неверна
+     */
+    static async decrypt(data, lock, passphrase) {
+        const key = await TimeLockService.deriveKey(passphrase, Base64Utils.decode(lock.kdf.salt), lock.kdf.iterations);
+        try {
+            const iv = Base64Utils.decode(lock.cipher.iv);
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
+        } catch (error) {
+            // AES-GCM не отличает неверный ключ от поврежденных данных: оба случая - OperationError
+            throw new ArchiveError(ArchiveError.CODES.WRONG_PASSWORD, 'Неверная кодовая фраза', { cause: error.message });
+        }
+    }
+
+    /**
+     * Разбор timelock.json
+     * @param {string} text - Содержимое файла
+     * @returns {Object}
+     * @throws {Error} - Файл не является параметрами шифрования капсулы
+     */
+    static parseLock(text) {
+        let lock;
+        try {
+            lock = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${TimeLockService.LOCK_FILENAME} не является JSON: ${error.message}`);
+        }
+
+        const isSupported = lock?.format === TimeLockService.FORMAT
+            && lock.kdf?.name === 'PBKDF2' && lock.kdf.hash === 'SHA-256'
+            && Number.isInteger(lock.kdf.iterations) && lock.kdf.iterations > 0 && lock.kdf.salt
+            && lock.cipher?.name === 'AES-GCM' && lock.cipher.iv;
+        if (!isSupported) {
+            throw new Error(`Неподдерживаемые параметры шифрования в ${TimeLockService.LOCK_FILENAME}`);
+        }
+        return lock;
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * Кодирование двоичных данных в base64 для JSON-файлов капсулы (signature.json, timelock.json)
+ */
+export class Base64Utils {
+    /**
+     * Кодирование байтов в base64
+     * @param {Uint8Array} bytes - Данные
+     * @returns {string}
+     */
+    static encode(bytes) {
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    }
+
+    /**
+     * Декодирование base64 в байты
+     * @param {string} text - Строка base64
+     * @returns {Uint8Array}
+     */
+    static decode(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Утилиты для чтения распакованной капсулы (папки) в браузере
+ */
+export class FolderUtils {
+    /**
+     * Файлы папки, выбранной через input с атрибутом webkitdirectory
+     * Путь каждого файла начинается с имени выбранной папки
+     * @param {FileList|File[]} fileList - Выбранные файлы
+     * @returns {Array<{path: string, file: File}>} - Файлы с относительными путями
+     */
+    static fromFileList(fileList) {
+        return Array.from(fileList).map(file => ({ path: file.webkitRelativePath || file.name, file }));
+    }
+
+    /**
+     * Рекурсивное чтение папки, перетащенной в окно (FileSystemDirectoryEntry)
+     * @param {FileSystemDirectoryEntry} directoryEntry - Папка из DataTransferItem.webkitGetAsEntry()
+     * @returns {Promise<Array<{path: string, file: File}>>} - Файлы с путями относительно родителя папки
+     */
+    static async readDirectoryEntry(directoryEntry) {
+        const files = [];
+        const pending = [directoryEntry];
+
+        while (pending.length > 0) {
+            const directory = pending.shift();
+            for (const entry of await FolderUtils.readAllEntries(directory)) {
+                if (entry.isDirectory) {
+                    pending.push(entry);
+                } else {
+                    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                    // fullPath начинается с "/": "/капсула/manifest.txt"
+                    files.push({ path: entry.fullPath.replace(/^\/+/, ''), file });
+                }
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Чтение всех записей папки
+     * readEntries возвращает записи порциями (в Chrome - по 100), поэтому читаем до пустой порции
+     * @param {FileSystemDirectoryEntry} directoryEntry - Папка
+     * @returns {Promise<FileSystemEntry[]>}
+     */
+    static async readAllEntries(directoryEntry) {
+        const reader = directoryEntry.createReader();
+        const entries = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            entries.push(...batch);
+        } while (batch.length > 0);
+        return entries;
+    }
+
+    /**
+     * Общий размер файлов папки
+     * @param {Array<{path: string, file: File}>} files - Файлы папки
+     * @returns {number} - Размер в байтах
+     */
+    static getTotalSize(files) {
+        return files.reduce((sum, { file }) => sum + file.size, 0);
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Утилиты для работы с IndexedDB через промисы
+ */
+export class IndexedDbUtils {
+    /**
+     * Доступен ли IndexedDB
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Промис результата запроса IndexedDB
+     * @param {IDBRequest} request - Запрос
+     * @returns {Promise<*>}
+     */
+    static requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Промис завершения транзакции IndexedDB
+     * @param {IDBTransaction} transaction - Транзакция
+     * @returns {Promise<void>}
+     */
+    static transactionToPromise(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new DOMException('Транзакция прервана', 'AbortError'));
+        });
+    }
+
+    /**
+     * Открытие базы
+     * @param {string} name - Имя базы
+     * @param {number} version - Версия схемы
+     * @param {Function} onUpgrade - Создание хранилищ (db: IDBDatabase) при первом открытии или смене версии
+     * @returns {Promise<IDBDatabase>}
+     */
+    static openDatabase(name, version, onUpgrade) {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => onUpgrade(request.result);
+        return IndexedDbUtils.requestToPromise(request);
+    }
+}
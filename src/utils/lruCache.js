@@ -0,0 +1,97 @@
+/**
+ * Кэш с вытеснением давно не использованных записей (LRU) и ограничением суммарного размера
+ */
+export class LruCache {
+    /**
+     * @param {Object} options - Параметры кэша
+     * @param {number} options.maxSize - Максимальный суммарный размер записей
+     * @param {Function} [options.sizeOf] - Размер записи (по умолчанию каждая запись имеет размер 1)
+     * @param {Function} [options.onEvict] - Вызывается для вытесненной записи (key, value)
+     */
+    constructor({ maxSize, sizeOf = () => 1, onEvict = null }) {
+        this.maxSize = maxSize;
+        this.sizeOf = sizeOf;
+        this.onEvict = onEvict;
+        // Map сохраняет порядок вставки: первая запись - самая давно использованная
+        this.entries = new Map();
+        this.totalSize = 0;
+    }
+
+    /**
+     * Количество записей в кэше
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Проверка наличия записи (без обновления порядка использования)
+     * @param {*} key - Ключ
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Получение записи; запись становится самой недавно использованной
+     * @param {*} key - Ключ
+     * @returns {*} - Значение или undefined
+     */
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Добавление записи с вытеснением давно не использованных
+     * Запись больше maxSize в кэш не попадает
+     * @param {*} key - Ключ
+     * @param {*} value - Значение
+     * @returns {boolean} - Запись сохранена в кэше
+     */
+    set(key, value) {
+        this.delete(key);
+
+        const size = this.sizeOf(value);
+        if (size > this.maxSize) return false;
+
+        this.entries.set(key, { value, size });
+        this.totalSize += size;
+
+        for (const [oldestKey, oldest] of this.entries) {
+            if (this.totalSize <= this.maxSize) break;
+            this.entries.delete(oldestKey);
+            this.totalSize -= oldest.size;
+            if (this.onEvict) this.onEvict(oldestKey, oldest.value);
+        }
+        return true;
+    }
+
+    /**
+     * Удаление записи
+     * @param {*} key - Ключ
+     * @returns {boolean} - Запись была в кэше
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        this.entries.delete(key);
+        this.totalSize -= entry.size;
+        return true;
+    }
+
+    /**
+     * Очистка кэша
+     */
+    clear() {
+        this.entries.clear();
+        this.totalSize = 0;
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Гласные русского языка (для областей RV и R2 стеммера)
+ */
+const VOWELS = 'аеиоуыэюя';
+
+/**
+ * Слово (буквы и цифры) в тексте
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Минимальная длина терма запроса
+ */
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Минимальная длина терма, который сравнивается с началом основы слова
+ */
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Окончания стеммера Snowball для русского языка.
+ * Группы *_AFTER_A отбрасываются, только если перед окончанием стоит «а» или «я»
+ */
+const PERFECTIVE_GERUND_AFTER_A = ['в', 'вши', 'вшись'];
+const PERFECTIVE_GERUND = ['ив', 'ивши', 'ившись', 'ыв', 'ывши', 'ывшись'];
+const REFLEXIVE = ['ся', 'сь'];
+const ADJECTIVE = ['ее', 'ие', 'ые', 'ое', 'ими', 'ыми', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом', 'его', 'ого',
+    'ему', 'ому', 'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею'];
+const PARTICIPLE_AFTER_A = ['ем', 'нн', 'вш', 'ющ', 'щ'];
+const PARTICIPLE = ['ивш', 'ывш', 'ующ'];
+const VERB_AFTER_A = ['ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ешь', 'нно'];
+const VERB = ['ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им', 'ым', 'ен', 'ило',
+    'ыло', 'ено', 'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь', 'ую', 'ю'];
+const NOUN = ['а', 'ев', 'ов', 'ие', 'ье', 'е', 'иями', 'ями', 'ами', 'еи', 'ии', 'и', 'ией', 'ей', 'ой', 'ий', 'й', 'иям',
+    'ям', 'ием', 'ем', 'ам', 'ом', 'о', 'у', 'ах', 'иях', 'ях', 'ы', 'ь', 'ию', 'ью', 'ю', 'ия', 'ья', 'я'];
+const SUPERLATIVE = ['ейш', 'ейше'];
+const DERIVATIONAL = ['ост', 'ость'];
+
+/**
+ * Утилиты полнотекстового поиска: нормализация текста, разбиение на слова и стемминг русских слов.
+ * Слова сравниваются по основам без учета регистра и различия «ё» и «е»,
+ * поэтому «капсулы», «капсулой» и «Капсула» находят друг друга
+ */
+export class SearchUtils {
+    /**
+     * Нормализация текста: нижний регистр и «ё» → «е» (длина строки не меняется)
+     * @param {string} text - Текст
+     * @returns {string}
+     */
+    static foldText(text) {
+        return String(text ?? '').toLowerCase().replace(/ё/g, 'е');
+    }
+
+    /**
+     * Слова текста с позициями (для подсветки совпадений)
+     * @param {string} text - Текст
+     * @returns {Array<{word: string, index: number}>}
+     */
+    static tokenize(text) {
+        return Array.from(String(text ?? '').matchAll(WORD_PATTERN), match => ({ word: match[0], index: match.index }));
+    }
+
+    /**
+     * Поисковая основа слова: нормализованное слово, для кириллицы - без окончания
+     * @param {string} word - Слово
+     * @returns {string}
+     */
+    static stem(word) {
+        const folded = this.foldText(word);
+        return /[а-я]/.test(folded) ? this.stemRussian(folded) : folded;
+    }
+
+    /**
+     * Основы всех слов текста без повторов
+     * @param {string} text - Текст
+     * @returns {Set<string>}
+     */
+    static getStems(text) {
+        const stems = new Set();
+        for (const { word } of this.tokenize(text)) {
+            const stem = this.stem(word);
+            if (stem) stems.add(stem);
+        }
+        return stems;
+    }
+
+    /**
+     * Термы поискового запроса (основы слов запроса)
+     * Однобуквенные слова (предлоги, союзы) не учитываются
+     * @param {string} query - Запрос
+     * @returns {string[]}
+     */
+    static getTerms(query) {
+        return [...this.getStems(query)].filter(term => term.length >= MIN_TERM_LENGTH);
+    }
+
+    /**
+     * Совпадает ли основа слова с термом запроса
+     * Терм сравнивается с началом основы, чтобы недописанное слово запроса уже находило совпадения;
+     * короткие термы должны совпадать с основой полностью
+     * @param {string} stem - Основа слова текста
+     * @param {string} term - Терм запроса
+     * @returns {boolean}
+     */
+    static matchesTerm(stem, term) {
+        return term.length >= MIN_PREFIX_LENGTH ? stem.startsWith(term) : stem === term;
+    }
+
+    /**
+     * Самое длинное из окончаний, которым заканчивается слово
+     * @param {string} word - Слово
+     * @param {string[]} endings - Окончания
+     * @param {boolean} [afterA] - Окончание должно следовать за «а» или «я»
+     * @returns {string|null}
+     */
+    static findEnding(word, endings, afterA = false) {
+        let found = null;
+        for (const ending of endings) {
+            if (!word.endsWith(ending) || (found && found.length >= ending.length)) continue;
+            if (afterA && !'ая'.includes(word.charAt(word.length - ending.length - 1) || '-')) continue;
+            found = ending;
+        }
+        return found;
+    }
+
+    /**
+     * Отбрасывание окончания из групп (обычной и следующей за «а»/«я»); выбирается самое длинное
+     * @param {string} word - Слово
+     * @param {string[]} afterAEndings - Окончания после «а»/«я»
+     * @param {string[]} endings - Остальные окончания
+     * @returns {string|null} - Слово без окончания или null, если окончания нет
+     */
+    static removeEnding(word, afterAEndings, endings) {
+        const afterA = this.findEnding(word, afterAEndings, true);
+        const other = this.findEnding(word, endings);
+        const ending = (afterA?.length || 0) >= (other?.length || 0) ? afterA : other;
+        return ending ? word.slice(0, word.length - ending.length) : null;
+    }
+
+    /**
+     * Стеммер Snowball для русского языка (нормализованное слово)
+     * Окончания отбрасываются в области RV (после первой гласной), словообразовательные суффиксы - в R2
+     * @param {string} word - Слово в нижнем регистре с «е» вместо «ё»
+     * @returns {string}
+     */
+    static stemRussian(word) {
+        const isVowel = (char) => VOWELS.includes(char);
+        const firstVowel = [...word].findIndex(isVowel);
+        if (firstVowel === -1) return word;
+
+        const prefix = word.slice(0, firstVowel + 1);
+        let rv = word.slice(firstVowel + 1);
+
+        // R2 считается по всему слову и переводится в позицию внутри RV
+        const regionStart = (from) => {
+            for (let i = from + 1; i < word.length; i++) {
+                if (!isVowel(word[i]) && isVowel(word[i - 1])) return i + 1;
+            }
+            return word.length;
+        };
+        const r2 = Math.max(regionStart(regionStart(0)) - prefix.length, 0);
+
+        // Шаг 1: деепричастие совершенного вида, иначе возвратная частица и прилагательное, глагол или существительное
+        const withoutGerund = this.removeEnding(rv, PERFECTIVE_GERUND_AFTER_A, PERFECTIVE_GERUND);
+        if (withoutGerund !== null) {
+            rv = withoutGerund;
+        } else {
+            rv = this.removeEnding(rv, [], REFLEXIVE) ?? rv;
+            const withoutAdjective = this.removeEnding(rv, [], ADJECTIVE);
+            if (withoutAdjective !== null) {
+                rv = this.removeEnding(withoutAdjective, PARTICIPLE_AFTER_A, PARTICIPLE) ?? withoutAdjective;
+            } else {
+                rv = this.removeEnding(rv, VERB_AFTER_A, VERB) ?? this.removeEnding(rv, [], NOUN) ?? rv;
+            }
+        }
+
+        // Шаг 2: «и» на конце
+        if (rv.endsWith('и')) rv = rv.slice(0, -1);
+
+        // Шаг 3: словообразовательный суффикс в R2
+        const derivational = this.findEnding(rv, DERIVATIONAL);
+        if (derivational && rv.length - derivational.length >= r2) {
+            rv = rv.slice(0, -derivational.length);
+        }
+
+        // Шаг 4: превосходная степень, удвоенная «н» и мягкий знак
+        const withoutSuperlative = this.removeEnding(rv, [], SUPERLATIVE);
+        if (withoutSuperlative !== null) rv = withoutSuperlative;
+        if (rv.endsWith('нн') || (withoutSuperlative === null && rv.endsWith('ь'))) {
+            rv = rv.slice(0, -1);
+        }
+
+        return prefix + rv;
+    }
+}
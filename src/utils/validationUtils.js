@@ -4,6 +4,7 @@
 export class ValidationUtils {
     /**
      * Проверяет, является ли строка допустимым именем файла
+     * Допускается путь относительно корня архива (news/01_Новость.pdf): проверяется каждая его часть
      * @param {string} filename - Имя файла для проверки
      * @returns {boolean} Допустимо ли имя файла
      */
@@ -15,16 +16,20 @@ export class ValidationUtils {
             return false;
         }
         
-        // Проверяем на недопустимые символы в именах файлов
-        const invalidChars = /[<>:"/\\|?*]/;
-        if (invalidChars.test(filename)) {
+        const segments = filename.split('/');
+        if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+            return false;
+        }
+        
+        // Проверяем на недопустимые символы в именах файлов и папок
+        const invalidChars = /[<>:"\\|?*]/;
+        if (segments.some(segment => invalidChars.test(segment))) {
             return false;
         }
         
         // Проверяем, не является ли имя файлом или папкой системным
         const systemNames = ['CON', 'PRN', 'AUX', 'NUL', 'COM1', 'COM2', 'COM3', 'COM4', 'COM5', 'COM6', 'COM7', 'COM8', 'COM9', 'LPT1', 'LPT2', 'LPT3', 'LPT4', 'LPT5', 'LPT6', 'LPT7', 'LPT8', 'LPT9'];
-        const baseName = filename.split('.')[0].toUpperCase();
-        if (systemNames.includes(baseName)) {
+        if (segments.some(segment => systemNames.includes(segment.split('.')[0].toUpperCase()))) {
             return false;
         }
         
@@ -0,0 +1,123 @@
+/**
+ * Поток чтения архива
+ * Распаковка (7z-wasm выполняет callMain синхронно) выполняется здесь, а не в потоке страницы.
+ * PDF разбирается потоком PDF.js через реестр документов PDFService страницы, общий с просмотрщиком.
+ * Основной поток обращается к потоку через ArchiveWorkerProxy: запрос { id, method, args },
+ * ответ { id, result } или { id, error }, прогресс распаковки - { type: 'progress', percent, details }
+ */
+import { ArchiveService } from '../services/ArchiveService.js';
+import { ChecksumService } from '../services/ChecksumService.js';
+
+let archiveService = new ArchiveService();
+
+/**
+ * Передача прогресса распаковки в основной поток
+ * @param {number} percent - Процент
+ * @param {Object|null} details - ExtractionProgressDetails
+ */
+const reportProgress = (percent, details) => {
+    self.postMessage({ type: 'progress', percent, details });
+};
+
+/**
+ * Состояние загруженного архива: прокси хранит его у себя, чтобы getFileList и fileExists оставались синхронными
+ * @returns {{fileList: string[], engine: string, encrypted: boolean, inspection: Object|null, rootFolder: string}}
+ */
+const getState = () => ({
+    fileList: archiveService.getFileList(),
+    engine: archiveService.getCurrentEngine(),
+    encrypted: archiveService.isEncrypted(),
+    inspection: archiveService.inspection,
+    rootFolder: archiveService.rootFolder
+});
+
+/**
+ * Копия байтов в отдельном ArrayBuffer: буфер передается в основной поток без копирования,
+ * поэтому он не должен принадлежать кэшу распакованных файлов
+ * @param {Uint8Array} bytes - Данные
+ * @returns {ArrayBuffer}
+ */
+const toTransferable = (bytes) => bytes.slice().buffer;
+
+/**
+ * Методы, доступные основному потоку
+ */
+const methods = {
+    async loadArchive(buffer, engine, { password, limits }) {
+        archiveService = new ArchiveService(engine, { limits });
+        await archiveService.loadArchive(buffer, engine, reportProgress, { password });
+        return getState();
+    },
+
+    async loadFolder(entries, { limits }) {
+        archiveService = new ArchiveService(ArchiveService.ENGINES.FOLDER, { limits });
+        await archiveService.loadFolder(entries, reportProgress);
+        return getState();
+    },
+
+    /**
+     * Чтение файла капсулы: текст передается строкой, остальные типы - ArrayBuffer
+     * @param {string} filename - Путь относительно корня капсулы
+     * @param {string} type - Тип из file.async
+     * @returns {Promise<string|ArrayBuffer|null>}
+     */
+    async readFile(filename, type) {
+        const file = await archiveService.extractFile(filename);
+        if (!file) {
+            throw new Error(`Файл ${filename} не найден в архиве`);
+        }
+        return type === 'text' ? file.async('text') : file.async('arraybuffer');
+    },
+
+    getFileSize(filename) {
+        return archiveService.getFileSize(filename);
+    },
+
+    extractTextFile(filename) {
+        return archiveService.extractTextFile(filename);
+    },
+
+    async extractBinaryFile(filename) {
+        return toTransferable(await archiveService.extractBinaryFile(filename));
+    },
+
+    validateArchive(buffer, engine) {
+        return archiveService.validateArchive(buffer, engine);
+    },
+
+    /**
+     * SHA-256 содержимого файла капсулы (ключ кэша метаданных и реестра документов PDF в основном потоке):
+     * файл передается в основной поток, только если его метаданных нет в кэше
+     * @param {string} filename - Путь относительно корня капсулы
+     * @returns {Promise<string|null>} - Хэш или null, если файла нет
+     */
+    async getFileHash(filename) {
+        const file = await archiveService.extractFile(filename);
+        return file ? ChecksumService.sha256(await file.async('uint8array')) : null;
+    }
+};
+
+/**
+ * Ошибка в виде, который можно передать между потоками (ArchiveError восстанавливается по code)
+ * @param {Error} error - Ошибка
+ * @returns {{name: string, message: string, code: string|undefined, details: Object|undefined}}
+ */
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    details: error.details
+});
+
+self.addEventListener('message', async (event) => {
+    const { id, method, args = [] } = event.data;
+    try {
+        if (!Object.hasOwn(methods, method)) {
+            throw new Error(`Неизвестный метод потока архива: ${method}`);
+        }
+        const result = await methods[method](...args);
+        self.postMessage({ id, result }, result instanceof ArrayBuffer ? [result] : []);
+    } catch (error) {
+        self.postMessage({ id, error: serializeError(error) });
+    }
+});
@@ -1,9 +1,180 @@
 import JSZip from 'jszip';
 import fs from 'fs/promises';
 import { ImageService } from './src/services/ImageService.js';
-import { DigitalTimeCapsule } from './src/core/DigitalTimeCapsule.js';
 import { ArchiveValidator } from './src/core/ArchiveValidator.js';
-import { PDFService } from './src/services/PDFService.js';
+import { ArchiveService } from './src/services/ArchiveService.js';
+import { SearchUtils } from './src/utils/searchUtils.js';
+import { ContentMetadataCache } from './src/services/ContentMetadataCache.js';
+import { RequirementsProfile } from './src/models/RequirementsProfile.js';
+import { ManifestFixer } from './src/services/ManifestFixer.js';
+import { ChecksumService } from './src/services/ChecksumService.js';
+import { SignatureService } from './src/services/SignatureService.js';
+import { TimeLockService } from './src/services/TimeLockService.js';
+import { ArchiveError } from './src/models/ArchiveError.js';
+import SevenZip from '7z-wasm';
+import { logger, Logger } from './src/logger.js';
+
+const encoder = new TextEncoder();
+
+// Журнал операций (DEBUG по умолчанию) заслоняет итоги тестов: выводятся только ошибки
+logger.setLogLevel(Logger.LOG_LEVELS.ERROR);
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/**
+ * Минимальный RAR 4 без сжатия (7z умеет читать RAR, но не создавать)
+ * @param {Object<string, string>} files - Путь -> содержимое
+ * @returns {Uint8Array}
+ */
+function buildRarFixture(files) {
+    const parts = [Uint8Array.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x00])];
+    const addBlock = (type, flags, body, data = new Uint8Array()) => {
+        const header = new Uint8Array(7 + body.length);
+        const view = new DataView(header.buffer);
+        view.setUint8(2, type);
+        view.setUint16(3, flags, true);
+        view.setUint16(5, header.length, true);
+        header.set(body, 7);
+        view.setUint16(0, crc32(header.subarray(2)) & 0xFFFF, true);
+        parts.push(header, data);
+    };
+
+    addBlock(0x73, 0, new Uint8Array(6)); // заголовок архива
+    for (const [path, text] of Object.entries(files)) {
+        const data = encoder.encode(text);
+        const name = encoder.encode(path);
+        const body = new Uint8Array(25 + name.length);
+        const view = new DataView(body.buffer);
+        view.setUint32(0, data.length, true);       // сжатый размер
+        view.setUint32(4, data.length, true);       // исходный размер
+        view.setUint8(8, 2);                        // ОС: Windows
+        view.setUint32(9, crc32(data), true);
+        view.setUint32(13, 0x5B510000, true);       // время в формате DOS
+        view.setUint8(17, 20);                      // версия распаковщика
+        view.setUint8(18, 0x30);                    // метод: без сжатия
+        view.setUint16(19, name.length, true);
+        view.setUint32(21, 0x20, true);             // атрибуты: обычный файл
+        body.set(name, 25);
+        addBlock(0x74, 0x8000, body, data);
+    }
+    addBlock(0x7B, 0x4000, new Uint8Array(0)); // конец архива
+    return concatBytes(parts);
+}
+
+/**
+ * Минимальный образ ISO 9660 с файлами в корне (имена в верхнем регистре, без Joliet)
+ * @param {Object<string, string>} files - Имя -> содержимое
+ * @returns {Uint8Array}
+ */
+function buildIsoFixture(files) {
+    const SECTOR = 2048;
+    const entries = Object.entries(files).map(([name, text]) => [name, encoder.encode(text)]);
+    const FIRST_FILE_SECTOR = 23;
+    const totalSectors = FIRST_FILE_SECTOR + entries.length;
+    const image = new Uint8Array(totalSectors * SECTOR);
+    const view = new DataView(image.buffer);
+    const setBoth32 = (offset, value) => { view.setUint32(offset, value, true); view.setUint32(offset + 4, value, false); };
+    const setBoth16 = (offset, value) => { view.setUint16(offset, value, true); view.setUint16(offset + 2, value, false); };
+    const writeRecord = (offset, id, sector, size, isDirectory) => {
+        const length = 33 + id.length + (id.length % 2 === 0 ? 1 : 0);
+        image[offset] = length;
+        setBoth32(offset + 2, sector);
+        setBoth32(offset + 10, size);
+        image[offset + 25] = isDirectory ? 2 : 0;
+        setBoth16(offset + 28, 1);
+        image[offset + 32] = id.length;
+        image.set(id, offset + 33);
+        return length;
+    };
+    // Имена Joliet записываются в UCS-2 (big-endian)
+    const toUcs2 = (text) => {
+        const bytes = new Uint8Array(text.length * 2);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i * 2] = text.charCodeAt(i) >> 8;
+            bytes[i * 2 + 1] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    };
+    const writeDescriptor = (sector, type, rootSector, pathTableSector) => {
+        const offset = sector * SECTOR;
+        image[offset] = type;
+        image.set(encoder.encode('CD001'), offset + 1);
+        image[offset + 6] = 1;
+        if (type === 2) image.set(encoder.encode('%/E'), offset + 88);    // Joliet UCS-2 Level 3
+        setBoth32(offset + 80, totalSectors);
+        setBoth16(offset + 120, 1);
+        setBoth16(offset + 124, 1);
+        setBoth16(offset + 128, SECTOR);
+        setBoth32(offset + 132, 10);
+        view.setUint32(offset + 140, pathTableSector, true);
+        view.setUint32(offset + 148, pathTableSector, false);
+        writeRecord(offset + 156, Uint8Array.of(0), rootSector, SECTOR, true);
+    };
+    const writeDirectory = (sector, toId) => {
+        let offset = sector * SECTOR;
+        offset += writeRecord(offset, Uint8Array.of(0), sector, SECTOR, true);
+        offset += writeRecord(offset, Uint8Array.of(1), sector, SECTOR, true);
+        entries.forEach(([name, data], index) => {
+            offset += writeRecord(offset, toId(name), FIRST_FILE_SECTOR + index, data.length, false);
+        });
+    };
+
+    // Первичный дескриптор (сектор 16) с именами ISO 9660 в верхнем регистре,
+    // дополнительный дескриптор Joliet (сектор 17) с исходными именами - так образ создают mkisofs -J и ОС
+    writeDescriptor(16, 1, 19, 21);
+    writeDescriptor(17, 2, 20, 22);
+
+    // Завершающий дескриптор (сектор 18)
+    image[18 * SECTOR] = 255;
+    image.set(encoder.encode('CD001'), 18 * SECTOR + 1);
+    image[18 * SECTOR + 6] = 1;
+
+    writeDirectory(19, name => encoder.encode(`${name.toUpperCase()};1`));
+    writeDirectory(20, name => toUcs2(name));
+    image.set(Uint8Array.of(1, 0, 19, 0, 0, 0, 1, 0, 0, 0), 21 * SECTOR);
+    image.set(Uint8Array.of(1, 0, 20, 0, 0, 0, 1, 0, 0, 0), 22 * SECTOR);
+    entries.forEach(([, data], index) => image.set(data, (FIRST_FILE_SECTOR + index) * SECTOR));
+    return image;
+}
+
+/**
+ * Минимальный document для проверок ArchiveValidator в Node:
+ * sanitizeString экранирует строки через textContent/innerHTML, элементов страницы нет
+ */
+function installDocumentStub() {
+    if (globalThis.document) return;
+    globalThis.document = {
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        createElement: () => ({
+            textContent: '',
+            get innerHTML() {
+                return this.textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            }
+        })
+    };
+}
 
 class ComprehensiveTest {
     constructor() {
@@ -27,32 +198,72 @@ class ComprehensiveTest {
         console.log('=== ЗАПУСК КОМПЛЕКСНОГО ТЕСТИРОВАНИЯ ===\n');
 
         try {
-            // Загружаем архив
+            // Загружаем архив (example.zip не хранится в репозитории)
             console.log('Загрузка архива example/example.zip...');
-            const zipBuffer = await fs.readFile('./example/example.zip');
-            console.log('Файл ZIP прочитан, размер:', zipBuffer.length, 'байт');
+            const zipBuffer = await fs.readFile('./example/example.zip').catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+                console.log('Архив example/example.zip не найден, тесты 1-6 пропущены\n');
+                return null;
+            });
+
+            if (zipBuffer) {
+                console.log('Файл ZIP прочитан, размер:', zipBuffer.length, 'байт');
+
+                // Загружаем архив с помощью JSZip
+                const zip = await JSZip.loadAsync(zipBuffer);
+                console.log('ZIP архив загружен\n');
+
+                // Тест 1: Парсинг манифеста
+                await this.testManifestParsing(zip);
+
+                // Тест 2: Валидация архива
+                await this.testArchiveValidation(zip);
+
+                // Тест 3: Обработка PDF файлов
+                await this.testPDFProcessing(zip);
+
+                // Тест 4: Обработка изображений
+                await this.testImageProcessing(zip);
+
+                // Тест 5: Обработка других файлов
+                await this.testOtherFileTypes(zip);
+
+                // Тест 6: Целостность архива
+                await this.testArchiveIntegrity(zip);
+            }
+
+            // Тест 7: Форматы контейнеров (7z, tar, tar.gz, RAR, ISO, папка)
+            await this.testArchiveFormats();
+
+            // Тест 8: Ограничения размера по фактически распакованным байтам
+            await this.testExtractionLimits();
+
+            // Тест 9: Стемминг и термы полнотекстового поиска
+            await this.testSearchUtils();
+
+            // Тест 10: Кэш метаданных по содержимому
+            await this.testContentMetadataCache();
 
-            // Загружаем архив с помощью JSZip
-            const zip = await JSZip.loadAsync(zipBuffer);
-            console.log('ZIP архив загружен\n');
+            // Тест 11: Профиль требований и наложение правил
+            this.testRequirementsProfile();
 
-            // Тест 1: Парсинг манифеста
-            await this.testManifestParsing(zip);
+            // Тест 12: manifest.json и manifest.yaml
+            this.testStructuredManifest();
 
-            // Тест 2: Валидация архива
-            await this.testArchiveValidation(zip);
+            // Тест 13: Манифест с заголовком колонок
+            this.testManifestHeader();
 
-            // Тест 3: Обработка PDF файлов
-            await this.testPDFProcessing(zip);
+            // Тест 14: Исправления строк манифеста
+            this.testManifestFixer();
 
-            // Тест 4: Обработка изображений
-            await this.testImageProcessing(zip);
+            // Тест 15: Контрольные суммы файлов
+            await this.testChecksums();
 
-            // Тест 5: Обработка других файлов
-            await this.testOtherFileTypes(zip);
+            // Тест 16: Подпись капсулы
+            await this.testSignature();
 
-            // Тест 6: Целостность архива
-            await this.testArchiveIntegrity(zip);
+            // Тест 17: Капсула, запечатанная до даты
+            await this.testTimeLock();
 
             // Итоги
             console.log('\n=== РЕЗУЛЬТАТЫ ТЕСТИРОВАНИЯ ===');
@@ -177,8 +388,16 @@ class ComprehensiveTest {
             );
 
             this.logTest('Наличие PDF файлов', pdfFiles.length > 0, `- найдено ${pdfFiles.length}`);
+
+            // pdf.js настраивается для браузера (GlobalWorkerOptions) и в Node может не загрузиться
+            let PDFService = null;
+            try {
+                ({ PDFService } = await import('./src/services/PDFService.js'));
+            } catch (error) {
+                console.log(`PDF пропущены: PDFService не загружается в Node (${error.message})`);
+            }
             
-            if (pdfFiles.length > 0) {
+            if (PDFService && pdfFiles.length > 0) {
                 console.log('PDF файлы в архиве:');
                 for (const pdfFile of pdfFiles) {
                     console.log(`- ${pdfFile}`);
@@ -196,15 +415,15 @@ class ComprehensiveTest {
                         
                         console.log(`  - Наличие метаданных: ${!!metadata}`);
                         console.log(`  - Ключевые слова: ${keywords.length > 0 ? keywords.join(', ') : 'не найдены'}`);
-                        console.log(`  - Нормализованные метаданные: ${normalizedMetadata.hasKeywords ? 'найдены' : 'отсутствуют'}`);
+                        console.log(`  - Нормализованные метаданные: ${normalizedMetadata?.hasKeywords ? 'найдены' : 'отсутствуют'}`);
                         
                         // Тест извлечения ключевых слов
                         this.logTest(`Извлечение ключевых слов: ${pdfFile}`, true, 
                             keywords.length > 0 ? ` - найдено ${keywords.length} ключевых слов` : ' - ключевые слова отсутствуют');
                         
                         // Тест нормализованных метаданных
-                        this.logTest(`Нормализация метаданных: ${pdfFile}`, true, 
-                            normalizedMetadata.hasKeywords ? ' - ключевые слова извлечены' : ' - ключевые слова отсутствуют');
+                        this.logTest(`Нормализация метаданных: ${pdfFile}`, normalizedMetadata !== null, 
+                            normalizedMetadata?.hasKeywords ? ' - ключевые слова извлечены' : ' - ключевые слова отсутствуют');
                         
                         if (metadata && metadata.info) {
                             console.log(`  - Заголовок: ${metadata.info.Title || 'не найден'}`);
@@ -326,12 +545,537 @@ class ComprehensiveTest {
             this.logTest('Целостность архива', false, `- ошибка: ${error.message}`);
         }
     }
+
+    async testArchiveFormats() {
+        console.log('\n--- ТЕСТ 7: ФОРМАТЫ КОНТЕЙНЕРОВ ---');
+
+        try {
+            // Архивы создаются 7z-wasm в памяти; RAR и ISO 7z создавать не умеет, они собираются вручную
+            const sevenZip = await SevenZip({ print: () => {}, printErr: () => {} });
+            sevenZip.FS.mkdir('capsule');
+            sevenZip.FS.writeFile('capsule/manifest.txt', 'manifest');
+            const pack = (name, args, sources = ['capsule']) => {
+                sevenZip.callMain(['a', '-bso0', ...args, name, ...sources]);
+                return sevenZip.FS.readFile(name);
+            };
+
+            const zip = new JSZip();
+            zip.file('capsule/manifest.txt', 'manifest');
+            const fixtures = [
+                { id: 'zip', name: 'capsule.zip', bytes: await zip.generateAsync({ type: 'uint8array' }) },
+                { id: '7z', name: 'capsule.7z', bytes: pack('capsule.7z', []) },
+                { id: 'tar', name: 'capsule.tar', bytes: pack('capsule.tar', ['-ttar']) },
+                { id: 'tar.gz', name: 'capsule.tar.gz', bytes: pack('capsule.tar.gz', ['-tgzip'], ['capsule.tar']) },
+                { id: 'rar', name: 'capsule.rar', bytes: buildRarFixture({ 'capsule/manifest.txt': 'manifest' }) },
+                { id: 'iso', name: 'capsule.iso', bytes: buildIsoFixture({ 'manifest.txt': 'manifest' }) }
+            ];
+
+            for (const { id, name, bytes } of fixtures) {
+                const format = ArchiveService.detectFormat(bytes);
+                this.logTest(`Определение формата: ${id}`, format?.id === id, `- определен как ${format?.id}`);
+                this.logTest(`Расширение файла: ${name}`, ArchiveService.isSupportedFileName(name));
+
+                // Архив открывается так же, как в приложении: движок выбирается по сигнатуре
+                try {
+                    const archiveService = new ArchiveService();
+                    await archiveService.loadArchive(bytes.slice().buffer, ArchiveService.ENGINES.AUTO);
+                    const fileList = archiveService.getFileList();
+                    const manifest = await archiveService.extractFile('manifest.txt');
+                    this.logTest(`Список файлов: ${id}`, fileList.includes('manifest.txt'), `- ${fileList.join(', ')}`);
+                    this.logTest(`Чтение манифеста: ${id}`, manifest && await manifest.async('text') === 'manifest');
+                } catch (error) {
+                    this.logTest(`Чтение архива: ${id}`, false, `- ошибка: ${error.message}`);
+                }
+            }
+
+            this.logTest('Неизвестный формат', ArchiveService.detectFormat(encoder.encode('просто текст')) === null);
+            this.logTest('Имя пересобранной капсулы', ArchiveService.getZipFileName('капсула.tar.gz') === 'капсула.zip');
+
+            // Распакованная папка открывается через тот же интерфейс адаптера
+            const archiveService = new ArchiveService();
+            await archiveService.loadFolder([
+                { path: 'капсула/manifest.txt', file: new File(['manifest'], 'manifest.txt') },
+                { path: 'капсула/мемы/06_Мем.png', file: new File([new Uint8Array(4)], '06_Мем.png') },
+                { path: 'капсула/.DS_Store', file: new File([''], '.DS_Store') }
+            ]);
+            const fileList = archiveService.getFileList();
+            const manifest = await archiveService.extractFile('manifest.txt');
+            this.logTest('Папка капсулы: список файлов',
+                fileList.length === 2 && fileList.includes('мемы/06_Мем.png'), `- ${fileList.join(', ')}`);
+            this.logTest('Папка капсулы: чтение файла', manifest && await manifest.async('text') === 'manifest');
+        } catch (error) {
+            this.logTest('Форматы контейнеров', false, `- ошибка: ${error.message}`);
+        }
+    }
+
+    async testExtractionLimits() {
+        console.log('\n--- ТЕСТ 8: ОГРАНИЧЕНИЯ РАЗМЕРА ПРИ РАСПАКОВКЕ ---');
+
+        const limits = { maxEntrySize: 1024 * 1024 };
+        const payload = new Uint8Array(2 * 1024 * 1024);
+        const isUnsafe = async (bytes, filename) => {
+            // Адаптер 7z выводит отклоненный архив в console.error: для ожидаемого отказа вывод не нужен
+            const consoleError = console.error;
+            console.error = () => {};
+            try {
+                const archiveService = new ArchiveService(ArchiveService.ENGINES.AUTO, { limits });
+                await archiveService.loadArchive(bytes.slice().buffer);
+                const file = await archiveService.extractFile(filename);
+                await file.async('uint8array');
+                return false;
+            } catch (error) {
+                return error.code === 'unsafe';
+            } finally {
+                console.error = consoleError;
+            }
+        };
+
+        try {
+            // ZIP с заниженным размером в локальном заголовке и центральном каталоге
+            const zip = new JSZip();
+            zip.file('capsule/big.bin', payload);
+            const zipBytes = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+            const view = new DataView(zipBytes.buffer);
+            for (let offset = 0; offset < zipBytes.length - 4; offset++) {
+                const signature = view.getUint32(offset, true);
+                if (signature === 0x04034B50) view.setUint32(offset + 22, 1000, true);
+                if (signature === 0x02014B50) view.setUint32(offset + 24, 1000, true);
+            }
+            this.logTest('ZIP с поддельным размером отклонен при распаковке', await isUnsafe(zipBytes, 'big.bin'));
+
+            // tar.gz с заниженным размером в конце потока gzip (ISIZE) - распаковывается через 7z-wasm
+            const sevenZip = await SevenZip({ print: () => {}, printErr: () => {} });
+            sevenZip.FS.mkdir('capsule');
+            sevenZip.FS.writeFile('capsule/big.bin', payload);
+            sevenZip.callMain(['a', '-bso0', '-ttar', 'capsule.tar', 'capsule']);
+            sevenZip.callMain(['a', '-bso0', '-tgzip', 'capsule.tar.gz', 'capsule.tar']);
+            const gzipBytes = sevenZip.FS.readFile('capsule.tar.gz');
+            new DataView(gzipBytes.buffer, gzipBytes.byteOffset).setUint32(gzipBytes.length - 4, 1000, true);
+            this.logTest('tar.gz с поддельным размером отклонен при распаковке', await isUnsafe(gzipBytes, 'big.bin'));
+
+            // Файл в пределах ограничений распаковывается
+            const smallZip = new JSZip();
+            smallZip.file('capsule/small.bin', payload.subarray(0, 1024));
+            const smallBytes = await smallZip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+            this.logTest('Файл в пределах ограничений распакован', !(await isUnsafe(smallBytes, 'small.bin')));
+        } catch (error) {
+            this.logTest('Ограничения размера при распаковке', false, `- ошибка: ${error.message}`);
+        }
+    }
+
+    async testSearchUtils() {
+        console.log('\n--- ТЕСТ 9: СТЕММИНГ И ТЕРМЫ ПОИСКА ---');
+
+        try {
+            // Разные падежи и «ё»/«е» сводятся к одной основе
+            const stemGroups = [
+                ['капсула', 'капсулы', 'капсулой'],
+                ['ёлка', 'елки'],
+                ['новость', 'новости']
+            ];
+            for (const words of stemGroups) {
+                const stems = words.map(word => SearchUtils.stem(word));
+                this.logTest(`Общая основа: ${words.join(', ')}`, new Set(stems).size === 1, `- ${stems.join(', ')}`);
+            }
+            this.logTest('Регистр не влияет на основу', SearchUtils.stem('Капсулами') === SearchUtils.stem('капсула'));
+
+            // Однобуквенные слова (предлоги, союзы) не становятся термами
+            const terms = SearchUtils.getTerms('я и капсула в ёлке');
+            this.logTest('Однобуквенные слова отброшены', terms.length === 2 && terms.every(term => term.length >= 2), `- ${terms.join(', ')}`);
+
+            // Терм от трех букв совпадает с началом основы, более короткий - только целиком
+            this.logTest('Совпадение по началу основы', SearchUtils.matchesTerm('капсул', 'кап'));
+            this.logTest('Начало другого слова не совпадает', !SearchUtils.matchesTerm('капсул', 'апс'));
+            this.logTest('Короткий терм совпадает только целиком',
+                SearchUtils.matchesTerm('ок', 'ок') && !SearchUtils.matchesTerm('окно', 'ок'));
+        } catch (error) {
+            this.logTest('Стемминг и термы поиска', false, `- ошибка: ${error.message}`);
+        }
+    }
+
+    async testContentMetadataCache() {
+        console.log('\n--- ТЕСТ 10: КЭШ МЕТАДАННЫХ ПО СОДЕРЖИМОМУ ---');
+
+        try {
+            // В Node IndexedDB недоступен: кэш работает только в памяти, логика сохранения та же
+            const cache = new ContentMetadataCache(ContentMetadataCache.KINDS.PDF);
+            const hash = await ContentMetadataCache.hash(encoder.encode('%PDF-1.4 тест'));
+            let extractions = 0;
+
+            // Неудачное извлечение (null) не сохраняется
+            const failed = await cache.getOrExtract(hash, async () => { extractions++; return null; });
+            // Ошибка извлечения (например, документ освобожден при отмене) тоже не сохраняется
+            const thrown = await cache.getOrExtract(hash, async () => { extractions++; throw new Error('документ освобожден'); })
+                .then(() => false, () => true);
+            const extracted = await cache.getOrExtract(hash, async () => { extractions++; return { title: 'Новость' }; });
+            const cached = await cache.getOrExtract(hash, async () => { extractions++; return { title: 'другое' }; });
+
+            this.logTest('Неудачное извлечение не кэшируется', failed === null && thrown && extracted?.title === 'Новость',
+                `- результат: ${JSON.stringify(extracted)}`);
+            this.logTest('Успешное извлечение кэшируется', cached?.title === 'Новость' && extractions === 3, `- извлечений: ${extractions}`);
+        } catch (error) {
+            this.logTest('Кэш метаданных по содержимому', false, `- ошибка: ${error.message}`);
+        }
+    }
+    testRequirementsProfile() {
+        console.log('\n--- ТЕСТ 11: ПРОФИЛЬ ТРЕБОВАНИЙ ---');
+
+        try {
+            const uploaded = RequirementsProfile.fromJSON(JSON.stringify({
+                name: 'Школьная капсула',
+                types: { 'новость': { minCount: 2, minTags: 1, requiredFields: ['title', 'color'] } }
+            }));
+            const newsRule = uploaded.getTypeRule('НОВОСТЬ');
+            this.logTest('Разбор requirements.json',
+                uploaded.name === 'Школьная капсула' && newsRule.minCount === 2 && newsRule.source === RequirementsProfile.SOURCES.UPLOADED,
+                `- правило: ${JSON.stringify(newsRule)}`);
+            this.logTest('Неизвестные обязательные поля отброшены', newsRule.requiredFields.join() === 'title');
+
+            const parseError = (text) => {
+                try {
+                    RequirementsProfile.fromJSON(text);
+                    return '';
+                } catch (error) {
+                    return error.message;
+                }
+            };
+            this.logTest('Некорректный JSON профиля отклонен', parseError('{"types":').startsWith('Некорректный JSON профиля требований'));
+            this.logTest('Профиль без "types" отклонен', parseError('{"name":"x"}').includes('"types"'));
+            this.logTest('Правило типа, не являющееся объектом, отклонено',
+                ['null', '5', '[]'].every(rule => parseError(`{"types":{"МЕМ":${rule}}}`).includes('Правило типа "МЕМ"')));
+
+            // Правила из архива накладываются на встроенные по полям
+            const merged = RequirementsProfile.createDefault().merge({
+                types: { 'МЕМ': { minCount: 1 }, 'ВИДЕО': { minCount: 1, label: 'Видео' } }
+            }, RequirementsProfile.SOURCES.ARCHIVE);
+            const memeRule = merged.getTypeRule('МЕМ');
+            const videoRule = merged.getTypeRule('ВИДЕО');
+            const newsDefault = merged.getTypeRule('НОВОСТЬ');
+            this.logTest('Наложение: заданное поле заменено', memeRule.minCount === 1 && memeRule.source === RequirementsProfile.SOURCES.ARCHIVE,
+                `- правило: ${JSON.stringify(memeRule)}`);
+            this.logTest('Наложение: остальные поля унаследованы',
+                memeRule.explanationMinWords === 50 && memeRule.minTags === 5 && memeRule.requiredFields.join() === 'title');
+            this.logTest('Наложение: замененные поля запомнены',
+                memeRule.overriddenFields.join() === 'minCount' && videoRule.overriddenFields.length === 0,
+                `- ${memeRule.overriddenFields.join(', ')} / ${videoRule.overriddenFields.join(', ')}`);
+            this.logTest('Наложение: незатронутые типы без изменений',
+                newsDefault.source === RequirementsProfile.SOURCES.BUILTIN && newsDefault.minCount === 5);
+            this.logTest('Наложение: новый тип добавлен', videoRule.label === 'Видео' && merged.getCountedTypes().some(({ type }) => type === 'ВИДЕО'));
+
+            // Теги и обязательные поля элемента
+            const itemCheck = merged.checkItem({ type: 'мем', tags: ['a', 'b', ' ', 'c', 'd', 'e'], title: '' });
+            this.logTest('Проверка элемента: теги и обязательные поля',
+                itemCheck.tagCount === 5 && itemCheck.missingFields.join() === 'title' && !itemCheck.isValid,
+                `- ${JSON.stringify(itemCheck)}`);
+            this.logTest('КАПСУЛА без автора во встроенном профиле', merged.checkItem({ type: 'КАПСУЛА', tags: [] }).isValid);
+        } catch (error) {
+            this.logTest('Профиль требований', false, `- ошибка: ${error.message}`);
+        }
+    }
+    testStructuredManifest() {
+        console.log('\n--- ТЕСТ 12: MANIFEST.JSON И MANIFEST.YAML ---');
+
+        try {
+            installDocumentStub();
+            const validator = new ArchiveValidator(null);
+
+            const json = JSON.stringify({
+                items: [
+                    { filename: 'capsule.txt', type: 'КАПСУЛА', date: '2024-10-20', author: 'Иванов И.', open_after: '2035-09-01' },
+                    { filename: 'news/01_Новость.pdf', type: 'НОВОСТЬ', date: '2024-10-17', tags: ['наука', 'космос'], title: '<b>Запуск</b>' }
+                ]
+            });
+            const fromJson = validator.parseStructuredManifest(json, 'json');
+            this.logTest('manifest.json: элементы разобраны',
+                fromJson.errors.length === 0 && fromJson.items.length === 2 && fromJson.items[0].openAfter === '2035-09-01'
+                    && fromJson.items[1].tags.join() === 'наука,космос',
+                `- ошибки: ${JSON.stringify(fromJson.errors)}`);
+            this.logTest('manifest.json: строки экранированы', fromJson.items[1].title === '&lt;b&gt;Запуск&lt;/b&gt;');
+
+            const yamlText = [
+                'items:',
+                '  - filename: 01_Новость.pdf',
+                '    type: НОВОСТЬ',
+                '    date: 2024-10-17',
+                '    tags: наука, космос',
+                '  - filename: 02_Мем.png',
+                '    type: МЕМ',
+                '    date: "2024-10-18"'
+            ].join('\n');
+            const fromYaml = validator.parseStructuredManifest(yamlText, 'yaml');
+            this.logTest('manifest.yaml: элементы разобраны',
+                fromYaml.errors.length === 0 && fromYaml.items.length === 2 && fromYaml.items[0].date === '2024-10-17'
+                    && fromYaml.items[0].tags.length === 2,
+                `- ошибки: ${JSON.stringify(fromYaml.errors)}`);
+
+            const invalid = validator.parseStructuredManifest(JSON.stringify({
+                items: [
+                    { filename: '01_Новость.pdf', type: 'НОВОСТЬ', date: '17 октября' },
+                    { filename: '02_Мем.png', type: 'МЕМ', date: '2024-10-18', color: 'red' },
+                    { filename: '02_Мем.png', type: 'МЕМ', date: '2024-10-18' },
+                    { filename: 'capsule.txt', type: 'КАПСУЛА', date: '2024-10-20' }
+                ]
+            }), 'json');
+            const errorFor = (index) => invalid.errors.find(error => error.lineNumber === index + 1)?.error || '';
+            this.logTest('manifest.json: некорректная дата', errorFor(0).includes('date (ожидается дата'), `- ${errorFor(0)}`);
+            this.logTest('manifest.json: неизвестное поле', errorFor(1).includes('color (неизвестное поле)'), `- ${errorFor(1)}`);
+            this.logTest('manifest.json: повтор имени файла', errorFor(2).includes('filename (файл уже указан в манифесте)'), `- ${errorFor(2)}`);
+            this.logTest('manifest.json: КАПСУЛА без автора', errorFor(3).includes('author (обязательное поле для КАПСУЛА)'), `- ${errorFor(3)}`);
+            this.logTest('manifest.json: ошибки указывают на поля',
+                invalid.items.length === 0 && invalid.errors[0].problematicParts.some(part => part.field === 'date' && part.isProblematic));
+
+            const broken = validator.parseStructuredManifest('{"items": [', 'json');
+            this.logTest('manifest.json: синтаксическая ошибка', broken.items.length === 0 && broken.errors.length === 1,
+                `- ${JSON.stringify(broken.errors)}`);
+        } catch (error) {
+            this.logTest('manifest.json и manifest.yaml', false, `- ошибка: ${error.message}`);
+        }
+    }
+    testManifestHeader() {
+        console.log('\n--- ТЕСТ 13: МАНИФЕСТ С ЗАГОЛОВКОМ КОЛОНОК ---');
+
+        try {
+            installDocumentStub();
+            const validator = new ArchiveValidator(null);
+
+            // Колонки сопоставляются по именам, а не по позициям
+            const parsed = validator.parseManifest([
+                '# Капсула 10 "А"',
+                '#! date | filename | type | author | tags',
+                '2024-10-20 | capsule.txt | КАПСУЛА | Иванов И.',
+                '2024-10-17 | 01_Новость.pdf | НОВОСТЬ | | наука, космос'
+            ].join('\n'));
+            const [capsuleItem, newsItem] = parsed.items;
+            this.logTest('Заголовок: поля по именам колонок',
+                parsed.errors.length === 0 && parsed.items.length === 2
+                    && capsuleItem.author === 'Иванов И.' && newsItem.filename === '01_Новость.pdf' && newsItem.tags.length === 2,
+                `- ошибки: ${JSON.stringify(parsed.errors)}`);
+
+            // Неизвестные колонки пропускаются с предупреждением
+            const withUnknown = validator.parseManifest([
+                '#! filename | type | color | date | | author',
+                'capsule.txt | КАПСУЛА | red | 2024-10-20 | x | Иванов И.'
+            ].join('\n'));
+            this.logTest('Заголовок: неизвестные колонки пропущены',
+                withUnknown.errors.length === 0 && withUnknown.items.length === 1 && withUnknown.items[0].date === '2024-10-20',
+                `- ошибки: ${JSON.stringify(withUnknown.errors)}`);
+            this.logTest('Заголовок: предупреждение о пропущенных колонках',
+                withUnknown.warnings.length === 1 && withUnknown.warnings[0].includes('"color"') && withUnknown.warnings[0].includes('без имени'),
+                `- ${withUnknown.warnings.join('; ')}`);
+
+            // Без обязательной колонки разбор не начинается
+            const withoutDate = validator.parseManifest('#! filename | type | title\n01_Новость.pdf | НОВОСТЬ | Запуск');
+            this.logTest('Заголовок: нет обязательной колонки',
+                withoutDate.items.length === 0 && withoutDate.errors.length === 1 && withoutDate.errors[0].error.includes('нет обязательных колонок: date'),
+                `- ${JSON.stringify(withoutDate.errors)}`);
+            const duplicated = validator.parseManifest('#! filename | type | date | Date\n01_Новость.pdf | НОВОСТЬ | 2024-10-17 | 2024-10-17');
+            this.logTest('Заголовок: повторяющиеся колонки', duplicated.errors[0]?.error.includes('повторяющиеся колонки'),
+                `- ${JSON.stringify(duplicated.errors)}`);
+
+            // Ошибки строк указывают на поля по колонкам заголовка
+            const invalid = validator.parseManifest([
+                '#! filename | type | date',
+                '01_Новость.pdf | НОВОСТЬ | 17 октября',
+                '01_Новость.pdf | НОВОСТЬ | 2024-10-17 | лишнее'
+            ].join('\n'));
+            const dateError = invalid.errors.find(error => error.lineNumber === 2);
+            this.logTest('Заголовок: ошибка в поле строки',
+                dateError?.problematicParts.find(part => part.field === 'date')?.isProblematic === true,
+                `- ${JSON.stringify(dateError)}`);
+            this.logTest('Заголовок: лишние поля строки', invalid.errors.some(error => error.lineNumber === 3 && error.error.startsWith('Слишком много полей')));
+        } catch (error) {
+            this.logTest('Манифест с заголовком колонок', false, `- ошибка: ${error.message}`);
+        }
+    }
+    testManifestFixer() {
+        console.log('\n--- ТЕСТ 14: ИСПРАВЛЕНИЯ СТРОК МАНИФЕСТА ---');
+
+        try {
+            const fix = ManifestFixer.suggestFix('01_Новость.pdf|новость|17.10.2024|тег', { typeIndex: 1, dateIndex: 2 });
+            const changedFields = fix?.changes.map(change => change.field).join() || '';
+            this.logTest('Исправление строки: разделители, тип и дата',
+                fix?.fixedLine === '01_Новость.pdf | НОВОСТЬ | 2024-10-17 | тег' && changedFields === 'separator,type,date',
+                `- ${JSON.stringify(fix)}`);
+
+            // Похожее на дату поле не в колонке даты не меняется
+            const headerFix = ManifestFixer.suggestFix('2024/10/17 | МЕМ | 1.2.2024', { typeIndex: 1, dateIndex: 0, fields: ['date', 'type', 'title'] });
+            this.logTest('Исправление строки: только колонка даты',
+                headerFix?.fixedLine === '2024-10-17 | МЕМ | 1.2.2024', `- ${JSON.stringify(headerFix)}`);
+
+            this.logTest('Исправление строки: правильная строка без правок',
+                ManifestFixer.suggestFix('01_Новость.pdf | НОВОСТЬ | 2024-10-17', { dateIndex: 2 }) === null);
+            const missingOnly = ManifestFixer.suggestFix('capsule.txt | КАПСУЛА | 2024-10-20', { dateIndex: 2, missingFields: ['author'] });
+            this.logTest('Исправление строки: недостающие поля только подсказаны',
+                missingOnly?.changes.length === 0 && missingOnly.missingFields.join() === 'author');
+
+            this.logTest('Нормализация даты',
+                ManifestFixer.normalizeDate('1.2.2024') === '2024-02-01' && ManifestFixer.normalizeDate('2024.2.1') === '2024-02-01');
+            this.logTest('Несуществующая дата не исправляется',
+                ManifestFixer.normalizeDate('31.02.2024') === null && ManifestFixer.normalizeDate('17 октября') === null);
+
+            const text = '# манифест\r\n01_Новость.pdf|новость|17.10.2024\r\n02_Мем.png | МЕМ | 2024-10-18\r\n';
+            const fixed = ManifestFixer.applyFixes(text, new Map([[2, '01_Новость.pdf | НОВОСТЬ | 2024-10-17']]));
+            this.logTest('Применение исправлений сохраняет остальные строки',
+                fixed === '# манифест\r\n01_Новость.pdf | НОВОСТЬ | 2024-10-17\r\n02_Мем.png | МЕМ | 2024-10-18\r\n',
+                `- ${JSON.stringify(fixed)}`);
+        } catch (error) {
+            this.logTest('Исправления строк манифеста', false, `- ошибка: ${error.message}`);
+        }
+    }
+    async testChecksums() {
+        console.log('\n--- ТЕСТ 15: КОНТРОЛЬНЫЕ СУММЫ ФАЙЛОВ ---');
+
+        try {
+            const abcChecksum = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+            this.logTest('SHA-256', await ChecksumService.sha256(encoder.encode('abc')) === abcChecksum);
+            this.logTest('Нормализация суммы',
+                ChecksumService.normalize(` SHA256:${abcChecksum.toUpperCase()} `) === abcChecksum && ChecksumService.isValid(`sha256:${abcChecksum}`));
+            this.logTest('Некорректная сумма', !ChecksumService.isValid(abcChecksum.slice(1)) && !ChecksumService.isValid(''));
+
+            const sidecar = ChecksumService.buildSidecar([{ path: 'news/01_Новость.pdf', checksum: abcChecksum }]);
+            const parsed = ChecksumService.parseSidecar(`# суммы\n${sidecar}${abcChecksum.toUpperCase()} *.\\мемы\\02_Мем.png\nне сумма\n`);
+            this.logTest('Файл checksums.sha256: разбор',
+                parsed.checksums.get('news/01_Новость.pdf') === abcChecksum && parsed.checksums.get('мемы/02_Мем.png') === abcChecksum,
+                `- ${JSON.stringify([...parsed.checksums])}`);
+            this.logTest('Файл checksums.sha256: нераспознанные строки',
+                parsed.errors.length === 1 && parsed.errors[0].lineNumber === 4, `- ${JSON.stringify(parsed.errors)}`);
+
+            // Проверка по манифесту и checksums.sha256 на настоящем архиве
+            const zip = new JSZip();
+            zip.file('capsule/01_Новость.pdf', 'abc');
+            zip.file('capsule/02_Мем.png', 'измененный файл');
+            zip.file('capsule/checksums.sha256', ChecksumService.buildSidecar([
+                { path: '02_Мем.png', checksum: abcChecksum },
+                { path: '03_Личное.jpg', checksum: abcChecksum }
+            ]));
+            const archiveService = new ArchiveService();
+            await archiveService.loadArchive((await zip.generateAsync({ type: 'uint8array' })).buffer);
+            const validator = new ArchiveValidator({ archiveService });
+            const { byFilename } = await validator.verifyChecksums(
+                [{ filename: '01_Новость.pdf', checksum: abcChecksum }, { filename: '04_Новость.pdf', checksum: '' }],
+                archiveService.getFileList()
+            );
+            const statusOf = (filename) => byFilename.get(filename.toLowerCase())?.status;
+            const { OK, MISMATCH, MISSING } = ChecksumService.STATUSES;
+            this.logTest('Проверка целостности: сумма совпадает', statusOf('01_Новость.pdf') === OK);
+            this.logTest('Проверка целостности: файл изменен', statusOf('02_Мем.png') === MISMATCH);
+            this.logTest('Проверка целостности: файла нет в архиве', statusOf('03_Личное.jpg') === MISSING);
+            this.logTest('Проверка целостности: файлы без суммы не проверяются', byFilename.size === 3, `- ${[...byFilename.keys()].join(', ')}`);
+        } catch (error) {
+            this.logTest('Контрольные суммы файлов', false, `- ошибка: ${error.message}`);
+        }
+    }
+    async testSignature() {
+        console.log('\n--- ТЕСТ 16: ПОДПИСЬ КАПСУЛЫ ---');
+
+        try {
+            const { STATUSES } = SignatureService;
+            const algorithmId = 'ECDSA-P256';
+            const files = new Map([
+                ['manifest.txt', await ChecksumService.sha256(encoder.encode('manifest'))],
+                ['news/01_Новость.pdf', await ChecksumService.sha256(encoder.encode('%PDF-1.4'))]
+            ]);
+            const keyPair = await SignatureService.generateKeyPair(algorithmId);
+            const seal = await SignatureService.sign({ files, signer: 'Иванов И.', keyPair, algorithmId });
+            // Подпись проверяется после записи в signature.json и чтения обратно
+            const parsedSeal = SignatureService.parseSeal(JSON.stringify(seal));
+
+            const valid = await SignatureService.verify(parsedSeal, new Map(files));
+            this.logTest('Подпись: верна', valid.status === STATUSES.VALID && valid.signer === 'Иванов И.' && Boolean(valid.fingerprint),
+                `- ${JSON.stringify(valid)}`);
+
+            const changed = new Map(files).set('news/01_Новость.pdf', await ChecksumService.sha256(encoder.encode('другой файл')));
+            changed.delete('manifest.txt');
+            changed.set('02_Мем.png', await ChecksumService.sha256(encoder.encode('мем')));
+            const tampered = await SignatureService.verify(parsedSeal, changed);
+            this.logTest('Подпись: файлы изменены после подписания',
+                tampered.status === STATUSES.TAMPERED && tampered.changedFiles.join() === 'news/01_Новость.pdf'
+                    && tampered.missingFiles.join() === 'manifest.txt' && tampered.addedFiles.join() === '02_Мем.png',
+                `- ${JSON.stringify(tampered)}`);
+
+            const forgedSigner = await SignatureService.verify({ ...parsedSeal, signer: 'Петров П.' }, new Map(files));
+            this.logTest('Подпись: изменен автор подписи', forgedSigner.status === STATUSES.INVALID, `- ${forgedSigner.status}`);
+            const forgedFiles = await SignatureService.verify({ ...parsedSeal, files: { ...parsedSeal.files, 'manifest.txt': files.get('news/01_Новость.pdf') } },
+                new Map(files).set('manifest.txt', files.get('news/01_Новость.pdf')));
+            this.logTest('Подпись: изменены суммы в signature.json', forgedFiles.status === STATUSES.INVALID, `- ${forgedFiles.status}`);
+            const otherSignature = (parsedSeal.signature[0] === 'A' ? 'B' : 'A') + parsedSeal.signature.slice(1);
+            const forgedSignature = await SignatureService.verify({ ...parsedSeal, signature: otherSignature }, new Map(files));
+            this.logTest('Подпись: изменена подпись', forgedSignature.status === STATUSES.INVALID, `- ${forgedSignature.status}`);
+            const otherKeyPair = await SignatureService.generateKeyPair(algorithmId);
+            const otherSeal = await SignatureService.sign({ files, signer: 'Иванов И.', keyPair: otherKeyPair, algorithmId });
+            const swappedKey = await SignatureService.verify({ ...parsedSeal, publicKey: otherSeal.publicKey }, new Map(files));
+            this.logTest('Подпись: подменен открытый ключ', swappedKey.status === STATUSES.INVALID, `- ${swappedKey.status}`);
+            const unknownAlgorithm = await SignatureService.verify({ ...parsedSeal, algorithm: 'RSA-PSS' }, new Map(files));
+            this.logTest('Подпись: неизвестный алгоритм', unknownAlgorithm.status === STATUSES.UNSUPPORTED);
+
+            const parseError = (text) => {
+                try {
+                    SignatureService.parseSeal(text);
+                    return '';
+                } catch (error) {
+                    return error.message;
+                }
+            };
+            const unsigned = { ...seal };
+            delete unsigned.signature;
+            this.logTest('signature.json: не JSON', parseError('{').includes('не является JSON'));
+            this.logTest('signature.json: другой формат', parseError(JSON.stringify({ ...seal, format: 'other' })).startsWith('Неподдерживаемый формат'));
+            this.logTest('signature.json: нет подписи', parseError(JSON.stringify(unsigned)).includes('нет полей: signature'));
+        } catch (error) {
+            this.logTest('Подпись капсулы', false, `- ошибка: ${error.message}`);
+        }
+    }
+    async testTimeLock() {
+        console.log('\n--- ТЕСТ 17: КАПСУЛА, ЗАПЕЧАТАННАЯ ДО ДАТЫ ---');
+
+        try {
+            const openAfter = TimeLockService.parseOpenAfter('2035-09-01 10:30');
+            this.logTest('Дата открытия: дата и время',
+                openAfter?.getTime() === new Date(2035, 8, 1, 10, 30).getTime()
+                    && TimeLockService.parseOpenAfter('2035-09-01')?.getTime() === new Date(2035, 8, 1).getTime());
+            this.logTest('Дата открытия: некорректные значения',
+                ['2035-9-1', '2025-02-30', '2035-09-01 25:00', '01.09.2035', ''].every(value => TimeLockService.parseOpenAfter(value) === null));
+
+            const remaining = TimeLockService.getRemainingTime(openAfter, new Date(2035, 7, 30, 9, 29, 55));
+            this.logTest('Обратный отсчет', TimeLockService.formatCountdown(remaining) === '2 дн. 01:00:05',
+                `- ${TimeLockService.formatCountdown(remaining)}`);
+            this.logTest('Дата открытия наступила', TimeLockService.getRemainingTime(openAfter, new Date(2036, 0, 1)).total === 0);
+
+            const content = encoder.encode('содержимое капсулы');
+            const { lock, data } = await TimeLockService.encrypt(content, 'кодовая фраза');
+            // Параметры шифрования читаются из timelock.json так же, как при открытии капсулы
+            const parsedLock = TimeLockService.parseLock(JSON.stringify(lock));
+            const decrypted = await TimeLockService.decrypt(data, parsedLock, 'кодовая фраза');
+            this.logTest('Шифрование и расшифровка', new TextDecoder().decode(decrypted) === 'содержимое капсулы');
+
+            const wrongPassphraseError = await TimeLockService.decrypt(data, parsedLock, 'другая фраза').then(() => null, error => error);
+            this.logTest('Неверная кодовая фраза',
+                wrongPassphraseError instanceof ArchiveError && wrongPassphraseError.code === ArchiveError.CODES.WRONG_PASSWORD,
+                `- ${wrongPassphraseError?.message}`);
+
+            const parseError = (text) => {
+                try {
+                    TimeLockService.parseLock(text);
+                    return '';
+                } catch (error) {
+                    return error.message;
+                }
+            };
+            this.logTest('timelock.json: не JSON', parseError('{').includes('не является JSON'));
+            this.logTest('timelock.json: неподдерживаемые параметры',
+                parseError(JSON.stringify({ ...lock, kdf: { ...lock.kdf, iterations: 0 } })).startsWith('Неподдерживаемые параметры шифрования'));
+        } catch (error) {
+            this.logTest('Капсула, запечатанная до даты', false, `- ошибка: ${error.message}`);
+        }
+    }
 }
 
 // Запуск теста
 const test = new ComprehensiveTest();
 test.run().then(() => {
     console.log('\n=== ТЕСТИРОВАНИЕ ЗАВЕРШЕНО ===');
+    // 7z-wasm записывает код завершения неудачной команды в process.exitCode - итог определяют только тесты
+    process.exitCode = test.testsFailed > 0 ? 1 : 0;
 }).catch((error) => {
     console.error('Тестирование завершено с ошибкой:', error);
 });
@@ -15,8 +15,8 @@ export default defineConfig({
         manualChunks: {
           'pdf-lib': ['pdfjs-dist'],
           'zip-lib': ['jszip'],
-          'csv-lib': ['papaparse'],
-          'wasm-lib': ['7z-wasm']
+          'csv-lib': ['papaparse']
+          // 7z-wasm не выносится в manualChunks: он загружается динамически и попадает в отдельный ленивый чанк
         },
         format: 'es',
         entryFileNames: `[name].[hash].js`,
@@ -39,7 +39,7 @@ export default defineConfig({
   
   // Оптимизация зависимостей
  optimizeDeps: {
-    include: ['pdfjs-dist', 'jszip', 'paparse', '7z-wasm', 'js7z-tools'],
+    include: ['pdfjs-dist', 'jszip', 'paparse', '7z-wasm'],
     esbuildOptions: {
       define: {
         global: 'globalThis',